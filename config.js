@@ -1,4 +1,5 @@
 import path from "node:path";
+import os from "node:os";
 
 const defaultSavePath =
     process.platform === "win32"
@@ -11,4 +12,15 @@ export default {
     vehiclesDbPath: process.env.PZ_VEHICLES_DB || path.join(savePath, "vehicles.db"),
     playersDbPath: process.env.PZ_PLAYERS_DB || path.join(savePath, "players.db"),
     port: parseInt(process.env.PORT || "3000", 10),
+    // Sync decodes blobs on worker threads; leave one core for the API
+    decodeWorkers: parseInt(process.env.PZ_DECODE_WORKERS || String(Math.max(1, os.availableParallelism() - 1)), 10),
+    decodeTimeoutMs: parseInt(process.env.PZ_DECODE_TIMEOUT_MS || "10000", 10),
+    decodeMaxBlobBytes: parseInt(process.env.PZ_DECODE_MAX_BYTES || String(16 * 1024 * 1024), 10),
+    // Watch mode: wait for the game's writes to settle, and sync at most this often by default
+    watchDebounceMs: parseInt(process.env.PZ_WATCH_DEBOUNCE_MS || "2000", 10),
+    watchMinIntervalSeconds: parseInt(process.env.PZ_WATCH_MIN_INTERVAL || "30", 10),
+    // A running game rewrites players on every flush; watch syncs record history at most this often
+    watchHistoryIntervalSeconds: parseInt(process.env.PZ_WATCH_HISTORY_INTERVAL || "600", 10),
+    // Sync history: the oldest snapshots are deleted beyond this many per profile
+    historySnapshots: parseInt(process.env.PZ_HISTORY_SNAPSHOTS || "200", 10),
 };
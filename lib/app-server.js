@@ -4,7 +4,17 @@ import path from "node:path";
 import fs from "node:fs";
 import os from "node:os";
 import { fileURLToPath } from "node:url";
-import { decodePzBuffer } from "./decode-pz-buffer.js";
+import { DecodePool } from "./decode-pool.js";
+import { SaveWatcher } from "./save-watcher.js";
+import { snapshotDatabase, checkIntegrity, removeDbFiles } from "./save-snapshot.js";
+import { readSaveFolderWorldVersion, getAllPerkNames } from "./pz-build-schemas.js";
+import { ScriptRegistry } from "./pz-script-registry.js";
+import { TranslationTable } from "./pz-translations.js";
+import { flattenItems } from "./decode-pz-inventory.js";
+import { buildPlayerHistory, syncChangedCache, watchSnapshotDue } from "./player-history.js";
+import { toFtsQuery } from "./search-index.js";
+import { parsePlayerListQuery, parseVehicleListQuery, parseRawBytesQuery } from "./list-query.js";
+import { parsePlayerQuery, matchesPlayerQuery, playerQuerySql, playerQueryFields } from "./player-query.js";
 import config from "../config.js";
 import * as runtimeConfig from "./runtime-config.js";
 import * as cacheDb from "./cache-db.js";
@@ -16,9 +26,159 @@ const SNAPSHOT_DIR = path.join(runtimeConfig.getAppBaseDir(), "data", "snapshots
 const SOURCE_DIR = path.join(runtimeConfig.getAppBaseDir(), "data", "source");
 const APP_ROOT = path.join(__dirname, "..");
 
-function getPaths() {
+/**
+ * Resolved DB paths of a save profile, or null when it has none configured.
+ * @param {string} [profile] - Defaults to the active profile
+ */
+function getPaths(profile) {
     const raw = runtimeConfig.load();
-    return runtimeConfig.getResolvedPaths(raw);
+    return runtimeConfig.getResolvedPaths(runtimeConfig.getProfile(raw, profile));
+}
+
+/** Names of all saved profiles; the active one is included even before anything is saved. */
+function listProfileNames() {
+    const { active, profiles } = runtimeConfig.getProfiles(runtimeConfig.load());
+    const names = Object.keys(profiles);
+    return names.includes(active) ? names : [active, ...names];
+}
+
+/** Script definitions and translated names from the configured game and mod folders; reloaded when the config changes. */
+let scriptRegistry = new ScriptRegistry();
+let translations = new TranslationTable(runtimeConfig.getLanguage(null));
+/** @type {DecodePool | null} */
+let decodePool = null;
+
+function reloadDefinitions() {
+    const raw = runtimeConfig.load();
+    const roots = runtimeConfig.getScriptRoots(raw);
+    scriptRegistry = ScriptRegistry.load(roots);
+    translations = TranslationTable.load(roots, runtimeConfig.getLanguage(raw));
+    // Workers hold a copy of the registry, so the next decode starts a new pool; a running sync's
+    // blobs still finish on the old one, which closes once they are done
+    if (decodePool) decodePool.closeWhenIdle();
+    decodePool = null;
+}
+
+/** Worker pool for sync decoding, started on first use with the configured worker count. */
+function getDecodePool() {
+    if (!decodePool) {
+        decodePool = new DecodePool({
+            size: runtimeConfig.getDecodeWorkers(runtimeConfig.load()),
+            timeoutMs: config.decodeTimeoutMs,
+            maxBlobBytes: config.decodeMaxBlobBytes,
+            registry: scriptRegistry,
+        });
+    }
+    return decodePool;
+}
+
+/**
+ * Human-readable name for a save ID: the translation in the configured language, else the
+ * script's DisplayName (B42 definitions give a translation key there), else null.
+ * @param {string | null | undefined} id
+ */
+function displayNameFor(id) {
+    if (typeof id !== "string" || !id) return null;
+    const entry = scriptRegistry.get(id);
+    const translated = translations.describe(id, entry ? entry.kind : null);
+    if (translated) return translated.displayName;
+    if (entry && entry.displayName) return translations.text(entry.displayName) || entry.displayName;
+    return null;
+}
+
+/**
+ * The IDs whose display name contains the text, ignoring case; list searches match these as well
+ * as the IDs themselves.
+ * @param {string[]} ids
+ * @param {string} text
+ */
+function namesContaining(ids, text) {
+    const needle = text.toLowerCase();
+    return ids.filter((id) => (displayNameFor(id) || "").toLowerCase().includes(needle));
+}
+
+/**
+ * A listed player with the display names of its profession and traits, which the page shows and
+ * player queries match.
+ * @param {object} player - Row from cacheDb.getPlayers
+ */
+function withPlayerNames(player) {
+    return {
+        ...player,
+        professionName: displayNameFor(player.profession),
+        traitNames: (player.traits || []).map((t) => displayNameFor(t) || t),
+    };
+}
+
+/** Longest name a saved player query may have. */
+const SAVED_QUERY_NAME_MAX = 80;
+
+/**
+ * Perks a player query can compare: those of every known build plus any (modded) perk in the cache.
+ * @param {{ skills: string[] }} facets - cacheDb.getPlayerFacets output
+ */
+function querySkills(facets) {
+    return [...new Set([...getAllPerkNames(), ...facets.skills])];
+}
+
+/**
+ * Parse a player query against the profile's perks.
+ * @param {string} text
+ * @param {{ skills: string[] }} facets - cacheDb.getPlayerFacets output
+ * @returns {{ tree: object | null, error: Error | null }} error is the INVALID_PLAYER_QUERY error, with its position
+ */
+function parseQuery(text, facets) {
+    try {
+        return { tree: parsePlayerQuery(text, { skills: querySkills(facets) }), error: null };
+    } catch (e) {
+        if (e.code !== "INVALID_PLAYER_QUERY") throw e;
+        return { tree: null, error: e };
+    }
+}
+
+/** 400 body for a query that does not parse: the message and where in the query it went wrong. */
+function queryErrorBody(err) {
+    return { error: err.message, position: err.position, length: err.length };
+}
+
+/**
+ * Script definitions for the given IDs with translated display names. IDs only the
+ * translation files know (B41 traits and professions have no script block) are included
+ * with the kind their translation key implies.
+ * @param {Iterable<string>} ids
+ */
+function describeDefinitions(ids) {
+    const unique = [...new Set(ids)].filter((id) => typeof id === "string" && id);
+    const definitions = scriptRegistry.describe(unique);
+    for (const id of unique) {
+        const displayName = displayNameFor(id);
+        if (definitions[id]) {
+            definitions[id].displayName = displayName;
+        } else if (displayName) {
+            const translated = translations.describe(id);
+            definitions[id] = { kind: translated.kind, displayName, category: null, weight: null };
+        }
+    }
+    return definitions;
+}
+
+/**
+ * IDs a player or vehicle response mentions that script definitions can describe.
+ * @param {{ extracted?: object, inventory?: object[] }} row
+ */
+function collectDefinitionIds(row) {
+    const e = row.extracted || {};
+    return [
+        e.vehicleType,
+        ...(e.professionIds || []),
+        ...(e.traitOrSkillIds || []),
+        ...(e.clothingTypes || []),
+        ...(e.skillBooks || []).map((b) => b.fullType),
+        ...(e.readLiterature || []),
+        ...(row.inventory || []).flatMap((c) =>
+            flattenItems(c).map((i) => i.fullType),
+        ),
+    ];
 }
 
 /**
@@ -52,87 +212,377 @@ function discoverPlayersTableFromDb(db) {
 }
 
 /**
- * Copy game DBs to snapshot dir, open copies, sync into cache, then close and remove copies.
- * Avoids locking the game's files.
- * @param {Function} callback - (err) => void
+ * GET handler for a row's raw blob: ?offset=, ?length= and ?format= (see parseRawBytesQuery).
+ * Responds { id, size, offset, length, format, data }.
+ * @param {'vehicle'|'player'} type
+ */
+function rawBytesRoute(type) {
+    return (req, res) => {
+        let range;
+        try {
+            range = parseRawBytesQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        const { offset, length, format } = range;
+        cacheDb.getRawBytes(req.profile, type, req.params.id, offset, length, (err, blob) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (!blob) return res.status(404).json({ error: type === "vehicle" ? "Vehicle not found" : "Player not found" });
+            if (offset > 0 && offset >= blob.size) {
+                return res.status(416).json({ error: `offset is past the end of the ${blob.size} byte blob`, size: blob.size });
+            }
+            res.json({
+                id: Number(req.params.id),
+                size: blob.size,
+                offset,
+                length: blob.bytes.length,
+                format,
+                data: blob.bytes.toString(format),
+            });
+        });
+    };
+}
+
+/**
+ * Why a finished sync records no history snapshot, or null when it records one. No sync that
+ * changed no rows records one; watch syncs also skip it while the newest snapshot is younger
+ * than config.watchHistoryIntervalSeconds.
+ * @param {string} profile
+ * @param {'manual'|'watch'|'config'|'rebuild'} source
+ * @param {{ vehicles: object, players: object }} summary
+ * @param {Function} callback - (err, reason: string | null) => void
+ */
+function skipHistoryReason(profile, source, summary, callback) {
+    if (!syncChangedCache(summary)) return callback(null, "No rows changed");
+    if (source !== "watch") return callback(null, null);
+    cacheDb.getSnapshots(profile, (err, snapshots) => {
+        if (err) return callback(err);
+        const last = snapshots.length ? snapshots[snapshots.length - 1].createdAt : null;
+        const intervalSeconds = config.watchHistoryIntervalSeconds;
+        if (watchSnapshotDue(summary, last, intervalSeconds * 1000)) return callback(null, null);
+        callback(null, `Last snapshot is less than ${Math.round(intervalSeconds / 60)} min old`);
+    });
+}
+
+/** Sync steps in order, as reported to onProgress. */
+const SYNC_STAGES = ["copy", "open", "verify", "discover", "vehicles", "players", "history"];
+
+/**
+ * Snapshot the game DBs into the snapshot dir, open and check the snapshots, sync them into
+ * the cache, then close and remove them. Snapshots go through SQLite's backup API (falling
+ * back to copying each DB with its -wal and checkpointing the copy), so changes still in the
+ * -wal are included and a save in progress cannot tear them; the game's files are never locked
+ * for writing.
+ * Each step is reported to onProgress as { stage, status: "running" | "done" | "failed" }, the
+ * decode steps also with { done, total, failed } row counts. A failed step's error has its
+ * stage in err.stage.
+ * @param {string} profile - Save profile to sync
+ * @param {'manual'|'watch'|'config'|'rebuild'} source - What asked for the sync
+ * @param {Function} onProgress - (progress) => void
+ * @param {Function} callback - (err, { vehicles, players, snapshot }) => void; vehicles and players are
+ *   { total, decoded, unchanged, removed, failed }, snapshot is the history entry recorded for this sync
+ *   (null when it recorded none, see skipHistoryReason)
  */
-function syncFromSnapshots(callback) {
-    const paths = getPaths();
+function syncFromSnapshots(profile, source, onProgress, callback) {
+    const paths = getPaths(profile);
     if (!paths) return callback(null);
 
-    const vehiclesSnapshotPath = path.join(SNAPSHOT_DIR, "vehicles.db");
-    const playersSnapshotPath = path.join(SNAPSHOT_DIR, "players.db");
+    const snapshotDir = path.join(SNAPSHOT_DIR, profile);
+    const vehiclesSnapshotPath = path.join(snapshotDir, "vehicles.db");
+    const playersSnapshotPath = path.join(snapshotDir, "players.db");
 
+    let currentStage = null;
+    function stage(id, extra) {
+        currentStage = id;
+        onProgress({ stage: id, status: "running", ...extra });
+    }
+    function stageDone(extra) {
+        onProgress({ stage: currentStage, status: "done", ...extra });
+    }
+    /** Report the running stage as failed and tag the error with it. */
+    function failed(err) {
+        err.stage = currentStage;
+        onProgress({ stage: currentStage, status: "failed", error: err.message });
+        return err;
+    }
+    function removeSnapshots() {
+        removeDbFiles(vehiclesSnapshotPath);
+        removeDbFiles(playersSnapshotPath);
+    }
+
+    stage("copy");
     try {
-        if (!fs.existsSync(path.dirname(SNAPSHOT_DIR))) {
-            fs.mkdirSync(path.dirname(SNAPSHOT_DIR), { recursive: true });
-        }
-        if (!fs.existsSync(SNAPSHOT_DIR)) {
-            fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        if (!fs.existsSync(snapshotDir)) {
+            fs.mkdirSync(snapshotDir, { recursive: true });
         }
         if (!fs.existsSync(paths.vehiclesDbPath)) {
-            return callback(new Error("Vehicles DB not found: " + paths.vehiclesDbPath));
+            return callback(failed(new Error("Vehicles DB not found: " + paths.vehiclesDbPath)));
         }
         if (!fs.existsSync(paths.playersDbPath)) {
-            return callback(new Error("Players DB not found: " + paths.playersDbPath));
+            return callback(failed(new Error("Players DB not found: " + paths.playersDbPath)));
         }
-        fs.copyFileSync(paths.vehiclesDbPath, vehiclesSnapshotPath);
-        fs.copyFileSync(paths.playersDbPath, playersSnapshotPath);
     } catch (e) {
-        return callback(e);
+        return callback(failed(e));
     }
+    snapshotDatabase(paths.vehiclesDbPath, vehiclesSnapshotPath, (err, vehiclesCopy) => {
+        if (err) {
+            removeSnapshots();
+            return callback(failed(err));
+        }
+        snapshotDatabase(paths.playersDbPath, playersSnapshotPath, (err, playersCopy) => {
+            if (err) {
+                removeSnapshots();
+                return callback(failed(err));
+            }
+            const fallback = [vehiclesCopy, playersCopy].find((c) => c.method === "copy");
+            stageDone({ method: fallback ? "copy" : "backup", ...(fallback && { warning: fallback.backupError }) });
+            openSnapshots();
+        });
+    });
+
+    function openSnapshots() {
+        // Blobs normally carry their own world version; the save folder's is the fallback
+        const worldVersion = readSaveFolderWorldVersion(paths.saveFolder);
+        // The pool is looked up per blob: a config save during the sync swaps in a new one
+        const decode = (buf, type, cb) => getDecodePool().decode(buf, type, { worldVersion }, cb);
+        // Cached rows decoded under a different fallback version or set of definitions are re-decoded
+        const contextKey = JSON.stringify({
+            worldVersion,
+            scriptRoots: runtimeConfig.getScriptRoots(runtimeConfig.load()),
+            definitions: scriptRegistry.fingerprint(),
+        });
+        const summary = { vehicles: null, players: null, snapshot: null };
+        const decodeProgress = (done, total, failedRows) =>
+            onProgress({ stage: currentStage, status: "running", done, total, failed: failedRows });
 
-    let opened = 0;
-    let openErr = null;
-
-    function maybeRunSync() {
-        if (openErr) return;
-        opened++;
-        if (opened !== 2) return;
-        discoverPlayersTableFromDb(snapshotPlayersDb)
-            .then(({ tableName, columns }) => {
-                const cols = columns.length ? columns : ["id", "data"];
-                cacheDb.syncVehicles(snapshotVehiclesDb, decodePzBuffer, (err) => {
-                    if (err) return done(err);
-                    cacheDb.syncPlayers(snapshotPlayersDb, tableName, cols, decodePzBuffer, (err2) => {
-                        done(err2);
+        let opened = 0;
+        let openErr = null;
+
+        function maybeRunSync() {
+            if (openErr) return;
+            opened++;
+            if (opened !== 2) return;
+            stageDone();
+            stage("verify");
+            checkIntegrity(snapshotVehiclesDb, "vehicles.db", (err) => {
+                if (err) return done(failed(err));
+                checkIntegrity(snapshotPlayersDb, "players.db", (err) => {
+                    if (err) return done(failed(err));
+                    stageDone();
+                    runSync();
+                });
+            });
+        }
+
+        function runSync() {
+            stage("discover");
+            discoverPlayersTableFromDb(snapshotPlayersDb)
+                .then(({ tableName, columns }) => {
+                    const cols = columns.length ? columns : ["id", "data"];
+                    stageDone({ table: tableName });
+                    stage("vehicles");
+                    cacheDb.syncVehicles(profile, snapshotVehiclesDb, { decode, contextKey, onProgress: decodeProgress }, (err, vehicles) => {
+                        if (err) return done(failed(err));
+                        summary.vehicles = vehicles;
+                        stageDone({ done: vehicles.decoded, total: vehicles.decoded, failed: vehicles.failed, summary: vehicles });
+                        stage("players");
+                        cacheDb.syncPlayers(profile, snapshotPlayersDb, tableName, cols, { decode, contextKey, onProgress: decodeProgress }, (err2, players) => {
+                            if (err2) return done(failed(err2));
+                            summary.players = players;
+                            stageDone({ done: players.decoded, total: players.decoded, failed: players.failed, summary: players });
+                            stage("history");
+                            skipHistoryReason(profile, source, summary, (err3, skipped) => {
+                                if (err3) return done(failed(err3));
+                                if (skipped) {
+                                    stageDone({ skipped });
+                                    return done(null);
+                                }
+                                cacheDb.recordSnapshot(profile, config.historySnapshots, (err4, snapshot) => {
+                                    if (err4) return done(failed(err4));
+                                    summary.snapshot = snapshot;
+                                    stageDone();
+                                    done(null);
+                                });
+                            });
+                        });
                     });
+                })
+                .catch((e) => done(failed(e)));
+        }
+
+        function done(syncErr) {
+            snapshotVehiclesDb.close(() => {
+                snapshotPlayersDb.close(() => {
+                    removeSnapshots();
+                    callback(syncErr, syncErr ? undefined : summary);
                 });
-            })
-            .catch((e) => done(e));
+            });
+        }
+
+        // Snapshots are read-only for the sync; opening them read-write would leave -shm files behind
+        const openFailed = (err) => {
+            if (openErr) return;
+            openErr = failed(err);
+            snapshotVehiclesDb.close(() => {});
+            snapshotPlayersDb.close(() => {});
+            removeSnapshots();
+            callback(err);
+        };
+        stage("open");
+        const snapshotVehiclesDb = new sqlite3.Database(vehiclesSnapshotPath, sqlite3.OPEN_READONLY, (err) => {
+            if (err) return openFailed(err);
+            maybeRunSync();
+        });
+        const snapshotPlayersDb = new sqlite3.Database(playersSnapshotPath, sqlite3.OPEN_READONLY, (err) => {
+            if (err) return openFailed(err);
+            maybeRunSync();
+        });
     }
+}
+
+/** Open /api/events responses; sync results are pushed to all of them. */
+const eventClients = new Set();
+
+/**
+ * Push a server-sent event to every open /api/events stream.
+ * @param {string} event
+ * @param {object} data
+ */
+function broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of eventClients) res.write(message);
+}
 
-    function cleanupAndCallback(err) {
-        try { fs.unlinkSync(vehiclesSnapshotPath); } catch (_) {}
-        try { fs.unlinkSync(playersSnapshotPath); } catch (_) {}
-        callback(err);
+/**
+ * Sync state per save profile. waiting holds callbacks of sync requests that arrived while a
+ * sync was running (they share the next run); progress holds the stages of the running (or
+ * last) sync, so a page that connects mid-sync can show them.
+ * @type {Map<string, { running: boolean, waiting: { source: string, callback: Function }[], progress: { source: string | null, stages: object[] } }>}
+ */
+const syncStates = new Map();
+
+function getSyncState(profile) {
+    if (!syncStates.has(profile)) {
+        syncStates.set(profile, { running: false, waiting: [], progress: { source: null, stages: [] } });
+    }
+    return syncStates.get(profile);
+}
+
+/** Minimum time between two row-count updates of a decode stage on /api/events. */
+const PROGRESS_INTERVAL_MS = 150;
+
+/**
+ * Run syncFromSnapshots, one at a time per profile: a request made during a sync waits for it
+ * and then gets a fresh sync (the save may have changed since the running one copied it).
+ * Progress is pushed to /api/events as "sync-progress" events, and every result as a "sync"
+ * event so open pages can reload; all carry the profile.
+ * @param {string} profile - Save profile to sync
+ * @param {'manual'|'watch'|'config'|'rebuild'} source - What asked for the sync
+ * @param {Function} callback - (err, summary) => void
+ */
+function requestSync(profile, source, callback) {
+    const state = getSyncState(profile);
+    if (state.running) {
+        state.waiting.push({ source, callback });
+        return;
     }
+    state.running = true;
+    state.progress = { source, stages: [] };
+    broadcast("sync-start", { profile, source, stageIds: SYNC_STAGES });
+    let lastSentAt = 0;
+    const onProgress = (progress) => {
+        const stages = state.progress.stages;
+        const index = stages.findIndex((st) => st.stage === progress.stage);
+        const previous = index === -1 ? null : stages[index];
+        if (index === -1) stages.push(progress);
+        else stages[index] = { ...previous, ...progress };
+        // Status changes always go out; row counts are throttled
+        const now = Date.now();
+        if (previous && previous.status === progress.status && now - lastSentAt < PROGRESS_INTERVAL_MS) return;
+        lastSentAt = now;
+        broadcast("sync-progress", { profile, source, ...(index === -1 ? progress : stages[index]) });
+    };
+    syncFromSnapshots(profile, source, onProgress, (err, summary) => {
+        state.running = false;
+        broadcast("sync", {
+            profile,
+            source,
+            ok: !err,
+            error: err ? err.message : null,
+            failedStage: err ? err.stage || null : null,
+            stages: state.progress.stages,
+            ...summary,
+            at: new Date().toISOString(),
+        });
+        callback(err, summary);
+        const waiting = state.waiting;
+        state.waiting = [];
+        if (waiting.length === 0) return;
+        requestSync(profile, waiting[0].source, (err, summary) => {
+            for (const w of waiting) w.callback(err, summary);
+        });
+    });
+}
+
+/**
+ * Watch mode per save profile; profiles with watch mode off have no entry.
+ * @type {Map<string, SaveWatcher>}
+ */
+const saveWatchers = new Map();
 
-    function done(syncErr) {
-        snapshotVehiclesDb.close(() => {
-            snapshotPlayersDb.close(() => cleanupAndCallback(syncErr));
+/** (Re)start watch mode of every profile from the saved settings; profiles with it off or nothing configured are not watched. */
+function restartWatchers() {
+    for (const watcher of saveWatchers.values()) watcher.close();
+    saveWatchers.clear();
+    const raw = runtimeConfig.load();
+    for (const name of listProfileNames()) {
+        const profile = runtimeConfig.getProfile(raw, name);
+        const watch = runtimeConfig.getWatchSettings(profile);
+        const paths = runtimeConfig.getResolvedPaths(profile);
+        if (!watch.enabled || !paths) continue;
+        const watcher = new SaveWatcher({
+            files: [paths.vehiclesDbPath, paths.playersDbPath],
+            debounceMs: config.watchDebounceMs,
+            minIntervalMs: watch.minIntervalSeconds * 1000,
+            onChange: (done) => requestSync(name, "watch", () => done()),
         });
+        watcher.start();
+        saveWatchers.set(name, watcher);
     }
+}
 
-    const snapshotVehiclesDb = new sqlite3.Database(vehiclesSnapshotPath, (err) => {
-        if (err) {
-            openErr = err;
-            try { fs.unlinkSync(vehiclesSnapshotPath); } catch (_) {}
-            try { fs.unlinkSync(playersSnapshotPath); } catch (_) {}
-            return callback(err);
-        }
-        maybeRunSync();
-    });
-    const snapshotPlayersDb = new sqlite3.Database(playersSnapshotPath, (err) => {
-        if (err) {
-            openErr = err;
-            snapshotVehiclesDb.close(() => {});
-            try { fs.unlinkSync(vehiclesSnapshotPath); } catch (_) {}
-            try { fs.unlinkSync(playersSnapshotPath); } catch (_) {}
-            return callback(err);
-        }
-        maybeRunSync();
-    });
+/** Profiles with their save folder and whether they are being watched or synced, for the profile switcher. */
+function getProfilesForApi() {
+    const raw = runtimeConfig.load();
+    const { active } = runtimeConfig.getProfiles(raw);
+    return {
+        active,
+        profiles: listProfileNames().map((name) => {
+            const profile = runtimeConfig.getProfile(raw, name);
+            const paths = runtimeConfig.getResolvedPaths(profile);
+            return {
+                name,
+                saveFolder: (paths && paths.saveFolder) || "",
+                configured: !!paths,
+                watching: saveWatchers.has(name),
+                syncing: getSyncState(name).running,
+            };
+        }),
+    };
+}
+
+/**
+ * Set req.profile for the data routes: the profile named in the URL (404 if there is no such
+ * profile) or, on the unscoped /api routes, the active one.
+ */
+function resolveProfile(req, res, next) {
+    const { active, profiles } = runtimeConfig.getProfiles(runtimeConfig.load());
+    const name = req.params.profile || active;
+    if (name !== active && !Object.prototype.hasOwnProperty.call(profiles, name)) {
+        return res.status(404).json({ error: "Profile not found: " + name });
+    }
+    req.profile = name;
+    next();
 }
 
 /**
@@ -142,9 +592,31 @@ function syncFromSnapshots(callback) {
 function createApp() {
     const app = express();
     const port = config.port;
+    reloadDefinitions();
+    restartWatchers();
 
     app.use(express.json({ limit: "50mb" }));
 
+    // --- API: Server-sent events (sync results, for automatic reload) ---
+    app.get("/api/events", (req, res) => {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+        });
+        res.write(": connected\n\n");
+        for (const [profile, state] of syncStates) {
+            if (!state.running) continue;
+            const { source, stages } = state.progress;
+            res.write(`event: sync-start\ndata: ${JSON.stringify({ profile, source, stageIds: SYNC_STAGES })}\n\n`);
+            for (const progress of stages) {
+                res.write(`event: sync-progress\ndata: ${JSON.stringify({ profile, source, ...progress })}\n\n`);
+            }
+        }
+        eventClients.add(res);
+        req.on("close", () => eventClients.delete(res));
+    });
+
     // --- API: Browse filesystem (for Settings path picker) ---
     app.get("/api/browse", (req, res) => {
         try {
@@ -196,45 +668,34 @@ function createApp() {
         }
     });
 
-    function ensureSourceDir() {
-        if (!fs.existsSync(SOURCE_DIR)) {
-            fs.mkdirSync(SOURCE_DIR, { recursive: true });
-        }
-    }
-
-    app.post("/api/upload/vehicles", (req, res) => {
+    app.get("/api/config", (req, res) => {
         try {
-            const content = req.body && req.body.content;
-            if (typeof content !== "string") return res.status(400).json({ error: "Missing content (base64)" });
-            ensureSourceDir();
-            const dest = path.join(SOURCE_DIR, "vehicles.db");
-            fs.writeFileSync(dest, Buffer.from(content, "base64"));
-            const raw = runtimeConfig.load() || {};
-            runtimeConfig.save({ ...raw, vehiclesDbPath: dest });
-            res.json({ ok: true, path: dest });
+            res.json(runtimeConfig.getConfigForApi());
         } catch (e) {
             res.status(500).json({ error: e.message });
         }
     });
 
-    app.post("/api/upload/players", (req, res) => {
+    app.get("/api/scripts", (req, res) => {
         try {
-            const content = req.body && req.body.content;
-            if (typeof content !== "string") return res.status(400).json({ error: "Missing content (base64)" });
-            ensureSourceDir();
-            const dest = path.join(SOURCE_DIR, "players.db");
-            fs.writeFileSync(dest, Buffer.from(content, "base64"));
-            const raw = runtimeConfig.load() || {};
-            runtimeConfig.save({ ...raw, playersDbPath: dest });
-            res.json({ ok: true, path: dest });
+            res.json({
+                roots: runtimeConfig.getScriptRoots(runtimeConfig.load()),
+                fileCount: scriptRegistry.fileCount,
+                definitionCount: scriptRegistry.size,
+            });
         } catch (e) {
             res.status(500).json({ error: e.message });
         }
     });
 
-    app.get("/api/config", (req, res) => {
+    app.get("/api/languages", (req, res) => {
         try {
-            res.json(runtimeConfig.getConfigForApi());
+            const raw = runtimeConfig.load();
+            res.json({
+                language: runtimeConfig.getLanguage(raw),
+                available: TranslationTable.listLanguages(runtimeConfig.getScriptRoots(raw)),
+                translationCount: translations.size,
+            });
         } catch (e) {
             res.status(500).json({ error: e.message });
         }
@@ -242,19 +703,34 @@ function createApp() {
 
     app.put("/api/config", (req, res) => {
         try {
+            // Save paths and watch mode go to the active profile; the rest applies to all profiles
             const body = req.body || {};
             const raw = runtimeConfig.load() || {};
+            const { active, profiles } = runtimeConfig.getProfiles(raw);
             runtimeConfig.save({
-                saveFolder: body.saveFolder !== undefined ? body.saveFolder : raw.saveFolder,
-                vehiclesDbPath: body.vehiclesDbPath !== undefined ? body.vehiclesDbPath : raw.vehiclesDbPath,
-                playersDbPath: body.playersDbPath !== undefined ? body.playersDbPath : raw.playersDbPath,
+                ...raw,
+                activeProfile: active,
+                profiles,
+                gameFolder: body.gameFolder !== undefined ? body.gameFolder : raw.gameFolder,
+                modFolders: body.modFolders !== undefined ? body.modFolders : raw.modFolders,
+                language: body.language !== undefined ? body.language : raw.language,
+                decodeWorkers: body.decodeWorkers !== undefined ? body.decodeWorkers : raw.decodeWorkers,
             });
-            const paths = getPaths();
+            runtimeConfig.saveProfile(active, {
+                saveFolder: body.saveFolder,
+                vehiclesDbPath: body.vehiclesDbPath,
+                playersDbPath: body.playersDbPath,
+                watch: body.watch,
+                watchMinIntervalSeconds: body.watchMinIntervalSeconds,
+            });
+            reloadDefinitions();
+            restartWatchers();
+            const paths = getPaths(active);
             if (!paths) {
-                cacheDb.clearCache(() => res.json(runtimeConfig.getConfigForApi()));
+                cacheDb.clearCache(active, () => res.json(runtimeConfig.getConfigForApi()));
                 return;
             }
-            syncFromSnapshots((err) => {
+            requestSync(active, "config", (err) => {
                 if (err) return res.status(500).json({ error: err.message });
                 res.json(runtimeConfig.getConfigForApi());
             });
@@ -263,49 +739,335 @@ function createApp() {
         }
     });
 
-    app.post("/api/sync", (req, res) => {
-        const paths = getPaths();
+    // --- API: Save profiles ---
+    app.get("/api/profiles", (req, res) => {
+        try {
+            res.json(getProfilesForApi());
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    app.post("/api/profiles", (req, res) => {
+        try {
+            const name = req.body && req.body.name;
+            if (!runtimeConfig.isValidProfileName(name)) {
+                return res.status(400).json({ error: "Profile names use letters, digits, - and _ (up to 48 characters)" });
+            }
+            if (listProfileNames().includes(name)) {
+                return res.status(409).json({ error: "Profile already exists: " + name });
+            }
+            runtimeConfig.saveProfile(name, {});
+            const profiles = getProfilesForApi();
+            broadcast("profiles", profiles);
+            res.status(201).json(profiles);
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    app.post("/api/profiles/:profile/activate", (req, res) => {
+        try {
+            const name = req.params.profile;
+            if (!listProfileNames().includes(name)) {
+                return res.status(404).json({ error: "Profile not found: " + name });
+            }
+            runtimeConfig.setActiveProfile(name);
+            const profiles = getProfilesForApi();
+            broadcast("profiles", profiles);
+            res.json(profiles);
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    app.delete("/api/profiles/:profile", (req, res) => {
+        const name = req.params.profile;
+        const names = listProfileNames();
+        if (!names.includes(name)) {
+            return res.status(404).json({ error: "Profile not found: " + name });
+        }
+        if (names.length === 1) {
+            return res.status(400).json({ error: "Cannot delete the only profile" });
+        }
+        if (getSyncState(name).running) {
+            return res.status(409).json({ error: "Profile is syncing; try again when the sync has finished" });
+        }
+        try {
+            runtimeConfig.removeProfile(name);
+        } catch (e) {
+            return res.status(500).json({ error: e.message });
+        }
+        syncStates.delete(name);
+        restartWatchers();
+        // Uploaded DBs live with the profile; paths that point into a save folder are left alone
+        fs.rmSync(path.join(SOURCE_DIR, name), { recursive: true, force: true });
+        cacheDb.deleteCache(name, (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const profiles = getProfilesForApi();
+            broadcast("profiles", profiles);
+            res.json(profiles);
+        });
+    });
+
+    // --- API: Save data, per profile ---
+    // Mounted at /api/profiles/:profile (that profile) and at /api (the active profile)
+    const dataApi = express.Router({ mergeParams: true });
+
+    dataApi.get("/watch", (req, res) => {
+        const watch = runtimeConfig.getWatchSettings(runtimeConfig.getProfile(runtimeConfig.load(), req.profile));
+        const watcher = saveWatchers.get(req.profile);
+        res.json({
+            ...watch,
+            active: !!watcher,
+            errors: watcher ? watcher.errors() : [],
+            syncing: getSyncState(req.profile).running,
+        });
+    });
+
+    /**
+     * Store an uploaded DB with the profile's data and point the profile at it.
+     * @param {"vehicles" | "players"} kind
+     */
+    function uploadRoute(kind) {
+        return (req, res) => {
+            try {
+                const content = req.body && req.body.content;
+                if (typeof content !== "string") return res.status(400).json({ error: "Missing content (base64)" });
+                const dir = path.join(SOURCE_DIR, req.profile);
+                if (!fs.existsSync(dir)) {
+                    fs.mkdirSync(dir, { recursive: true });
+                }
+                const dest = path.join(dir, `${kind}.db`);
+                fs.writeFileSync(dest, Buffer.from(content, "base64"));
+                runtimeConfig.saveProfile(req.profile, { [`${kind}DbPath`]: dest });
+                restartWatchers();
+                res.json({ ok: true, path: dest });
+            } catch (e) {
+                res.status(500).json({ error: e.message });
+            }
+        };
+    }
+
+    dataApi.post("/upload/vehicles", uploadRoute("vehicles"));
+    dataApi.post("/upload/players", uploadRoute("players"));
+
+    dataApi.post("/sync", (req, res) => {
+        const paths = getPaths(req.profile);
         if (!paths) {
             return res.status(400).json({ error: "No configuration set. Set save folder or DB paths in Settings first." });
         }
-        syncFromSnapshots((err) => {
+        requestSync(req.profile, "manual", (err, summary) => {
             if (err) return res.status(500).json({ error: err.message });
-            res.json({ ok: true });
+            res.json({ ok: true, ...summary });
         });
     });
 
-    app.get("/api/vehicles", (req, res) => {
-        cacheDb.getVehicles((err, list) => {
-            if (err) return res.json([]);
-            res.json(list || []);
+    // One page of vehicles: ?q=, ?type=, ?bbox=, ?sort=, ?order=, ?limit=, ?offset= (see parseVehicleListQuery)
+    dataApi.get("/vehicles", (req, res) => {
+        let options;
+        try {
+            options = parseVehicleListQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        const list = (typeMatches) =>
+            cacheDb.getVehicles(req.profile, options, typeMatches, (err, page) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({
+                    total: page.total,
+                    offset: options.offset,
+                    limit: options.limit,
+                    rows: page.rows.map((v) => ({ ...v, typeName: displayNameFor(v.type) })),
+                });
+            });
+        if (!options.q) return list([]);
+        cacheDb.getVehicleTypes(req.profile, (err, types) => {
+            if (err) return res.status(500).json({ error: err.message });
+            list(namesContaining(types.map((t) => t.type), options.q));
         });
     });
 
-    app.get("/api/vehicles/:id", (req, res) => {
+    dataApi.get("/vehicles/facets", (req, res) => {
+        cacheDb.getVehicleTypes(req.profile, (err, types) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ types: types.map((t) => ({ id: t.type, name: displayNameFor(t.type), count: t.count })) });
+        });
+    });
+
+    dataApi.get("/vehicles/:id/raw", rawBytesRoute("vehicle"));
+
+    dataApi.get("/vehicles/:id", (req, res) => {
         const id = req.params.id;
-        cacheDb.getVehicleById(id, (err, row) => {
+        cacheDb.getVehicleById(req.profile, id, (err, row) => {
             if (err) return res.status(500).json({ error: err.message });
             if (!row) return res.status(404).json({ error: "Vehicle not found" });
-            res.json(row);
+            res.json({ ...row, definitions: describeDefinitions(collectDefinitionIds(row)) });
+        });
+    });
+
+    // One page of players: ?q=, ?profession=, ?trait=, ?recipe=, ?book=, ?literature=, ?media=, ?infected=,
+    // ?bbox=, ?query= (player query language), ?sort= (a column, skills.<Perk> or vitals.<stat>), ?order=,
+    // ?limit=, ?offset= (see parsePlayerListQuery)
+    dataApi.get("/players", (req, res) => {
+        let options;
+        try {
+            options = parsePlayerListQuery(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        const list = (extra) =>
+            cacheDb.getPlayers(req.profile, options, extra, (err, page) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json({
+                    total: page.total,
+                    offset: options.offset,
+                    limit: options.limit,
+                    rows: page.rows.map(withPlayerNames),
+                });
+            });
+        if (!options.q && !options.query) return list({});
+        // The text search needs the professions' names, the query the cache's perks
+        cacheDb.getPlayerFacets(req.profile, (err, facets) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const parsed = parseQuery(options.query, facets);
+            if (parsed.error) return res.status(400).json(queryErrorBody(parsed.error));
+            // Most terms run in SQL; only what is left (e.g. name:) is tested row by row
+            const { where, remainder } = playerQuerySql(parsed.tree, facets, displayNameFor);
+            list({
+                professionMatches: options.q ? namesContaining(facets.professions, options.q) : [],
+                queryWhere: where,
+                matches: remainder ? (p) => matchesPlayerQuery(remainder, withPlayerNames(p)) : null,
+            });
+        });
+    });
+
+    // Fields the player query language knows, with the values autocomplete offers for them
+    dataApi.get("/players/query-fields", (req, res) => {
+        cacheDb.getPlayerFacets(req.profile, (err, facets) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const values = {
+                ...facets,
+                professions: facets.professions.map((id) => ({ value: id, label: displayNameFor(id) })),
+                traits: facets.traits.map((id) => ({ value: id, label: displayNameFor(id) })),
+            };
+            res.json({
+                fields: playerQueryFields(querySkills(facets)).map((field) => ({
+                    ...field,
+                    values: field.values
+                        ? values[field.values].map((v) => (typeof v === "string" ? { value: v, label: null } : v))
+                        : field.type === "boolean"
+                          ? [{ value: "true", label: null }, { value: "false", label: null }]
+                          : null,
+                })),
+            });
+        });
+    });
+
+    // ?query= → { ok: true } or { ok: false, error: { message, position, length } }, for checking while typing
+    dataApi.get("/players/query-check", (req, res) => {
+        cacheDb.getPlayerFacets(req.profile, (err, facets) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const parsed = parseQuery(typeof req.query.query === "string" ? req.query.query : "", facets);
+            if (parsed.error) {
+                return res.json({ ok: false, error: { message: parsed.error.message, position: parsed.error.position, length: parsed.error.length } });
+            }
+            res.json({ ok: true });
+        });
+    });
+
+    dataApi.get("/players/saved-queries", (req, res) => {
+        cacheDb.getSavedQueries(req.profile, (err, list) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(list);
+        });
+    });
+
+    // { name, query }: saves the query under the name, replacing one saved under it before
+    dataApi.post("/players/saved-queries", (req, res) => {
+        const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+        const query = typeof req.body?.query === "string" ? req.body.query.trim() : "";
+        if (!name || name.length > SAVED_QUERY_NAME_MAX) {
+            return res.status(400).json({ error: `Name must be 1 to ${SAVED_QUERY_NAME_MAX} characters` });
+        }
+        if (!query) return res.status(400).json({ error: "Query is empty" });
+        cacheDb.getPlayerFacets(req.profile, (err, facets) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const parsed = parseQuery(query, facets);
+            if (parsed.error) return res.status(400).json(queryErrorBody(parsed.error));
+            cacheDb.saveQuery(req.profile, name, query, (err, saved) => {
+                if (err) return res.status(500).json({ error: err.message });
+                res.json(saved);
+            });
+        });
+    });
+
+    dataApi.delete("/players/saved-queries/:id", (req, res) => {
+        cacheDb.deleteSavedQuery(req.profile, req.params.id, (err, deleted) => {
+            if (err) return res.status(500).json({ error: err.message });
+            if (!deleted) return res.status(404).json({ error: "Saved query not found" });
+            res.json({ ok: true });
+        });
+    });
+
+    dataApi.get("/players/facets", (req, res) => {
+        cacheDb.getPlayerFacets(req.profile, (err, facets) => {
+            if (err) return res.status(500).json({ error: err.message });
+            const named = (ids) => ids.map((id) => ({ id, name: displayNameFor(id) }));
+            res.json({ ...facets, professions: named(facets.professions), traits: named(facets.traits) });
+        });
+    });
+
+    // ?q= words to find (the last one as a prefix), ?limit= players and vehicles returned (default 50, at most 200)
+    dataApi.get("/search", (req, res) => {
+        const q = typeof req.query.q === "string" ? req.query.q : "";
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: "limit must be an integer from 1 to 200" });
+        }
+        const ftsQuery = toFtsQuery(q);
+        if (!ftsQuery) return res.json({ query: q, results: [] });
+        cacheDb.search(req.profile, ftsQuery, limit, (err, results) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({
+                query: q,
+                results: results.map((r) => ({
+                    ...r,
+                    typeName: r.type ? displayNameFor(r.type) : null,
+                    matches: r.matches.map((m) => ({ ...m, valueName: displayNameFor(m.value) })),
+                })),
+            });
+        });
+    });
+
+    dataApi.get("/snapshots", (req, res) => {
+        cacheDb.getSnapshots(req.profile, (err, list) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json(list);
         });
     });
 
-    app.get("/api/players", (req, res) => {
-        cacheDb.getPlayers((err, list) => {
-            if (err) return res.json([]);
-            res.json(list || []);
+    dataApi.get("/players/:id/history", (req, res) => {
+        cacheDb.getPlayerSnapshots(req.profile, req.params.id, (err, entries) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ playerId: Number(req.params.id), ...buildPlayerHistory(entries) });
         });
     });
 
-    app.get("/api/players/:id", (req, res) => {
+    dataApi.get("/players/:id/raw", rawBytesRoute("player"));
+
+    dataApi.get("/players/:id", (req, res) => {
         const id = req.params.id;
-        cacheDb.getPlayerById(id, (err, row) => {
+        cacheDb.getPlayerById(req.profile, id, (err, row) => {
             if (err) return res.status(500).json({ error: err.message });
             if (!row) return res.status(404).json({ error: "Player not found" });
-            res.json(row);
+            res.json({ ...row, definitions: describeDefinitions(collectDefinitionIds(row)) });
         });
     });
 
+    app.use("/api/profiles/:profile", resolveProfile, dataApi);
+    app.use("/api", resolveProfile, dataApi);
+
     const distDir = path.join(APP_ROOT, "dist");
     const distExists = fs.existsSync(distDir);
 
@@ -327,6 +1089,9 @@ function createApp() {
         app.get("/settings", (req, res) => {
             res.sendFile(path.join(publicDir, "index.html"));
         });
+        app.get("/search", (req, res) => {
+            res.sendFile(path.join(publicDir, "index.html"));
+        });
     }
 
     return app;
@@ -339,10 +1104,27 @@ function createApp() {
  */
 function start(port) {
     const app = createApp();
+    const { active } = runtimeConfig.getProfiles(runtimeConfig.load());
+    /** Cached rows were dropped for a new schema or decoder version; refill them from the save. */
+    const rebuildIfNeeded = (profile, migration) => {
+        if (!migration || !migration.rebuild || !getPaths(profile)) return;
+        requestSync(profile, "rebuild", (err) => {
+            if (err) console.error(`Cache rebuild failed (${profile}):`, err.message);
+        });
+    };
     return new Promise((resolve, reject) => {
-        cacheDb.ensureReady((err) => {
+        cacheDb.ensureReady(active, (err, migration) => {
             if (err) return reject(err);
             const server = app.listen(port, () => resolve(server));
+            rebuildIfNeeded(active, migration);
+            // Other profiles' caches are migrated in the background
+            for (const name of listProfileNames()) {
+                if (name === active) continue;
+                cacheDb.ensureReady(name, (err, migration) => {
+                    if (err) return console.error(`Cache migration failed (${name}):`, err.message);
+                    rebuildIfNeeded(name, migration);
+                });
+            }
         });
     });
 }
@@ -1,13 +1,32 @@
 import sqlite3Pkg from "sqlite3";
 import path from "node:path";
 import fs from "node:fs";
-import { getAppBaseDir } from "./runtime-config.js";
+import crypto from "node:crypto";
+import { getAppBaseDir, DEFAULT_PROFILE } from "./runtime-config.js";
+import { playerSnapshotState, snapshotIdsToPrune } from "./player-history.js";
+import { collectSearchStrings, MATCH_START, MATCH_END, splitHighlight } from "./search-index.js";
+import { migrate, clearCachedRows } from "./cache-migrations.js";
+import { playerListSql, vehicleListSql } from "./list-query.js";
+import { DECODER_VERSION } from "./decode-pz-buffer.js";
 
 const sqlite3 = sqlite3Pkg.verbose();
-let db = null;
+/**
+ * One cache DB per save profile.
+ * @type {Map<string, {
+ *     db: sqlite3.Database | null,
+ *     migrationResult: { from: number, to: number, rebuild: boolean } | null,
+ *     openWaiters: Function[] | null,
+ * }>}
+ */
+const caches = new Map();
 
-function getCacheDbPath() {
-    return path.join(getAppBaseDir(), "pz-manager-cache.db");
+/**
+ * The default profile keeps the cache file name from before profiles, so existing caches are reused.
+ * @param {string} profile
+ */
+function getCacheDbPath(profile) {
+    const name = profile === DEFAULT_PROFILE ? "pz-manager-cache.db" : `pz-manager-cache-${profile}.db`;
+    return path.join(getAppBaseDir(), name);
 }
 
 /**
@@ -20,113 +39,310 @@ function ensureCacheDir() {
     }
 }
 
-function getDb(callback) {
-    if (db) return callback(null, db);
+function getDb(profile, callback) {
+    if (!caches.has(profile)) caches.set(profile, { db: null, migrationResult: null, openWaiters: null });
+    const cache = caches.get(profile);
+    if (cache.db) return callback(null, cache.db);
+    if (cache.openWaiters) return cache.openWaiters.push(callback);
+    cache.openWaiters = [callback];
+    const finish = (err) => {
+        const waiters = cache.openWaiters;
+        cache.openWaiters = null;
+        for (const cb of waiters) cb(err, err ? undefined : cache.db);
+    };
     ensureCacheDir();
-    db = new sqlite3.Database(getCacheDbPath(), (err) => {
+    const database = new sqlite3.Database(getCacheDbPath(profile), (err) => {
+        if (err) return finish(err);
+        migrate(database, DECODER_VERSION, (err, result) => {
+            if (err) return database.close(() => finish(err));
+            cache.migrationResult = result;
+            cache.db = database;
+            finish(null);
+        });
+    });
+}
+
+/**
+ * Call at startup so a profile's cache DB is migrated before any request.
+ * @param {string} profile
+ * @param {Function} callback - (err, { from, to, rebuild }) => void; rebuild means the cached
+ *   rows were emptied (new decoder version or schema) and should be synced again
+ */
+function ensureReady(profile, callback) {
+    getDb(profile, (err) => (callback ? callback(err, caches.get(profile).migrationResult) : null));
+}
+
+/**
+ * Close a profile's cache DB and delete its file (used when the profile is deleted).
+ * @param {string} profile
+ * @param {Function} callback - (err) => void
+ */
+function deleteCache(profile, callback) {
+    const cache = caches.get(profile);
+    caches.delete(profile);
+    const remove = () => {
+        const file = getCacheDbPath(profile);
+        try {
+            for (const f of [file, `${file}-wal`, `${file}-shm`]) {
+                if (fs.existsSync(f)) fs.unlinkSync(f);
+            }
+            callback(null);
+        } catch (e) {
+            callback(e);
+        }
+    };
+    if (cache && cache.db) return cache.db.close(() => remove());
+    remove();
+}
+
+/**
+ * Decode every row's blob through the (asynchronous) decoder, keeping row order.
+ * A row whose decode fails gets { error } instead of { decoded } so the sync can record it.
+ * @param {{ data: Buffer }[]} rows
+ * @param {'vehicle'|'player'} type
+ * @param {Function} decode - (buf, type, cb(err, decoded)) => void
+ * @param {Function | undefined} onProgress - (done, total, failed) => void, after each row
+ * @param {Function} callback - (results: { decoded: object | null, error: string | null }[]) => void
+ */
+function decodeRows(rows, type, decode, onProgress, callback) {
+    const results = new Array(rows.length);
+    let pending = rows.length;
+    let failed = 0;
+    if (onProgress) onProgress(0, rows.length, 0);
+    if (pending === 0) return callback(results);
+    rows.forEach((row, i) => {
+        decode(row.data, type, (err, decoded) => {
+            if (err) failed++;
+            results[i] = err
+                ? { decoded: null, error: err.message || "Decode failed" }
+                : { decoded, error: null };
+            pending--;
+            if (onProgress) onProgress(rows.length - pending, rows.length, failed);
+            if (pending === 0) callback(results);
+        });
+    });
+}
+
+/**
+ * Hash of everything a cached row is built from: the source row's columns, its blob and the
+ * decode context (world version fallback, script definitions). Equal hash = nothing to re-decode.
+ * @param {object} row - Source row including data
+ * @param {string} contextKey
+ */
+function contentHash(row, contextKey) {
+    const hash = crypto.createHash("sha1").update(contextKey).update("\0");
+    for (const key of Object.keys(row).sort()) {
+        if (key === "data") continue;
+        hash.update(`${key}=${row[key]}\0`);
+    }
+    if (row.data) hash.update(row.data);
+    return hash.digest("hex");
+}
+
+/**
+ * Run work(done) inside one transaction: committed when done() is called without an error,
+ * rolled back otherwise, so an interrupted sync leaves the previous cache intact.
+ * @param {sqlite3.Database} database
+ * @param {Function} work - (done: (err) => void) => void
+ * @param {Function} callback - (err) => void
+ */
+function inTransaction(database, work, callback) {
+    database.run("BEGIN IMMEDIATE", [], (err) => {
         if (err) return callback(err);
-        initTables(db, callback);
+        work((workErr) => {
+            if (workErr) return database.run("ROLLBACK", [], () => callback(workErr));
+            database.run("COMMIT", [], (commitErr) => {
+                if (commitErr) return database.run("ROLLBACK", [], () => callback(commitErr));
+                callback(null);
+            });
+        });
     });
 }
 
 /**
- * Call at startup so the cache DB and tables exist before any request.
+ * Run a prepared statement once per item, in order, stopping at the first error.
+ * @param {sqlite3.Database} database
+ * @param {string} sql
+ * @param {any[]} items
+ * @param {Function} toParams - (item) => any[]
  * @param {Function} callback - (err) => void
  */
-function ensureReady(callback) {
-    getDb((err) => (callback ? callback(err) : null));
+function runEach(database, sql, items, toParams, callback) {
+    if (items.length === 0) return callback(null);
+    const stmt = database.prepare(sql);
+    let i = 0;
+    function next(err) {
+        if (err || i === items.length) {
+            stmt.finalize(() => callback(err || null));
+            return;
+        }
+        stmt.run(toParams(items[i++]), next);
+    }
+    next(null);
+}
+
+/**
+ * Bring one cache table in line with its source rows: rows whose content hash is unchanged are
+ * skipped, new and changed rows are decoded and written, rows gone from the source are deleted.
+ * All writes happen in a single transaction, including the rows' entries in the full-text
+ * search index. Rows that fail to decode are stored with their error and no hash, so the next
+ * sync tries them again.
+ * @param {sqlite3.Database} database - Cache DB
+ * @param {object} spec
+ * @param {string} spec.table - cache_vehicles or cache_players
+ * @param {'vehicle'|'player'} spec.type
+ * @param {object[]} spec.rows - Source rows, each with id and data
+ * @param {Function} spec.decode - (buf, type, cb(err, { extracted })) => void
+ * @param {string} spec.contextKey
+ * @param {Function} [spec.onProgress] - (done, total, failed) => void while new and changed rows decode
+ * @param {string} spec.insertSql - INSERT OR REPLACE taking toParams' values
+ * @param {Function} spec.toParams - (row, decoded, error, hash) => any[]
+ * @param {Function} [spec.searchColumns] - (row) => { [field]: string } source columns to index
+ *   besides the decoded strings
+ * @param {Function} callback - (err, { total, decoded, unchanged, removed, failed }) => void
+ */
+function syncTable(database, spec, callback) {
+    database.all(`SELECT id, content_hash FROM ${spec.table}`, [], (err, existingRows) => {
+        if (err) return callback(err);
+        const existing = new Map((existingRows || []).map((r) => [r.id, r.content_hash]));
+        const sourceIds = new Set();
+        const changed = [];
+        for (const row of spec.rows) {
+            sourceIds.add(row.id);
+            const hash = contentHash(row, spec.contextKey);
+            if (existing.get(row.id) !== hash) changed.push({ row, hash });
+        }
+        const removed = [...existing.keys()].filter((id) => !sourceIds.has(id));
+        decodeRows(changed.map((c) => c.row), spec.type, spec.decode, spec.onProgress, (results) => {
+            const summary = {
+                total: spec.rows.length,
+                decoded: changed.length,
+                unchanged: spec.rows.length - changed.length,
+                removed: removed.length,
+                failed: results.filter((r) => r.error).length,
+            };
+            if (changed.length === 0 && removed.length === 0) return callback(null, summary);
+            inTransaction(
+                database,
+                (done) => {
+                    runEach(database, `DELETE FROM ${spec.table} WHERE id = ?`, removed, (id) => [id], (err) => {
+                        if (err) return done(err);
+                        runEach(
+                            database,
+                            spec.insertSql,
+                            changed.map((c, i) => ({ ...c, ...results[i] })),
+                            ({ row, hash, decoded, error }) =>
+                                spec.toParams(
+                                    row,
+                                    decoded || { extracted: {} },
+                                    error,
+                                    error ? null : hash
+                                ),
+                            (err) => {
+                                if (err) return done(err);
+                                reindex(database, spec, removed, changed, results, done);
+                            }
+                        );
+                    });
+                },
+                (err) => callback(err, err ? undefined : summary)
+            );
+        });
+    });
 }
 
-function initTables(database, callback) {
+/**
+ * Replace the search index entries of removed and re-decoded rows.
+ * @param {sqlite3.Database} database
+ * @param {object} spec - syncTable's spec
+ * @param {number[]} removed - IDs of deleted rows
+ * @param {{ row: object }[]} changed - Re-decoded source rows
+ * @param {{ decoded: object | null }[]} results - Decode results, in changed's order
+ * @param {Function} callback - (err) => void
+ */
+function reindex(database, spec, removed, changed, results, callback) {
+    const ids = [...removed, ...changed.map((c) => c.row.id)];
+    // One pass over the index: its row_id column has no index of its own
     database.run(
-        `CREATE TABLE IF NOT EXISTS cache_vehicles (
-            id INTEGER PRIMARY KEY,
-            x REAL,
-            y REAL,
-            type TEXT,
-            part_count INTEGER,
-            extracted_json TEXT,
-            raw_json TEXT
-        )`,
-        [],
+        "DELETE FROM search_index WHERE kind = ? AND row_id IN (SELECT value FROM json_each(?))",
+        [spec.type, JSON.stringify(ids)],
         (err) => {
             if (err) return callback(err);
-            database.run(
-                `CREATE TABLE IF NOT EXISTS cache_players (
-                    id INTEGER PRIMARY KEY,
-                    x REAL,
-                    y REAL,
-                    z REAL,
-                    name TEXT,
-                    username TEXT,
-                    profession TEXT,
-                    extracted_json TEXT,
-                    raw_json TEXT
-                )`,
-                [],
-                (err) => {
-                    if (err) return callback(err);
-                    database.run("ALTER TABLE cache_players ADD COLUMN username TEXT", [], (alterErr) => callback(alterErr ? null : null));
-                }
+            const entries = changed.flatMap(({ row }, i) => {
+                const extracted = results[i].decoded ? results[i].decoded.extracted : {};
+                const columns = spec.searchColumns ? spec.searchColumns(row) : {};
+                return collectSearchStrings(extracted, columns).map((s) => ({ id: row.id, ...s }));
+            });
+            runEach(
+                database,
+                "INSERT INTO search_index (kind, row_id, field, value) VALUES (?, ?, ?, ?)",
+                entries,
+                (e) => [spec.type, e.id, e.field, e.value],
+                callback
             );
         }
     );
 }
 
 /**
- * Sync vehicles from PZ DB into cache. Decodes each row once and stores.
+ * @typedef {object} SyncOptions
+ * @property {Function} decode - (buf, type, cb(err, { extracted })) => void
+ * @property {string} contextKey - Changes when decoding the same blob would give a different result
+ * @property {Function} [onProgress] - (done, total, failed) => void while new and changed rows decode
+ */
+
+/**
+ * Sync vehicles from PZ DB into cache, re-decoding only new and changed rows.
+ * Rows whose blob fails to decode are still stored, with their error in decode_error.
+ * @param {string} profile - Save profile whose cache is written
  * @param {sqlite3.Database} vehiclesDb - Open PZ vehicles DB
- * @param {Function} decodePzBuffer - (buf, 'vehicle') => { extracted, raw }
- * @param {Function} callback - (err) => void
+ * @param {SyncOptions} options
+ * @param {Function} callback - (err, { total, decoded, unchanged, removed, failed }) => void
  */
-function syncVehicles(vehiclesDb, decodePzBuffer, callback) {
-    getDb((err, database) => {
+function syncVehicles(profile, vehiclesDb, { decode, contextKey, onProgress }, callback) {
+    getDb(profile, (err, database) => {
         if (err) return callback(err);
         vehiclesDb.all("SELECT id, x, y, data FROM vehicles", [], (err, rows) => {
             if (err) return callback(err);
-            database.run("DELETE FROM cache_vehicles", [], (err) => {
-                if (err) return callback(err);
-                if (!rows || rows.length === 0) return callback(null);
-                const stmt = database.prepare(
-                    "INSERT INTO cache_vehicles (id, x, y, type, part_count, extracted_json, raw_json) VALUES (?, ?, ?, ?, ?, ?, ?)"
-                );
-                let done = 0;
-                const total = rows.length;
-                function next() {
-                    if (done === total) {
-                        stmt.finalize(() => callback(null));
-                        return;
-                    }
-                    const row = rows[done];
-                    const decoded = decodePzBuffer(row.data, "vehicle");
-                    const type = (decoded.extracted && decoded.extracted.vehicleType) || "Unknown";
-                    const partCount = (decoded.extracted && decoded.extracted.partNames && decoded.extracted.partNames.length) || 0;
-                    const extractedJson = JSON.stringify(decoded.extracted || {});
-                    const rawJson = JSON.stringify(decoded.raw || []);
-                    stmt.run(
-                        [row.id, row.x, row.y, type, partCount, extractedJson, rawJson],
-                        () => {
-                            done++;
-                            next();
-                        }
-                    );
-                }
-                next();
-            });
+            syncTable(
+                database,
+                {
+                    table: "cache_vehicles",
+                    type: "vehicle",
+                    rows: rows || [],
+                    decode,
+                    contextKey,
+                    onProgress,
+                    insertSql: `INSERT OR REPLACE INTO cache_vehicles (id, x, y, type, part_count, extracted_json, raw,
+                        decode_error, content_hash)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    toParams: (row, decoded, error, hash) => {
+                        const extracted = decoded.extracted || {};
+                        const type = extracted.vehicleType || "Unknown";
+                        const partCount = (extracted.partNames && extracted.partNames.length) || 0;
+                        return [
+                            row.id, row.x, row.y, type, partCount,
+                            JSON.stringify(extracted), row.data || null, error, hash,
+                        ];
+                    },
+                },
+                callback
+            );
         });
     });
 }
 
 /**
- * Sync players from PZ DB into cache.
+ * Sync players from PZ DB into cache, re-decoding only new and changed rows.
+ * @param {string} profile - Save profile whose cache is written
  * @param {sqlite3.Database} playersDb - Open PZ players DB
  * @param {string} tableName - e.g. 'networkPlayers' or 'localPlayers'
  * @param {string[]} columns - e.g. ['id','data','x','y','z']
- * @param {Function} decodePzBuffer - (buf, 'player') => { extracted, raw }
- * @param {Function} callback - (err) => void
+ * @param {SyncOptions} options
+ * @param {Function} callback - (err, { total, decoded, unchanged, removed, failed }) => void
  */
-function syncPlayers(playersDb, tableName, columns, decodePzBuffer, callback) {
-    getDb((err, database) => {
+function syncPlayers(profile, playersDb, tableName, columns, { decode, contextKey, onProgress }, callback) {
+    getDb(profile, (err, database) => {
         if (err) return callback(err);
         const cols = ["id", "data"];
         if (columns.includes("x")) cols.push("x");
@@ -136,94 +352,175 @@ function syncPlayers(playersDb, tableName, columns, decodePzBuffer, callback) {
         const sql = `SELECT ${cols.join(", ")} FROM ${tableName}`;
         playersDb.all(sql, [], (err, rows) => {
             if (err) return callback(err);
-            database.run("DELETE FROM cache_players", [], (err) => {
-                if (err) return callback(err);
-                if (!rows || rows.length === 0) return callback(null);
-                const stmt = database.prepare(
-                    "INSERT INTO cache_players (id, x, y, z, name, username, profession, extracted_json, raw_json) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"
-                );
-                let done = 0;
-                const total = rows.length;
-                function next() {
-                    if (done === total) {
-                        stmt.finalize(() => callback(null));
-                        return;
-                    }
-                    const row = rows[done];
-                    const decoded = decodePzBuffer(row.data, "player");
-                    const names = (decoded.extracted && decoded.extracted.characterNames) || [];
-                    const professions = (decoded.extracted && decoded.extracted.professionIds) || [];
-                    const name = names[0] || `Player ${row.id}`;
-                    const username = row.username != null ? String(row.username).trim() : null;
-                    const profession = professions[0] || null;
-                    const x = row.x != null ? Number(row.x) : null;
-                    const y = row.y != null ? Number(row.y) : null;
-                    const z = row.z != null ? Number(row.z) : null;
-                    const extractedJson = JSON.stringify(decoded.extracted || {});
-                    const rawJson = JSON.stringify(decoded.raw || []);
-                    stmt.run(
-                        [row.id, x, y, z, name, username || null, profession, extractedJson, rawJson],
-                        () => {
-                            done++;
-                            next();
-                        }
-                    );
-                }
-                next();
-            });
+            syncTable(
+                database,
+                {
+                    table: "cache_players",
+                    type: "player",
+                    rows: rows || [],
+                    decode,
+                    contextKey,
+                    onProgress,
+                    searchColumns: (row) => ({ username: row.username != null ? String(row.username) : null }),
+                    insertSql: `INSERT OR REPLACE INTO cache_players (id, x, y, z, name, username, profession,
+                        hours_survived, zombie_kills, survivor_kills, is_dead, died_at_hours, extracted_json, raw,
+                        decode_error, content_hash)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    toParams: (row, decoded, error, hash) => {
+                        const names = (decoded.extracted && decoded.extracted.characterNames) || [];
+                        const professions = (decoded.extracted && decoded.extracted.professionIds) || [];
+                        const name = names[0] || `Player ${row.id}`;
+                        const username = row.username != null ? String(row.username).trim() : null;
+                        const profession = professions[0] || null;
+                        const x = row.x != null ? Number(row.x) : null;
+                        const y = row.y != null ? Number(row.y) : null;
+                        const z = row.z != null ? Number(row.z) : null;
+                        const survival = (decoded.extracted && decoded.extracted.survival) || null;
+                        return [
+                            row.id, x, y, z, name, username || null, profession,
+                            survival ? survival.hoursSurvived : null,
+                            survival ? survival.zombieKills : null,
+                            survival ? survival.survivorKills : null,
+                            survival ? (survival.dead ? 1 : 0) : null,
+                            survival ? survival.diedAtHours : null,
+                            JSON.stringify(decoded.extracted || {}), row.data || null, error, hash,
+                        ];
+                    },
+                },
+                callback
+            );
         });
     });
 }
 
-function getVehicles(callback) {
-    getDb((err, database) => {
+/**
+ * Count the rows a list query matches and read one page of them.
+ * @param {sqlite3.Database} database
+ * @param {string} table
+ * @param {string} columns - SELECT list
+ * @param {{ where: string, whereParams: unknown[], orderBy: string, orderParams: unknown[] }} sql
+ * @param {{ limit: number, offset: number }} page
+ * @param {Function} callback - (err, { total, rows }) => void
+ */
+function readPage(database, table, columns, sql, page, callback) {
+    database.get(`SELECT COUNT(*) AS total FROM ${table} WHERE ${sql.where}`, sql.whereParams, (err, count) => {
         if (err) return callback(err);
-        database.all("SELECT id, x, y, type, part_count FROM cache_vehicles ORDER BY id", [], (err, rows) => {
-            if (err) return callback(err);
-            const list = (rows || []).map((r) => ({
-                id: r.id,
-                x: r.x != null ? Math.round(Number(r.x)) : null,
-                y: r.y != null ? Math.round(Number(r.y)) : null,
-                type: r.type || "Unknown",
-                partCount: r.part_count != null ? r.part_count : 0,
-            }));
-            callback(null, list);
-        });
+        database.all(
+            `SELECT ${columns} FROM ${table} WHERE ${sql.where} ORDER BY ${sql.orderBy} LIMIT ? OFFSET ?`,
+            [...sql.whereParams, ...sql.orderParams, page.limit, page.offset],
+            (err, rows) => {
+                if (err) return callback(err);
+                callback(null, { total: count ? count.total : 0, rows: rows || [] });
+            }
+        );
     });
 }
 
-function getVehicleById(id, callback) {
-    getDb((err, database) => {
+/**
+ * One page of cached vehicles.
+ * @param {string} profile
+ * @param {object} options - parseVehicleListQuery output
+ * @param {string[]} typeMatches - Vehicle types whose display name contains options.q
+ * @param {Function} callback - (err, { total, rows }) => void
+ */
+function getVehicles(profile, options, typeMatches, callback) {
+    getDb(profile, (err, database) => {
         if (err) return callback(err);
-        database.get("SELECT id, x, y, extracted_json, raw_json FROM cache_vehicles WHERE id = ?", [id], (err, row) => {
-            if (err) return callback(err);
-            if (!row) return callback(null, null);
-            let extracted = {};
-            let raw = [];
-            try {
-                if (row.extracted_json) extracted = JSON.parse(row.extracted_json);
-                if (row.raw_json) raw = JSON.parse(row.raw_json);
-            } catch (_) {}
-            callback(null, {
-                id: row.id,
-                x: row.x != null ? Math.round(Number(row.x)) : null,
-                y: row.y != null ? Math.round(Number(row.y)) : null,
-                extracted,
-                raw,
-            });
-        });
+        readPage(
+            database,
+            "cache_vehicles",
+            "id, x, y, type, part_count, decode_error",
+            vehicleListSql(options, typeMatches),
+            options,
+            (err, page) => {
+                if (err) return callback(err);
+                const rows = page.rows.map((r) => ({
+                    id: r.id,
+                    x: r.x != null ? Math.round(Number(r.x)) : null,
+                    y: r.y != null ? Math.round(Number(r.y)) : null,
+                    type: r.type || "Unknown",
+                    partCount: r.part_count != null ? r.part_count : 0,
+                    decodeError: r.decode_error || null,
+                }));
+                callback(null, { total: page.total, rows });
+            }
+        );
     });
 }
 
-function getPlayers(callback) {
-    getDb((err, database) => {
+/**
+ * Vehicle types in the cache with how many of each, for the type filter.
+ * @param {string} profile
+ * @param {Function} callback - (err, { type, count }[]) => void
+ */
+function getVehicleTypes(profile, callback) {
+    getDb(profile, (err, database) => {
         if (err) return callback(err);
         database.all(
-            "SELECT id, x, y, z, name, username, profession, extracted_json FROM cache_players ORDER BY id",
+            "SELECT type, COUNT(*) AS count FROM cache_vehicles WHERE type IS NOT NULL GROUP BY type ORDER BY type",
             [],
             (err, rows) => {
                 if (err) return callback(err);
-                const list = (rows || []).map((r) => {
+                callback(null, rows || []);
+            }
+        );
+    });
+}
+
+function getVehicleById(profile, id, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.get(
+            "SELECT id, x, y, extracted_json, length(raw) AS raw_size, decode_error FROM cache_vehicles WHERE id = ?",
+            [id],
+            (err, row) => {
+                if (err) return callback(err);
+                if (!row) return callback(null, null);
+                let extracted = {};
+                try {
+                    if (row.extracted_json) extracted = JSON.parse(row.extracted_json);
+                } catch (_) {}
+                callback(null, {
+                    id: row.id,
+                    x: row.x != null ? Math.round(Number(row.x)) : null,
+                    y: row.y != null ? Math.round(Number(row.y)) : null,
+                    build: extracted.build || null,
+                    worldVersion: extracted.worldVersion || null,
+                    parts: extracted.parts || [],
+                    inventory: extracted.inventory || [],
+                    decodeError: row.decode_error || null,
+                    extracted,
+                    rawSize: row.raw_size || 0,
+                });
+            }
+        );
+    });
+}
+
+/**
+ * One page of cached players.
+ * @param {string} profile
+ * @param {object} options - parsePlayerListQuery output
+ * @param {{ professionMatches?: string[], queryWhere?: { sql: string, params: unknown[] } | null,
+ *   matches?: (player: object) => boolean }} extra - professionMatches: professions whose display
+ *   name contains options.q; queryWhere: the SQL part of a player query; matches: the rest of it,
+ *   run on every player the SQL filters let through before paging
+ * @param {Function} callback - (err, { total, rows }) => void
+ */
+function getPlayers(profile, options, extra, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        readPage(
+            database,
+            "cache_players",
+            `id, x, y, z, name, username, profession, hours_survived, zombie_kills, survivor_kills,
+                is_dead, died_at_hours, extracted_json, decode_error`,
+            playerListSql(options, extra.professionMatches, extra.queryWhere),
+            // With a test to run, every row is read (LIMIT -1) and paged once tested
+            extra.matches ? { limit: -1, offset: 0 } : options,
+            (err, page) => {
+                if (err) return callback(err);
+                const rows = page.rows.map((r) => {
                     let extracted = {};
                     try {
                         if (r.extracted_json) extracted = JSON.parse(r.extracted_json);
@@ -233,65 +530,454 @@ function getPlayers(callback) {
                         name: r.name || `Player ${r.id}`,
                         username: r.username || null,
                         profession: r.profession || null,
+                        build: extracted.build || null,
+                        infected: typeof extracted.infected === "boolean" ? extracted.infected : null,
+                        health: extracted.health ? extracted.health.overallHealth : null,
+                        vitals: extracted.vitals || null,
+                        skills: extracted.skills || {},
+                        hoursSurvived: r.hours_survived != null ? Number(r.hours_survived) : null,
+                        zombieKills: r.zombie_kills != null ? r.zombie_kills : null,
+                        survivorKills: r.survivor_kills != null ? r.survivor_kills : null,
+                        dead: r.is_dead != null ? r.is_dead === 1 : null,
+                        diedAtHours: r.died_at_hours != null ? Number(r.died_at_hours) : null,
                         x: r.x != null ? Math.round(Number(r.x)) : null,
                         y: r.y != null ? Math.round(Number(r.y)) : null,
                         z: r.z != null ? Number(r.z) : null,
                         traits: extracted.traitOrSkillIds || [],
                         recipeIds: extracted.recipeIds || [],
+                        skillBooks: extracted.skillBooks || [],
+                        readLiterature: extracted.readLiterature || [],
+                        watchedMedia: extracted.watchedMedia || [],
                         statNames: extracted.statNames || [],
                         appearance: extracted.appearance || [],
                         clothingTypes: extracted.clothingTypes || [],
+                        decodeError: r.decode_error || null,
                     };
                 });
-                callback(null, list);
+                if (!extra.matches) return callback(null, { total: page.total, rows });
+                const matching = rows.filter(extra.matches);
+                callback(null, {
+                    total: matching.length,
+                    rows: matching.slice(options.offset, options.offset + options.limit),
+                });
             }
         );
     });
 }
 
-function getPlayerById(id, callback) {
-    getDb((err, database) => {
+/**
+ * Values the player filters can choose from: professions, trait ids, known recipes, finished
+ * skill books, read literature, watched media, and the perks any player has a level in.
+ * @param {string} profile
+ * @param {Function} callback - (err, { professions, traits, recipes, books, literature, media, skills }) => void
+ */
+function getPlayerFacets(profile, callback) {
+    const queries = {
+        professions: `SELECT DISTINCT profession AS value FROM cache_players
+            WHERE profession IS NOT NULL AND profession != ''`,
+        traits: `SELECT DISTINCT j.value
+            FROM cache_players, json_each(cache_players.extracted_json, '$.traitOrSkillIds') AS j`,
+        recipes: `SELECT DISTINCT j.value
+            FROM cache_players, json_each(cache_players.extracted_json, '$.recipeIds') AS j`,
+        books: `SELECT DISTINCT json_extract(j.value, '$.fullType') AS value
+            FROM cache_players, json_each(cache_players.extracted_json, '$.skillBooks') AS j
+            WHERE json_extract(j.value, '$.finished') = 1`,
+        literature: `SELECT DISTINCT j.value
+            FROM cache_players, json_each(cache_players.extracted_json, '$.readLiterature') AS j`,
+        media: `SELECT DISTINCT j.value
+            FROM cache_players, json_each(cache_players.extracted_json, '$.watchedMedia') AS j`,
+        skills: `SELECT DISTINCT j.key AS value
+            FROM cache_players, json_each(cache_players.extracted_json, '$.skills') AS j`,
+    };
+    getDb(profile, (err, database) => {
         if (err) return callback(err);
-        database.get("SELECT id, x, y, z, name, username, extracted_json, raw_json FROM cache_players WHERE id = ?", [id], (err, row) => {
+        const facets = {};
+        const names = Object.keys(queries);
+        (function next(i) {
+            if (i === names.length) return callback(null, facets);
+            database.all(`${queries[names[i]]} ORDER BY value`, [], (err, rows) => {
+                if (err) return callback(err);
+                facets[names[i]] = (rows || []).map((r) => r.value).filter((v) => typeof v === "string" && v !== "");
+                next(i + 1);
+            });
+        })(0);
+    });
+}
+
+function getPlayerById(profile, id, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.get(
+            `SELECT id, x, y, z, name, username, extracted_json, length(raw) AS raw_size, decode_error
+                FROM cache_players WHERE id = ?`,
+            [id],
+            (err, row) => {
+                if (err) return callback(err);
+                if (!row) return callback(null, null);
+                let extracted = {};
+                try {
+                    if (row.extracted_json) extracted = JSON.parse(row.extracted_json);
+                } catch (_) {}
+                callback(null, {
+                    id: row.id,
+                    x: row.x != null ? Math.round(Number(row.x)) : null,
+                    y: row.y != null ? Math.round(Number(row.y)) : null,
+                    z: row.z != null ? Number(row.z) : null,
+                    name: row.name || null,
+                    username: row.username || null,
+                    build: extracted.build || null,
+                    worldVersion: extracted.worldVersion || null,
+                    skills: extracted.skills || {},
+                    inventory: extracted.inventory || [],
+                    decodeError: row.decode_error || null,
+                    extracted,
+                    rawSize: row.raw_size || 0,
+                });
+            }
+        );
+    });
+}
+
+/** Matching strings returned per player or vehicle; the rest are only counted. */
+const MATCHES_PER_RESULT = 5;
+/** Index rows read per search, so a one-letter prefix does not read the whole index. */
+const SEARCH_HIT_LIMIT = 2000;
+
+/**
+ * Full-text search over every decoded string of the cached players and vehicles.
+ * @param {string} profile
+ * @param {string} ftsQuery - FTS5 MATCH expression, see toFtsQuery
+ * @param {number} limit - Maximum number of players and vehicles returned
+ * @param {Function} callback - (err, results) => void; best match first, each
+ *   { kind, id, name, type, x, y, matchCount, matches: { field, value, segments }[] }
+ */
+function search(profile, ftsQuery, limit, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.all(
+            `SELECT kind, row_id, field, value, highlight(search_index, 3, ?, ?) AS marked
+                FROM search_index WHERE search_index MATCH ? ORDER BY bm25(search_index) LIMIT ?`,
+            [MATCH_START, MATCH_END, ftsQuery, SEARCH_HIT_LIMIT],
+            (err, hits) => {
+                if (err) return callback(err);
+                const byRow = new Map();
+                for (const hit of hits || []) {
+                    const key = `${hit.kind}:${hit.row_id}`;
+                    if (!byRow.has(key)) {
+                        if (byRow.size === limit) continue;
+                        byRow.set(key, { kind: hit.kind, id: Number(hit.row_id), matchCount: 0, matches: [] });
+                    }
+                    const result = byRow.get(key);
+                    result.matchCount++;
+                    if (result.matches.length < MATCHES_PER_RESULT) {
+                        result.matches.push({
+                            field: hit.field,
+                            value: hit.value,
+                            segments: splitHighlight(hit.marked),
+                        });
+                    }
+                }
+                const results = [...byRow.values()];
+                const idsOf = (kind) => JSON.stringify(results.filter((r) => r.kind === kind).map((r) => r.id));
+                database.all(
+                    "SELECT id, name, username, x, y FROM cache_players WHERE id IN (SELECT value FROM json_each(?))",
+                    [idsOf("player")],
+                    (err, players) => {
+                        if (err) return callback(err);
+                        database.all(
+                            "SELECT id, type, x, y FROM cache_vehicles WHERE id IN (SELECT value FROM json_each(?))",
+                            [idsOf("vehicle")],
+                            (err, vehicles) => {
+                                if (err) return callback(err);
+                                const rows = new Map([
+                                    ...(players || []).map((r) => [`player:${r.id}`, r]),
+                                    ...(vehicles || []).map((r) => [`vehicle:${r.id}`, r]),
+                                ]);
+                                callback(
+                                    null,
+                                    results.map((r) => {
+                                        const row = rows.get(`${r.kind}:${r.id}`) || {};
+                                        return {
+                                            ...r,
+                                            name: row.name || row.username || null,
+                                            type: row.type || null,
+                                            x: row.x != null ? Math.round(Number(row.x)) : null,
+                                            y: row.y != null ? Math.round(Number(row.y)) : null,
+                                        };
+                                    })
+                                );
+                            }
+                        );
+                    }
+                );
+            }
+        );
+    });
+}
+
+const RAW_TABLES = { vehicle: "cache_vehicles", player: "cache_players" };
+
+/**
+ * A byte range of a row's raw blob, read in SQL so the rest of the blob is never loaded.
+ * @param {string} profile
+ * @param {'vehicle'|'player'} type
+ * @param {number | string} id
+ * @param {number} offset - First byte, 0-based
+ * @param {number} length - Maximum number of bytes
+ * @param {Function} callback - (err, { size, bytes: Buffer } | null) => void; null when there is no such row
+ */
+function getRawBytes(profile, type, id, offset, length, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.get(
+            `SELECT length(raw) AS size, substr(raw, ?, ?) AS bytes FROM ${RAW_TABLES[type]} WHERE id = ?`,
+            [offset + 1, length, id],
+            (err, row) => {
+                if (err) return callback(err);
+                if (!row) return callback(null, null);
+                callback(null, { size: row.size || 0, bytes: row.bytes || Buffer.alloc(0) });
+            }
+        );
+    });
+}
+
+/**
+ * Record the cache as it is now as the next numbered snapshot: a summary row plus each
+ * player's snapshot state. Call after a successful sync that changed the cache. Snapshots
+ * beyond the newest keep are deleted in the same transaction.
+ * @param {string} profile
+ * @param {number} keep - Snapshots to keep, counting the new one
+ * @param {Function} callback - (err, { id, createdAt, playerCount, vehicleCount, pruned }) => void
+ */
+function recordSnapshot(profile, keep, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.all("SELECT id, x, y, z, extracted_json FROM cache_players ORDER BY id", [], (err, players) => {
             if (err) return callback(err);
-            if (!row) return callback(null, null);
-            let extracted = {};
-            let raw = [];
-            try {
-                if (row.extracted_json) extracted = JSON.parse(row.extracted_json);
-                if (row.raw_json) raw = JSON.parse(row.raw_json);
-            } catch (_) {}
-            callback(null, {
-                id: row.id,
-                x: row.x != null ? Math.round(Number(row.x)) : null,
-                y: row.y != null ? Math.round(Number(row.y)) : null,
-                z: row.z != null ? Number(row.z) : null,
-                name: row.name || null,
-                username: row.username || null,
-                extracted,
-                raw,
+            database.get("SELECT COUNT(*) AS n FROM cache_vehicles", [], (err, vehicles) => {
+                if (err) return callback(err);
+                const snapshot = {
+                    id: null,
+                    createdAt: new Date().toISOString(),
+                    playerCount: (players || []).length,
+                    vehicleCount: vehicles ? vehicles.n : 0,
+                    pruned: 0,
+                };
+                inTransaction(
+                    database,
+                    (done) => {
+                        database.run(
+                            "INSERT INTO sync_snapshots (created_at, player_count, vehicle_count) VALUES (?, ?, ?)",
+                            [snapshot.createdAt, snapshot.playerCount, snapshot.vehicleCount],
+                            function (err) {
+                                if (err) return done(err);
+                                snapshot.id = this.lastID;
+                                runEach(
+                                    database,
+                                    `INSERT INTO snapshot_players (snapshot_id, player_id, state_json)
+                                        VALUES (?, ?, ?)`,
+                                    players || [],
+                                    (row) => {
+                                        let extracted = {};
+                                        try {
+                                            if (row.extracted_json) extracted = JSON.parse(row.extracted_json);
+                                        } catch (_) {}
+                                        const state = playerSnapshotState(row, extracted);
+                                        return [snapshot.id, row.id, JSON.stringify(state)];
+                                    },
+                                    (err) => {
+                                        if (err) return done(err);
+                                        pruneSnapshots(database, keep, (err, pruned) => {
+                                            snapshot.pruned = pruned;
+                                            done(err);
+                                        });
+                                    }
+                                );
+                            }
+                        );
+                    },
+                    (err) => callback(err, err ? undefined : snapshot)
+                );
             });
         });
     });
 }
 
-function clearCache(callback) {
-    getDb((err, database) => {
+/**
+ * Delete the snapshots (and their players' states) older than the newest keep.
+ * @param {sqlite3.Database} database
+ * @param {number} keep
+ * @param {Function} callback - (err, prunedCount) => void
+ */
+function pruneSnapshots(database, keep, callback) {
+    database.all("SELECT id FROM sync_snapshots", [], (err, rows) => {
+        if (err) return callback(err);
+        const ids = snapshotIdsToPrune((rows || []).map((r) => r.id), keep);
+        if (ids.length === 0) return callback(null, 0);
+        const idsJson = JSON.stringify(ids);
+        database.run(
+            "DELETE FROM snapshot_players WHERE snapshot_id IN (SELECT value FROM json_each(?))",
+            [idsJson],
+            (err) => {
+                if (err) return callback(err);
+                database.run(
+                    "DELETE FROM sync_snapshots WHERE id IN (SELECT value FROM json_each(?))",
+                    [idsJson],
+                    (err) => callback(err, err ? undefined : ids.length)
+                );
+            }
+        );
+    });
+}
+
+function getSnapshots(profile, callback) {
+    getDb(profile, (err, database) => {
         if (err) return callback(err);
-        database.run("DELETE FROM cache_vehicles", [], (err) => {
+        database.all(
+            "SELECT id, created_at, player_count, vehicle_count FROM sync_snapshots ORDER BY id",
+            [],
+            (err, rows) => {
+                if (err) return callback(err);
+                callback(
+                    null,
+                    (rows || []).map((r) => ({
+                        id: r.id,
+                        createdAt: r.created_at,
+                        playerCount: r.player_count,
+                        vehicleCount: r.vehicle_count,
+                    }))
+                );
+            }
+        );
+    });
+}
+
+/**
+ * Player queries saved by name, most recently saved first.
+ * @param {string} profile
+ * @param {Function} callback - (err, { id, name, query, updatedAt }[]) => void
+ */
+function getSavedQueries(profile, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.all(
+            "SELECT id, name, query, updated_at FROM saved_queries ORDER BY updated_at DESC, id DESC",
+            [],
+            (err, rows) => {
+                if (err) return callback(err);
+                callback(
+                    null,
+                    (rows || []).map((r) => ({ id: r.id, name: r.name, query: r.query, updatedAt: r.updated_at }))
+                );
+            }
+        );
+    });
+}
+
+/**
+ * Save a player query under a name, replacing the query saved under that name before.
+ * @param {string} profile
+ * @param {string} name
+ * @param {string} query
+ * @param {Function} callback - (err, { id, name, query, updatedAt }) => void
+ */
+function saveQuery(profile, name, query, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        const updatedAt = new Date().toISOString();
+        database.run(
+            `INSERT INTO saved_queries (name, query, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET query = excluded.query, updated_at = excluded.updated_at`,
+            [name, query, updatedAt],
+            (err) => {
+                if (err) return callback(err);
+                database.get("SELECT id FROM saved_queries WHERE name = ?", [name], (err, row) => {
+                    if (err) return callback(err);
+                    callback(null, { id: row.id, name, query, updatedAt });
+                });
+            }
+        );
+    });
+}
+
+/**
+ * @param {string} profile
+ * @param {number | string} id
+ * @param {Function} callback - (err, deleted: boolean) => void
+ */
+function deleteSavedQuery(profile, id, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.run("DELETE FROM saved_queries WHERE id = ?", [id], function (err) {
             if (err) return callback(err);
-            database.run("DELETE FROM cache_players", [], callback);
+            callback(null, this.changes > 0);
         });
     });
 }
 
+/**
+ * A player's state in every snapshot they appear in, oldest first.
+ * @param {string} profile
+ * @param {number | string} id
+ * @param {Function} callback - (err, { snapshotId, createdAt, state }[]) => void
+ */
+function getPlayerSnapshots(profile, id, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        database.all(
+            `SELECT s.id AS snapshot_id, s.created_at, p.state_json
+                FROM snapshot_players p JOIN sync_snapshots s ON s.id = p.snapshot_id
+                WHERE p.player_id = ? ORDER BY s.id`,
+            [id],
+            (err, rows) => {
+                if (err) return callback(err);
+                const list = [];
+                for (const r of rows || []) {
+                    try {
+                        list.push({
+                            snapshotId: r.snapshot_id,
+                            createdAt: r.created_at,
+                            state: JSON.parse(r.state_json),
+                        });
+                    } catch (_) {}
+                }
+                callback(null, list);
+            }
+        );
+    });
+}
+
+/**
+ * Empty the cached vehicles and players and their search index entries, e.g. after the save
+ * paths change; the next sync decodes everything again.
+ * @param {string} profile
+ * @param {Function} callback - (err) => void
+ */
+function clearCache(profile, callback) {
+    getDb(profile, (err, database) => {
+        if (err) return callback(err);
+        clearCachedRows(database, [], callback);
+    });
+}
+
 export {
     ensureReady,
+    deleteCache,
     syncVehicles,
     syncPlayers,
+    recordSnapshot,
+    getSnapshots,
+    getPlayerSnapshots,
     clearCache,
     getVehicles,
+    getVehicleTypes,
     getVehicleById,
     getPlayers,
+    getPlayerFacets,
     getPlayerById,
+    getRawBytes,
+    search,
+    getSavedQueries,
+    saveQuery,
+    deleteSavedQuery,
 };
@@ -0,0 +1,316 @@
+/**
+ * Schema migrations for the cache DB. Each step runs once, in order, inside its own
+ * transaction, and is recorded in schema_version. Add new steps at the end with the next
+ * version number; never edit a step that has shipped.
+ *
+ * A step with rebuild: true empties the cached rows, because their stored values no longer
+ * match what a sync would write; the next sync then decodes every row from the save again.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description:
+            "Cache tables (older unversioned caches are rebuilt from the save)",
+        rebuild: true,
+        statements: [
+            "DROP TABLE IF EXISTS cache_vehicles",
+            "DROP TABLE IF EXISTS cache_players",
+            `CREATE TABLE cache_vehicles (
+                id INTEGER PRIMARY KEY,
+                x REAL,
+                y REAL,
+                type TEXT,
+                part_count INTEGER,
+                extracted_json TEXT,
+                raw_json TEXT,
+                decode_error TEXT,
+                content_hash TEXT
+            )`,
+            `CREATE TABLE cache_players (
+                id INTEGER PRIMARY KEY,
+                x REAL,
+                y REAL,
+                z REAL,
+                name TEXT,
+                username TEXT,
+                profession TEXT,
+                hours_survived REAL,
+                zombie_kills INTEGER,
+                survivor_kills INTEGER,
+                is_dead INTEGER,
+                died_at_hours REAL,
+                extracted_json TEXT,
+                raw_json TEXT,
+                decode_error TEXT,
+                content_hash TEXT
+            )`,
+        ],
+    },
+    {
+        version: 2,
+        description: "Sync history snapshots",
+        // IF NOT EXISTS: caches from before versioning may already have these, with their history
+        statements: [
+            `CREATE TABLE IF NOT EXISTS sync_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at TEXT NOT NULL,
+                player_count INTEGER,
+                vehicle_count INTEGER
+            )`,
+            `CREATE TABLE IF NOT EXISTS snapshot_players (
+                snapshot_id INTEGER NOT NULL,
+                player_id INTEGER NOT NULL,
+                state_json TEXT,
+                PRIMARY KEY (snapshot_id, player_id)
+            )`,
+        ],
+    },
+    {
+        version: 3,
+        description: "Cache metadata (decoder version)",
+        statements: [
+            `CREATE TABLE cache_meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            )`,
+        ],
+    },
+    {
+        version: 4,
+        description:
+            "Raw bytes stored as a BLOB instead of a JSON array (cache is rebuilt)",
+        rebuild: true,
+        statements: [
+            "DROP TABLE cache_vehicles",
+            "DROP TABLE cache_players",
+            `CREATE TABLE cache_vehicles (
+                id INTEGER PRIMARY KEY,
+                x REAL,
+                y REAL,
+                type TEXT,
+                part_count INTEGER,
+                extracted_json TEXT,
+                raw BLOB,
+                decode_error TEXT,
+                content_hash TEXT
+            )`,
+            `CREATE TABLE cache_players (
+                id INTEGER PRIMARY KEY,
+                x REAL,
+                y REAL,
+                z REAL,
+                name TEXT,
+                username TEXT,
+                profession TEXT,
+                hours_survived REAL,
+                zombie_kills INTEGER,
+                survivor_kills INTEGER,
+                is_dead INTEGER,
+                died_at_hours REAL,
+                extracted_json TEXT,
+                raw BLOB,
+                decode_error TEXT,
+                content_hash TEXT
+            )`,
+        ],
+    },
+    {
+        version: 5,
+        description:
+            "Full-text search index over decoded strings (cache is rebuilt to fill it)",
+        rebuild: true,
+        statements: [
+            // One row per string; kind, row_id and field say where it came from
+            `CREATE VIRTUAL TABLE search_index USING fts5(
+                kind UNINDEXED,
+                row_id UNINDEXED,
+                field UNINDEXED,
+                value
+            )`,
+        ],
+    },
+    {
+        version: 6,
+        description: "Saved player queries",
+        statements: [
+            `CREATE TABLE saved_queries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                query TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )`,
+        ],
+    },
+    {
+        version: 7,
+        description: "Drop decoder errors from the search index",
+        statements: [
+            "DELETE FROM search_index WHERE field IN ('structuredError', '_error')",
+        ],
+    },
+];
+
+/** Tables a rebuild empties; history and metadata are kept. */
+const CACHED_ROW_TABLES = ["cache_vehicles", "cache_players", "search_index"];
+
+/**
+ * Run SQL statements one after another, stopping at the first error.
+ * @param {import("sqlite3").Database} database
+ * @param {string[]} statements
+ * @param {Function} callback - (err) => void
+ */
+function runAll(database, statements, callback) {
+    let i = 0;
+    function next(err) {
+        if (err || i === statements.length) return callback(err || null);
+        database.run(statements[i++], [], next);
+    }
+    next(null);
+}
+
+/**
+ * Empty the cached rows, search index included, in one transaction together with the given
+ * statements; history, saved queries and metadata are kept.
+ * @param {import("sqlite3").Database} database
+ * @param {string[]} statements - Run after the deletes, before the commit
+ * @param {Function} callback - (err) => void
+ */
+function clearCachedRows(database, statements, callback) {
+    runAll(
+        database,
+        [
+            "BEGIN IMMEDIATE",
+            ...CACHED_ROW_TABLES.map((table) => `DELETE FROM ${table}`),
+            ...statements,
+            "COMMIT",
+        ],
+        (err) => {
+            if (err) return database.run("ROLLBACK", [], () => callback(err));
+            callback(null);
+        },
+    );
+}
+
+/**
+ * Apply one migration and record it, all or nothing.
+ * @param {import("sqlite3").Database} database
+ * @param {(typeof MIGRATIONS)[number]} migration
+ * @param {Function} callback - (err) => void
+ */
+function applyMigration(database, migration, callback) {
+    database.run("BEGIN IMMEDIATE", [], (err) => {
+        if (err) return callback(err);
+        runAll(database, migration.statements, (err) => {
+            if (err) {
+                const wrapped = new Error(
+                    `Cache migration ${migration.version} (${migration.description}) failed: ${err.message}`,
+                );
+                return database.run("ROLLBACK", [], () => callback(wrapped));
+            }
+            database.run(
+                "INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)",
+                [
+                    migration.version,
+                    migration.description,
+                    new Date().toISOString(),
+                ],
+                (err) => {
+                    if (err) {
+                        return database.run("ROLLBACK", [], () =>
+                            callback(err),
+                        );
+                    }
+                    database.run("COMMIT", [], callback);
+                },
+            );
+        });
+    });
+}
+
+/**
+ * Bring the cache DB to the latest schema, then empty the cached rows if they were decoded
+ * by a different decoder version (or a migration asked for a rebuild).
+ * @param {import("sqlite3").Database} database
+ * @param {number} decoderVersion - DECODER_VERSION of the running decoder
+ * @param {Function} callback - (err, { from, to, rebuild }) => void; rebuild is true when the
+ *   cached rows were emptied and should be synced again from the save
+ */
+function migrate(database, decoderVersion, callback) {
+    database.run(
+        `CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT,
+            applied_at TEXT
+        )`,
+        [],
+        (err) => {
+            if (err) return callback(err);
+            database.get(
+                "SELECT MAX(version) AS version FROM schema_version",
+                [],
+                (err, row) => {
+                    if (err) return callback(err);
+                    const from = (row && row.version) || 0;
+                    const pending = MIGRATIONS.filter((m) => m.version > from);
+                    const forceRebuild = pending.some((m) => m.rebuild);
+                    let i = 0;
+                    function next(err) {
+                        if (err) return callback(err);
+                        if (i < pending.length) {
+                            return applyMigration(database, pending[i++], next);
+                        }
+                        checkDecoderVersion(
+                            database,
+                            decoderVersion,
+                            forceRebuild,
+                            (err, rebuild) => {
+                                if (err) return callback(err);
+                                callback(null, {
+                                    from,
+                                    to: MIGRATIONS[MIGRATIONS.length - 1]
+                                        .version,
+                                    rebuild,
+                                });
+                            },
+                        );
+                    }
+                    next(null);
+                },
+            );
+        },
+    );
+}
+
+/**
+ * Empty the cached rows when the stored decoder version differs from the running one (or
+ * force is set), and store the running version.
+ * @param {import("sqlite3").Database} database
+ * @param {number} decoderVersion
+ * @param {boolean} force
+ * @param {Function} callback - (err, rebuilt: boolean) => void
+ */
+function checkDecoderVersion(database, decoderVersion, force, callback) {
+    database.get(
+        "SELECT value FROM cache_meta WHERE key = 'decoder_version'",
+        [],
+        (err, row) => {
+            if (err) return callback(err);
+            const stored = row ? Number(row.value) : null;
+            const rebuild = force || stored !== decoderVersion;
+            if (!rebuild) return callback(null, false);
+            clearCachedRows(
+                database,
+                [
+                    `INSERT OR REPLACE INTO cache_meta (key, value) VALUES ('decoder_version', '${Number(decoderVersion)}')`,
+                ],
+                (err) => {
+                    if (err) return callback(err);
+                    // Hand the emptied pages back so the file shrinks; failing to is harmless
+                    database.run("VACUUM", [], () => callback(null, true));
+                },
+            );
+        },
+    );
+}
+
+export { MIGRATIONS, migrate, clearCachedRows };
@@ -0,0 +1,301 @@
+import { Worker } from "node:worker_threads";
+import { decodePzBuffer } from "./decode-pz-buffer.js";
+import { ScriptRegistry } from "./pz-script-registry.js";
+
+const WORKER_URL = new URL("./decode-worker.js", import.meta.url);
+/** Workers in a row that may die before loading the decoder until the pool decodes inline. */
+const MAX_STARTUP_FAILURES = 3;
+/** Wait before starting a worker again after one died on startup; doubles with each failure. */
+const STARTUP_RETRY_MS = 100;
+
+/**
+ * Decodes save blobs on worker threads so a sync never blocks the API's event loop.
+ * Each blob gets a time limit: a worker that overruns it is terminated and replaced,
+ * so one pathological blob fails its own row instead of hanging the sync. Blobs over
+ * the size cap are rejected without being decoded.
+ * With size 0 blobs are decoded inline on the calling thread (no time limit), which
+ * keeps DEBUG_PZ_DECODE output in the server log. A pool whose workers keep dying before
+ * they are ready (broken script, out of memory) falls back to decoding inline too.
+ */
+class DecodePool {
+    /**
+     * @param {object} options
+     * @param {number} options.size - Number of worker threads (0 decodes inline)
+     * @param {number} options.timeoutMs - Time limit per blob
+     * @param {number} options.maxBlobBytes - Larger blobs fail without decoding
+     * @param {ScriptRegistry} [options.registry] - Script definitions, copied to each worker
+     * @param {URL} [options.workerUrl] - Worker script, decode-worker.js unless a test swaps it
+     */
+    constructor({
+        size,
+        timeoutMs,
+        maxBlobBytes,
+        registry = new ScriptRegistry(),
+        workerUrl = WORKER_URL,
+    }) {
+        this.size = size;
+        this.timeoutMs = timeoutMs;
+        this.maxBlobBytes = maxBlobBytes;
+        this.registry = registry;
+        this.registryEntries = [...registry.entries.values()];
+        this.workerUrl = workerUrl;
+        /** @type {{ worker: Worker, ready: boolean, job: object | null, timer: NodeJS.Timeout | null, retry: NodeJS.Timeout | null }[]} */
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.closed = false;
+        /** Set by closeWhenIdle: no new blobs, close once the accepted ones are done. */
+        this.draining = false;
+        this.startupFailures = 0;
+        for (let i = 0; i < size; i++) this.slots.push(this.spawn());
+    }
+
+    spawn() {
+        const slot = {
+            worker: null,
+            ready: false,
+            job: null,
+            timer: null,
+            retry: null,
+        };
+        const worker = new Worker(this.workerUrl, {
+            workerData: { registryEntries: this.registryEntries },
+        });
+        worker.on("message", (message) => {
+            // The time limit only starts once the worker has loaded the decoder
+            if (message.ready) {
+                slot.ready = true;
+                this.startupFailures = 0;
+                return this.dispatch();
+            }
+            const job = slot.job;
+            if (!job || job.id !== message.id) return;
+            this.finish(slot);
+            if (message.error) return job.callback(new Error(message.error));
+            job.callback(null, {
+                type: job.type,
+                extracted: message.extracted,
+            });
+        });
+        worker.on("error", (err) => this.replace(slot, err));
+        worker.on("exit", () => {
+            if (slot.worker === worker && !this.closed) {
+                this.replace(slot, new Error("Decode worker exited"));
+            }
+        });
+        slot.worker = worker;
+        if (!this.busy()) worker.unref();
+        return slot;
+    }
+
+    busy() {
+        return this.queue.length > 0 || this.slots.some((slot) => slot.job);
+    }
+
+    /** Workers keep the process alive only while there are blobs to decode. */
+    updateRefs() {
+        const busy = this.busy();
+        for (const slot of this.slots) {
+            if (!slot.worker) continue;
+            if (busy) slot.worker.ref();
+            else slot.worker.unref();
+        }
+    }
+
+    /**
+     * Decode one blob. Calls back with decodePzBuffer's { type, extracted }, or an
+     * error when the blob is too large, times out, or crashes its worker.
+     * @param {Buffer} buffer
+     * @param {'vehicle'|'player'} type
+     * @param {{ worldVersion?: number | null }} options
+     * @param {Function} callback - (err, decoded) => void
+     */
+    decode(buffer, type, options, callback) {
+        if (this.closed || this.draining) {
+            return setImmediate(() =>
+                callback(new Error("Decode pool is closed")),
+            );
+        }
+        if (buffer && buffer.length > this.maxBlobBytes) {
+            return setImmediate(() =>
+                callback(
+                    new Error(
+                        `Blob is ${buffer.length} bytes, over the ${this.maxBlobBytes} byte limit`,
+                    ),
+                ),
+            );
+        }
+        if (this.size === 0) {
+            return this.decodeInline(buffer, type, options, callback);
+        }
+        this.queue.push({
+            id: this.nextId++,
+            buffer: buffer || Buffer.alloc(0),
+            type,
+            worldVersion: options.worldVersion ?? null,
+            callback,
+        });
+        this.updateRefs();
+        this.dispatch();
+    }
+
+    /** Decode on the calling thread, on the next turn of the event loop. */
+    decodeInline(buffer, type, options, callback) {
+        setImmediate(() => {
+            let decoded;
+            try {
+                decoded = decodePzBuffer(buffer, type, {
+                    ...options,
+                    registry: this.registry,
+                });
+            } catch (e) {
+                return callback(e);
+            }
+            callback(null, decoded);
+        });
+    }
+
+    dispatch() {
+        for (const slot of this.slots) {
+            if (!this.queue.length) return;
+            if (slot.job || !slot.ready) continue;
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.timer = setTimeout(() => {
+                this.replace(
+                    slot,
+                    new Error(`Decode timed out after ${this.timeoutMs} ms`),
+                );
+            }, this.timeoutMs);
+            slot.worker.postMessage({
+                id: job.id,
+                buffer: job.buffer,
+                type: job.type,
+                worldVersion: job.worldVersion,
+            });
+        }
+    }
+
+    /** Free a slot after its job finished and hand it the next queued blob. */
+    finish(slot) {
+        clearTimeout(slot.timer);
+        slot.timer = null;
+        slot.job = null;
+        if (this.closeIfDrained()) return;
+        this.updateRefs();
+        setImmediate(() => this.dispatch());
+    }
+
+    /**
+     * Terminate a slot's worker (hung or crashed), fail its job and start a fresh worker.
+     * A worker that died before it was ready is restarted after a growing delay, and after
+     * MAX_STARTUP_FAILURES of those in a row the pool decodes inline instead.
+     * @param {object} slot
+     * @param {Error} err
+     */
+    replace(slot, err) {
+        const job = slot.job;
+        const worker = slot.worker;
+        clearTimeout(slot.timer);
+        slot.timer = null;
+        slot.job = null;
+        slot.worker = null;
+        if (worker) worker.terminate();
+        if (!this.closed) {
+            if (slot.ready) this.respawn(slot, 0);
+            else if (++this.startupFailures >= MAX_STARTUP_FAILURES) {
+                this.fallBackToInline(err);
+            } else {
+                this.respawn(
+                    slot,
+                    STARTUP_RETRY_MS * 2 ** (this.startupFailures - 1),
+                );
+            }
+        }
+        if (job) job.callback(err);
+        this.closeIfDrained();
+    }
+
+    /**
+     * Put a fresh worker in a slot's place, after delayMs.
+     * @param {object} slot
+     * @param {number} delayMs
+     */
+    respawn(slot, delayMs) {
+        const start = () => {
+            slot.retry = null;
+            const index = this.slots.indexOf(slot);
+            if (this.closed || index === -1) return;
+            this.slots[index] = this.spawn();
+            this.updateRefs();
+        };
+        if (delayMs === 0) return start();
+        slot.retry = setTimeout(start, delayMs);
+    }
+
+    /**
+     * Give up on worker threads: stop them and decode the queued blobs, including any that were
+     * running, and all later ones inline.
+     * @param {Error} err - Why the last worker failed to start
+     */
+    fallBackToInline(err) {
+        console.error(
+            `Decode workers keep failing to start (${err.message}); decoding inline`,
+        );
+        const slots = this.slots;
+        this.slots = [];
+        this.size = 0;
+        for (const slot of slots) {
+            clearTimeout(slot.timer);
+            clearTimeout(slot.retry);
+            if (slot.job) this.queue.unshift(slot.job);
+            const worker = slot.worker;
+            slot.worker = null;
+            slot.job = null;
+            if (worker) worker.terminate();
+        }
+        for (const job of this.queue.splice(0)) {
+            this.decodeInline(
+                job.buffer,
+                job.type,
+                { worldVersion: job.worldVersion },
+                job.callback,
+            );
+        }
+    }
+
+    /**
+     * Stop taking new blobs and close once the queued and running ones are done, e.g. when a
+     * new pool replaces this one while a sync still waits on it.
+     */
+    closeWhenIdle() {
+        this.draining = true;
+        this.closeIfDrained();
+    }
+
+    /** Close a draining pool with nothing left to decode; true when it closed. */
+    closeIfDrained() {
+        if (!this.draining || this.closed || this.busy()) return false;
+        this.close();
+        return true;
+    }
+
+    /** Stop all workers; queued and running blobs fail. */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        const err = new Error("Decode pool is closed");
+        for (const slot of this.slots) {
+            clearTimeout(slot.retry);
+            if (slot.worker) {
+                clearTimeout(slot.timer);
+                slot.worker.terminate();
+            }
+            if (slot.job) slot.job.callback(err);
+            slot.job = null;
+        }
+        for (const job of this.queue.splice(0)) job.callback(err);
+    }
+}
+
+export { DecodePool };
@@ -1,5 +1,24 @@
 import fs from "fs";
 import path from "path";
+import {
+    isFollowedByTraitList,
+    readPlayerBlob,
+    readPlayerDescriptor,
+} from "./decode-pz-player.js";
+import { readVehicleBlob } from "./decode-pz-vehicle.js";
+import { countItems, flattenItems } from "./decode-pz-inventory.js";
+import { computeSkillProgress, pickXpForLevel } from "./pz-skill-levels.js";
+import {
+    getSchemaForWorldVersion,
+    getAllPerkNames,
+    isProfessionId,
+} from "./pz-build-schemas.js";
+
+/**
+ * Version of decodePzBuffer's output. Bump it whenever the same blob would decode to
+ * different fields; the cache DB then drops its decoded rows and they are synced again.
+ */
+const DECODER_VERSION = 3;
 
 const DEBUG_PZ_DECODE =
     process.env.DEBUG_PZ_DECODE === "1" ||
@@ -57,37 +76,6 @@ const KNOWN_PZ_SKILL_NAMES = [
     "FirstAid",
 ];
 
-/** PZ occupation/profession IDs (base:xxx). Only these go under "Profession". */
-const PZ_PROFESSION_IDS = new Set([
-    "base:unemployed",
-    "base:fireofficer",
-    "base:policeofficer",
-    "base:parkranger",
-    "base:constructionworker",
-    "base:securityguard",
-    "base:carpenter",
-    "base:burglar",
-    "base:chef",
-    "base:diyexpert",
-    "base:rancher",
-    "base:farmer",
-    "base:angler",
-    "base:doctor",
-    "base:veteran",
-    "base:nurse",
-    "base:lumberjack",
-    "base:fitnessinstructor",
-    "base:burgerflipper",
-    "base:electrician",
-    "base:engineer",
-    "base:welder",
-    "base:blacksmith",
-    "base:mechanic",
-    "base:tailor",
-    "base:repairman",
-    "base:salesman",
-]);
-
 /** PZ clothing/slot/equipment base:xxx IDs — exclude from both profession and traits. */
 const PZ_CLOTHING_SLOT_IDS = new Set([
     "base:belt",
@@ -112,42 +100,90 @@ const PZ_CLOTHING_SLOT_IDS = new Set([
     "base:watch",
 ]);
 
+/**
+ * Where structured parse paths land in the extracted object. A rule covers the path
+ * itself and everything below it ("perks.Strength" -> "skillLevels.Strength");
+ * paths without a rule keep their name (health, vitals, survival, parts, ...).
+ */
+const STRUCTURED_PLAYER_FIELDS = [
+    ["descriptor.forename", "forename"],
+    ["descriptor.surname", "surname"],
+    ["descriptor.female", "female"],
+    ["descriptor.profession", "professionIds.0"],
+    ["traits", "traitOrSkillIds"],
+    ["perks", "skillLevels"],
+    ["xp", "skillXp"],
+    ["inventory", "inventory.0"],
+    ["literature.knownRecipes", "recipeIds"],
+    ["literature.skillBooks", "skillBooks"],
+    ["literature.readLiterature", "readLiterature"],
+    ["literature.watchedMedia", "watchedMedia"],
+];
+const STRUCTURED_VEHICLE_FIELDS = [
+    ["scriptName", "vehicleType"],
+    ["engine.quality", "engineQuality"],
+    ["engine.power", "enginePower"],
+    ["containers", "inventory"],
+    ["modData.customName", "customNames.0"],
+];
+
+/**
+ * Turn a structured reader's byte spans into extracted.provenance entries.
+ * Values read by walking the layout are certain, so confidence is 1.
+ * @param {{ [path: string]: { offset: number, length: number } }} spans
+ * @param {[string, string][]} rules - STRUCTURED_PLAYER_FIELDS or STRUCTURED_VEHICLE_FIELDS
+ */
+function mapStructuredProvenance(spans, rules) {
+    const provenance = {};
+    for (const [path, span] of Object.entries(spans)) {
+        const rule = rules.find(
+            ([from]) => path === from || path.startsWith(from + "."),
+        );
+        const field = rule ? rule[1] + path.slice(rule[0].length) : path;
+        provenance[field] = { ...span, pattern: "structured", confidence: 1 };
+    }
+    return provenance;
+}
+
+/**
+ * Point a derived field (engineWorking, fuelAmount, ...) at the bytes it was computed from.
+ * @param {object} provenance - extracted.provenance, mutated in place
+ * @param {string} field
+ * @param {string} source - Field whose span the value comes from
+ * @param {string} pattern
+ */
+function deriveProvenance(provenance, field, source, pattern) {
+    if (provenance[source])
+        provenance[field] = { ...provenance[source], pattern };
+}
+
+/**
+ * Record where heuristically picked strings were found: each value points at its
+ * first occurrence in the blob as "<field>.<index>".
+ * @param {object} provenance - extracted.provenance, mutated in place
+ * @param {string} field
+ * @param {string[]} values - The values as stored in extracted[field]
+ * @param {Map<string, { offset: number, length: number }>} located - First span per string
+ * @param {string} pattern - What made the string qualify
+ * @param {number} confidence - 0–1
+ */
+function traceStrings(provenance, field, values, located, pattern, confidence) {
+    values.forEach((value, i) => {
+        const span = located.get(value);
+        if (span)
+            provenance[`${field}.${i}`] = { ...span, pattern, confidence };
+    });
+}
+
 /**
  * Decodes Project Zomboid player skills from a binary buffer.
  * Reliable source: skill name at index, then 4-byte Big-Endian level (0–10).
  * @param {Buffer} buffer - The raw 'data' buffer from the SQLite 'players' table.
+ * @param {string[]} skills - Perk names of the build that wrote the blob (all builds when unknown).
+ * @param {object} [provenance] - When given, the level's bytes are recorded as "skillLevels.<skill>".
  * @returns {Object} - An object containing skill names and their levels.
  */
-function decodePlayerSkills(buffer) {
-    const skills = [
-        "Strength",
-        "Fitness",
-        "Sprinting",
-        "Lightfoot",
-        "Nimble",
-        "Sneak",
-        "Axe",
-        "LongBlunt",
-        "ShortBlunt",
-        "LongBlade",
-        "ShortBlade",
-        "Spear",
-        "Maintenance",
-        "Carpentry",
-        "Cooking",
-        "Farming",
-        "FirstAid",
-        "Electrical",
-        "MetalWelding",
-        "Mechanics",
-        "Tailoring",
-        "Aiming",
-        "Reloading",
-        "Fishing",
-        "Trapping",
-        "Foraging",
-    ];
-
+function decodePlayerSkills(buffer, skills, provenance = null) {
     let results = {};
 
     skills.forEach((skill) => {
@@ -163,6 +199,14 @@ function decodePlayerSkills(buffer) {
                 // grab a random piece of binary that isn't a level.
                 if (levelValue >= 0 && levelValue <= 10) {
                     results[skill] = levelValue;
+                    if (provenance) {
+                        provenance[`skillLevels.${skill}`] = {
+                            offset: index + skill.length,
+                            length: 4,
+                            pattern: "skill name + int32",
+                            confidence: 0.7,
+                        };
+                    }
                 }
             } catch (e) {
                 results[skill] = 0;
@@ -174,235 +218,625 @@ function decodePlayerSkills(buffer) {
 }
 
 /**
- * Heuristic extraction from Project Zomboid save blobs (Java serialized).
- * Does not fully deserialize; extracts readable strings and known patterns.
+ * Extract fields from Project Zomboid save blobs (Java serialized).
+ * Players and vehicles are walked field by field (readPlayerBlob / readVehicleBlob);
+ * when that fails the decoder falls back to readable-string heuristics (extracted.decodeMode says which).
  * @param {Buffer|Uint8Array|number[]} buf - The data column blob
  * @param {'vehicle'|'player'} type - Hint for which patterns to look for
- * @returns {{ type: string, extracted: object, raw: number[] }}
+ * @param {{ worldVersion?: number | null, registry?: import("./pz-script-registry.js").ScriptRegistry }} [options]
+ *   worldVersion from the save folder, used to pick the build schema when the blob's own
+ *   header cannot be read; registry of game and mod script definitions, used to classify
+ *   profession and trait IDs the built-in lists don't know
+ * @returns {{ type: string, extracted: object }}
  */
-function decodePzBuffer(buf, type = "vehicle") {
+function decodePzBuffer(buf, type = "vehicle", options = {}) {
     const buffer =
         buf && !Buffer.isBuffer(buf) ? Buffer.from(buf) : buf || null;
-    const raw = buffer ? Array.from(buffer) : [];
     const extracted = {};
 
     if (!buffer || buffer.length === 0) {
-        return { type, extracted, raw };
+        return { type, extracted };
     }
 
     try {
-        const strings = extractReadableStrings(buffer);
-        const utf8String = buffer.toString("utf8");
-
         if (type === "vehicle") {
-            // Vehicle type: first "ModName.VehicleId" or "Base.Something"
-            const vehicleTypeMatch = utf8String.match(
-                /[a-zA-Z0-9]+\.[a-zA-Z0-9_]+/,
-            );
-            extracted.vehicleType = vehicleTypeMatch
-                ? vehicleTypeMatch[0]
-                : null;
-
-            // Part-like names (e.g. TrunkDoor, Engine, customName)
-            const partPattern =
-                /(?:TrunkDoor|Engine|Battery|GasTank|Muffler|Windshield|Seat|Door|Tire|Brake|GloveBox|Radio|customName|Base\.\w+)/g;
-            const parts = [
-                ...new Set(
-                    (utf8String.match(partPattern) || []).filter(Boolean),
-                ),
-            ];
-            if (parts.length) extracted.partNames = parts;
-
-            // Custom names (often follow "customName" in stream)
-            const customNames = strings.filter(
-                (s) =>
-                    s.length > 2 &&
-                    s.length < 80 &&
-                    /^[\x20-\x7e]+$/.test(s) &&
-                    !s.includes(".") &&
-                    !/^(Base|customName|Tooltip|contentAmount|Trunk|Seat|Door|Engine|Battery|GasTank|Muffler|Windshield|Brake|Tire|Radio|GloveBox)$/i.test(
-                        s,
-                    ),
-            );
-            if (customNames.length)
-                extracted.customNames = [...new Set(customNames)].slice(0, 20);
-
-            extracted.allStrings = undefined;
-        } else {
-            // Player: character name (short capitalized words, often first human-looking strings)
-            const nameCandidates = strings.filter(
-                (s) =>
-                    s.length >= 2 &&
-                    s.length <= 30 &&
-                    /^[A-Za-z0-9\s\-'_]+$/.test(s) &&
-                    !s.startsWith("base:") &&
-                    !s.startsWith("Base.") &&
-                    !/^\d+$/.test(s),
-            );
-            if (nameCandidates.length) {
-                // Prefer short strings that look like first/last names
-                const likelyNames = nameCandidates.filter(
-                    (s) => s.length <= 20 && s.trim().length >= 2,
+            let structured = null;
+            try {
+                structured = readVehicleBlob(buffer);
+            } catch (e) {
+                debugLog(
+                    "[decode] structured vehicle parse failed:",
+                    e.message,
                 );
-                extracted.characterNames = [...new Set(likelyNames)].slice(
-                    0,
-                    10,
+                extracted.structuredError = e.message;
+            }
+            if (structured) applyStructuredVehicle(structured, extracted);
+            else {
+                const schema = getSchemaForWorldVersion(options.worldVersion);
+                if (schema) {
+                    extracted.worldVersion = options.worldVersion;
+                    extracted.build = schema.build;
+                }
+                decodeVehicleHeuristically(buffer, extracted);
+            }
+        } else {
+            let structured = null;
+            try {
+                structured = readPlayerBlob(buffer);
+            } catch (e) {
+                debugLog("[decode] structured player parse failed:", e.message);
+                extracted.structuredError = e.message;
+            }
+            if (structured) applyStructuredPlayer(structured, extracted);
+            else {
+                const schema = getSchemaForWorldVersion(options.worldVersion);
+                if (schema) {
+                    extracted.worldVersion = options.worldVersion;
+                    extracted.build = schema.build;
+                }
+                decodePlayerHeuristically(
+                    buffer,
+                    extracted,
+                    schema,
+                    options.registry || null,
                 );
             }
+        }
+    } catch (e) {
+        extracted._error = e.message || "Decode error";
+    }
 
-            // Profession: only known PZ occupation IDs (one per character)
-            const professions = strings.filter(
-                (s) =>
-                    /^base:[a-z0-9]+$/i.test(s) &&
-                    PZ_PROFESSION_IDS.has(s.toLowerCase()),
-            );
-            if (professions.length)
-                extracted.professionIds = [...new Set(professions)];
-
-            // Traits: base:xxx that are not professions and not clothing/slots
-            const traits = strings.filter(
-                (s) =>
-                    s.startsWith("base:") &&
-                    s.length > 6 &&
-                    s.length < 60 &&
-                    !PZ_PROFESSION_IDS.has(s.toLowerCase()) &&
-                    !PZ_CLOTHING_SLOT_IDS.has(s.toLowerCase()),
-            );
-            if (traits.length)
-                extracted.traitOrSkillIds = [...new Set(traits)].slice(0, 50);
-
-            // Stats/skills (Strength, Fitness, and common PZ skill names)
-            const statPattern =
-                /^(Strength|Fitness|Sneak|Nimble|Lightfoot|Sprinting|Voice|Carpentry|Cooking|Farming|Fishing|Trapping|Electrical|Metalworking|Mechanics|Tailoring|Aiming|Reloading|Blunt|Axe|SmallBlade|LongBlade|SmallBlunt|Spear|Maintenance|FirstAid)$/i;
-            const statNames = strings.filter((s) => statPattern.test(s));
-            if (statNames.length) extracted.statNames = [...new Set(statNames)];
-
-            // Appearance (PZ appearance IDs: hair, beard, face parts)
-            const appearancePattern =
-                /^(M_|F_)?(Hair|Beard|Beard_Stubble|Face)_[A-Za-z0-9_]+$|^[A-Za-z]+(Chin|Nose|Eyes|Hair)$|^(PointyChin|ShortAfroCurly|LongAfro|Bald|Stubble|FullBeard|Goatee|Moustache)$/i;
-            const appearance = strings.filter(
-                (s) =>
-                    s.length >= 3 &&
-                    s.length <= 50 &&
-                    /^[A-Za-z0-9_]+$/.test(s) &&
-                    (appearancePattern.test(s) ||
-                        /_(Hair|Beard|Chin|Nose|Eyes)/i.test(s)),
-            );
-            if (appearance.length)
-                extracted.appearance = [...new Set(appearance)].slice(0, 30);
-
-            // Clothing / equipment: Base.* item types and TINT-style
-            const clothingTypes = strings.filter(
-                (s) =>
-                    (s.startsWith("Base.") &&
-                        s.length < 80 &&
-                        /^[A-Za-z0-9_.]+$/.test(s)) ||
-                    (/^[A-Za-z0-9_]+TINT$/i.test(s) && s.length < 60),
-            );
-            if (clothingTypes.length)
-                extracted.clothingTypes = [...new Set(clothingTypes)].slice(
-                    0,
-                    50,
-                );
+    return { type, extracted };
+}
 
-            // Short custom names that may be equipment names (exclude character names and known non-equipment)
-            const clothingCustomNames = strings.filter(
-                (s) =>
-                    s.length >= 2 &&
-                    s.length <= 40 &&
-                    /^[\x20-\x7e]+$/.test(s) &&
-                    !s.includes(".") &&
-                    !s.startsWith("base:") &&
-                    !/^(Base|Tooltip|contentAmount|Strength|Fitness|Sneak|Nimble|Make|ID Card|Key Ring)$/i.test(
-                        s,
-                    ) &&
-                    !(extracted.characterNames || []).some((n) => n === s),
-            );
-            if (clothingCustomNames.length)
-                extracted.clothingCustomNames = [
-                    ...new Set(clothingCustomNames),
-                ].slice(0, 20);
-
-            // Inventory-like strings (ID Card:, Key Ring, 's Key, descriptive lines)
-            const inventoryStrings = strings.filter(
-                (s) =>
-                    s.length >= 10 &&
-                    s.length <= 80 &&
-                    /^[\x20-\x7e]+$/.test(s) &&
-                    (s.includes(":") ||
-                        s.includes("'") ||
-                        /Key Ring|ID Card|Key\b/i.test(s)),
-            );
-            if (inventoryStrings.length)
-                extracted.inventoryStrings = [
-                    ...new Set(inventoryStrings),
-                ].slice(0, 30);
-
-            // Recipes (e.g. Make*, or common PZ recipe prefixes)
-            const recipeIds = strings.filter(
-                (s) =>
-                    /^Make[A-Za-z0-9_]*$/i.test(s) ||
-                    /^[A-Za-z]+\.[A-Za-z0-9_]+Recipe$/i.test(s),
-            );
-            if (recipeIds.length)
-                extracted.recipeIds = [...new Set(recipeIds)].slice(0, 100);
-
-            // Username from buffer (optional fallback; primary username remains from DB)
-            // Exclude stat/skill names, appearance, recipes, and other known non-username strings
-            const knownNonUsernames = [
-                ...(extracted.statNames || []),
-                ...(extracted.characterNames || []),
-                ...(extracted.professionIds || []),
-                ...(extracted.traitOrSkillIds || []),
-                ...(extracted.appearance || []).slice(0, 10),
+/**
+ * Map a structured vehicle parse onto the extracted fields the cache and UI read.
+ * @param {ReturnType<typeof readVehicleBlob>} vehicle
+ * @param {object} extracted - Mutated in place
+ */
+function applyStructuredVehicle(vehicle, extracted) {
+    extracted.decodeMode = "structured";
+    const provenance = mapStructuredProvenance(
+        vehicle.provenance,
+        STRUCTURED_VEHICLE_FIELDS,
+    );
+    extracted.provenance = provenance;
+    extracted.worldVersion = vehicle.worldVersion;
+    extracted.build = vehicle.build;
+    extracted.vehicleType = vehicle.scriptName;
+    extracted.keyId = vehicle.keyId >= 0 ? vehicle.keyId : null;
+    extracted.engineQuality = vehicle.engine.quality;
+    extracted.enginePower = vehicle.engine.power;
+    extracted.parts = vehicle.parts;
+    extracted.inventory = vehicle.containers;
+    extracted.partNames = vehicle.parts.map((p) => p.id);
+    extracted.partNames.forEach((_, i) =>
+        deriveProvenance(provenance, `partNames.${i}`, `parts.${i}`, "part id"),
+    );
+    if (typeof vehicle.modData.customName === "string")
+        extracted.customNames = [vehicle.modData.customName];
+
+    const partIndex = (id) => vehicle.parts.findIndex((p) => p.id === id);
+    const engine = vehicle.parts[partIndex("Engine")];
+    extracted.engineWorking = Boolean(
+        engine && engine.installed && engine.condition > 0,
+    );
+    deriveProvenance(
+        provenance,
+        "engineWorking",
+        `parts.${partIndex("Engine")}.condition`,
+        "derived: Engine condition",
+    );
+    const gasTankIndex = partIndex("GasTank");
+    const gasTank = vehicle.parts[gasTankIndex];
+    if (gasTank && gasTank.fuelAmount != null) {
+        extracted.fuelAmount = gasTank.fuelAmount;
+        extracted.fuelCapacity = gasTank.fuelCapacity ?? null;
+        deriveProvenance(
+            provenance,
+            "fuelAmount",
+            `parts.${gasTankIndex}.data.contentAmount`,
+            "derived: GasTank contentAmount",
+        );
+        deriveProvenance(
+            provenance,
+            "fuelCapacity",
+            `parts.${gasTankIndex}.data.capacity`,
+            "derived: GasTank capacity",
+        );
+    }
+    const batteryIndex = partIndex("Battery");
+    const battery = vehicle.parts[batteryIndex];
+    if (battery && battery.batteryCharge != null) {
+        extracted.batteryCharge = battery.batteryCharge;
+        deriveProvenance(
+            provenance,
+            "batteryCharge",
+            `parts.${batteryIndex}.data.charge`,
+            "derived: Battery charge",
+        );
+    }
+    const doors = vehicle.parts.filter((p) => typeof p.locked === "boolean");
+    if (doors.length) {
+        extracted.doorsLocked = doors.every((p) => p.locked);
+        // Point at the first unlocked door, which decides the value, or the first door
+        const decisive = doors.find((p) => !p.locked) || doors[0];
+        deriveProvenance(
+            provenance,
+            "doorsLocked",
+            `parts.${vehicle.parts.indexOf(decisive)}.data.locked`,
+            "derived: door locked flags",
+        );
+    }
+}
+
+/**
+ * Fallback for vehicle blobs the structured reader cannot walk: the script name
+ * is the first dotted ID, parts and custom names come from readable strings.
+ * @param {Buffer} buffer - Vehicle blob
+ * @param {object} extracted - Mutated in place
+ */
+function decodeVehicleHeuristically(buffer, extracted) {
+    extracted.decodeMode = "heuristic";
+    const provenance = {};
+    extracted.provenance = provenance;
+    const located = locateStrings(buffer);
+    const strings = located.map((s) => s.value);
+    const utf8String = buffer.toString("utf8");
+    const firstIndexOf = (value) => {
+        const offset = buffer.indexOf(value);
+        return offset >= 0
+            ? { offset, length: Buffer.byteLength(value) }
+            : undefined;
+    };
+
+    // Vehicle type: first "ModName.VehicleId" or "Base.Something"
+    const vehicleTypeMatch = utf8String.match(/[a-zA-Z0-9]+\.[a-zA-Z0-9_]+/);
+    extracted.vehicleType = vehicleTypeMatch ? vehicleTypeMatch[0] : null;
+    if (extracted.vehicleType) {
+        const span = firstIndexOf(extracted.vehicleType);
+        if (span) {
+            provenance.vehicleType = {
+                ...span,
+                pattern: "first dotted ID",
+                confidence: 0.5,
+            };
+        }
+    }
+
+    // Part-like names (e.g. TrunkDoor, Engine, customName)
+    const partPattern =
+        /(?:TrunkDoor|Engine|Battery|GasTank|Muffler|Windshield|Seat|Door|Tire|Brake|GloveBox|Radio|customName|Base\.\w+)/g;
+    const parts = [
+        ...new Set((utf8String.match(partPattern) || []).filter(Boolean)),
+    ];
+    if (parts.length) {
+        extracted.partNames = parts;
+        traceStrings(
+            provenance,
+            "partNames",
+            parts,
+            new Map(parts.map((p) => [p, firstIndexOf(p)])),
+            "known part name",
+            0.4,
+        );
+    }
+
+    // Custom names (often follow "customName" in stream)
+    const customNames = strings.filter(
+        (s) =>
+            s.length > 2 &&
+            s.length < 80 &&
+            /^[\x20-\x7e]+$/.test(s) &&
+            !s.includes(".") &&
+            !/^(Base|customName|Tooltip|contentAmount|Trunk|Seat|Door|Engine|Battery|GasTank|Muffler|Windshield|Brake|Tire|Radio|GloveBox)$/i.test(
+                s,
+            ),
+    );
+    if (customNames.length) {
+        extracted.customNames = [...new Set(customNames)].slice(0, 20);
+        traceStrings(
+            provenance,
+            "customNames",
+            extracted.customNames,
+            firstSpans(located),
+            "printable string without dots",
+            0.2,
+        );
+    }
+
+    extracted.allStrings = undefined;
+}
+
+/**
+ * Map a structured player parse onto the extracted fields the cache and UI read.
+ * @param {ReturnType<typeof readPlayerBlob>} player
+ * @param {object} extracted - Mutated in place
+ */
+function applyStructuredPlayer(player, extracted) {
+    const { descriptor } = player;
+    extracted.decodeMode = "structured";
+    const provenance = mapStructuredProvenance(
+        player.provenance,
+        STRUCTURED_PLAYER_FIELDS,
+    );
+    extracted.provenance = provenance;
+    extracted.worldVersion = player.worldVersion;
+    extracted.build = player.build;
+    extracted.forename = descriptor.forename;
+    extracted.surname = descriptor.surname;
+    extracted.female = descriptor.female;
+    const fullName = `${descriptor.forename} ${descriptor.surname}`.trim();
+    if (fullName) {
+        extracted.characterNames = [fullName];
+        if (provenance.forename && provenance.surname) {
+            provenance["characterNames.0"] = {
+                offset: provenance.forename.offset,
+                length:
+                    provenance.surname.offset +
+                    provenance.surname.length -
+                    provenance.forename.offset,
+                pattern: "derived: forename + surname",
+                confidence: 1,
+            };
+        }
+    }
+    if (descriptor.profession)
+        extracted.professionIds = [descriptor.profession];
+    extracted.traitOrSkillIds = player.traits;
+    extracted.skillLevels = player.perks;
+    extracted.statNames = Object.keys(player.perks);
+    extracted.skillXp = Object.fromEntries(
+        Object.entries(player.xp).map(([perk, xp]) => [perk, [xp]]),
+    );
+    for (const perk of Object.keys(player.xp)) {
+        // skillXp holds a list per perk; the structured value is its only entry
+        provenance[`skillXp.${perk}.0`] = provenance[`skillXp.${perk}`];
+        delete provenance[`skillXp.${perk}`];
+    }
+    const boosts = player.xpBoosts || { books: {}, traitBoosts: {} };
+    extracted.skills = {};
+    for (const perk of new Set([
+        ...Object.keys(player.perks),
+        ...Object.keys(player.xp),
+    ])) {
+        extracted.skills[perk] = computeSkillProgress(perk, {
+            level: player.perks[perk],
+            xp: player.xp[perk],
+            traitBoost: boosts.traitBoosts[perk] || 0,
+            book: boosts.books[perk] || null,
+        });
+    }
+    if (player.xpBoosts) extracted.xpBoosts = player.xpBoosts;
+    extracted.playerLevel = Object.values(player.perks).reduce(
+        (a, b) => a + b,
+        0,
+    );
+    if (player.health) {
+        extracted.health = player.health;
+        extracted.infected = player.health.infected;
+        deriveProvenance(
+            provenance,
+            "infected",
+            "health.infected",
+            "structured",
+        );
+    }
+    if (player.vitals) extracted.vitals = player.vitals;
+    if (player.survival) extracted.survival = player.survival;
+    if (player.literature) {
+        extracted.recipeIds = player.literature.knownRecipes;
+        extracted.skillBooks = player.literature.skillBooks;
+        extracted.readLiterature = player.literature.readLiterature;
+        extracted.watchedMedia = player.literature.watchedMedia;
+    }
+    extracted.inventory = [player.inventory];
+    extracted.inventoryItemCount = countItems(player.inventory);
+    const equipped = flattenItems(player.inventory).filter((i) => i.equipped);
+    if (equipped.length)
+        extracted.clothingTypes = [...new Set(equipped.map((i) => i.fullType))];
+}
+
+/**
+ * Fallback for blobs the structured reader cannot walk: scrape readable strings
+ * and guess names, professions, traits and skills from them.
+ * @param {Buffer} buffer - Player blob
+ * @param {object} extracted - Mutated in place
+ * @param {object | null} schema - Build schema from the save folder, or null when unknown
+ * @param {import("./pz-script-registry.js").ScriptRegistry | null} registry - Mod-aware definitions
+ */
+function decodePlayerHeuristically(buffer, extracted, schema, registry) {
+    extracted.decodeMode = "heuristic";
+    const provenance = {};
+    extracted.provenance = provenance;
+    const located = locateStrings(buffer);
+    const strings = located.map((s) => s.value);
+    const spans = firstSpans(located);
+    // Player: character name (short capitalized words, often first human-looking strings)
+    const nameCandidates = strings.filter(
+        (s) =>
+            s.length >= 2 &&
+            s.length <= 30 &&
+            /^[A-Za-z0-9\s\-'_]+$/.test(s) &&
+            !s.startsWith("base:") &&
+            !s.startsWith("Base.") &&
+            !/^\d+$/.test(s),
+    );
+    if (nameCandidates.length) {
+        // Prefer short strings that look like first/last names
+        const likelyNames = nameCandidates.filter(
+            (s) => s.length <= 20 && s.trim().length >= 2,
+        );
+        extracted.characterNames = [...new Set(likelyNames)].slice(0, 10);
+        traceStrings(
+            provenance,
+            "characterNames",
+            extracted.characterNames,
+            spans,
+            "name-like string",
+            0.3,
+        );
+    }
+
+    // Profession: the descriptor's field when the blob starts like a player; otherwise known PZ
+    // occupation IDs of the build or professions defined in scripts. Bare IDs (all of B41's)
+    // are also ordinary words, so they only count as a length-prefixed string followed by the
+    // rest of the descriptor and the trait list.
+    const kindOf = (s) => (registry ? registry.kindOf(s) : null);
+    const player = readPlayerDescriptor(buffer);
+    if (player?.descriptor.profession) {
+        extracted.professionIds = [player.descriptor.profession];
+        provenance["professionIds.0"] = {
+            ...player.provenance["descriptor.profession"],
+            pattern: "descriptor profession",
+            confidence: 0.9,
+        };
+    } else {
+        const isProfession = (s) =>
+            (/^(base:)?[a-z0-9]+$/i.test(s) && isProfessionId(s, schema)) ||
+            kindOf(s) === "profession";
+        const inPlace = ({ value, offset, length, prefixed }) =>
+            value.includes(":") ||
+            (prefixed &&
+                isFollowedByTraitList(buffer, offset + length, schema));
+        const professions = located.filter(
+            (s) => isProfession(s.value) && inPlace(s),
+        );
+        if (professions.length) {
+            extracted.professionIds = [
+                ...new Set(professions.map((p) => p.value)),
             ];
-            const usernameFromBuffer = strings.find(
-                (s) =>
-                    s.length >= 3 &&
-                    s.length <= 20 &&
-                    /^[a-zA-Z0-9]+$/.test(s) &&
-                    !s.startsWith("base:") &&
-                    !s.startsWith("Base.") &&
-                    !/^Make[A-Za-z0-9_]*$/i.test(s) &&
-                    !knownNonUsernames.includes(s),
-            );
-            if (usernameFromBuffer)
-                extracted.usernameFromBuffer = usernameFromBuffer;
-
-            // Skill XP / raw numbers for levels (XP amounts per level; level calculation done later in frontend)
-            const namesForXp =
-                extracted.statNames && extracted.statNames.length
-                    ? extracted.statNames
-                    : KNOWN_PZ_SKILL_NAMES;
-            const skillXp = extractSkillXpFromBuffer(buffer, namesForXp);
-            if (Object.keys(skillXp).length) extracted.skillXp = skillXp;
-
-            // Skill levels: reliable decode via [skillName][4-byte BE int] (0–10)
-            const skillLevels = decodePlayerSkills(buffer);
-            if (DEBUG_PZ_DECODE) {
-                debugLog("[decode] player buffer length:", buffer.length);
-                debugLog(
-                    "[decode] skillLevels (decodePlayerSkills):",
-                    Object.keys(skillLevels).length,
-                    Object.keys(skillLevels).length ? skillLevels : "(none)",
-                );
-            }
-            extracted.skillLevels = skillLevels;
-            if (Object.keys(skillLevels).length && !extracted.statNames?.length)
-                extracted.statNames = Object.keys(skillLevels);
-            // Reliable aggregate level (sum of all skill levels) for display/sorting
-            const levelSum = Object.values(skillLevels).reduce(
-                (a, b) => a + b,
-                0,
+            traceStrings(
+                provenance,
+                "professionIds",
+                extracted.professionIds,
+                firstSpans(professions),
+                "known profession ID",
+                0.5,
             );
-            if (Object.keys(skillLevels).length)
-                extracted.playerLevel = levelSum;
         }
-    } catch (e) {
-        extracted._error = e.message || "Decode error";
     }
 
-    return { type, extracted, raw };
+    // Traits: base:xxx that are not professions and not clothing/slots, or traits defined in scripts
+    const traits = strings.filter(
+        (s) =>
+            kindOf(s) === "trait" ||
+            (s.startsWith("base:") &&
+                s.length > 6 &&
+                s.length < 60 &&
+                !isProfessionId(s, schema) &&
+                !kindOf(s) &&
+                !PZ_CLOTHING_SLOT_IDS.has(s.toLowerCase())),
+    );
+    if (traits.length) {
+        extracted.traitOrSkillIds = [...new Set(traits)].slice(0, 50);
+        traceStrings(
+            provenance,
+            "traitOrSkillIds",
+            extracted.traitOrSkillIds,
+            spans,
+            "base: ID",
+            0.5,
+        );
+    }
+
+    // Stats/skills (Strength, Fitness, and common PZ skill names)
+    const statPattern =
+        /^(Strength|Fitness|Sneak|Nimble|Lightfoot|Sprinting|Voice|Carpentry|Cooking|Farming|Fishing|Trapping|Electrical|Metalworking|Mechanics|Tailoring|Aiming|Reloading|Blunt|Axe|SmallBlade|LongBlade|SmallBlunt|Spear|Maintenance|FirstAid)$/i;
+    const statNames = strings.filter((s) => statPattern.test(s));
+    if (statNames.length) {
+        extracted.statNames = [...new Set(statNames)];
+        traceStrings(
+            provenance,
+            "statNames",
+            extracted.statNames,
+            spans,
+            "skill name",
+            0.6,
+        );
+    }
+
+    // Appearance (PZ appearance IDs: hair, beard, face parts)
+    const appearancePattern =
+        /^(M_|F_)?(Hair|Beard|Beard_Stubble|Face)_[A-Za-z0-9_]+$|^[A-Za-z]+(Chin|Nose|Eyes|Hair)$|^(PointyChin|ShortAfroCurly|LongAfro|Bald|Stubble|FullBeard|Goatee|Moustache)$/i;
+    const appearance = strings.filter(
+        (s) =>
+            s.length >= 3 &&
+            s.length <= 50 &&
+            /^[A-Za-z0-9_]+$/.test(s) &&
+            (appearancePattern.test(s) ||
+                /_(Hair|Beard|Chin|Nose|Eyes)/i.test(s)),
+    );
+    if (appearance.length) {
+        extracted.appearance = [...new Set(appearance)].slice(0, 30);
+        traceStrings(
+            provenance,
+            "appearance",
+            extracted.appearance,
+            spans,
+            "appearance ID",
+            0.6,
+        );
+    }
+
+    // Clothing / equipment: Base.* item types and TINT-style
+    const clothingTypes = strings.filter(
+        (s) =>
+            (s.startsWith("Base.") &&
+                s.length < 80 &&
+                /^[A-Za-z0-9_.]+$/.test(s)) ||
+            (/^[A-Za-z0-9_]+TINT$/i.test(s) && s.length < 60),
+    );
+    if (clothingTypes.length) {
+        extracted.clothingTypes = [...new Set(clothingTypes)].slice(0, 50);
+        traceStrings(
+            provenance,
+            "clothingTypes",
+            extracted.clothingTypes,
+            spans,
+            "Base. item type",
+            0.5,
+        );
+    }
+
+    // Short custom names that may be equipment names (exclude character names and known non-equipment)
+    const clothingCustomNames = strings.filter(
+        (s) =>
+            s.length >= 2 &&
+            s.length <= 40 &&
+            /^[\x20-\x7e]+$/.test(s) &&
+            !s.includes(".") &&
+            !s.startsWith("base:") &&
+            !/^(Base|Tooltip|contentAmount|Strength|Fitness|Sneak|Nimble|Make|ID Card|Key Ring)$/i.test(
+                s,
+            ) &&
+            !(extracted.characterNames || []).some((n) => n === s),
+    );
+    if (clothingCustomNames.length) {
+        extracted.clothingCustomNames = [...new Set(clothingCustomNames)].slice(
+            0,
+            20,
+        );
+        traceStrings(
+            provenance,
+            "clothingCustomNames",
+            extracted.clothingCustomNames,
+            spans,
+            "short printable string",
+            0.2,
+        );
+    }
+
+    // Inventory-like strings (ID Card:, Key Ring, 's Key, descriptive lines)
+    const inventoryStrings = strings.filter(
+        (s) =>
+            s.length >= 10 &&
+            s.length <= 80 &&
+            /^[\x20-\x7e]+$/.test(s) &&
+            (s.includes(":") ||
+                s.includes("'") ||
+                /Key Ring|ID Card|Key\b/i.test(s)),
+    );
+    if (inventoryStrings.length) {
+        extracted.inventoryStrings = [...new Set(inventoryStrings)].slice(
+            0,
+            30,
+        );
+        traceStrings(
+            provenance,
+            "inventoryStrings",
+            extracted.inventoryStrings,
+            spans,
+            "descriptive string",
+            0.3,
+        );
+    }
+
+    // Recipes (e.g. Make*, or common PZ recipe prefixes); only a guess, structured decoding reads the real list
+    const recipeIds = strings.filter(
+        (s) =>
+            /^Make[A-Za-z0-9_]*$/i.test(s) ||
+            /^[A-Za-z]+\.[A-Za-z0-9_]+Recipe$/i.test(s),
+    );
+    if (recipeIds.length) {
+        extracted.recipeIds = [...new Set(recipeIds)].slice(0, 100);
+        traceStrings(
+            provenance,
+            "recipeIds",
+            extracted.recipeIds,
+            spans,
+            "Make* or *Recipe name",
+            0.3,
+        );
+    }
+
+    // Username from buffer (optional fallback; primary username remains from DB)
+    // Exclude stat/skill names, appearance, recipes, and other known non-username strings
+    const knownNonUsernames = [
+        ...(extracted.statNames || []),
+        ...(extracted.characterNames || []),
+        ...(extracted.professionIds || []),
+        ...(extracted.traitOrSkillIds || []),
+        ...(extracted.appearance || []).slice(0, 10),
+    ];
+    const usernameFromBuffer = strings.find(
+        (s) =>
+            s.length >= 3 &&
+            s.length <= 20 &&
+            /^[a-zA-Z0-9]+$/.test(s) &&
+            !s.startsWith("base:") &&
+            !s.startsWith("Base.") &&
+            !/^Make[A-Za-z0-9_]*$/i.test(s) &&
+            !knownNonUsernames.includes(s),
+    );
+    if (usernameFromBuffer) {
+        extracted.usernameFromBuffer = usernameFromBuffer;
+        provenance.usernameFromBuffer = {
+            ...spans.get(usernameFromBuffer),
+            pattern: "first unclaimed alphanumeric string",
+            confidence: 0.2,
+        };
+    }
+
+    // Skill XP candidates (raw doubles after each skill name; matched to level thresholds below)
+    const namesForXp =
+        extracted.statNames && extracted.statNames.length
+            ? extracted.statNames
+            : schema
+              ? schema.perkIndexNames
+              : KNOWN_PZ_SKILL_NAMES;
+    const skillXp = extractSkillXpFromBuffer(buffer, namesForXp, provenance);
+    if (Object.keys(skillXp).length) extracted.skillXp = skillXp;
+
+    // Skill levels: reliable decode via [skillName][4-byte BE int] (0–10)
+    const skillLevels = decodePlayerSkills(
+        buffer,
+        schema ? schema.perkIndexNames : getAllPerkNames(),
+        provenance,
+    );
+    if (DEBUG_PZ_DECODE) {
+        debugLog("[decode] player buffer length:", buffer.length);
+        debugLog(
+            "[decode] skillLevels (decodePlayerSkills):",
+            Object.keys(skillLevels).length,
+            Object.keys(skillLevels).length ? skillLevels : "(none)",
+        );
+    }
+    extracted.skillLevels = skillLevels;
+    if (Object.keys(skillLevels).length && !extracted.statNames?.length)
+        extracted.statNames = Object.keys(skillLevels);
+    // Reliable aggregate level (sum of all skill levels) for display/sorting
+    const levelSum = Object.values(skillLevels).reduce((a, b) => a + b, 0);
+    if (Object.keys(skillLevels).length) extracted.playerLevel = levelSum;
+
+    // Keep the XP candidate that falls inside each perk's level range
+    extracted.skills = {};
+    for (const [perk, level] of Object.entries(skillLevels)) {
+        extracted.skills[perk] = computeSkillProgress(perk, {
+            level,
+            xp: pickXpForLevel(perk, level, skillXp[perk] || []),
+        });
+    }
 }
 
 /**
@@ -410,6 +844,16 @@ function decodePzBuffer(buf, type = "vehicle") {
  * Java serialization often uses 2-byte length (big-endian short) + UTF bytes, or null-terminated.
  */
 function extractReadableStrings(buf) {
+    return locateStrings(buf).map((s) => s.value);
+}
+
+/**
+ * extractReadableStrings with the byte span of each string (text only, without the length prefix).
+ * @param {Buffer} buf
+ * @returns {{ value: string, offset: number, length: number, prefixed?: boolean }[]} prefixed
+ *   marks strings read through a 2-byte length rather than up to a null byte
+ */
+function locateStrings(buf) {
     const strings = [];
     let i = 0;
 
@@ -421,7 +865,12 @@ function extractReadableStrings(buf) {
             if (isPrintableUtf8(slice)) {
                 const s = slice.toString("utf8");
                 if (s.length === len) {
-                    strings.push(s);
+                    strings.push({
+                        value: s,
+                        offset: i + 2,
+                        length: len,
+                        prefixed: true,
+                    });
                     i += 2 + len;
                     continue;
                 }
@@ -439,7 +888,11 @@ function extractReadableStrings(buf) {
             )
                 end++;
             if (end - i >= 2 && end - i <= 200) {
-                strings.push(buf.subarray(i, end).toString("utf8"));
+                strings.push({
+                    value: buf.subarray(i, end).toString("utf8"),
+                    offset: i,
+                    length: end - i,
+                });
                 i = end;
                 if (buf[i] === 0) i++;
                 continue;
@@ -452,6 +905,19 @@ function extractReadableStrings(buf) {
     return strings;
 }
 
+/**
+ * First span of each distinct string from locateStrings.
+ * @param {{ value: string, offset: number, length: number }[]} located
+ * @returns {Map<string, { offset: number, length: number }>}
+ */
+function firstSpans(located) {
+    const spans = new Map();
+    for (const { value, offset, length } of located) {
+        if (!spans.has(value)) spans.set(value, { offset, length });
+    }
+    return spans;
+}
+
 function isPrintableUtf8(buf) {
     for (let j = 0; j < buf.length; j++) {
         const b = buf[j];
@@ -462,6 +928,12 @@ function isPrintableUtf8(buf) {
     return true;
 }
 
+/**
+ * How much a level found by each extractSkillLevelsFromBuffer pattern can be trusted:
+ * a zero byte before the int (A) is the most specific, a small int two slots on (C) the least.
+ */
+const SKILL_PATTERN_CONFIDENCE = { A: 0.6, B: 0.5, C: 0.3, D: 0.4 };
+
 /**
  * Extract skill levels from the main skill block.
  * Each skill name can appear multiple times; we take the MAX level (0–10) seen in either
@@ -469,9 +941,11 @@ function isPrintableUtf8(buf) {
  * Tries: [name][0x00?][4-byte], [name][4-byte][4-byte] (first or second int), [name][8-byte double].
  * @param {Buffer} buf - Full player buffer
  * @param {string[]} statNames - e.g. ['Strength', 'Fitness', 'Sneak', ...]
+ * @param {object} [provenance] - When given, the winning occurrence is recorded as
+ *   "skillLevels.<name>" with the pattern (A–D) that matched
  * @returns {{ [skillName: string]: number }} skill name -> level (0–10)
  */
-function extractSkillLevelsFromBuffer(buf, statNames) {
+function extractSkillLevelsFromBuffer(buf, statNames, provenance = null) {
     const skillLevels = {};
     if (!buf || buf.length < 10 || !statNames || statNames.length === 0) {
         if (DEBUG_PZ_DECODE)
@@ -482,6 +956,7 @@ function extractSkillLevelsFromBuffer(buf, statNames) {
     for (const name of statNames) {
         const nameBuf = Buffer.from(name, "utf8");
         let maxLevel = -1;
+        let best = null;
         let i = 0;
         let matchCount = 0;
         while (i <= buf.length - nameBuf.length - 4) {
@@ -492,20 +967,30 @@ function extractSkillLevelsFromBuffer(buf, statNames) {
             matchCount++;
             const after = i + nameBuf.length;
             let level = null;
+            let match = null;
             // Pattern A: 0x00 then 4-byte int
             if (buf[after] === 0 && after + 5 <= buf.length) {
                 const val = buf.readUInt32BE(after + 1);
-                if (val <= 10) level = val;
+                if (val <= 10) {
+                    level = val;
+                    match = { offset: after + 1, length: 4, pattern: "A" };
+                }
             }
             // Pattern B: first 4-byte int
             if (level == null && after + 4 <= buf.length) {
                 const val = buf.readUInt32BE(after);
-                if (val <= 10) level = val;
+                if (val <= 10) {
+                    level = val;
+                    match = { offset: after, length: 4, pattern: "B" };
+                }
             }
             // Pattern C: second 4-byte int
             if (level == null && after + 8 <= buf.length) {
                 const val = buf.readUInt32BE(after + 4);
-                if (val <= 10) level = val;
+                if (val <= 10) {
+                    level = val;
+                    match = { offset: after + 4, length: 4, pattern: "C" };
+                }
             }
             // Pattern D: 8 bytes as double (integer 0–10)
             if (level == null && after + 8 <= buf.length) {
@@ -516,8 +1001,10 @@ function extractSkillLevelsFromBuffer(buf, statNames) {
                         d >= 0 &&
                         d <= 10 &&
                         Math.floor(d) === d
-                    )
+                    ) {
                         level = Math.round(d);
+                        match = { offset: after, length: 8, pattern: "D" };
+                    }
                 } catch (_) {}
             }
             if (DEBUG_PZ_DECODE && matchCount <= 3) {
@@ -545,10 +1032,23 @@ function extractSkillLevelsFromBuffer(buf, statNames) {
                     `[decode]   -> level this occurrence: ${level ?? "none"}, max so far: ${maxLevel}`,
                 );
             }
-            if (level != null && level > maxLevel) maxLevel = level;
+            if (level != null && level > maxLevel) {
+                maxLevel = level;
+                best = match;
+            }
             i = after + 1;
         }
-        if (maxLevel >= 0) skillLevels[name] = maxLevel;
+        if (maxLevel >= 0) {
+            skillLevels[name] = maxLevel;
+            if (provenance) {
+                provenance[`skillLevels.${name}`] = {
+                    offset: best.offset,
+                    length: best.length,
+                    pattern: `pattern ${best.pattern}`,
+                    confidence: SKILL_PATTERN_CONFIDENCE[best.pattern],
+                };
+            }
+        }
         if (DEBUG_PZ_DECODE && name === statNames[0]) {
             debugLog(
                 `[decode] "${name}" total occurrences: ${matchCount}, final level: ${skillLevels[name] ?? "not found"}`,
@@ -560,12 +1060,13 @@ function extractSkillLevelsFromBuffer(buf, statNames) {
 
 /**
  * Extract XP-like numeric values that follow known stat/skill names in the buffer.
- * Used for later level interpretation in the frontend; level calculation is not done here.
+ * These are candidates only; pickXpForLevel keeps the one that fits the decoded level.
  * @param {Buffer} buf - Full player buffer
  * @param {string[]} statNames - e.g. ['Strength', 'Fitness', 'Sneak', ...]
+ * @param {object} [provenance] - When given, each kept value is recorded as "skillXp.<name>.<index>"
  * @returns {{ [skillName: string]: number[] }} skill name -> array of numeric values (XP per level)
  */
-function extractSkillXpFromBuffer(buf, statNames) {
+function extractSkillXpFromBuffer(buf, statNames, provenance = null) {
     const skillXp = {};
     if (!buf || buf.length < 10 || !statNames || statNames.length === 0)
         return skillXp;
@@ -573,6 +1074,7 @@ function extractSkillXpFromBuffer(buf, statNames) {
     for (const name of statNames) {
         const nameBuf = Buffer.from(name, "utf8");
         const values = [];
+        const offsets = new Map();
         let i = 0;
         while (i < buf.length - nameBuf.length - 8) {
             const match =
@@ -582,8 +1084,10 @@ function extractSkillXpFromBuffer(buf, statNames) {
                 if (after + 8 <= buf.length) {
                     try {
                         const val = buf.readDoubleBE(after);
-                        if (Number.isFinite(val) && val >= 0 && val < 1e10)
+                        if (Number.isFinite(val) && val >= 0 && val < 1e10) {
                             values.push(val);
+                            if (!offsets.has(val)) offsets.set(val, after);
+                        }
                     } catch (_) {}
                 }
                 i = after + 1;
@@ -591,9 +1095,27 @@ function extractSkillXpFromBuffer(buf, statNames) {
                 i++;
             }
         }
-        if (values.length) skillXp[name] = [...new Set(values)].slice(0, 15);
+        if (!values.length) continue;
+        skillXp[name] = [...new Set(values)].slice(0, 15);
+        if (provenance) {
+            skillXp[name].forEach((val, k) => {
+                provenance[`skillXp.${name}.${k}`] = {
+                    offset: offsets.get(val),
+                    length: 8,
+                    pattern: "skill name + double",
+                    confidence: 0.3,
+                };
+            });
+        }
     }
     return skillXp;
 }
 
-export { decodePzBuffer };
+export {
+    DECODER_VERSION,
+    decodePzBuffer,
+    decodePlayerSkills,
+    extractReadableStrings,
+    extractSkillLevelsFromBuffer,
+    extractSkillXpFromBuffer,
+};
@@ -0,0 +1,99 @@
+import { PzByteReader } from "./pz-byte-reader.js";
+
+const MAX_CONTAINER_ITEMS = 100000;
+const MAX_CONTAINER_DEPTH = 10;
+
+/**
+ * Read one item record. Items are stored length-prefixed so the record is read
+ * through its own bounded reader; trailing bytes we don't know about are skipped.
+ *   string fullType (e.g. "Base.Axe")
+ *   int    count (identical items are stored once)
+ *   int    condition, int conditionMax
+ *   byte   equipped (worn or held)
+ *   byte   hasCustomName, [string customName]
+ *   byte   isContainer, [container]
+ * @param {PzByteReader} r - Reader positioned at the item's inner bytes
+ * @param {number} depth - Current nesting depth
+ * @param {string} path - Provenance path of the item
+ */
+function readItem(r, depth, path) {
+    const fullType = r.readString(200);
+    const count = r.readCount("stacked item", MAX_CONTAINER_ITEMS);
+    const condition = r.readInt();
+    const conditionMax = r.readInt();
+    const equipped = r.readBool();
+    const customName = r.readBool() ? r.readString(200) : null;
+    const item = {
+        fullType,
+        count,
+        condition,
+        conditionMax,
+        equipped,
+        customName,
+    };
+    if (r.readBool())
+        item.container = readContainer(r, depth + 1, `${path}.container`);
+    return item;
+}
+
+/**
+ * Read an ItemContainer: string type, int itemCount, then (int length, item bytes)
+ * per item. Bags and other container items nest their own container.
+ * The container and each item are recorded under path ("<path>.items.<i>" for items).
+ * @param {PzByteReader} r
+ * @param {number} [depth]
+ * @param {string} [path] - Provenance path of the container
+ * @returns {{ type: string, items: object[] }}
+ */
+function readContainer(r, depth = 0, path = "container") {
+    if (depth > MAX_CONTAINER_DEPTH) {
+        throw new Error(`Containers nested deeper than ${MAX_CONTAINER_DEPTH}`);
+    }
+    const containerStart = r.offset;
+    const type = r.readString(64);
+    const itemCount = r.readCount("container item", MAX_CONTAINER_ITEMS);
+    const items = [];
+    for (let i = 0; i < itemCount; i++) {
+        const itemStart = r.offset;
+        const length = r.readCount("item byte", r.remaining());
+        const start = r.offset;
+        r.skip(length);
+        const itemReader = new PzByteReader(
+            r.buffer.subarray(0, start + length),
+            start,
+            r.provenance,
+        );
+        const itemPath = `${path}.items.${i}`;
+        items.push(readItem(itemReader, depth, itemPath));
+        r.record(itemPath, itemStart);
+    }
+    r.record(path, containerStart);
+    return { type, items };
+}
+
+/**
+ * Total number of items in a container tree, counting stacks and nested contents.
+ * @param {{ items: object[] }} container
+ */
+function countItems(container) {
+    return container.items.reduce(
+        (sum, item) =>
+            sum +
+            item.count +
+            (item.container ? countItems(item.container) : 0),
+        0,
+    );
+}
+
+/**
+ * Flatten a container tree into its items, depth-first.
+ * @param {{ items: object[] }} container
+ * @returns {object[]}
+ */
+function flattenItems(container) {
+    return container.items.flatMap((item) =>
+        item.container ? [item, ...flattenItems(item.container)] : [item],
+    );
+}
+
+export { readContainer, countItems, flattenItems };
@@ -0,0 +1,382 @@
+import { PzByteReader } from "./pz-byte-reader.js";
+import { readContainer } from "./decode-pz-inventory.js";
+import { getSchemaForWorldVersion } from "./pz-build-schemas.js";
+
+const MAX_TRAITS = 200;
+const MAX_PERKS = 100;
+const MAX_BODY_PARTS = 64;
+const MAX_LITERATURE = 10000;
+
+/** Bits of the per-body-part wound flags byte. */
+const WOUND_FLAGS = {
+    scratched: 0x01,
+    lacerated: 0x02,
+    bitten: 0x04,
+    bleeding: 0x08,
+    fractured: 0x10,
+    bandaged: 0x20,
+};
+
+/**
+ * Read the BodyDamage block:
+ *   float overallHealth (0–100), byte infected, float infectionLevel (0–100)
+ *   int partCount, (string part, float health, byte woundFlags)[]
+ * @param {PzByteReader} r
+ */
+function readBodyDamage(r) {
+    const overallHealth = r.track("health.overallHealth", () => r.readFloat());
+    const infected = r.track("health.infected", () => r.readBool());
+    const infectionLevel = r.track("health.infectionLevel", () =>
+        r.readFloat(),
+    );
+    if (!(overallHealth >= 0 && overallHealth <= 100)) {
+        throw new Error(`Implausible overall health ${overallHealth}`);
+    }
+    if (!(infectionLevel >= 0 && infectionLevel <= 100)) {
+        throw new Error(`Implausible infection level ${infectionLevel}`);
+    }
+    const bodyParts = [];
+    const partCount = r.readCount("body part", MAX_BODY_PARTS);
+    for (let i = 0; i < partCount; i++) {
+        const start = r.offset;
+        const part = r.readString(64);
+        const health = r.readFloat();
+        const flags = r.readByte();
+        const bodyPart = { part, health };
+        for (const [name, bit] of Object.entries(WOUND_FLAGS)) {
+            bodyPart[name] = (flags & bit) !== 0;
+        }
+        bodyParts.push(bodyPart);
+        r.record(`health.bodyParts.${i}`, start);
+    }
+    return { overallHealth, infected, infectionLevel, bodyParts };
+}
+
+/** Stats floats in save order. */
+const STAT_FIELDS = [
+    "hunger",
+    "thirst",
+    "fatigue",
+    "endurance",
+    "panic",
+    "stress",
+    "boredom",
+    "unhappiness",
+];
+
+/**
+ * Read the Stats and Nutrition blocks:
+ *   float hunger, thirst, fatigue, endurance, stress (0–1); panic, boredom, unhappiness (0–100)
+ *   double weight (kg), double calories
+ * @param {PzByteReader} r
+ */
+function readVitals(r) {
+    const vitals = {};
+    for (const field of STAT_FIELDS) {
+        vitals[field] = r.track(`vitals.${field}`, () => r.readFloat());
+    }
+    vitals.weight = r.track("vitals.weight", () => r.readDouble());
+    vitals.calories = r.track("vitals.calories", () => r.readDouble());
+    for (const [field, value] of Object.entries(vitals)) {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Implausible ${field} ${value}`);
+        }
+    }
+    return vitals;
+}
+
+/**
+ * Read the survival block:
+ *   double hoursSurvived, int zombieKills, int survivorKills
+ *   byte dead, [double worldHoursAtDeath]
+ * @param {PzByteReader} r
+ */
+function readSurvival(r) {
+    const hoursSurvived = r.track("survival.hoursSurvived", () =>
+        r.readDouble(),
+    );
+    const zombieKills = r.track("survival.zombieKills", () => r.readInt());
+    const survivorKills = r.track("survival.survivorKills", () => r.readInt());
+    if (!(hoursSurvived >= 0) || zombieKills < 0 || survivorKills < 0) {
+        throw new Error("Implausible survival statistics");
+    }
+    const dead = r.track("survival.dead", () => r.readBool());
+    const diedAtHours = dead
+        ? r.track("survival.diedAtHours", () => r.readDouble())
+        : null;
+    return { hoursSurvived, zombieKills, survivorKills, dead, diedAtHours };
+}
+
+/**
+ * Read the XP boosts block:
+ *   int bookCount, (int perkIndex, float multiplier, int minLevel, int maxLevel)[] (skill books)
+ *   int boostCount, (int perkIndex, int boostLevel)[] (traits and profession, 0–3)
+ * @param {PzByteReader} r
+ * @param {object} schema - Build schema, for perk indices
+ */
+function readXpBoosts(r, schema) {
+    const perkName = (index) => {
+        const name = schema.perkIndexNames[index];
+        if (!name) throw new Error(`Unknown perk index ${index}`);
+        return name;
+    };
+    const books = {};
+    const bookCount = r.readCount("xp multiplier", MAX_PERKS);
+    for (let i = 0; i < bookCount; i++) {
+        const start = r.offset;
+        const name = perkName(r.readInt());
+        const multiplier = r.readFloat();
+        const minLevel = r.readInt();
+        const maxLevel = r.readInt();
+        if (!(multiplier > 0) || minLevel < 0 || maxLevel > 10) {
+            throw new Error(`Implausible XP multiplier for "${name}"`);
+        }
+        books[name] = { multiplier, minLevel, maxLevel };
+        r.record(`xpBoosts.books.${name}`, start);
+    }
+    const traitBoosts = {};
+    const boostCount = r.readCount("perk boost", MAX_PERKS);
+    for (let i = 0; i < boostCount; i++) {
+        const start = r.offset;
+        const name = perkName(r.readInt());
+        const boost = r.readInt();
+        if (boost < 0 || boost > 3) {
+            throw new Error(`Perk "${name}" has boost ${boost}`);
+        }
+        traitBoosts[name] = boost;
+        r.record(`xpBoosts.traitBoosts.${name}`, start);
+    }
+    return { books, traitBoosts };
+}
+
+/**
+ * Read the literature block:
+ *   int knownRecipeCount, string[] recipes (from magazines, professions and traits)
+ *   int skillBookCount, (string fullType, int pagesRead, int pageCount)[] books started or finished
+ *   int readCount, string[] fullTypes of other read literature (magazines, comics, flyers)
+ *   int mediaCount, string[] IDs of watched or listened recorded media (VHS, CDs)
+ * @param {PzByteReader} r
+ */
+function readLiterature(r) {
+    const readStrings = (what, path) => {
+        const list = [];
+        const count = r.readCount(what, MAX_LITERATURE);
+        for (let i = 0; i < count; i++) {
+            list.push(r.track(`${path}.${i}`, () => r.readString(200)));
+        }
+        return list;
+    };
+    const knownRecipes = readStrings("known recipe", "literature.knownRecipes");
+    const skillBooks = [];
+    const bookCount = r.readCount("skill book", MAX_LITERATURE);
+    for (let i = 0; i < bookCount; i++) {
+        const start = r.offset;
+        const fullType = r.readString(200);
+        const pagesRead = r.readInt();
+        const pageCount = r.readInt();
+        if (pageCount <= 0 || pagesRead < 0 || pagesRead > pageCount) {
+            throw new Error(
+                `Book "${fullType}" has ${pagesRead} of ${pageCount} pages read`,
+            );
+        }
+        skillBooks.push({
+            fullType,
+            pagesRead,
+            pageCount,
+            finished: pagesRead === pageCount,
+        });
+        r.record(`literature.skillBooks.${i}`, start);
+    }
+    const readLiterature = readStrings(
+        "read literature",
+        "literature.readLiterature",
+    );
+    const watchedMedia = readStrings(
+        "watched media",
+        "literature.watchedMedia",
+    );
+    return { knownRecipes, skillBooks, readLiterature, watchedMedia };
+}
+
+/**
+ * Read the header and the character descriptor, the start of readPlayerBlob's layout.
+ * @param {PzByteReader} r
+ */
+function readHeaderAndDescriptor(r) {
+    const worldVersion = r.track("worldVersion", () => r.readInt());
+    const schema =
+        worldVersion <= 10000 ? getSchemaForWorldVersion(worldVersion) : null;
+    if (!schema) throw new Error(`Implausible world version ${worldVersion}`);
+    if (r.readByte() !== 1) throw new Error("Player blob is not serialized");
+    const objectName = r.readString(64);
+    if (objectName !== "IsoPlayer") {
+        throw new Error(`Unexpected object name "${objectName}"`);
+    }
+
+    const descriptor = {
+        id: r.track("descriptor.id", () => r.readInt()),
+        forename: r.track("descriptor.forename", () => r.readString(100)),
+        surname: r.track("descriptor.surname", () => r.readString(100)),
+        profession: r.track("descriptor.profession", () => r.readString(100)),
+        female: r.track("descriptor.female", () => r.readBool()),
+    };
+    if (schema.layout.descriptorHasVoice) {
+        descriptor.voicePrefix = r.track("descriptor.voicePrefix", () =>
+            r.readString(100),
+        );
+        descriptor.voiceType = r.track("descriptor.voiceType", () =>
+            r.readInt(),
+        );
+    }
+    return { worldVersion, schema, descriptor };
+}
+
+/**
+ * Read the header and descriptor of a player blob readPlayerBlob rejects further on (e.g. in
+ * the inventory), so the heuristic decoder can take the profession from its real offset.
+ * @param {Buffer} buffer - Player 'data' blob
+ * @returns {{ schema: object, descriptor: object, provenance: object } | null} null when
+ *   the blob does not start like a player
+ */
+function readPlayerDescriptor(buffer) {
+    const provenance = {};
+    try {
+        const { schema, descriptor } = readHeaderAndDescriptor(
+            new PzByteReader(buffer, 0, provenance),
+        );
+        return { schema, descriptor, provenance };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether the bytes after a string fit the rest of the descriptor and the trait list, as they
+ * do after the profession: byte female, [B42: string voicePrefix, int voiceType], int
+ * traitCount and, when there are traits, a readable first trait.
+ * @param {Buffer} buffer
+ * @param {number} end - Offset just past the string
+ * @param {object | null} schema - Build schema; null tries both layouts
+ */
+function isFollowedByTraitList(buffer, end, schema) {
+    const layouts = schema
+        ? [schema.layout]
+        : [{ descriptorHasVoice: false }, { descriptorHasVoice: true }];
+    return layouts.some((layout) => {
+        try {
+            const r = new PzByteReader(buffer, end);
+            if (r.readByte() > 1) return false;
+            if (layout.descriptorHasVoice) {
+                r.readString(100);
+                r.readInt();
+            }
+            const count = r.readInt();
+            if (count < 0 || count > MAX_TRAITS) return false;
+            return count === 0 || /^[\x20-\x7e]+$/.test(r.readString(100));
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * Read the IsoPlayer save layout field by field:
+ *   int    worldVersion
+ *   byte   serialize flag (1)
+ *   string objectName ("IsoPlayer")
+ *   descriptor: int id, string forename, string surname, string profession, byte female,
+ *               [B42: string voicePrefix, int voiceType]
+ *   int traitCount, string[] traits
+ *   int perkCount, (string perk, int level)[]
+ *   int xpCount, (int perkIndex, float xp)[] (index into the build's perk enum)
+ *   inventory: container (see readContainer), bags nest their contents
+ *   body damage (see readBodyDamage), absent in blobs that end after the inventory
+ *   stats and nutrition (see readVitals), absent in blobs that end after body damage
+ *   survival statistics (see readSurvival), absent in blobs that end after the vitals
+ *   XP boosts (see readXpBoosts), absent in blobs that end after the survival statistics
+ *   recipes, books and media (see readLiterature), absent in blobs that end after the XP boosts
+ * Throws on any field that does not fit the layout so callers can fall back to heuristics.
+ * provenance maps dotted field paths ("perks.Strength", "inventory.items.0") to their bytes.
+ * @param {Buffer} buffer - Player 'data' blob
+ * @returns {{
+ *   worldVersion: number,
+ *   build: string,
+ *   descriptor: { id: number, forename: string, surname: string, profession: string, female: boolean },
+ *   traits: string[],
+ *   perks: { [perk: string]: number },
+ *   xp: { [perk: string]: number },
+ *   inventory: { type: string, items: object[] },
+ *   health: ReturnType<typeof readBodyDamage> | null,
+ *   vitals: ReturnType<typeof readVitals> | null,
+ *   survival: ReturnType<typeof readSurvival> | null,
+ *   xpBoosts: ReturnType<typeof readXpBoosts> | null,
+ *   literature: ReturnType<typeof readLiterature> | null,
+ *   provenance: { [field: string]: { offset: number, length: number } },
+ * }}
+ */
+function readPlayerBlob(buffer) {
+    const provenance = {};
+    const r = new PzByteReader(buffer, 0, provenance);
+
+    const { worldVersion, schema, descriptor } = readHeaderAndDescriptor(r);
+
+    const traits = [];
+    const traitCount = r.readCount("trait", MAX_TRAITS);
+    for (let i = 0; i < traitCount; i++) {
+        traits.push(r.track(`traits.${i}`, () => r.readString(100)));
+    }
+
+    const perks = {};
+    const perkCount = r.readCount("perk", MAX_PERKS);
+    for (let i = 0; i < perkCount; i++) {
+        const start = r.offset;
+        const name = r.readString(64);
+        const level = r.readInt();
+        if (level < 0 || level > 10) {
+            throw new Error(`Perk "${name}" has level ${level}`);
+        }
+        perks[name] = level;
+        r.record(`perks.${name}`, start);
+    }
+
+    const xp = {};
+    const xpCount = r.readCount("xp", MAX_PERKS);
+    for (let i = 0; i < xpCount; i++) {
+        const start = r.offset;
+        const index = r.readInt();
+        const amount = r.readFloat();
+        const name = schema.perkIndexNames[index];
+        if (!name) throw new Error(`Unknown perk index ${index}`);
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw new Error(`Perk "${name}" has XP ${amount}`);
+        }
+        xp[name] = amount;
+        r.record(`xp.${name}`, start);
+    }
+
+    const inventory = readContainer(r, 0, "inventory");
+    const health = r.remaining() > 0 ? readBodyDamage(r) : null;
+    const vitals = health && r.remaining() > 0 ? readVitals(r) : null;
+    const survival = vitals && r.remaining() > 0 ? readSurvival(r) : null;
+    const xpBoosts =
+        survival && r.remaining() > 0 ? readXpBoosts(r, schema) : null;
+    const literature = xpBoosts && r.remaining() > 0 ? readLiterature(r) : null;
+
+    return {
+        worldVersion,
+        build: schema.build,
+        descriptor,
+        traits,
+        perks,
+        xp,
+        inventory,
+        health,
+        vitals,
+        survival,
+        xpBoosts,
+        literature,
+        provenance,
+    };
+}
+
+export { readPlayerBlob, readPlayerDescriptor, isFollowedByTraitList };
@@ -0,0 +1,147 @@
+import { PzByteReader } from "./pz-byte-reader.js";
+import { readContainer, countItems } from "./decode-pz-inventory.js";
+import { getSchemaForWorldVersion } from "./pz-build-schemas.js";
+
+const MAX_PARTS = 200;
+const MAX_TABLE_ENTRIES = 500;
+
+/** Tags used by the serialized modData tables. */
+const TABLE_TAG_DOUBLE = 0;
+const TABLE_TAG_STRING = 1;
+const TABLE_TAG_BOOL = 2;
+
+/**
+ * Read a modData table: int count, then (string key, byte tag, value) entries.
+ * Each value is recorded as "<path>.<key>".
+ * @param {PzByteReader} r
+ * @param {string} path - Provenance path of the table
+ * @returns {{ [key: string]: number | string | boolean }}
+ */
+function readTable(r, path) {
+    const table = {};
+    const count = r.readCount("table entry", MAX_TABLE_ENTRIES);
+    for (let i = 0; i < count; i++) {
+        const start = r.offset;
+        const key = r.readString(100);
+        const tag = r.readByte();
+        if (tag === TABLE_TAG_DOUBLE) table[key] = r.readDouble();
+        else if (tag === TABLE_TAG_STRING) table[key] = r.readString();
+        else if (tag === TABLE_TAG_BOOL) table[key] = r.readBool();
+        else throw new Error(`Unknown table tag ${tag} for key "${key}"`);
+        r.record(`${path}.${key}`, start);
+    }
+    return table;
+}
+
+function isDoorPart(id) {
+    return /^Door/.test(id) || id === "TrunkDoor";
+}
+
+function isTirePart(id) {
+    return /^Tire/.test(id);
+}
+
+/**
+ * Turn a raw part record into the fields the API exposes.
+ * Only the values that apply to the part's kind are set.
+ */
+function describePart(raw) {
+    const part = {
+        id: raw.id,
+        itemType: raw.itemType,
+        installed: raw.itemType != null,
+        condition: raw.condition,
+    };
+    const data = raw.data;
+    if (raw.id === "GasTank") {
+        if (typeof data.contentAmount === "number")
+            part.fuelAmount = data.contentAmount;
+        if (typeof data.capacity === "number")
+            part.fuelCapacity = data.capacity;
+    }
+    if (raw.id === "Battery" && typeof data.charge === "number")
+        part.batteryCharge = data.charge;
+    if (isTirePart(raw.id) && typeof data.pressure === "number")
+        part.tirePressure = data.pressure;
+    if (isDoorPart(raw.id)) {
+        if (typeof data.locked === "boolean") part.locked = data.locked;
+        if (typeof data.open === "boolean") part.open = data.open;
+    }
+    if (raw.container) part.itemCount = countItems(raw.container);
+    return part;
+}
+
+/**
+ * Read the BaseVehicle save layout field by field:
+ *   int    worldVersion
+ *   byte   serialize flag (1)
+ *   string objectName ("BaseVehicle")
+ *   string scriptName (e.g. "Base.PickUpTruck")
+ *   int    keyId (-1 when the vehicle has no key)
+ *   int    engineQuality, int engineLoudness, int enginePower
+ *   table  modData (customName, ...)
+ *   int    partCount, parts:
+ *     string id, byte hasItem, [string itemType], int condition (0–100),
+ *     table data (contentAmount, capacity, charge, pressure, locked, open),
+ *     byte hasContainer, [container] (trunk, glovebox, seats; see readContainer)
+ * Throws on any field that does not fit the layout so callers can fall back to heuristics.
+ * provenance maps dotted field paths ("parts.3.condition", "containers.0") to their bytes.
+ * @param {Buffer} buffer - Vehicle 'data' blob
+ */
+function readVehicleBlob(buffer) {
+    const provenance = {};
+    const r = new PzByteReader(buffer, 0, provenance);
+
+    const worldVersion = r.track("worldVersion", () => r.readInt());
+    const schema =
+        worldVersion <= 10000 ? getSchemaForWorldVersion(worldVersion) : null;
+    if (!schema) throw new Error(`Implausible world version ${worldVersion}`);
+    if (r.readByte() !== 1) throw new Error("Vehicle blob is not serialized");
+    const objectName = r.readString(64);
+    if (objectName !== "BaseVehicle") {
+        throw new Error(`Unexpected object name "${objectName}"`);
+    }
+
+    const scriptName = r.track("scriptName", () => r.readString(200));
+    const keyId = r.track("keyId", () => r.readInt());
+    const engine = {
+        quality: r.track("engine.quality", () => r.readInt()),
+        loudness: r.track("engine.loudness", () => r.readInt()),
+        power: r.track("engine.power", () => r.readInt()),
+    };
+    const modData = readTable(r, "modData");
+
+    const parts = [];
+    const containers = [];
+    const partCount = r.readCount("part", MAX_PARTS);
+    for (let i = 0; i < partCount; i++) {
+        const start = r.offset;
+        const id = r.readString(64);
+        const itemType = r.readBool() ? r.readString(200) : null;
+        const condition = r.track(`parts.${i}.condition`, () => r.readInt());
+        if (condition < 0 || condition > 100) {
+            throw new Error(`Part "${id}" has condition ${condition}`);
+        }
+        const data = readTable(r, `parts.${i}.data`);
+        const container = r.readBool()
+            ? readContainer(r, 0, `containers.${containers.length}`)
+            : null;
+        parts.push(describePart({ id, itemType, condition, data, container }));
+        if (container) containers.push(container);
+        r.record(`parts.${i}`, start);
+    }
+
+    return {
+        worldVersion,
+        build: schema.build,
+        scriptName,
+        keyId,
+        engine,
+        modData,
+        parts,
+        containers,
+        provenance,
+    };
+}
+
+export { readVehicleBlob };
@@ -0,0 +1,22 @@
+import { parentPort, workerData } from "node:worker_threads";
+import { decodePzBuffer } from "./decode-pz-buffer.js";
+import { ScriptRegistry } from "./pz-script-registry.js";
+
+/**
+ * Decode pool worker: decodes one blob per message and posts back the extracted fields.
+ */
+const registry = ScriptRegistry.fromEntries(workerData.registryEntries || []);
+
+parentPort.on("message", ({ id, buffer, type, worldVersion }) => {
+    try {
+        const { extracted } = decodePzBuffer(Buffer.from(buffer), type, {
+            worldVersion,
+            registry,
+        });
+        parentPort.postMessage({ id, extracted });
+    } catch (e) {
+        parentPort.postMessage({ id, error: e.message || "Decode error" });
+    }
+});
+
+parentPort.postMessage({ ready: true });
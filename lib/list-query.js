@@ -0,0 +1,405 @@
+/** Rows per page when the request gives no limit. */
+const DEFAULT_PAGE_SIZE = 50;
+/** Largest page one request may ask for. */
+const MAX_PAGE_SIZE = 500;
+/** Bytes of a raw blob returned when the request gives no length. */
+const RAW_DEFAULT_LENGTH = 64 * 1024;
+/** Largest byte range one raw request may ask for. */
+const RAW_MAX_LENGTH = 1024 * 1024;
+
+/** Vital stats stored under extracted.vitals, sortable as "vitals.<key>". */
+const VITAL_KEYS = [
+    "hunger",
+    "thirst",
+    "fatigue",
+    "endurance",
+    "panic",
+    "stress",
+    "boredom",
+    "unhappiness",
+    "weight",
+    "calories",
+];
+
+/** Perk names as the decoder keys them in extracted.skills, e.g. "Mechanics", "Woodwork". */
+const SKILL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,47}$/;
+
+/** Sortable player columns and the SQL they sort on. */
+const PLAYER_SORT_COLUMNS = {
+    id: "id",
+    name: "name",
+    username: "username",
+    profession: "profession",
+    hoursSurvived: "hours_survived",
+    zombieKills: "zombie_kills",
+    survivorKills: "survivor_kills",
+    dead: "is_dead",
+    diedAtHours: "died_at_hours",
+    infected: "json_extract(extracted_json, '$.infected')",
+    x: "x",
+    y: "y",
+    z: "z",
+};
+
+/** Sortable vehicle columns and the SQL they sort on. */
+const VEHICLE_SORT_COLUMNS = {
+    id: "id",
+    type: "type",
+    partCount: "part_count",
+    x: "x",
+    y: "y",
+};
+
+/**
+ * Error for a list query the API cannot run, with err.code "INVALID_LIST_QUERY"; the routes
+ * answer it with 400 and the message.
+ * @param {string} message
+ */
+function invalidQuery(message) {
+    const err = new Error(message);
+    err.code = "INVALID_LIST_QUERY";
+    return err;
+}
+
+/**
+ * A query parameter that may be given several times (?trait=a&trait=b), as a list of
+ * non-empty strings.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function listParam(value) {
+    if (value === undefined) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter((v) => typeof v === "string" && v.trim() !== "");
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} name
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ */
+function integerParam(value, name, fallback, min, max) {
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (
+        typeof value !== "string" ||
+        !Number.isInteger(n) ||
+        n < min ||
+        n > max
+    ) {
+        throw invalidQuery(
+            max === Infinity
+                ? `${name} must be an integer of at least ${min}`
+                : `${name} must be an integer from ${min} to ${max}`,
+        );
+    }
+    return n;
+}
+
+/**
+ * ?bbox=minX,minY,maxX,maxY in world tiles; the edges are inside the box.
+ * @param {unknown} value
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number } | null}
+ */
+function parseBoundingBox(value) {
+    if (value === undefined) return null;
+    const parts = typeof value === "string" ? value.split(",").map(Number) : [];
+    if (
+        parts.length !== 4 ||
+        !parts.every(Number.isFinite) ||
+        parts[0] > parts[2] ||
+        parts[1] > parts[3]
+    ) {
+        throw invalidQuery(
+            "bbox must be minX,minY,maxX,maxY with min no greater than max",
+        );
+    }
+    const [minX, minY, maxX, maxY] = parts;
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * ?sort= and ?order=asc|desc. Players also sort by "skills.<Perk>" (level) and
+ * "vitals.<key>".
+ * @param {object} query
+ * @param {"player" | "vehicle"} kind
+ * @returns {{ key: string, order: "asc" | "desc" }}
+ */
+function parseSort(query, kind) {
+    const key = query.sort === undefined ? "id" : query.sort;
+    const order = query.order === undefined ? "asc" : query.order;
+    if (order !== "asc" && order !== "desc") {
+        throw invalidQuery("order must be asc or desc");
+    }
+    const columns =
+        kind === "player" ? PLAYER_SORT_COLUMNS : VEHICLE_SORT_COLUMNS;
+    if (typeof key === "string" && Object.hasOwn(columns, key)) {
+        return { key, order };
+    }
+    if (kind === "player" && typeof key === "string") {
+        const [group, name, ...rest] = key.split(".");
+        if (
+            rest.length === 0 &&
+            group === "skills" &&
+            SKILL_NAME_PATTERN.test(name || "")
+        ) {
+            return { key, order };
+        }
+        if (
+            rest.length === 0 &&
+            group === "vitals" &&
+            VITAL_KEYS.includes(name)
+        ) {
+            return { key, order };
+        }
+    }
+    throw invalidQuery(
+        kind === "player"
+            ? `sort must be one of ${Object.keys(columns).join(", ")}, skills.<Perk> or vitals.<stat>`
+            : `sort must be one of ${Object.keys(columns).join(", ")}`,
+    );
+}
+
+/**
+ * Paging shared by both lists: ?limit= (default 50, at most 500) and ?offset= (default 0).
+ * @param {object} query
+ */
+function parsePage(query) {
+    return {
+        limit: integerParam(
+            query.limit,
+            "limit",
+            DEFAULT_PAGE_SIZE,
+            1,
+            MAX_PAGE_SIZE,
+        ),
+        offset: integerParam(query.offset, "offset", 0, 0, Infinity),
+    };
+}
+
+/**
+ * Options for a page of players from the request's query string:
+ * ?q= (name, username or profession contains), ?profession= (any of), ?trait=, ?book= (finished),
+ * ?literature=, ?media= (all of), ?recipe= (any of), ?infected=true|false, ?bbox=, ?sort=, ?order=,
+ * ?limit=, ?offset=. Repeat a parameter to give several values. ?query= is a player query (see
+ * parsePlayerQuery), passed on as text; the route parses it.
+ * @param {object} query - req.query
+ * @returns {object} Throws an INVALID_LIST_QUERY error for bad parameters
+ */
+function parsePlayerListQuery(query) {
+    const infected = query.infected;
+    if (infected !== undefined && infected !== "true" && infected !== "false") {
+        throw invalidQuery("infected must be true or false");
+    }
+    return {
+        ...parsePage(query),
+        sort: parseSort(query, "player"),
+        q: typeof query.q === "string" ? query.q.trim() : "",
+        professions: listParam(query.profession),
+        traits: listParam(query.trait),
+        recipes: listParam(query.recipe),
+        books: listParam(query.book),
+        literature: listParam(query.literature),
+        media: listParam(query.media),
+        infected: infected === undefined ? null : infected === "true",
+        bbox: parseBoundingBox(query.bbox),
+        query: typeof query.query === "string" ? query.query.trim() : "",
+    };
+}
+
+/**
+ * Options for a page of vehicles from the request's query string:
+ * ?q= (type contains), ?type= (any of), ?bbox=, ?sort=, ?order=, ?limit=, ?offset=.
+ * @param {object} query - req.query
+ * @returns {object} Throws an INVALID_LIST_QUERY error for bad parameters
+ */
+function parseVehicleListQuery(query) {
+    return {
+        ...parsePage(query),
+        sort: parseSort(query, "vehicle"),
+        q: typeof query.q === "string" ? query.q.trim() : "",
+        types: listParam(query.type),
+        bbox: parseBoundingBox(query.bbox),
+    };
+}
+
+/**
+ * Byte range and encoding for a row's raw blob from the request's query string: ?offset=
+ * (default 0), ?length= (default 64 KiB, at most 1 MiB) and ?format=hex|base64 (default hex).
+ * @param {object} query - req.query
+ * @returns {{ offset: number, length: number, format: "hex" | "base64" }} Throws an
+ *   INVALID_LIST_QUERY error for bad parameters
+ */
+function parseRawBytesQuery(query) {
+    const format = query.format === undefined ? "hex" : query.format;
+    if (format !== "hex" && format !== "base64") {
+        throw invalidQuery("format must be hex or base64");
+    }
+    return {
+        offset: integerParam(query.offset, "offset", 0, 0, Infinity),
+        length: integerParam(
+            query.length,
+            "length",
+            RAW_DEFAULT_LENGTH,
+            1,
+            RAW_MAX_LENGTH,
+        ),
+        format,
+    };
+}
+
+/**
+ * Escape LIKE wildcards so the search text matches literally (with ESCAPE '\').
+ * @param {string} text
+ */
+function likePattern(text) {
+    return `%${text.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+/** Condition that a JSON array in extracted_json, e.g. the trait ids, contains the bound value. */
+const HAS_VALUE = (path) =>
+    `EXISTS (SELECT 1 FROM json_each(extracted_json, '${path}') WHERE value = ?)`;
+
+/**
+ * ORDER BY for a parsed sort. Rows without a value go last in either order; ties keep id order.
+ * @param {{ key: string, order: "asc" | "desc" }} sort
+ * @param {{ [key: string]: string }} columns
+ * @returns {{ sql: string, params: unknown[] }}
+ */
+function orderBySql(sort, columns) {
+    const direction = sort.order === "desc" ? "DESC" : "ASC";
+    let expr = columns[sort.key];
+    const params = [];
+    if (!expr) {
+        const [group, name] = sort.key.split(".");
+        expr = "json_extract(extracted_json, ?)";
+        params.push(
+            group === "skills"
+                ? `$.skills."${name}".level`
+                : `$.vitals."${name}"`,
+        );
+    }
+    if (sort.key === "id") return { sql: `id ${direction}`, params };
+    return {
+        sql: `(${expr}) IS NULL, ${expr} ${direction}, id ASC`,
+        params: [...params, ...params],
+    };
+}
+
+/**
+ * WHERE and ORDER BY for a page of cache_players.
+ * @param {object} options - parsePlayerListQuery output
+ * @param {string[]} [professionMatches] - Professions whose display name contains options.q
+ * @param {{ sql: string, params: unknown[] } | null} [queryWhere] - The part of a player query
+ *   SQL can evaluate (see playerQuerySql)
+ * @returns {{ where: string, whereParams: unknown[], orderBy: string, orderParams: unknown[] }}
+ */
+function playerListSql(options, professionMatches = [], queryWhere = null) {
+    const conditions = [];
+    const params = [];
+    if (options.q) {
+        conditions.push(
+            "(name LIKE ? ESCAPE '\\' OR username LIKE ? ESCAPE '\\' OR profession LIKE ? ESCAPE '\\' OR profession IN (SELECT value FROM json_each(?)))",
+        );
+        const pattern = likePattern(options.q);
+        params.push(
+            pattern,
+            pattern,
+            pattern,
+            JSON.stringify(professionMatches),
+        );
+    }
+    if (options.professions.length) {
+        conditions.push("profession IN (SELECT value FROM json_each(?))");
+        params.push(JSON.stringify(options.professions));
+    }
+    for (const trait of options.traits) {
+        conditions.push(HAS_VALUE("$.traitOrSkillIds"));
+        params.push(trait);
+    }
+    if (options.recipes.length) {
+        conditions.push(
+            "EXISTS (SELECT 1 FROM json_each(extracted_json, '$.recipeIds') WHERE value IN (SELECT value FROM json_each(?)))",
+        );
+        params.push(JSON.stringify(options.recipes));
+    }
+    for (const book of options.books) {
+        conditions.push(
+            "EXISTS (SELECT 1 FROM json_each(extracted_json, '$.skillBooks') WHERE json_extract(value, '$.fullType') = ? AND json_extract(value, '$.finished') = 1)",
+        );
+        params.push(book);
+    }
+    for (const item of options.literature) {
+        conditions.push(HAS_VALUE("$.readLiterature"));
+        params.push(item);
+    }
+    for (const item of options.media) {
+        conditions.push(HAS_VALUE("$.watchedMedia"));
+        params.push(item);
+    }
+    if (options.infected != null) {
+        conditions.push("json_extract(extracted_json, '$.infected') = ?");
+        params.push(options.infected ? 1 : 0);
+    }
+    addBoundingBox(options.bbox, conditions, params);
+    if (queryWhere) {
+        conditions.push(`(${queryWhere.sql})`);
+        params.push(...queryWhere.params);
+    }
+    const order = orderBySql(options.sort, PLAYER_SORT_COLUMNS);
+    return {
+        where: conditions.length ? conditions.join(" AND ") : "1",
+        whereParams: params,
+        orderBy: order.sql,
+        orderParams: order.params,
+    };
+}
+
+/**
+ * WHERE and ORDER BY for a page of cache_vehicles.
+ * @param {object} options - parseVehicleListQuery output
+ * @param {string[]} [typeMatches] - Vehicle types whose display name contains options.q
+ * @returns {{ where: string, whereParams: unknown[], orderBy: string, orderParams: unknown[] }}
+ */
+function vehicleListSql(options, typeMatches = []) {
+    const conditions = [];
+    const params = [];
+    if (options.q) {
+        conditions.push(
+            "(type LIKE ? ESCAPE '\\' OR type IN (SELECT value FROM json_each(?)))",
+        );
+        params.push(likePattern(options.q), JSON.stringify(typeMatches));
+    }
+    if (options.types.length) {
+        conditions.push("type IN (SELECT value FROM json_each(?))");
+        params.push(JSON.stringify(options.types));
+    }
+    addBoundingBox(options.bbox, conditions, params);
+    const order = orderBySql(options.sort, VEHICLE_SORT_COLUMNS);
+    return {
+        where: conditions.length ? conditions.join(" AND ") : "1",
+        whereParams: params,
+        orderBy: order.sql,
+        orderParams: order.params,
+    };
+}
+
+function addBoundingBox(bbox, conditions, params) {
+    if (!bbox) return;
+    conditions.push("x BETWEEN ? AND ? AND y BETWEEN ? AND ?");
+    params.push(bbox.minX, bbox.maxX, bbox.minY, bbox.maxY);
+}
+
+export {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    RAW_DEFAULT_LENGTH,
+    RAW_MAX_LENGTH,
+    parsePlayerListQuery,
+    parseVehicleListQuery,
+    parseRawBytesQuery,
+    playerListSql,
+    vehicleListSql,
+};
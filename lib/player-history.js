@@ -0,0 +1,213 @@
+import { flattenItems } from "./decode-pz-inventory.js";
+
+/**
+ * What a sync snapshot keeps of a player: enough to chart skills and position over time and
+ * to diff two snapshots, without the raw blob or the full decoder output.
+ * @typedef {object} PlayerSnapshotState
+ * @property {number | null} x
+ * @property {number | null} y
+ * @property {number | null} z
+ * @property {number | null} hoursSurvived
+ * @property {number | null} zombieKills
+ * @property {boolean | null} dead
+ * @property {{ [skill: string]: { level: number, xp: number | null } }} skills
+ * @property {string[]} traits
+ * @property {{ [fullType: string]: number }} items - Item counts across all containers
+ */
+
+/**
+ * Reduce a cached player row to the state stored in a snapshot.
+ * @param {{ x?: number | null, y?: number | null, z?: number | null }} row
+ * @param {object} extracted - decodePzBuffer output for the player
+ * @returns {PlayerSnapshotState}
+ */
+function playerSnapshotState(row, extracted) {
+    const skills = {};
+    for (const [name, skill] of Object.entries(extracted.skills || {})) {
+        skills[name] = { level: skill.level, xp: skill.xp ?? null };
+    }
+    const items = {};
+    for (const container of extracted.inventory || []) {
+        for (const item of flattenItems(container)) {
+            items[item.fullType] =
+                (items[item.fullType] || 0) + (item.count || 1);
+        }
+    }
+    const survival = extracted.survival || null;
+    return {
+        x: row.x ?? null,
+        y: row.y ?? null,
+        z: row.z ?? null,
+        hoursSurvived: survival ? survival.hoursSurvived : null,
+        zombieKills: survival ? survival.zombieKills : null,
+        dead: survival ? survival.dead : null,
+        skills,
+        traits: [...(extracted.traitOrSkillIds || [])],
+        items,
+    };
+}
+
+/**
+ * @typedef {object} PlayerStateDiff
+ * @property {{ skill: string, from: number | null, to: number | null }[]} levelChanges
+ * @property {{ [skill: string]: number }} xpGained - Only skills whose XP changed
+ * @property {number | null} distanceMoved - Tiles in a straight line; null when a position is unknown
+ * @property {string[]} traitsAdded
+ * @property {string[]} traitsRemoved
+ * @property {{ fullType: string, count: number }[]} itemsAdded
+ * @property {{ fullType: string, count: number }[]} itemsRemoved
+ */
+
+/**
+ * Differences between two snapshot states of the same player.
+ * @param {PlayerSnapshotState} before
+ * @param {PlayerSnapshotState} after
+ * @returns {PlayerStateDiff}
+ */
+function diffPlayerStates(before, after) {
+    const levelChanges = [];
+    const xpGained = {};
+    const skillNames = new Set([
+        ...Object.keys(before.skills),
+        ...Object.keys(after.skills),
+    ]);
+    for (const skill of [...skillNames].sort()) {
+        const a = before.skills[skill];
+        const b = after.skills[skill];
+        const from = a ? a.level : null;
+        const to = b ? b.level : null;
+        if (from !== to) levelChanges.push({ skill, from, to });
+        const xpBefore = a && a.xp != null ? a.xp : 0;
+        const xpAfter = b && b.xp != null ? b.xp : 0;
+        if (xpAfter !== xpBefore) xpGained[skill] = xpAfter - xpBefore;
+    }
+
+    const distanceMoved =
+        before.x != null &&
+        before.y != null &&
+        after.x != null &&
+        after.y != null
+            ? Math.hypot(after.x - before.x, after.y - before.y)
+            : null;
+
+    const itemsAdded = [];
+    const itemsRemoved = [];
+    const itemTypes = new Set([
+        ...Object.keys(before.items),
+        ...Object.keys(after.items),
+    ]);
+    for (const fullType of [...itemTypes].sort()) {
+        const delta =
+            (after.items[fullType] || 0) - (before.items[fullType] || 0);
+        if (delta > 0) itemsAdded.push({ fullType, count: delta });
+        if (delta < 0) itemsRemoved.push({ fullType, count: -delta });
+    }
+
+    return {
+        levelChanges,
+        xpGained,
+        distanceMoved,
+        traitsAdded: after.traits.filter((t) => !before.traits.includes(t)),
+        traitsRemoved: before.traits.filter((t) => !after.traits.includes(t)),
+        itemsAdded,
+        itemsRemoved,
+    };
+}
+
+/**
+ * True when a diff has nothing worth listing on the timeline.
+ * @param {PlayerStateDiff} diff
+ */
+function isEmptyDiff(diff) {
+    return (
+        diff.levelChanges.length === 0 &&
+        Object.keys(diff.xpGained).length === 0 &&
+        !diff.distanceMoved &&
+        diff.traitsAdded.length === 0 &&
+        diff.traitsRemoved.length === 0 &&
+        diff.itemsAdded.length === 0 &&
+        diff.itemsRemoved.length === 0
+    );
+}
+
+/**
+ * A player's series across snapshots plus the changes between consecutive snapshots they
+ * appear in. Snapshots without changes are left off the timeline but kept in the series.
+ * @param {{ snapshotId: number, createdAt: string, state: PlayerSnapshotState }[]} entries - Oldest first
+ */
+function buildPlayerHistory(entries) {
+    const series = entries.map(({ snapshotId, createdAt, state }) => ({
+        snapshotId,
+        createdAt,
+        x: state.x,
+        y: state.y,
+        z: state.z,
+        hoursSurvived: state.hoursSurvived,
+        zombieKills: state.zombieKills,
+        dead: state.dead,
+        skills: state.skills,
+    }));
+    const changes = [];
+    for (let i = 1; i < entries.length; i++) {
+        const diff = diffPlayerStates(entries[i - 1].state, entries[i].state);
+        if (isEmptyDiff(diff)) continue;
+        changes.push({
+            snapshotId: entries[i].snapshotId,
+            createdAt: entries[i].createdAt,
+            previousSnapshotId: entries[i - 1].snapshotId,
+            ...diff,
+        });
+    }
+    return { series, changes };
+}
+
+/**
+ * True when a sync wrote to the cache: it decoded new or changed rows or removed rows gone
+ * from the save. A sync that changed nothing records no snapshot, which would only repeat
+ * the previous one.
+ * @param {{ vehicles: { decoded: number, removed: number }, players: { decoded: number, removed: number } }} summary
+ */
+function syncChangedCache({ vehicles, players }) {
+    const decoded = vehicles.decoded + players.decoded;
+    return decoded + vehicles.removed + players.removed > 0;
+}
+
+/**
+ * Whether a watch-mode sync should record a snapshot. While the game runs it rewrites players
+ * on every flush, so watch syncs change rows nearly every time; they record at most one
+ * snapshot per interval, and none when they changed nothing.
+ * @param {object} summary - syncChangedCache's argument
+ * @param {string | null} lastCreatedAt - createdAt of the newest snapshot, if any
+ * @param {number} intervalMs - Minimum time between two snapshots of watch syncs
+ * @param {number} [now]
+ */
+function watchSnapshotDue(
+    summary,
+    lastCreatedAt,
+    intervalMs,
+    now = Date.now(),
+) {
+    if (!syncChangedCache(summary)) return false;
+    if (!lastCreatedAt) return true;
+    return now - Date.parse(lastCreatedAt) >= intervalMs;
+}
+
+/**
+ * Snapshots to delete so that only the newest keep remain.
+ * @param {number[]} ids - Snapshot IDs; higher is newer
+ * @param {number} keep - Snapshots to keep (at least 1)
+ * @returns {number[]} Oldest first
+ */
+function snapshotIdsToPrune(ids, keep) {
+    const sorted = [...ids].sort((a, b) => a - b);
+    return sorted.slice(0, Math.max(0, sorted.length - Math.max(1, keep)));
+}
+
+export {
+    playerSnapshotState,
+    diffPlayerStates,
+    buildPlayerHistory,
+    syncChangedCache,
+    watchSnapshotDue,
+    snapshotIdsToPrune,
+};
@@ -0,0 +1,580 @@
+import { getAllPerkNames } from "./pz-build-schemas.js";
+
+/** SQL condition that a JSON array in extracted_json holds any of the IDs bound as a JSON array. */
+const HAS_ANY_ID = (path) =>
+    `EXISTS (SELECT 1 FROM json_each(extracted_json, '${path}') WHERE value IN (SELECT value FROM json_each(?)))`;
+
+/**
+ * Fields of the player query language, e.g.
+ * `profession:mechanic AND Mechanics>=6 AND trait:base:dextrous AND NOT trait:base:smoker`.
+ *   id: `field:value` matches an ID (whole, or after its "base:" namespace) or its display name
+ *   text: `field:value` matches when the text contains the value
+ *   boolean: `field:true` or `field:false`
+ *   number: compared with `:` or `=`, `!=`, `<`, `<=`, `>`, `>=`
+ * Perk names (Mechanics, Carpentry, …) are number fields comparing the skill level.
+ * values names the facet (see getPlayerFacets) that autocomplete offers for the field.
+ * sql evaluates the field on a cache_players row (see playerQuerySql): for id fields a condition
+ * taking the matching IDs as a JSON array, for number and boolean fields the value. Fields
+ * without it are only evaluated in JS.
+ */
+const FIELDS = {
+    profession: {
+        type: "id",
+        description: "Profession ID or name",
+        values: "professions",
+        ids: (p) => (p.profession ? [p.profession] : []),
+        names: (p) => (p.professionName ? [p.professionName] : []),
+        sql: "profession IN (SELECT value FROM json_each(?))",
+    },
+    trait: {
+        type: "id",
+        description: "Has this trait (ID or name)",
+        values: "traits",
+        ids: (p) => p.traits || [],
+        names: (p) => p.traitNames || [],
+        sql: HAS_ANY_ID("$.traitOrSkillIds"),
+    },
+    recipe: {
+        type: "id",
+        description: "Knows this recipe",
+        values: "recipes",
+        ids: (p) => p.recipeIds || [],
+        sql: HAS_ANY_ID("$.recipeIds"),
+    },
+    book: {
+        type: "id",
+        description: "Read this skill book to the end",
+        values: "books",
+        ids: (p) =>
+            (p.skillBooks || [])
+                .filter((b) => b.finished)
+                .map((b) => b.fullType),
+        sql: "EXISTS (SELECT 1 FROM json_each(extracted_json, '$.skillBooks') WHERE json_extract(value, '$.finished') = 1 AND json_extract(value, '$.fullType') IN (SELECT value FROM json_each(?)))",
+    },
+    literature: {
+        type: "id",
+        description: "Read this magazine or flier",
+        values: "literature",
+        ids: (p) => p.readLiterature || [],
+        sql: HAS_ANY_ID("$.readLiterature"),
+    },
+    media: {
+        type: "id",
+        description: "Watched or listened to this media",
+        values: "media",
+        ids: (p) => p.watchedMedia || [],
+        sql: HAS_ANY_ID("$.watchedMedia"),
+    },
+    name: {
+        type: "text",
+        description: "Character name contains",
+        get: (p) => p.name,
+    },
+    username: {
+        type: "text",
+        description: "Username contains",
+        get: (p) => p.username,
+    },
+    infected: {
+        type: "boolean",
+        description: "Carries the zombie infection",
+        get: (p) => p.infected,
+        sql: "json_extract(extracted_json, '$.infected')",
+    },
+    dead: {
+        type: "boolean",
+        description: "Is dead",
+        get: (p) => p.dead,
+        sql: "is_dead",
+    },
+    hoursSurvived: {
+        type: "number",
+        description: "In-game hours survived",
+        get: (p) => p.hoursSurvived,
+        sql: "hours_survived",
+    },
+    zombieKills: {
+        type: "number",
+        description: "Zombies killed",
+        get: (p) => p.zombieKills,
+        sql: "zombie_kills",
+    },
+    survivorKills: {
+        type: "number",
+        description: "Survivors killed",
+        get: (p) => p.survivorKills,
+        sql: "survivor_kills",
+    },
+    // The list rounds x and y to whole tiles
+    x: {
+        type: "number",
+        description: "World X",
+        get: (p) => p.x,
+        sql: "ROUND(x)",
+    },
+    y: {
+        type: "number",
+        description: "World Y",
+        get: (p) => p.y,
+        sql: "ROUND(y)",
+    },
+    z: { type: "number", description: "Floor", get: (p) => p.z, sql: "z" },
+    ...Object.fromEntries(
+        [
+            "hunger",
+            "thirst",
+            "fatigue",
+            "endurance",
+            "panic",
+            "stress",
+            "boredom",
+            "unhappiness",
+            "weight",
+            "calories",
+        ].map((key) => [
+            key,
+            {
+                type: "number",
+                description: `Vital stat ${key}`,
+                get: (p) => (p.vitals ? p.vitals[key] : null),
+                sql: `json_extract(extracted_json, '$.vitals.${key}')`,
+            },
+        ]),
+    ),
+};
+
+const OPERATORS = ["<=", ">=", "!=", ":", "=", "<", ">"];
+const KEYWORD = /^(AND|OR|NOT)(?=[\s()]|$)/i;
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+const TRUE_WORDS = new Set(["true", "yes"]);
+const FALSE_WORDS = new Set(["false", "no"]);
+
+/**
+ * Error for a query that does not parse, with err.code "INVALID_PLAYER_QUERY" and the
+ * offending text as err.position (0-based) and err.length.
+ * @param {string} message
+ * @param {number} start
+ * @param {number} end
+ */
+function queryError(message, start, end) {
+    const err = new Error(message);
+    err.code = "INVALID_PLAYER_QUERY";
+    err.position = start;
+    err.length = Math.max(1, end - start);
+    return err;
+}
+
+/**
+ * Field definitions by lowercase name: the fixed fields plus one number field per perk.
+ * @param {string[]} skills
+ */
+function fieldTable(skills) {
+    const table = new Map();
+    for (const name of skills) {
+        table.set(name.toLowerCase(), {
+            name,
+            type: "number",
+            description: `${name} level (0–10)`,
+            skill: name,
+        });
+    }
+    for (const [name, def] of Object.entries(FIELDS)) {
+        table.set(name.toLowerCase(), { name, ...def });
+    }
+    return table;
+}
+
+/**
+ * Parse a player query into a tree of { type: "and" | "or", items }, { type: "not", item }
+ * and { type: "term", field, op, value, skill?, start, end } nodes. AND binds tighter than OR;
+ * NOT and parentheses work as usual. Keywords are case-insensitive.
+ * @param {string} text
+ * @param {{ skills?: string[] }} [options] - Perk names usable as fields (default: every
+ *   perk of the known builds); add modded perks found in the cache
+ * @returns {object | null} null for an empty query, which matches every player.
+ *   Throws an INVALID_PLAYER_QUERY error at the offending position.
+ */
+function parsePlayerQuery(text, options = {}) {
+    const source = String(text ?? "");
+    const fields = fieldTable(options.skills || getAllPerkNames());
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+    };
+    const keyword = () => {
+        skipSpace();
+        const match = KEYWORD.exec(source.slice(pos));
+        return match ? match[1].toUpperCase() : null;
+    };
+    /** End of the word at pos, for marking what could not be read. */
+    const wordEnd = (from) => {
+        let end = from;
+        while (end < source.length && !/[\s()]/.test(source[end])) end++;
+        return end === from ? from + 1 : end;
+    };
+
+    function parseOr() {
+        const items = [parseAnd()];
+        while (keyword() === "OR") {
+            pos += 2;
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: "or", items };
+    }
+
+    function parseAnd() {
+        const items = [parseNot()];
+        while (keyword() === "AND") {
+            pos += 3;
+            items.push(parseNot());
+        }
+        return items.length === 1 ? items[0] : { type: "and", items };
+    }
+
+    function parseNot() {
+        if (keyword() === "NOT") {
+            pos += 3;
+            return { type: "not", item: parseNot() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        skipSpace();
+        if (pos >= source.length) {
+            throw queryError(
+                "Expected a condition, e.g. trait:Strong or Mechanics>=6",
+                pos,
+                pos + 1,
+            );
+        }
+        if (source[pos] === "(") {
+            const open = pos++;
+            const inner = parseOr();
+            skipSpace();
+            if (source[pos] !== ")") {
+                throw queryError(
+                    `Expected ')' to close the '(' at column ${open + 1}`,
+                    pos,
+                    wordEnd(pos),
+                );
+            }
+            pos++;
+            return inner;
+        }
+        if (source[pos] === ")") {
+            throw queryError("Unexpected ')'", pos, pos + 1);
+        }
+        return parseTerm();
+    }
+
+    function parseTerm() {
+        const start = pos;
+        const fieldMatch = FIELD_NAME.exec(source.slice(pos));
+        if (!fieldMatch) {
+            throw queryError(
+                "Expected a field name, '(' or NOT",
+                pos,
+                wordEnd(pos),
+            );
+        }
+        const def = fields.get(fieldMatch[0].toLowerCase());
+        if (!def) {
+            throw queryError(
+                `Unknown field '${fieldMatch[0]}'`,
+                pos,
+                pos + fieldMatch[0].length,
+            );
+        }
+        pos += fieldMatch[0].length;
+
+        const opStart = pos;
+        const op = OPERATORS.find((o) => source.startsWith(o, pos));
+        if (!op) {
+            throw queryError(
+                `Expected an operator after '${def.name}' (${def.type === "number" ? ":, =, !=, <, <=, >, >=" : ":"})`,
+                pos,
+                wordEnd(pos),
+            );
+        }
+        if (def.type !== "number" && op !== ":" && op !== "=") {
+            throw queryError(
+                `'${def.name}' is matched with ':', not '${op}'`,
+                opStart,
+                opStart + op.length,
+            );
+        }
+        pos += op.length;
+
+        const valueStart = pos;
+        let raw;
+        if (source[pos] === '"') {
+            const close = source.indexOf('"', pos + 1);
+            if (close === -1) {
+                throw queryError("Unclosed quote", pos, source.length);
+            }
+            raw = source.slice(pos + 1, close);
+            pos = close + 1;
+        } else {
+            while (pos < source.length && !/[\s()]/.test(source[pos])) pos++;
+            raw = source.slice(valueStart, pos);
+        }
+        if (raw === "") {
+            throw queryError(
+                `Expected a value after '${def.name}${op}'`,
+                valueStart,
+                valueStart + 1,
+            );
+        }
+
+        let value = raw;
+        if (def.type === "number") {
+            value = Number(raw);
+            if (!Number.isFinite(value)) {
+                throw queryError(
+                    `'${def.name}' is a number; '${raw}' is not`,
+                    valueStart,
+                    pos,
+                );
+            }
+        } else if (def.type === "boolean") {
+            const word = raw.toLowerCase();
+            if (!TRUE_WORDS.has(word) && !FALSE_WORDS.has(word)) {
+                throw queryError(
+                    `'${def.name}' is true or false, not '${raw}'`,
+                    valueStart,
+                    pos,
+                );
+            }
+            value = TRUE_WORDS.has(word);
+        }
+        return {
+            type: "term",
+            field: def.name,
+            op: op === "=" ? ":" : op,
+            value,
+            ...(def.skill ? { skill: def.skill } : {}),
+            start,
+            end: pos,
+        };
+    }
+
+    skipSpace();
+    if (pos >= source.length) return null;
+    const tree = parseOr();
+    skipSpace();
+    if (pos < source.length) {
+        throw source[pos] === ")"
+            ? queryError("Unexpected ')'", pos, pos + 1)
+            : queryError(
+                  "Expected AND, OR or the end of the query",
+                  pos,
+                  wordEnd(pos),
+              );
+    }
+    return tree;
+}
+
+/** An ID matches the value whole, after its namespace ("base:dextrous" → "dextrous"), ignoring case. */
+function idMatches(id, value) {
+    if (typeof id !== "string") return false;
+    const lower = id.toLowerCase();
+    return lower === value || lower.slice(lower.indexOf(":") + 1) === value;
+}
+
+function compare(actual, op, expected) {
+    if (typeof actual !== "number" || !Number.isFinite(actual)) return false;
+    switch (op) {
+        case ":":
+            return actual === expected;
+        case "!=":
+            return actual !== expected;
+        case "<":
+            return actual < expected;
+        case "<=":
+            return actual <= expected;
+        case ">":
+            return actual > expected;
+        default:
+            return actual >= expected;
+    }
+}
+
+/**
+ * Whether a player, as listed by GET /players (with professionName and traitNames), matches a
+ * parsed query. A perk missing from the player's skills counts as level 0; any other missing
+ * value matches nothing, not even a negated comparison.
+ * @param {object | null} tree - parsePlayerQuery output
+ * @param {object} player
+ * @returns {boolean}
+ */
+function matchesPlayerQuery(tree, player) {
+    if (!tree) return true;
+    switch (tree.type) {
+        case "and":
+            return tree.items.every((item) => matchesPlayerQuery(item, player));
+        case "or":
+            return tree.items.some((item) => matchesPlayerQuery(item, player));
+        case "not":
+            return !matchesPlayerQuery(tree.item, player);
+        default:
+            break;
+    }
+    if (tree.skill) {
+        const skill = player.skills ? player.skills[tree.skill] : null;
+        return compare(skill ? skill.level : 0, tree.op, tree.value);
+    }
+    const def = FIELDS[tree.field];
+    if (def.type === "id") {
+        const value = tree.value.toLowerCase();
+        return (
+            def.ids(player).some((id) => idMatches(id, value)) ||
+            (def.names ? def.names(player) : []).some(
+                (name) =>
+                    typeof name === "string" && name.toLowerCase() === value,
+            )
+        );
+    }
+    const actual = def.get(player);
+    if (def.type === "text") {
+        return (
+            typeof actual === "string" &&
+            actual.toLowerCase().includes(tree.value.toLowerCase())
+        );
+    }
+    if (def.type === "boolean") return actual === tree.value;
+    return compare(actual, tree.op, tree.value);
+}
+
+/** SQL for the number comparisons; ":" and "=" are both equality. */
+const SQL_OPERATORS = {
+    ":": "=",
+    "!=": "!=",
+    "<": "<",
+    "<=": "<=",
+    ">": ">",
+    ">=": ">=",
+};
+
+/**
+ * SQL for one term, or null when it can only be evaluated in JS. Each condition is 0 or 1, never
+ * NULL, so NOT and OR give the same result as matchesPlayerQuery for missing values.
+ * @param {object} term
+ * @param {{ [facet: string]: string[] }} facets - IDs in the cache per facet (getPlayerFacets)
+ * @param {(id: string) => string | null} nameFor - Display name of an ID
+ * @returns {{ sql: string, params: unknown[] } | null}
+ */
+function termSql(term, facets, nameFor) {
+    if (term.skill) {
+        // The skill's JSON path is bound; a name that needs escaping stays in JS
+        if (term.skill.includes('"')) return null;
+        const skill = `$.skills."${term.skill}"`;
+        return {
+            sql: `COALESCE(CASE WHEN json_extract(extracted_json, ?) IS NULL THEN 0 ELSE json_extract(extracted_json, ?) END ${SQL_OPERATORS[term.op]} ?, 0)`,
+            params: [skill, `${skill}.level`, term.value],
+        };
+    }
+    const def = FIELDS[term.field];
+    if (!def.sql) return null;
+    if (def.type === "id") {
+        // Resolve the value to the cache's IDs it matches, as matchesPlayerQuery would
+        const value = term.value.toLowerCase();
+        const ids = (facets[def.values] || []).filter(
+            (id) =>
+                idMatches(id, value) ||
+                (nameFor(id) || "").toLowerCase() === value,
+        );
+        return {
+            sql: `COALESCE(${def.sql}, 0)`,
+            params: [JSON.stringify(ids)],
+        };
+    }
+    if (def.type === "boolean") {
+        return {
+            sql: `COALESCE(${def.sql} = ?, 0)`,
+            params: [term.value ? 1 : 0],
+        };
+    }
+    return {
+        sql: `COALESCE(${def.sql} ${SQL_OPERATORS[term.op]} ?, 0)`,
+        params: [term.value],
+    };
+}
+
+/**
+ * SQL for a whole subtree, or null when any term in it can only be evaluated in JS.
+ * @returns {{ sql: string, params: unknown[] } | null}
+ */
+function treeSql(tree, facets, nameFor) {
+    if (tree.type === "term") return termSql(tree, facets, nameFor);
+    if (tree.type === "not") {
+        const inner = treeSql(tree.item, facets, nameFor);
+        return inner && { sql: `NOT ${inner.sql}`, params: inner.params };
+    }
+    const items = tree.items.map((item) => treeSql(item, facets, nameFor));
+    if (items.some((item) => !item)) return null;
+    return {
+        sql: `(${items.map((item) => item.sql).join(tree.type === "and" ? " AND " : " OR ")})`,
+        params: items.flatMap((item) => item.params),
+    };
+}
+
+/**
+ * Split a parsed query into a condition on cache_players and the rest, which only JS can
+ * evaluate (text fields, and terms under an OR or NOT with one). The query matches a player
+ * when the condition holds and matchesPlayerQuery(remainder, player) is true.
+ * @param {object | null} tree - parsePlayerQuery output
+ * @param {{ [facet: string]: string[] }} facets - IDs in the cache per facet (getPlayerFacets)
+ * @param {(id: string) => string | null} nameFor - Display name of an ID
+ * @returns {{ where: { sql: string, params: unknown[] } | null, remainder: object | null }}
+ */
+function playerQuerySql(tree, facets, nameFor) {
+    const conditions = [];
+    const rest = [];
+    (function split(node) {
+        if (!node) return;
+        if (node.type === "and") return node.items.forEach(split);
+        const sql = treeSql(node, facets, nameFor);
+        if (sql) conditions.push(sql);
+        else rest.push(node);
+    })(tree);
+    return {
+        where: conditions.length
+            ? {
+                  sql: conditions.map((c) => c.sql).join(" AND "),
+                  params: conditions.flatMap((c) => c.params),
+              }
+            : null,
+        remainder:
+            rest.length === 0
+                ? null
+                : rest.length === 1
+                  ? rest[0]
+                  : { type: "and", items: rest },
+    };
+}
+
+/**
+ * The fields a query can use, for autocomplete and help: name, type, description and the
+ * facet that lists its values.
+ * @param {string[]} [skills] - Perk names, as for parsePlayerQuery
+ * @returns {{ name: string, type: string, description: string, values: string | null }[]}
+ */
+function playerQueryFields(skills = getAllPerkNames()) {
+    return [...fieldTable(skills).values()]
+        .map((def) => ({
+            name: def.name,
+            type: def.type,
+            description: def.description,
+            values: def.values || null,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export {
+    parsePlayerQuery,
+    matchesPlayerQuery,
+    playerQuerySql,
+    playerQueryFields,
+};
@@ -0,0 +1,203 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Per-build decoding schemas. Each save blob starts with the world version that wrote
+ * it; the schema with the highest minWorldVersion not above it describes the perk
+ * enum order, perk names, profession IDs and layout differences of that build.
+ */
+const BUILD_SCHEMAS = [
+    {
+        build: "41",
+        minWorldVersion: 1,
+        perkIndexNames: [
+            "Strength",
+            "Fitness",
+            "Sprinting",
+            "Lightfoot",
+            "Nimble",
+            "Sneak",
+            "Axe",
+            "LongBlunt",
+            "ShortBlunt",
+            "LongBlade",
+            "ShortBlade",
+            "Spear",
+            "Maintenance",
+            "Carpentry",
+            "Cooking",
+            "Farming",
+            "FirstAid",
+            "Electrical",
+            "MetalWelding",
+            "Mechanics",
+            "Tailoring",
+            "Aiming",
+            "Reloading",
+            "Fishing",
+            "Trapping",
+            "Foraging",
+        ],
+        professionIds: [
+            "unemployed",
+            "fireofficer",
+            "policeofficer",
+            "parkranger",
+            "constructionworker",
+            "securityguard",
+            "carpenter",
+            "burglar",
+            "chef",
+            "repairman",
+            "farmer",
+            "fisherman",
+            "doctor",
+            "veteran",
+            "nurse",
+            "lumberjack",
+            "fitnessinstructor",
+            "burgerflipper",
+            "electrician",
+            "engineer",
+            "metalworker",
+            "mechanics",
+        ],
+        layout: { descriptorHasVoice: false },
+    },
+    {
+        build: "42",
+        minWorldVersion: 196,
+        perkIndexNames: [
+            "Strength",
+            "Fitness",
+            "Sprinting",
+            "Lightfoot",
+            "Nimble",
+            "Sneak",
+            "Axe",
+            "Blunt",
+            "SmallBlunt",
+            "LongBlade",
+            "SmallBlade",
+            "Spear",
+            "Maintenance",
+            "Carpentry",
+            "Cooking",
+            "Farming",
+            "FirstAid",
+            "Electrical",
+            "Metalworking",
+            "Mechanics",
+            "Tailoring",
+            "Aiming",
+            "Reloading",
+            "Fishing",
+            "Trapping",
+            "Foraging",
+            "Husbandry",
+            "Butchering",
+            "Glassmaking",
+            "Pottery",
+            "Masonry",
+            "Carving",
+            "Blacksmith",
+            "FlintKnapping",
+            "Tracking",
+        ],
+        professionIds: [
+            "base:unemployed",
+            "base:fireofficer",
+            "base:policeofficer",
+            "base:parkranger",
+            "base:constructionworker",
+            "base:securityguard",
+            "base:carpenter",
+            "base:burglar",
+            "base:chef",
+            "base:diyexpert",
+            "base:rancher",
+            "base:farmer",
+            "base:angler",
+            "base:doctor",
+            "base:veteran",
+            "base:nurse",
+            "base:lumberjack",
+            "base:fitnessinstructor",
+            "base:burgerflipper",
+            "base:electrician",
+            "base:engineer",
+            "base:welder",
+            "base:blacksmith",
+            "base:mechanic",
+            "base:tailor",
+            "base:repairman",
+            "base:salesman",
+        ],
+        layout: { descriptorHasVoice: true },
+    },
+].map((schema) => ({
+    ...schema,
+    professionIdSet: new Set(schema.professionIds),
+}));
+
+/**
+ * Pick the schema for a world version. Returns null for missing or implausible versions.
+ * @param {number | null | undefined} worldVersion
+ */
+function getSchemaForWorldVersion(worldVersion) {
+    if (!Number.isInteger(worldVersion) || worldVersion <= 0) return null;
+    let match = null;
+    for (const schema of BUILD_SCHEMAS) {
+        if (worldVersion >= schema.minWorldVersion) match = schema;
+    }
+    return match;
+}
+
+/**
+ * All known perk names across builds, for decoding when the build is unknown.
+ */
+function getAllPerkNames() {
+    return [...new Set(BUILD_SCHEMAS.flatMap((s) => s.perkIndexNames))];
+}
+
+/**
+ * Whether an ID is a profession in the given schema, or in any build when schema is null.
+ * @param {string} id
+ * @param {object | null} schema
+ */
+function isProfessionId(id, schema) {
+    const lower = id.toLowerCase();
+    const schemas = schema ? [schema] : BUILD_SCHEMAS;
+    return schemas.some((s) => s.professionIdSet.has(lower));
+}
+
+/**
+ * Read the world version from a save folder's map_t.bin ("GMTM" magic + int version).
+ * Used for blobs whose own header cannot be read.
+ * @param {string | null} saveFolder
+ * @returns {number | null}
+ */
+function readSaveFolderWorldVersion(saveFolder) {
+    if (!saveFolder) return null;
+    try {
+        const fd = fs.openSync(path.join(saveFolder, "map_t.bin"), "r");
+        try {
+            const header = Buffer.alloc(8);
+            if (fs.readSync(fd, header, 0, 8, 0) < 8) return null;
+            if (header.toString("latin1", 0, 4) !== "GMTM") return null;
+            const version = header.readInt32BE(4);
+            return getSchemaForWorldVersion(version) ? version : null;
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch {
+        return null;
+    }
+}
+
+export {
+    getSchemaForWorldVersion,
+    getAllPerkNames,
+    isProfessionId,
+    readSaveFolderWorldVersion,
+};
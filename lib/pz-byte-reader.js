@@ -0,0 +1,130 @@
+/**
+ * Sequential big-endian reader for Project Zomboid save blobs.
+ * PZ writes its saves through a Java ByteBuffer (big-endian) and strings through
+ * GameWindow.WriteString: a 2-byte length prefix followed by UTF-8 bytes.
+ * Every read checks bounds and throws with the offending offset, so a structured
+ * parse fails loudly instead of returning garbage.
+ * When given a provenance map, the reader notes which bytes each tracked field came from.
+ */
+class PzByteReader {
+    /**
+     * @param {Buffer} buffer - Blob to read
+     * @param {number} [offset] - Start position
+     * @param {{ [field: string]: { offset: number, length: number } } | null} [provenance]
+     *   Filled by track/record; sub-readers share their parent's map
+     */
+    constructor(buffer, offset = 0, provenance = null) {
+        this.buffer = buffer;
+        this.offset = offset;
+        this.provenance = provenance;
+    }
+
+    remaining() {
+        return this.buffer.length - this.offset;
+    }
+
+    ensure(size, what) {
+        if (this.offset + size > this.buffer.length) {
+            throw new Error(
+                `Unexpected end of blob reading ${what} at offset ${this.offset}`,
+            );
+        }
+    }
+
+    readByte() {
+        this.ensure(1, "byte");
+        return this.buffer.readUInt8(this.offset++);
+    }
+
+    readBool() {
+        return this.readByte() !== 0;
+    }
+
+    readInt() {
+        this.ensure(4, "int");
+        const val = this.buffer.readInt32BE(this.offset);
+        this.offset += 4;
+        return val;
+    }
+
+    readFloat() {
+        this.ensure(4, "float");
+        const val = this.buffer.readFloatBE(this.offset);
+        this.offset += 4;
+        return val;
+    }
+
+    readDouble() {
+        this.ensure(8, "double");
+        const val = this.buffer.readDoubleBE(this.offset);
+        this.offset += 8;
+        return val;
+    }
+
+    /**
+     * Read a GameWindow.WriteString value (2-byte length + UTF-8).
+     * @param {number} [maxLength] - Reject longer strings as a sign of misalignment
+     */
+    readString(maxLength = 1024) {
+        this.ensure(2, "string length");
+        const start = this.offset;
+        const len = this.buffer.readUInt16BE(this.offset);
+        if (len > maxLength) {
+            throw new Error(
+                `String length ${len} exceeds ${maxLength} at offset ${start}`,
+            );
+        }
+        this.offset += 2;
+        this.ensure(len, "string bytes");
+        const s = this.buffer.toString("utf8", this.offset, this.offset + len);
+        this.offset += len;
+        return s;
+    }
+
+    /**
+     * Read an int count and reject values outside [0, max].
+     * @param {string} what - Field name for the error message
+     * @param {number} max
+     */
+    readCount(what, max) {
+        const start = this.offset;
+        const count = this.readInt();
+        if (count < 0 || count > max) {
+            throw new Error(
+                `Implausible ${what} count ${count} at offset ${start}`,
+            );
+        }
+        return count;
+    }
+
+    /**
+     * Note that the bytes from start up to the current offset hold a field.
+     * @param {string} field - Dotted path of the field in the parse result
+     * @param {number} start - Offset where the field began
+     */
+    record(field, start) {
+        if (!this.provenance) return;
+        this.provenance[field] = { offset: start, length: this.offset - start };
+    }
+
+    /**
+     * Run a read and record the bytes it consumed under field.
+     * @template T
+     * @param {string} field
+     * @param {() => T} read
+     * @returns {T}
+     */
+    track(field, read) {
+        const start = this.offset;
+        const value = read();
+        this.record(field, start);
+        return value;
+    }
+
+    skip(size) {
+        this.ensure(size, "skipped block");
+        this.offset += size;
+    }
+}
+
+export { PzByteReader };
@@ -0,0 +1,274 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+/** How deep to look for media/scripts below a mod folder (Workshop: <id>/mods/<mod>/42/media/scripts). */
+const MAX_SCAN_DEPTH = 7;
+
+/**
+ * Script block types the registry keeps, by kind. B41 mods declare professions and
+ * traits in Lua, so those only come from B42 definitions or mods that use plain blocks.
+ */
+const BLOCK_KINDS = {
+    item: "item",
+    vehicle: "vehicle",
+    profession: "profession",
+    character_profession_definition: "profession",
+    trait: "trait",
+    character_trait_definition: "trait",
+};
+
+/**
+ * Find media/scripts directories under a game or mod folder.
+ * @param {string} root
+ * @param {number} [depth]
+ * @returns {string[]}
+ */
+function findScriptDirs(root, depth = 0) {
+    if (
+        path.basename(root) === "scripts" &&
+        path.basename(path.dirname(root)) === "media"
+    ) {
+        return [root];
+    }
+    if (depth >= MAX_SCAN_DEPTH) return [];
+    let entries;
+    try {
+        entries = fs.readdirSync(root, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return entries
+        .filter((d) => d.isDirectory())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap((d) => findScriptDirs(path.join(root, d.name), depth + 1));
+}
+
+/**
+ * All .txt files below a directory, in a stable order.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listScriptFiles(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return entries
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap((d) => {
+            const full = path.join(dir, d.name);
+            if (d.isDirectory()) return listScriptFiles(full);
+            return d.name.toLowerCase().endsWith(".txt") ? [full] : [];
+        });
+}
+
+/**
+ * Split "key = value" statements (comma or newline separated) into an object.
+ * Lines without "=" or ":" are ignored.
+ * @param {string} text
+ * @param {object} props - Mutated in place
+ */
+function readProperties(text, props) {
+    for (const statement of text.split(/[,\n]/)) {
+        const match = statement.match(
+            /^\s*([A-Za-z0-9_.]+)\s*[=:]\s*(.*?)\s*$/,
+        );
+        if (match) props[match[1]] = match[2];
+    }
+}
+
+/**
+ * Parse one PZ script file into its blocks:
+ *   module Base { item Axe { DisplayName = Axe, Weight = 3, } vehicle ... { ... } }
+ * Blocks nest (components, parts); only properties directly inside a block are kept.
+ * @param {string} text
+ * @returns {{ module: string | null, type: string, name: string, props: object }[]}
+ */
+function parseScriptText(text) {
+    const source = text
+        .replace(/\/\*[\s\S]*?\*\//g, "")
+        .replace(/\/\/.*$/gm, "");
+    const blocks = [];
+    const stack = [{ type: "", name: "", props: {} }];
+    const chunks = source.split(/([{}])/);
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        if (chunk === "{" || chunk === "}") continue;
+        const next = chunks[i + 1];
+        const current = stack[stack.length - 1];
+        if (next === "{") {
+            // The last statement before "{" is the block header ("item Axe")
+            const statements = chunk.split(/[,\n]/);
+            let header = "";
+            while (statements.length && !header) {
+                header = statements.pop().trim();
+            }
+            readProperties(statements.join("\n"), current.props);
+            const [type = "", ...rest] = header.split(/\s+/);
+            stack.push({ type, name: rest.join(" "), props: {} });
+        } else {
+            readProperties(chunk, current.props);
+            if (next === "}" && stack.length > 1) {
+                const block = stack.pop();
+                const module = stack.find((b) => b.type === "module");
+                blocks.push({
+                    module: module ? module.name : null,
+                    type: block.type,
+                    name: block.name,
+                    props: block.props,
+                });
+            }
+        }
+    }
+    return blocks;
+}
+
+function toNumber(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Registry entry for a script block, or null for block types we don't track.
+ * Items and vehicles are keyed "Module.Name" like in saves; profession and trait
+ * definitions already carry their full ID ("base:mechanic") and are keyed lower-case.
+ * @param {ReturnType<typeof parseScriptText>[number]} block
+ * @param {string} source - File the block came from
+ */
+function toEntry(block, source) {
+    const kind = BLOCK_KINDS[block.type];
+    if (!kind || !block.name) return null;
+    const { props } = block;
+    const id =
+        (kind === "item" || kind === "vehicle") && block.module
+            ? `${block.module}.${block.name}`
+            : block.name.toLowerCase();
+    return {
+        id,
+        kind,
+        displayName: props.DisplayName || props.UIName || props.name || null,
+        category: props.DisplayCategory || props.Type || props.ItemType || null,
+        weight: toNumber(kind === "vehicle" ? props.mass : props.Weight),
+        source,
+    };
+}
+
+/**
+ * Item, vehicle, profession and trait definitions from the game's and mods' script files.
+ * Later roots override earlier ones, as mods override the base game.
+ */
+class ScriptRegistry {
+    constructor() {
+        /** @type {Map<string, ReturnType<typeof toEntry>>} */
+        this.entries = new Map();
+        this.fileCount = 0;
+        /** Modification time of each script file read, by path */
+        this.fileTimes = new Map();
+    }
+
+    /**
+     * Load every media/scripts/*.txt below the given folders, in order.
+     * Unreadable files are skipped so one broken mod doesn't hide the rest.
+     * @param {string[]} roots - Game folder first, then mod folders
+     */
+    static load(roots) {
+        const registry = new ScriptRegistry();
+        for (const root of roots) {
+            for (const dir of findScriptDirs(root)) {
+                for (const file of listScriptFiles(dir)) {
+                    let text;
+                    let mtimeMs;
+                    try {
+                        text = fs.readFileSync(file, "utf8");
+                        mtimeMs = fs.statSync(file).mtimeMs;
+                    } catch {
+                        continue;
+                    }
+                    registry.fileCount++;
+                    registry.fileTimes.set(file, mtimeMs);
+                    for (const block of parseScriptText(text)) {
+                        const entry = toEntry(block, file);
+                        if (entry) registry.entries.set(entry.id, entry);
+                    }
+                }
+            }
+        }
+        return registry;
+    }
+
+    /**
+     * Rebuild a registry from entries copied out of another one (e.g. sent to a worker thread).
+     * @param {ReturnType<typeof toEntry>[]} entries
+     */
+    static fromEntries(entries) {
+        const registry = new ScriptRegistry();
+        for (const entry of entries) registry.entries.set(entry.id, entry);
+        return registry;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Hash of every definition and the modification times of the files they came from, so a
+     * mod update that edits definitions changes it even when their number stays the same.
+     */
+    fingerprint() {
+        const hash = crypto.createHash("sha1");
+        for (const id of [...this.entries.keys()].sort()) {
+            hash.update(`${JSON.stringify(this.entries.get(id))}\n`);
+        }
+        for (const file of [...this.fileTimes.keys()].sort()) {
+            hash.update(`${file}=${this.fileTimes.get(file)}\n`);
+        }
+        return hash.digest("hex");
+    }
+
+    /**
+     * Definition for an ID. Profession and trait IDs are matched case-insensitively,
+     * since saves and scripts don't always agree on case.
+     * @param {string} id
+     */
+    get(id) {
+        return (
+            this.entries.get(id) || this.entries.get(id.toLowerCase()) || null
+        );
+    }
+
+    /**
+     * "item", "vehicle", "profession", "trait", or null when no script defines the ID.
+     * @param {string} id
+     */
+    kindOf(id) {
+        const entry = this.get(id);
+        return entry ? entry.kind : null;
+    }
+
+    /**
+     * Definitions for the IDs a response mentions, keyed by ID; unknown IDs are left out.
+     * @param {Iterable<string>} ids
+     * @returns {{ [id: string]: { kind: string, displayName: string | null, category: string | null, weight: number | null } }}
+     */
+    describe(ids) {
+        const result = {};
+        for (const id of ids) {
+            if (typeof id !== "string" || id in result) continue;
+            const entry = this.get(id);
+            if (entry) {
+                result[id] = {
+                    kind: entry.kind,
+                    displayName: entry.displayName,
+                    category: entry.category,
+                    weight: entry.weight,
+                };
+            }
+        }
+        return result;
+    }
+}
+
+export { ScriptRegistry, parseScriptText, findScriptDirs };
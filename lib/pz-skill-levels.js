@@ -0,0 +1,122 @@
+/**
+ * XP needed to go from level N to N+1 (index N). XP in the save is the running total,
+ * so thresholds are compared against the cumulative sums below.
+ */
+const STANDARD_LEVEL_XP = [
+    75, 150, 300, 750, 1500, 3000, 4500, 6000, 7500, 9000,
+];
+
+/** Strength and Fitness level passively and on a much steeper curve. */
+const PASSIVE_LEVEL_XP = [
+    1500, 3000, 6000, 9000, 18000, 30000, 60000, 90000, 120000, 150000,
+];
+const PASSIVE_PERKS = new Set(["Strength", "Fitness"]);
+
+/**
+ * XP gain multiplier per trait/profession boost level: unboosted perks gain a quarter of the
+ * XP, boost 1 the full amount. Passive perks ignore boosts.
+ */
+const TRAIT_BOOST_MULTIPLIERS = [0.25, 1, 1.33, 1.66];
+
+const MAX_LEVEL = 10;
+
+function cumulative(perLevel) {
+    const totals = [0];
+    for (const xp of perLevel) totals.push(totals[totals.length - 1] + xp);
+    return totals;
+}
+
+const STANDARD_THRESHOLDS = cumulative(STANDARD_LEVEL_XP);
+const PASSIVE_THRESHOLDS = cumulative(PASSIVE_LEVEL_XP);
+
+/**
+ * Total XP at which each level starts (index = level, 0–10) for a perk.
+ * @param {string} perk
+ * @returns {number[]}
+ */
+function getLevelThresholds(perk) {
+    return PASSIVE_PERKS.has(perk) ? PASSIVE_THRESHOLDS : STANDARD_THRESHOLDS;
+}
+
+/**
+ * Level reached with a given total XP.
+ * @param {string} perk
+ * @param {number} xp
+ */
+function levelFromXp(perk, xp) {
+    const thresholds = getLevelThresholds(perk);
+    let level = 0;
+    while (level < MAX_LEVEL && xp >= thresholds[level + 1]) level++;
+    return level;
+}
+
+/**
+ * Pick the XP candidate that fits a known level. Heuristic decoding yields several
+ * doubles per perk; the real XP is the one inside the level's threshold range.
+ * @param {string} perk
+ * @param {number} level
+ * @param {number[]} candidates
+ * @returns {number | null}
+ */
+function pickXpForLevel(perk, level, candidates) {
+    const thresholds = getLevelThresholds(perk);
+    const min = thresholds[level];
+    const max = level < MAX_LEVEL ? thresholds[level + 1] : Infinity;
+    const fits = candidates.filter((xp) => xp >= min && xp < max);
+    return fits.length ? Math.max(...fits) : null;
+}
+
+/**
+ * Level progress and XP multipliers for one perk.
+ * When both are known the saved level wins over the level implied by XP
+ * (the game can hold XP past a threshold until the level-up is applied).
+ * @param {string} perk
+ * @param {{ level?: number | null, xp?: number | null, traitBoost?: number,
+ *           book?: { multiplier: number, minLevel: number, maxLevel: number } | null }} input
+ */
+function computeSkillProgress(
+    perk,
+    { level, xp, traitBoost = 0, book = null },
+) {
+    const thresholds = getLevelThresholds(perk);
+    const current =
+        level != null ? level : xp != null ? levelFromXp(perk, xp) : 0;
+    const atMax = current >= MAX_LEVEL;
+    const xpIntoLevel =
+        xp != null ? Math.max(0, xp - thresholds[current]) : null;
+    const xpForLevel = atMax
+        ? null
+        : thresholds[current + 1] - thresholds[current];
+    const xpToNextLevel =
+        atMax || xp == null ? null : Math.max(0, thresholds[current + 1] - xp);
+
+    const traitMultiplier = PASSIVE_PERKS.has(perk)
+        ? 1
+        : TRAIT_BOOST_MULTIPLIERS[
+              Math.min(traitBoost, TRAIT_BOOST_MULTIPLIERS.length - 1)
+          ];
+    // Skill books only multiply XP while the level is inside the book's range
+    const bookActive = Boolean(
+        book && current >= book.minLevel && current < book.maxLevel,
+    );
+    const bookMultiplier = bookActive ? book.multiplier : 1;
+
+    return {
+        level: current,
+        xp: xp != null ? xp : null,
+        xpIntoLevel,
+        xpForLevel,
+        xpToNextLevel,
+        traitBoost,
+        traitMultiplier,
+        bookMultiplier,
+        xpMultiplier: traitMultiplier * bookMultiplier,
+    };
+}
+
+export {
+    computeSkillProgress,
+    levelFromXp,
+    pickXpForLevel,
+    getLevelThresholds,
+};
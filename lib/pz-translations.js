@@ -0,0 +1,236 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/** How deep to look for Translate folders below a mod folder (Workshop: <id>/mods/<mod>/42/media/lua/shared/Translate). */
+const MAX_SCAN_DEPTH = 9;
+
+/** Language every other one falls back to, as in the game. */
+const DEFAULT_LANGUAGE = "EN";
+
+/** Profession IDs whose UI_prof_ key uses an older or shortened name. */
+const PROFESSION_KEY_ALIASES = {
+    fireofficer: "fireoff",
+    policeofficer: "policeoff",
+    angler: "fisherman",
+    welder: "metalworker",
+    mechanic: "mechanics",
+};
+
+/**
+ * Find media/lua/shared/Translate directories under a game or mod folder.
+ * @param {string} root
+ * @param {number} [depth]
+ * @returns {string[]}
+ */
+function findTranslateDirs(root, depth = 0) {
+    if (
+        path.basename(root) === "Translate" &&
+        path.basename(path.dirname(root)) === "shared"
+    ) {
+        return [root];
+    }
+    if (depth >= MAX_SCAN_DEPTH) return [];
+    let entries;
+    try {
+        entries = fs.readdirSync(root, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return entries
+        .filter((d) => d.isDirectory())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap((d) => findTranslateDirs(path.join(root, d.name), depth + 1));
+}
+
+/**
+ * Names of the language folders in the given Translate directories, sorted.
+ * @param {string[]} dirs
+ * @returns {string[]}
+ */
+function languageNames(dirs) {
+    const languages = new Set();
+    for (const dir of dirs) {
+        try {
+            for (const d of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (d.isDirectory()) languages.add(d.name);
+            }
+        } catch {
+            continue;
+        }
+    }
+    return [...languages].sort();
+}
+
+/**
+ * Charset a language folder declares in language.txt ("charset = Cp1252,"); B41 files
+ * are mostly not UTF-8.
+ * @param {string} dir - Translate/<LANG>
+ * @returns {string}
+ */
+function readCharset(dir) {
+    try {
+        const text = fs.readFileSync(path.join(dir, "language.txt"), "latin1");
+        const match = text.match(/charset\s*=\s*([A-Za-z0-9_-]+)/i);
+        if (match) return match[1];
+    } catch {
+        // No language.txt: assume UTF-8
+    }
+    return "UTF-8";
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {string} charset
+ */
+function decodeText(buffer, charset) {
+    try {
+        return new TextDecoder(charset.toLowerCase()).decode(buffer);
+    } catch {
+        // Node without full ICU only knows UTF-8 and Latin-1
+        return buffer.toString(/^utf-?8$/i.test(charset) ? "utf8" : "latin1");
+    }
+}
+
+/**
+ * Parse one translation file:
+ *   ItemName_EN = { ItemName_Base.Axe = "Axe", }
+ * @param {string} text
+ * @returns {[string, string][]}
+ */
+function parseTranslationText(text) {
+    const pairs = [];
+    const pattern = /^\s*([A-Za-z0-9_.\-]+)\s*=\s*"((?:[^"\\\n]|\\.)*)"/gm;
+    for (const match of text.matchAll(pattern)) {
+        pairs.push([match[1], match[2].replace(/\\(["\\])/g, "$1")]);
+    }
+    return pairs;
+}
+
+/**
+ * Display names from the game's and mods' Translate/<LANG>/*.txt files (ItemName,
+ * UI_trait, UI_prof, IGUI_VehicleName). Keys missing from the chosen language fall
+ * back to English; later roots override earlier ones.
+ */
+class TranslationTable {
+    /** @param {string} language */
+    constructor(language) {
+        this.language = language;
+        /** Lower-cased key -> text; PZ IDs and translation keys don't always agree on case */
+        this.texts = new Map();
+        this.fileCount = 0;
+    }
+
+    /**
+     * Languages other than English are only read when one of the roots has a folder for
+     * them, so the configured name never leaves the Translate folders.
+     * @param {string[]} roots - Game folder first, then mod folders
+     * @param {string} [language] - Translate folder name, e.g. "EN", "DE", "PTBR"
+     */
+    static load(roots, language = DEFAULT_LANGUAGE) {
+        const dirs = roots.flatMap((root) => findTranslateDirs(root));
+        const known =
+            language === DEFAULT_LANGUAGE ||
+            languageNames(dirs).includes(language);
+        const table = new TranslationTable(known ? language : DEFAULT_LANGUAGE);
+        const languages =
+            table.language === DEFAULT_LANGUAGE
+                ? [DEFAULT_LANGUAGE]
+                : [DEFAULT_LANGUAGE, table.language];
+        for (const lang of languages) {
+            for (const dir of dirs) table.loadLanguageDir(path.join(dir, lang));
+        }
+        return table;
+    }
+
+    /**
+     * Language folders available under the given roots, sorted.
+     * @param {string[]} roots
+     * @returns {string[]}
+     */
+    static listLanguages(roots) {
+        return languageNames(roots.flatMap((root) => findTranslateDirs(root)));
+    }
+
+    /**
+     * Read every .txt in one Translate/<LANG> folder; unreadable files are skipped.
+     * @param {string} dir
+     */
+    loadLanguageDir(dir) {
+        let files;
+        try {
+            files = fs
+                .readdirSync(dir)
+                .filter((f) => f.toLowerCase().endsWith(".txt"))
+                .sort();
+        } catch {
+            return;
+        }
+        const charset = readCharset(dir);
+        for (const file of files) {
+            if (file.toLowerCase() === "language.txt") continue;
+            let buffer;
+            try {
+                buffer = fs.readFileSync(path.join(dir, file));
+            } catch {
+                continue;
+            }
+            this.fileCount++;
+            for (const [key, value] of parseTranslationText(
+                decodeText(buffer, charset),
+            )) {
+                this.texts.set(key.toLowerCase(), value);
+            }
+        }
+    }
+
+    get size() {
+        return this.texts.size;
+    }
+
+    /**
+     * Text for a translation key ("UI_trait_strong"), or null.
+     * @param {string} key
+     */
+    text(key) {
+        return this.texts.get(key.toLowerCase()) ?? null;
+    }
+
+    /**
+     * Display name for a save ID. kind narrows the lookup when the registry knows it;
+     * otherwise dotted IDs are tried as items then vehicles, the rest as traits then professions.
+     * "base:strong" and B41's bare "Strong" both resolve through UI_trait_strong; mod
+     * namespaces ("coolmod:samurai") are dropped the same way.
+     * @param {string} id
+     * @param {string | null} [kind] - "item", "vehicle", "profession" or "trait"
+     * @returns {{ kind: string, displayName: string } | null}
+     */
+    describe(id, kind = null) {
+        const bare = id.replace(/^[A-Za-z0-9_]+:/, "");
+        const scriptName = id.includes(".")
+            ? id.slice(id.lastIndexOf(".") + 1)
+            : id;
+        const alias = PROFESSION_KEY_ALIASES[bare.toLowerCase()];
+        const candidates = {
+            item: [`ItemName_${id}`],
+            vehicle: [`IGUI_VehicleName${scriptName}`],
+            trait: [`UI_trait_${bare}`],
+            profession: alias
+                ? [`UI_prof_${bare}`, `UI_prof_${alias}`]
+                : [`UI_prof_${bare}`],
+        };
+        const kinds = kind
+            ? [kind]
+            : id.includes(".")
+              ? ["item", "vehicle"]
+              : ["trait", "profession"];
+        for (const k of kinds) {
+            for (const key of candidates[k] || []) {
+                const displayName = this.text(key);
+                if (displayName) return { kind: k, displayName };
+            }
+        }
+        return null;
+    }
+}
+
+export { TranslationTable, parseTranslationText, DEFAULT_LANGUAGE };
@@ -2,10 +2,18 @@ import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import defaultConfig from "../config.js";
+import { DEFAULT_LANGUAGE } from "./pz-translations.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const configFileName = "pz-manager-config.json";
 
+/** Profile used for config files from before profiles, and when none is configured. */
+const DEFAULT_PROFILE = "default";
+/** Settings that belong to one save; everything else in the config file applies to all profiles. */
+const PROFILE_FIELDS = ["saveFolder", "vehiclesDbPath", "playersDbPath", "watch", "watchMinIntervalSeconds"];
+/** Profile names appear in URLs and cache file names. */
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,47}$/;
+
 /**
  * Base directory for writable app data (config, cache, data/snapshots, data/source).
  * When PZ_MANAGER_USER_DATA is set (e.g. by Electron), use that; otherwise project root.
@@ -19,8 +27,43 @@ function getConfigPath() {
 }
 
 /**
- * Resolve effective DB paths from saved config (saveFolder and/or explicit paths).
- * Returns null when raw is null (no config file) so the app can start without DBs.
+ * Saved profiles and the active one. Config files from before profiles hold one save's
+ * settings at the top level; they are read as the "default" profile.
+ * @param {object | null} raw - Config file contents
+ * @returns {{ active: string, profiles: { [name: string]: object } }}
+ */
+function getProfiles(raw) {
+    if (raw && raw.profiles && typeof raw.profiles === "object") {
+        const names = Object.keys(raw.profiles);
+        const active = names.includes(raw.activeProfile) ? raw.activeProfile : names[0] || DEFAULT_PROFILE;
+        return { active, profiles: raw.profiles };
+    }
+    if (!raw) return { active: DEFAULT_PROFILE, profiles: {} };
+    const legacy = {};
+    for (const field of PROFILE_FIELDS) {
+        if (raw[field] !== undefined) legacy[field] = raw[field];
+    }
+    return { active: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: legacy } };
+}
+
+/**
+ * One profile's settings (saveFolder, DB paths, watch mode), or null if there is no such profile.
+ * @param {object | null} raw - Config file contents
+ * @param {string} [name] - Defaults to the active profile
+ */
+function getProfile(raw, name) {
+    const { active, profiles } = getProfiles(raw);
+    const key = name || active;
+    return Object.prototype.hasOwnProperty.call(profiles, key) ? profiles[key] : null;
+}
+
+function isValidProfileName(name) {
+    return typeof name === "string" && PROFILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Resolve effective DB paths from a profile's settings (saveFolder and/or explicit paths).
+ * Returns null when raw is null (no such profile) so the app can start without DBs.
  * @param {{ saveFolder?: string, vehiclesDbPath?: string, playersDbPath?: string } | null} raw
  * @returns {{ saveFolder: string | null, vehiclesDbPath: string, playersDbPath: string } | null}
  */
@@ -52,6 +95,54 @@ function getResolvedPaths(raw) {
     };
 }
 
+/**
+ * Folders to read PZ script definitions from: the game folder first, then mod folders
+ * (later ones override earlier ones, like mods loading after the base game).
+ * @param {{ gameFolder?: string, modFolders?: string[] } | null} raw
+ * @returns {string[]}
+ */
+function getScriptRoots(raw) {
+    if (raw == null || typeof raw !== "object") return [];
+    const folders = [raw.gameFolder, ...(Array.isArray(raw.modFolders) ? raw.modFolders : [])];
+    return folders
+        .filter((f) => typeof f === "string" && f.trim())
+        .map((f) => path.normalize(f.trim()));
+}
+
+/**
+ * Translation language for display names (a Translate folder name such as "EN" or "DE").
+ * @param {{ language?: string } | null} raw
+ * @returns {string}
+ */
+function getLanguage(raw) {
+    return (raw && typeof raw.language === "string" && raw.language.trim()) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Number of decode worker threads: the saved setting, else config.js (PZ_DECODE_WORKERS).
+ * 0 decodes on the server thread.
+ * @param {{ decodeWorkers?: number } | null} raw
+ * @returns {number}
+ */
+function getDecodeWorkers(raw) {
+    const saved = raw ? raw.decodeWorkers : undefined;
+    return Number.isInteger(saved) && saved >= 0 ? saved : defaultConfig.decodeWorkers;
+}
+
+/**
+ * Watch mode settings of a profile: whether to sync when the save's DBs change, and the
+ * minimum time between two automatic syncs.
+ * @param {{ watch?: boolean, watchMinIntervalSeconds?: number } | null} raw
+ * @returns {{ enabled: boolean, minIntervalSeconds: number }}
+ */
+function getWatchSettings(raw) {
+    const saved = raw ? raw.watchMinIntervalSeconds : undefined;
+    return {
+        enabled: !!(raw && raw.watch === true),
+        minIntervalSeconds: Number.isInteger(saved) && saved >= 1 ? saved : defaultConfig.watchMinIntervalSeconds,
+    };
+}
+
 /**
  * Load config from file. Returns null if file missing or invalid.
  */
@@ -68,39 +159,128 @@ function load() {
 }
 
 /**
- * Save config to file. Values can be saveFolder, vehiclesDbPath, playersDbPath (all optional).
- * @param {{ saveFolder?: string, vehiclesDbPath?: string, playersDbPath?: string }} obj
+ * Keep only a profile's known settings, trimmed; empty values are left out.
+ * @param {object | null} obj
+ */
+function normalizeProfile(obj) {
+    const p = obj || {};
+    return {
+        saveFolder: typeof p.saveFolder === "string" ? p.saveFolder.trim() || undefined : undefined,
+        vehiclesDbPath: typeof p.vehiclesDbPath === "string" ? p.vehiclesDbPath.trim() || undefined : undefined,
+        playersDbPath: typeof p.playersDbPath === "string" ? p.playersDbPath.trim() || undefined : undefined,
+        watch: p.watch === true ? true : undefined,
+        watchMinIntervalSeconds:
+            Number.isInteger(p.watchMinIntervalSeconds) && p.watchMinIntervalSeconds >= 1 ? p.watchMinIntervalSeconds : undefined,
+    };
+}
+
+/**
+ * Save config to file. Shared values are gameFolder, modFolders, language and decodeWorkers;
+ * profiles maps each profile name to its saveFolder, vehiclesDbPath, playersDbPath, watch and
+ * watchMinIntervalSeconds (all optional).
+ * @param {{ gameFolder?: string, modFolders?: string[], language?: string, decodeWorkers?: number | null, activeProfile?: string, profiles?: { [name: string]: object } }} obj
  */
 function save(obj) {
+    const modFolders = Array.isArray(obj.modFolders)
+        ? obj.modFolders.filter((f) => typeof f === "string" && f.trim()).map((f) => f.trim())
+        : [];
+    const profiles = {};
+    for (const [name, profile] of Object.entries(obj.profiles || {})) {
+        if (isValidProfileName(name)) profiles[name] = normalizeProfile(profile);
+    }
+    if (Object.keys(profiles).length === 0) profiles[DEFAULT_PROFILE] = {};
     const toWrite = {
-        saveFolder: typeof obj.saveFolder === "string" ? obj.saveFolder.trim() || undefined : undefined,
-        vehiclesDbPath: typeof obj.vehiclesDbPath === "string" ? obj.vehiclesDbPath.trim() || undefined : undefined,
-        playersDbPath: typeof obj.playersDbPath === "string" ? obj.playersDbPath.trim() || undefined : undefined,
+        gameFolder: typeof obj.gameFolder === "string" ? obj.gameFolder.trim() || undefined : undefined,
+        modFolders: modFolders.length ? modFolders : undefined,
+        language: typeof obj.language === "string" ? obj.language.trim() || undefined : undefined,
+        decodeWorkers: Number.isInteger(obj.decodeWorkers) && obj.decodeWorkers >= 0 ? obj.decodeWorkers : undefined,
+        activeProfile: profiles[obj.activeProfile] ? obj.activeProfile : Object.keys(profiles)[0],
+        profiles,
     };
     fs.writeFileSync(getConfigPath(), JSON.stringify(toWrite, null, 2), "utf8");
 }
 
 /**
- * Get current config for API (raw from file + resolved paths).
+ * Save the config with one profile's settings changed, creating the profile if needed.
+ * Config files from before profiles are rewritten in the profiles layout.
+ * @param {string} name
+ * @param {object} fields - Profile settings to set; undefined values keep the saved ones
+ */
+function saveProfile(name, fields) {
+    const raw = load() || {};
+    const { active, profiles } = getProfiles(raw);
+    const merged = { ...(profiles[name] || {}) };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) merged[key] = value;
+    }
+    save({ ...raw, activeProfile: active, profiles: { ...profiles, [name]: merged } });
+}
+
+/**
+ * Save the config with a different active profile.
+ * @param {string} name
+ */
+function setActiveProfile(name) {
+    const raw = load() || {};
+    const { profiles } = getProfiles(raw);
+    save({ ...raw, activeProfile: name, profiles });
+}
+
+/**
+ * Save the config without a profile. When it was the active one, the first remaining profile
+ * becomes active.
+ * @param {string} name
+ */
+function removeProfile(name) {
+    const raw = load() || {};
+    const { active, profiles } = getProfiles(raw);
+    const rest = { ...profiles };
+    delete rest[name];
+    save({ ...raw, activeProfile: active === name ? Object.keys(rest)[0] : active, profiles: rest });
+}
+
+/**
+ * Get current config for API (raw from file + the active profile's resolved paths).
  * When no config file exists, returns empty strings so Settings page can load.
  */
 function getConfigForApi() {
     const raw = load();
-    const resolved = getResolvedPaths(raw);
+    const { active } = getProfiles(raw);
+    const profile = getProfile(raw);
+    const resolved = getResolvedPaths(profile);
     return {
+        profile: active,
         saveFolder: (resolved && resolved.saveFolder) || "",
         vehiclesDbPath: (resolved && resolved.vehiclesDbPath) || "",
         playersDbPath: (resolved && resolved.playersDbPath) || "",
-        vehiclesDbPathOverride: (raw && raw.vehiclesDbPath) || "",
-        playersDbPathOverride: (raw && raw.playersDbPath) || "",
+        vehiclesDbPathOverride: (profile && profile.vehiclesDbPath) || "",
+        playersDbPathOverride: (profile && profile.playersDbPath) || "",
+        gameFolder: (raw && raw.gameFolder) || "",
+        modFolders: (raw && Array.isArray(raw.modFolders) && raw.modFolders) || [],
+        language: getLanguage(raw),
+        decodeWorkers: getDecodeWorkers(raw),
+        decodeWorkersOverride: raw && Number.isInteger(raw.decodeWorkers) ? raw.decodeWorkers : null,
+        watch: getWatchSettings(profile).enabled,
+        watchMinIntervalSeconds: getWatchSettings(profile).minIntervalSeconds,
     };
 }
 
 export {
+    DEFAULT_PROFILE,
     getAppBaseDir,
+    getProfiles,
+    getProfile,
+    isValidProfileName,
     getResolvedPaths,
+    getScriptRoots,
+    getLanguage,
+    getDecodeWorkers,
+    getWatchSettings,
     load,
     save,
+    saveProfile,
+    setActiveProfile,
+    removeProfile,
     getConfigForApi,
     getConfigPath,
 };
@@ -0,0 +1,177 @@
+import sqlite3Pkg from "sqlite3";
+import fs from "node:fs";
+import path from "node:path";
+
+const sqlite3 = sqlite3Pkg.verbose();
+
+/** Pause before retrying a backup step the game's writes kept busy. */
+const BACKUP_RETRY_MS = 100;
+/** Busy retries before the backup gives up and the files are copied instead. */
+const BACKUP_MAX_RETRIES = 50;
+/** Problems integrity_check reports at most; the first few are enough to tell what is wrong. */
+const INTEGRITY_MAX_ERRORS = 5;
+
+/** SQLite error codes that mean the file itself is damaged, not that it was busy. */
+const CORRUPT_CODES = new Set(["SQLITE_CORRUPT", "SQLITE_NOTADB"]);
+
+/**
+ * Error for a snapshot that SQLite finds damaged, with err.code "SNAPSHOT_CORRUPT".
+ * @param {string} name - DB name for the message, e.g. "players.db"
+ * @param {string} detail - What SQLite reported
+ */
+function corruptError(name, detail) {
+    const err = new Error(
+        `Snapshot of ${name} is corrupt (${detail}). If the game was saving, sync again; if this keeps happening, the save's ${name} itself is damaged.`,
+    );
+    err.code = "SNAPSHOT_CORRUPT";
+    return err;
+}
+
+/**
+ * Remove a DB file and its journal, -wal and -shm, so a new snapshot does not open with
+ * pages left over from the previous one.
+ * @param {string} dbPath
+ */
+function removeDbFiles(dbPath) {
+    for (const suffix of ["", "-journal", "-wal", "-shm"]) {
+        try {
+            fs.unlinkSync(dbPath + suffix);
+        } catch (_) {}
+    }
+}
+
+/**
+ * Copy a live DB through SQLite's online backup API. The copy includes commits still in the
+ * -wal file and is taken under a read lock, so it is never torn by a concurrent write; when
+ * the game writes during the copy, SQLite restarts it.
+ * @param {string} sourcePath
+ * @param {string} destPath
+ * @param {Function} callback - (err) => void
+ */
+function backupDatabase(sourcePath, destPath, callback) {
+    const source = new sqlite3.Database(
+        sourcePath,
+        sqlite3.OPEN_READONLY,
+        (err) => {
+            if (err) return callback(err);
+            let retries = 0;
+            const backup = source.backup(destPath, (err) => {
+                if (err) return finish(err);
+                step();
+            });
+            function step() {
+                backup.step(-1, (err) => {
+                    if (backup.completed) return finish(null);
+                    if (backup.failed || retries >= BACKUP_MAX_RETRIES) {
+                        return finish(err || new Error("Backup failed"));
+                    }
+                    retries++;
+                    setTimeout(step, BACKUP_RETRY_MS);
+                });
+            }
+            function finish(err) {
+                backup.finish(() => source.close(() => callback(err)));
+            }
+        },
+    );
+}
+
+/**
+ * Checkpoint a snapshot's -wal into it and switch it to rollback journal mode, so it is one
+ * self-contained file that the sync can open read-only.
+ * @param {string} destPath
+ * @param {Function} callback - (err) => void
+ */
+function finalizeSnapshot(destPath, callback) {
+    const copy = new sqlite3.Database(destPath, (err) => {
+        if (err) return callback(err);
+        copy.run("PRAGMA wal_checkpoint(TRUNCATE)", [], (err) => {
+            if (err) return copy.close(() => callback(err));
+            copy.run("PRAGMA journal_mode=DELETE", [], (err) => {
+                copy.close(() => callback(err || null));
+            });
+        });
+    });
+}
+
+/**
+ * Copy the DB file and its -wal; finalizeSnapshot then checkpoints the copy so the -wal's
+ * commits are in the copied DB. The -shm is not copied: it only indexes the -wal, SQLite
+ * rebuilds it when it is missing, and a copy taken at a different moment than the -wal could
+ * disagree with it.
+ * @param {string} sourcePath
+ * @param {string} destPath
+ * @param {Function} callback - (err) => void
+ */
+function copyWithWal(sourcePath, destPath, callback) {
+    try {
+        removeDbFiles(destPath);
+        fs.copyFileSync(sourcePath, destPath);
+        if (fs.existsSync(sourcePath + "-wal")) {
+            fs.copyFileSync(sourcePath + "-wal", destPath + "-wal");
+        }
+    } catch (e) {
+        return callback(e);
+    }
+    callback(null);
+}
+
+/**
+ * Take a consistent snapshot of a game DB that may be open in the game: through the backup
+ * API, or, when that fails (e.g. the save folder is read-only, so the DB cannot be opened
+ * alongside the game), by copying the DB and its -wal and checkpointing the copy.
+ * @param {string} sourcePath
+ * @param {string} destPath
+ * @param {Function} callback - (err, { method: "backup" | "copy", backupError: string | null }) => void
+ */
+function snapshotDatabase(sourcePath, destPath, callback) {
+    const name = path.basename(sourcePath);
+    const finalize = (result) =>
+        finalizeSnapshot(destPath, (err) => {
+            if (err && CORRUPT_CODES.has(err.code)) {
+                return callback(corruptError(name, err.message));
+            }
+            if (err) return callback(err);
+            callback(null, result);
+        });
+    removeDbFiles(destPath);
+    backupDatabase(sourcePath, destPath, (err) => {
+        if (!err) return finalize({ method: "backup", backupError: null });
+        if (CORRUPT_CODES.has(err.code)) {
+            return callback(corruptError(name, err.message));
+        }
+        copyWithWal(sourcePath, destPath, (copyErr) => {
+            if (copyErr) return callback(copyErr);
+            finalize({ method: "copy", backupError: err.message });
+        });
+    });
+}
+
+/**
+ * Run SQLite's integrity check on an open snapshot. A damaged snapshot fails with a message
+ * naming the DB and the first problems found, and err.code "SNAPSHOT_CORRUPT".
+ * @param {import("sqlite3").Database} database
+ * @param {string} name - DB name for the message, e.g. "players.db"
+ * @param {Function} callback - (err) => void
+ */
+function checkIntegrity(database, name, callback) {
+    database.all(
+        `PRAGMA integrity_check(${INTEGRITY_MAX_ERRORS})`,
+        [],
+        (err, rows) => {
+            if (err) {
+                if (CORRUPT_CODES.has(err.code))
+                    return callback(corruptError(name, err.message));
+                return callback(err);
+            }
+            const problems = (rows || [])
+                .map((row) => row.integrity_check)
+                .filter((message) => message !== "ok");
+            if (problems.length)
+                return callback(corruptError(name, problems.join("; ")));
+            callback(null);
+        },
+    );
+}
+
+export { snapshotDatabase, checkIntegrity, removeDbFiles };
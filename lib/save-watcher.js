@@ -0,0 +1,158 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/** Wait before watching a directory again after watching it failed. */
+const RETRY_MS = 5000;
+
+/**
+ * Watches the game's vehicles and players DBs (and their -wal files, where a running game
+ * writes first) and calls onChange once writes settle. The watcher waits until writes have
+ * been quiet for debounceMs, and leaves at least minIntervalMs between two onChange calls;
+ * a game that never stops writing is still synced within minIntervalMs of its first write.
+ * A directory that cannot be watched (missing, moved, no permission) is retried every
+ * retryMs, with the error kept for the watch status meanwhile.
+ */
+class SaveWatcher {
+    /**
+     * @param {object} options
+     * @param {string[]} options.files - DB paths to watch; their -wal files are watched too
+     * @param {number} options.debounceMs - Quiet time after the last write before syncing
+     * @param {number} options.minIntervalMs - Minimum time between two syncs
+     * @param {Function} options.onChange - (done: () => void) => void; call done when the sync finished
+     * @param {number} [options.retryMs] - Wait before watching a failed directory again
+     */
+    constructor({
+        files,
+        debounceMs,
+        minIntervalMs,
+        onChange,
+        retryMs = RETRY_MS,
+    }) {
+        this.debounceMs = debounceMs;
+        this.minIntervalMs = minIntervalMs;
+        this.onChange = onChange;
+        this.retryMs = retryMs;
+        /** Base names to react to, per watched directory */
+        this.targets = new Map();
+        for (const file of files) {
+            const dir = path.dirname(file);
+            const base = path.basename(file);
+            if (!this.targets.has(dir)) this.targets.set(dir, new Set());
+            this.targets.get(dir).add(base).add(`${base}-wal`);
+        }
+        /** @type {Map<string, fs.FSWatcher>} */
+        this.watchers = new Map();
+        /** Last error per directory that is not being watched */
+        this.failures = new Map();
+        this.retryTimers = new Map();
+        this.timer = null;
+        this.running = false;
+        this.pending = false;
+        this.lastRunAt = 0;
+        /** Time of the first write not synced yet, or null */
+        this.firstChangeAt = null;
+        this.closed = false;
+    }
+
+    /**
+     * Start watching. Directories are watched rather than the files themselves, so a -wal
+     * file the game creates later, or a DB that is replaced, is still noticed.
+     * @returns {string[]} Errors for directories that could not be watched (see errors())
+     */
+    start() {
+        for (const [dir, names] of this.targets) this.watchDir(dir, names);
+        return this.errors();
+    }
+
+    /** "<dir>: <message>" for each directory that is not being watched right now. */
+    errors() {
+        return [...this.failures].map(([dir, message]) => `${dir}: ${message}`);
+    }
+
+    /**
+     * Watch one directory; on failure, or when the watch later errors, record the error and try
+     * again after retryMs.
+     * @param {string} dir
+     * @param {Set<string>} names - Base names to react to
+     */
+    watchDir(dir, names) {
+        if (this.closed) return;
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => {
+                if (!filename || names.has(String(filename))) this.schedule();
+            });
+        } catch (e) {
+            this.failures.set(dir, e.message);
+            return this.retryLater(dir, names);
+        }
+        // The files may have changed while the directory was not watched
+        if (this.failures.delete(dir)) this.schedule();
+        watcher.on("error", (err) => {
+            this.failures.set(dir, err.message);
+            watcher.close();
+            this.watchers.delete(dir);
+            this.retryLater(dir, names);
+        });
+        this.watchers.set(dir, watcher);
+    }
+
+    retryLater(dir, names) {
+        if (this.closed) return;
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(dir);
+            this.watchDir(dir, names);
+        }, this.retryMs);
+        this.retryTimers.set(dir, timer);
+    }
+
+    /**
+     * Restart the quiet-time countdown, pushed back further if the last sync was recent, but
+     * never past minIntervalMs (or debounceMs, if longer) after the first unsynced write.
+     */
+    schedule() {
+        if (this.closed) return;
+        const now = Date.now();
+        if (this.firstChangeAt === null) this.firstChangeAt = now;
+        if (this.running) {
+            this.pending = true;
+            return;
+        }
+        clearTimeout(this.timer);
+        const settled = Math.max(
+            now + this.debounceMs,
+            this.lastRunAt + this.minIntervalMs,
+        );
+        const deadline =
+            this.firstChangeAt + Math.max(this.debounceMs, this.minIntervalMs);
+        this.timer = setTimeout(
+            () => this.run(),
+            Math.min(settled, deadline) - now,
+        );
+    }
+
+    run() {
+        this.timer = null;
+        if (this.closed) return;
+        this.running = true;
+        this.pending = false;
+        this.firstChangeAt = null;
+        this.lastRunAt = Date.now();
+        this.onChange(() => {
+            this.running = false;
+            // Writes that came in during the sync get their own sync
+            if (this.pending) this.schedule();
+        });
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        for (const timer of this.retryTimers.values()) clearTimeout(timer);
+        this.retryTimers.clear();
+        for (const watcher of this.watchers.values()) watcher.close();
+        this.watchers.clear();
+    }
+}
+
+export { SaveWatcher };
@@ -0,0 +1,106 @@
+/**
+ * Decoder output that is not save data: how fields were found, which decoder path ran, and
+ * why a path failed.
+ */
+const SKIPPED_KEYS = new Set([
+    "provenance",
+    "decodeMode",
+    "structuredError",
+    "_error",
+]);
+/**
+ * Other top-level decoder diagnostics by name, e.g. a future "inventoryError". Only checked at
+ * the top level: deeper keys such as mod data are save data whatever they are called.
+ */
+const DIAGNOSTIC_KEY = /^_|(error|warning|message)s?$/i;
+
+/** Markers the FTS5 highlight() function puts around matched text; they cannot occur in save strings. */
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+
+/**
+ * Every string in a decoded row, with the path it was found under, for the full-text index.
+ * Array indices are left out of the path, so all inventory item types share
+ * "inventory.items.fullType" however deeply they are nested. Each field/value pair appears once.
+ * @param {object} extracted - decodePzBuffer output
+ * @param {{ [field: string]: string | null | undefined }} [extra] - Strings from the row's own
+ *   columns, e.g. a player's username
+ * @returns {{ field: string, value: string }[]}
+ */
+function collectSearchStrings(extracted, extra = {}) {
+    const seen = new Set();
+    const strings = [];
+    const add = (field, value) => {
+        const trimmed = value.trim();
+        if (!trimmed) return;
+        const key = `${field}\0${trimmed}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        strings.push({ field, value: trimmed });
+    };
+    for (const [field, value] of Object.entries(extra)) {
+        if (typeof value === "string") add(field, value);
+    }
+    (function walk(value, path) {
+        if (typeof value === "string") {
+            if (path) add(path, value);
+        } else if (Array.isArray(value)) {
+            for (const item of value) walk(item, path);
+        } else if (value && typeof value === "object") {
+            for (const [key, child] of Object.entries(value)) {
+                if (SKIPPED_KEYS.has(key)) continue;
+                if (!path && DIAGNOSTIC_KEY.test(key)) continue;
+                walk(child, path ? `${path}.${key}` : key);
+            }
+        }
+    })(extracted || {}, "");
+    return strings;
+}
+
+/**
+ * Turn what the user typed into an FTS5 MATCH expression: every word must match, the last one
+ * as a prefix so results show while typing. Words are quoted, so "Base.Katana" or "it's" are
+ * searched as text rather than read as FTS5 syntax.
+ * @param {string} text
+ * @returns {string | null} null when there is nothing to search for
+ */
+function toFtsQuery(text) {
+    const words = String(text || "")
+        .split(/\s+/)
+        .map((word) => word.replace(/"/g, ""))
+        .filter(Boolean);
+    if (words.length === 0) return null;
+    return words
+        .map((word, i) => `"${word}"${i === words.length - 1 ? "*" : ""}`)
+        .join(" ");
+}
+
+/**
+ * Split a value marked by highlight() into plain and matched runs.
+ * @param {string} marked
+ * @returns {{ text: string, match: boolean }[]}
+ */
+function splitHighlight(marked) {
+    const segments = [];
+    let match = false;
+    let text = "";
+    for (const ch of marked) {
+        if (ch === MATCH_START || ch === MATCH_END) {
+            if (text) segments.push({ text, match });
+            text = "";
+            match = ch === MATCH_START;
+        } else {
+            text += ch;
+        }
+    }
+    if (text) segments.push({ text, match });
+    return segments;
+}
+
+export {
+    MATCH_START,
+    MATCH_END,
+    collectSearchStrings,
+    toFtsQuery,
+    splitHighlight,
+};
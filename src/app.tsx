@@ -4,6 +4,7 @@ import { AppLayout } from "./components/app-layout";
 import { VehiclesPage } from "./pages/vehicles-page";
 import { PlayersPage } from "./pages/players-page";
 import { SettingsPage } from "./pages/settings-page";
+import { SearchPage } from "./pages/search-page";
 
 export default function App() {
   return (
@@ -13,6 +14,7 @@ export default function App() {
           <Route index element={<Navigate to="/vehicles" replace />} />
           <Route path="vehicles" element={<VehiclesPage />} />
           <Route path="players" element={<PlayersPage />} />
+          <Route path="search" element={<SearchPage />} />
           <Route path="settings" element={<SettingsPage />} />
         </Route>
       </Routes>
@@ -1,23 +1,26 @@
 import { Link, useLocation, Outlet } from "react-router-dom";
 import { Loader2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { ProfileSwitcher } from "@/components/profile-switcher";
 import { useRefresh } from "@/contexts/refresh-context";
 import { cn } from "@/lib/utils";
 
 const nav = [
   { to: "/vehicles", label: "Vehicles" },
   { to: "/players", label: "Players" },
+  { to: "/search", label: "Search" },
   { to: "/settings", label: "Settings" },
 ] as const;
 
 export function AppLayout(_props: { children?: React.ReactNode }) {
   const location = useLocation();
-  const { doRefresh, isRefreshing } = useRefresh();
+  const { doRefresh, isRefreshing, lastSync } = useRefresh();
 
   return (
     <div className="min-h-screen bg-background text-foreground">
       <nav className="border-b border-border bg-card shadow-sm px-5 py-3 flex items-center gap-6">
         <span className="font-semibold text-foreground mr-2">PZ Manager</span>
+        <ProfileSwitcher />
         {nav.map(({ to, label }) => (
           <Link
             key={to}
@@ -32,12 +35,26 @@ export function AppLayout(_props: { children?: React.ReactNode }) {
             {label}
           </Link>
         ))}
+        {lastSync && (
+          <span
+            className={cn(
+              "ml-auto text-xs",
+              lastSync.ok ? "text-muted-foreground" : "text-destructive"
+            )}
+            title={lastSync.error ?? undefined}
+          >
+            {lastSync.ok ? "Synced" : "Sync failed"}
+            {lastSync.source === "watch" ? " automatically" : ""} at{" "}
+            {new Date(lastSync.at).toLocaleTimeString()}
+          </span>
+        )}
         <Button
           type="button"
           variant="secondary"
-          className="ml-auto"
+          className={lastSync ? undefined : "ml-auto"}
           disabled={isRefreshing}
-          onClick={() => doRefresh()}
+          // The progress panel shows why a sync failed
+          onClick={() => doRefresh().catch(() => {})}
           title="Resync data from game files"
         >
           {isRefreshing ? (
@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Traced } from "@/components/traced-value";
+import { cn } from "@/lib/utils";
+import type {
+  InventoryContainer,
+  InventoryItem,
+  ScriptDefinition,
+} from "@/lib/api-client";
+
+type Definitions = Record<string, ScriptDefinition>;
+
+function formatCondition(item: InventoryItem): string | null {
+  if (item.conditionMax <= 0) return null;
+  return `${Math.round((item.condition / item.conditionMax) * 100)}%`;
+}
+
+/** Script category and weight of an item, e.g. "Tool, 3 kg". */
+function describeDefinition(definition: ScriptDefinition): string {
+  const details: string[] = [];
+  if (definition.category) details.push(definition.category);
+  if (definition.weight != null) details.push(`${definition.weight} kg`);
+  return details.join(", ");
+}
+
+function ItemNode({
+  item,
+  path,
+  definitions,
+}: {
+  item: InventoryItem;
+  path: string;
+  definitions: Definitions;
+}) {
+  const [open, setOpen] = useState(false);
+  const condition = formatCondition(item);
+  const definition = definitions[item.fullType];
+  const children = item.container?.items ?? [];
+
+  return (
+    <li>
+      <div
+        className={cn(
+          "flex items-center gap-1.5 py-0.5",
+          item.container && "cursor-pointer"
+        )}
+        onClick={() => item.container && setOpen((o) => !o)}
+      >
+        {item.container ? (
+          open ? (
+            <ChevronDown className="h-3.5 w-3.5 shrink-0" />
+          ) : (
+            <ChevronRight className="h-3.5 w-3.5 shrink-0" />
+          )
+        ) : (
+          <span className="w-3.5 shrink-0" />
+        )}
+        {definition?.displayName ? (
+          <span title={item.fullType}>
+            <Traced field={path}>{definition.displayName}</Traced>
+          </span>
+        ) : (
+          <span className="font-mono text-xs">
+            <Traced field={path}>{item.fullType}</Traced>
+          </span>
+        )}
+        {item.count > 1 && (
+          <span className="text-muted-foreground">×{item.count}</span>
+        )}
+        {item.customName && <span>“{item.customName}”</span>}
+        {condition && (
+          <span className="text-xs text-muted-foreground">{condition}</span>
+        )}
+        {definition && describeDefinition(definition) && (
+          <span className="text-xs text-muted-foreground">
+            {describeDefinition(definition)}
+          </span>
+        )}
+        {item.equipped && (
+          <Badge variant="outline" className="font-normal">
+            Equipped
+          </Badge>
+        )}
+        {item.container && (
+          <span className="text-xs text-muted-foreground">
+            ({children.length} inside)
+          </span>
+        )}
+      </div>
+      {open && children.length > 0 && (
+        <ul className="list-none pl-5">
+          {children.map((child, i) => (
+            <ItemNode
+              key={i}
+              item={child}
+              path={`${path}.container.items.${i}`}
+              definitions={definitions}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function ContainerNode({
+  container,
+  path,
+  definitions,
+}: {
+  container: InventoryContainer;
+  path: string;
+  definitions: Definitions;
+}) {
+  const [open, setOpen] = useState(true);
+
+  return (
+    <li>
+      <div
+        className="flex items-center gap-1.5 py-0.5 cursor-pointer font-medium"
+        onClick={() => setOpen((o) => !o)}
+      >
+        {open ? (
+          <ChevronDown className="h-3.5 w-3.5 shrink-0" />
+        ) : (
+          <ChevronRight className="h-3.5 w-3.5 shrink-0" />
+        )}
+        <Traced field={path}>{container.type}</Traced>
+        <span className="text-xs text-muted-foreground font-normal">
+          ({container.items.length})
+        </span>
+      </div>
+      {open && (
+        <ul className="list-none pl-5">
+          {container.items.length === 0 ? (
+            <li className="text-muted-foreground py-0.5">Empty</li>
+          ) : (
+            container.items.map((item, i) => (
+              <ItemNode
+                key={i}
+                item={item}
+                path={`${path}.items.${i}`}
+                definitions={definitions}
+              />
+            ))
+          )}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Expandable view of decoded containers; bags and other container items open to show their contents.
+ * Containers trace to "<path>.<index>" in the decoder's provenance. Items the game's or a
+ * mod's scripts define show their display name, category and weight.
+ */
+export function InventoryTree({
+  containers,
+  path = "inventory",
+  definitions = {},
+}: {
+  containers: InventoryContainer[];
+  path?: string;
+  definitions?: Definitions;
+}) {
+  return (
+    <ul className="list-none text-sm bg-muted/50 rounded-md p-3">
+      {containers.map((container, i) => (
+        <ContainerNode
+          key={i}
+          container={container}
+          path={`${path}.${i}`}
+          definitions={definitions}
+        />
+      ))}
+    </ul>
+  );
+}
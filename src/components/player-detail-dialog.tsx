@@ -7,7 +7,23 @@ import {
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { getPlayerById, type PlayerRow } from "@/lib/api-client";
+import { InventoryTree } from "@/components/inventory-tree";
+import { RawBlobView } from "@/components/raw-bytes-view";
+import { PlayerHistory } from "@/components/player-history";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+    ProvenanceProvider,
+    Traced,
+    TracedList,
+} from "@/components/traced-value";
+import { VITAL_FIELDS, formatHoursSurvived } from "@/lib/player-vitals";
+import {
+    getPlayerById,
+    type BodyPartDamage,
+    type PlayerRow,
+    type ScriptDefinition,
+    type SkillProgress,
+} from "@/lib/api-client";
 
 // Known PZ stat/skill names — don't show as "Username (from buffer)" when decoder misclassifies
 const KNOWN_STAT_SKILL_NAMES = new Set([
@@ -68,14 +84,23 @@ const PZ_CLOTHING_SLOT_IDS = new Set([
     "base:ring", "base:watch",
 ]);
 
-function displayProfessions(professionIds: string[] | undefined): string[] {
+type Definitions = Record<string, ScriptDefinition>;
+
+// Script definitions (game and mods) win over the built-in ID lists
+function displayProfessions(
+    professionIds: string[] | undefined,
+    definitions: Definitions,
+): string[] {
     if (!professionIds?.length) return [];
     return professionIds.filter((id) =>
-        PZ_PROFESSION_IDS.has(id.toLowerCase()),
+        definitions[id]
+            ? definitions[id].kind === "profession"
+            : PZ_PROFESSION_IDS.has(id.toLowerCase()),
     );
 }
 
-function isTraitId(id: string): boolean {
+function isTraitId(id: string, definitions: Definitions): boolean {
+    if (definitions[id]) return definitions[id].kind === "trait";
     return (
         id.startsWith("base:") &&
         !PZ_PROFESSION_IDS.has(id.toLowerCase()) &&
@@ -86,12 +111,69 @@ function isTraitId(id: string): boolean {
 function displayTraits(
     traitOrSkillIds: string[] | undefined,
     professionIds: string[] | undefined,
+    definitions: Definitions,
 ): string[] {
-    const fromTraits = (traitOrSkillIds ?? []).filter(isTraitId);
-    const fromProfessions = (professionIds ?? []).filter(isTraitId);
+    const isTrait = (id: string) => isTraitId(id, definitions);
+    const fromTraits = (traitOrSkillIds ?? []).filter(isTrait);
+    const fromProfessions = (professionIds ?? []).filter(isTrait);
     return [...new Set([...fromTraits, ...fromProfessions])];
 }
 
+const WOUND_LABELS: [keyof BodyPartDamage, string][] = [
+    ["scratched", "Scratch"],
+    ["lacerated", "Laceration"],
+    ["bitten", "Bite"],
+    ["bleeding", "Bleeding"],
+    ["fractured", "Fracture"],
+    ["bandaged", "Bandaged"],
+];
+
+function woundLabels(part: BodyPartDamage): string[] {
+    return WOUND_LABELS.filter(([key]) => part[key]).map(([, label]) => label);
+}
+
+function formatMultiplier(value: number): string {
+    return `×${Number(value.toFixed(2))}`;
+}
+
+function SkillProgressRow({
+    skill,
+    progress,
+}: {
+    skill: string;
+    progress: SkillProgress;
+}) {
+    const percent =
+        progress.xpIntoLevel != null && progress.xpForLevel
+            ? Math.min(100, (progress.xpIntoLevel / progress.xpForLevel) * 100)
+            : progress.xpForLevel == null
+              ? 100
+              : 0;
+    return (
+        <li className="grid grid-cols-[8rem_2rem_1fr_auto] items-center gap-2">
+            <span>{skill}</span>
+            <span className="font-medium tabular-nums">
+                <Traced field={`skillLevels.${skill}`}>{progress.level}</Traced>
+            </span>
+            <div className="h-1.5 rounded-full bg-muted overflow-hidden">
+                <div
+                    className="h-full bg-primary/60"
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+            <span className="text-xs text-muted-foreground tabular-nums">
+                {progress.xpForLevel == null
+                    ? "Max"
+                    : progress.xpToNextLevel != null
+                      ? `${Math.round(progress.xpToNextLevel)} XP to next`
+                      : "XP unknown"}
+                {progress.xpMultiplier !== 1 &&
+                    ` · ${formatMultiplier(progress.xpMultiplier)}`}
+            </span>
+        </li>
+    );
+}
+
 type Props = {
     id: number | string | null;
     open: boolean;
@@ -104,6 +186,8 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
     const [error, setError] = useState<string | null>(null);
     const [rawOpen, setRawOpen] = useState(false);
     const [xpOpen, setXpOpen] = useState(false);
+    const [tracedField, setTracedField] = useState<string | null>(null);
+    const [tab, setTab] = useState("details");
 
     useEffect(() => {
         if (!open || id == null) {
@@ -111,6 +195,8 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
             setError(null);
             setRawOpen(false);
             setXpOpen(false);
+            setTracedField(null);
+            setTab("details");
             return;
         }
         setLoading(true);
@@ -124,9 +210,27 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
     }, [open, id]);
 
     const e = data?.extracted ?? {};
-    const raw = data?.raw ?? [];
-    const professionsDisplay = displayProfessions(e.professionIds);
-    const traitsDisplay = displayTraits(e.traitOrSkillIds, e.professionIds);
+    const inventory = data?.inventory ?? [];
+    const definitions = data?.definitions ?? {};
+    const displayName = (id: string) => definitions[id]?.displayName || id;
+    // Structured decodes read these from their own fields; only heuristic output needs filtering
+    const structured = e.decodeMode === "structured";
+    const professionsDisplay = structured
+        ? (e.professionIds ?? [])
+        : displayProfessions(e.professionIds, definitions);
+    const traitsDisplay = structured
+        ? (e.traitOrSkillIds ?? [])
+        : displayTraits(e.traitOrSkillIds, e.professionIds, definitions);
+    const provenance = e.provenance ?? {};
+    const traced =
+        tracedField && provenance[tracedField]
+            ? { field: tracedField, source: provenance[tracedField] }
+            : null;
+
+    const selectField = (field: string) => {
+        setTracedField(field);
+        setRawOpen(true);
+    };
 
     return (
         <Dialog open={open} onOpenChange={onOpenChange}>
@@ -137,17 +241,32 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                 <DialogHeader>
                     <DialogTitle>Player {id}</DialogTitle>
                 </DialogHeader>
+                <Tabs value={tab} onValueChange={setTab}>
+                    <TabsList>
+                        <TabsTrigger value="details">Details</TabsTrigger>
+                        <TabsTrigger value="history">History</TabsTrigger>
+                    </TabsList>
+                </Tabs>
                 <div className="overflow-y-auto flex-1 pr-2">
-                    {loading && (
+                    {tab === "details" && loading && (
                         <p className="text-muted-foreground">Loading…</p>
                     )}
-                    {error && (
+                    {tab === "details" && error && (
                         <p className="text-destructive">
                             Failed to load: {error}
                         </p>
                     )}
-                    {data && !loading && !error && (
-                        <>
+                    {tab === "history" && id != null && (
+                        <PlayerHistory
+                            playerId={id}
+                            displayName={displayName}
+                        />
+                    )}
+                    {tab === "details" && data && !loading && !error && (
+                        <ProvenanceProvider
+                            provenance={provenance}
+                            onSelect={selectField}
+                        >
                             <section className="mb-5 pl-3 border-l-4 border-primary/30">
                                 <h3 className="text-sm font-medium text-foreground mb-2">
                                     Summary
@@ -172,7 +291,10 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                                 <strong>
                                                     Username (from buffer)
                                                 </strong>
-                                                : {e.usernameFromBuffer}
+                                                :{" "}
+                                                <Traced field="usernameFromBuffer">
+                                                    {e.usernameFromBuffer}
+                                                </Traced>
                                             </li>
                                         )}
                                     <li>
@@ -180,16 +302,50 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                         {data.x ?? "—"}, {data.y ?? "—"}
                                         {data.z != null ? `, ${data.z}` : ""}
                                     </li>
+                                    {data.decodeError && (
+                                        <li className="text-destructive">
+                                            <strong>Decode failed</strong>:{" "}
+                                            {data.decodeError}
+                                        </li>
+                                    )}
+                                    {e.decodeMode && (
+                                        <li>
+                                            <strong>Decoded</strong>:{" "}
+                                            {e.decodeMode === "structured"
+                                                ? "structured"
+                                                : "heuristic"}
+                                            {data.build
+                                                ? `, Build ${data.build} (world version ${data.worldVersion ?? "?"})`
+                                                : ""}
+                                            {e.structuredError && (
+                                                <span className="text-muted-foreground text-xs ml-1">
+                                                    ({e.structuredError})
+                                                </span>
+                                            )}
+                                        </li>
+                                    )}
                                     {e.characterNames?.length ? (
                                         <li>
                                             <strong>Names</strong>:{" "}
-                                            {e.characterNames.join(", ")}
+                                            <TracedList
+                                                field="characterNames"
+                                                values={e.characterNames}
+                                            />
                                         </li>
                                     ) : null}
                                     {professionsDisplay.length ? (
                                         <li>
                                             <strong>Profession(s)</strong>:{" "}
-                                            {professionsDisplay.join(", ")}
+                                            {professionsDisplay.map((p, i) => (
+                                                <span key={p}>
+                                                    {i > 0 && ", "}
+                                                    <Traced
+                                                        field={`professionIds.${e.professionIds!.indexOf(p)}`}
+                                                    >
+                                                        {displayName(p)}
+                                                    </Traced>
+                                                </span>
+                                            ))}
                                         </li>
                                     ) : null}
                                     {traitsDisplay.length ? (
@@ -197,7 +353,16 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                             <strong>Traits</strong>:{" "}
                                             {traitsDisplay
                                                 .slice(0, 20)
-                                                .join(", ")}
+                                                .map((t, i) => (
+                                                    <span key={t}>
+                                                        {i > 0 && ", "}
+                                                        <Traced
+                                                            field={`traitOrSkillIds.${e.traitOrSkillIds!.indexOf(t)}`}
+                                                        >
+                                                            {displayName(t)}
+                                                        </Traced>
+                                                    </span>
+                                                ))}
                                             {traitsDisplay.length > 20
                                                 ? " …"
                                                 : ""}
@@ -210,14 +375,174 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                     ) ? (
                                         <li>
                                             <strong>Stats</strong>:{" "}
-                                            {e.statNames.join(", ")}
+                                            <TracedList
+                                                field="statNames"
+                                                values={e.statNames}
+                                            />
                                         </li>
                                     ) : null}
                                 </ul>
                             </section>
-                            {(e.skillLevels &&
-                                Object.keys(e.skillLevels).length > 0) ||
-                            (e.statNames && e.statNames.length > 0) ? (
+                            {e.health && (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Health
+                                    </h3>
+                                    <ul className="list-none space-y-1 text-sm bg-muted/50 rounded-md p-3">
+                                        <li>
+                                            <strong>Overall health</strong>:{" "}
+                                            <Traced field="health.overallHealth">
+                                                {Math.round(
+                                                    e.health.overallHealth,
+                                                )}
+                                                %
+                                            </Traced>
+                                        </li>
+                                        <li>
+                                            <strong>Infected</strong>:{" "}
+                                            {e.health.infected ? (
+                                                <Badge variant="destructive">
+                                                    <Traced field="health.infected">
+                                                        Yes
+                                                    </Traced>
+                                                    &nbsp;(
+                                                    <Traced field="health.infectionLevel">
+                                                        {Math.round(
+                                                            e.health
+                                                                .infectionLevel,
+                                                        )}
+                                                        %
+                                                    </Traced>
+                                                    )
+                                                </Badge>
+                                            ) : (
+                                                <Traced field="health.infected">
+                                                    No
+                                                </Traced>
+                                            )}
+                                        </li>
+                                        {e.health.bodyParts
+                                            .filter(
+                                                (part) =>
+                                                    part.health < 100 ||
+                                                    woundLabels(part).length,
+                                            )
+                                            .map((part) => (
+                                                <li key={part.part}>
+                                                    <strong>
+                                                        <Traced
+                                                            field={`health.bodyParts.${e.health!.bodyParts.indexOf(part)}`}
+                                                        >
+                                                            {part.part}
+                                                        </Traced>
+                                                    </strong>
+                                                    : {Math.round(part.health)}
+                                                    %
+                                                    {woundLabels(part).length
+                                                        ? ` — ${woundLabels(part).join(", ")}`
+                                                        : ""}
+                                                </li>
+                                            ))}
+                                        {e.health.bodyParts.every(
+                                            (part) =>
+                                                part.health >= 100 &&
+                                                !woundLabels(part).length,
+                                        ) && (
+                                            <li className="text-muted-foreground">
+                                                No wounds.
+                                            </li>
+                                        )}
+                                    </ul>
+                                </section>
+                            )}
+                            {e.survival && (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Survival
+                                    </h3>
+                                    <ul className="list-none space-y-1 text-sm bg-muted/50 rounded-md p-3">
+                                        <li>
+                                            <strong>Survived</strong>:{" "}
+                                            <Traced field="survival.hoursSurvived">
+                                                {formatHoursSurvived(
+                                                    e.survival.hoursSurvived,
+                                                )}
+                                            </Traced>
+                                        </li>
+                                        <li>
+                                            <strong>Zombie kills</strong>:{" "}
+                                            <Traced field="survival.zombieKills">
+                                                {e.survival.zombieKills}
+                                            </Traced>
+                                        </li>
+                                        <li>
+                                            <strong>Survivor kills</strong>:{" "}
+                                            <Traced field="survival.survivorKills">
+                                                {e.survival.survivorKills}
+                                            </Traced>
+                                        </li>
+                                        <li>
+                                            <strong>Status</strong>:{" "}
+                                            <Traced field="survival.dead">
+                                                {e.survival.dead
+                                                    ? e.survival.diedAtHours !=
+                                                      null
+                                                        ? `Dead (world hour ${Math.round(e.survival.diedAtHours)})`
+                                                        : "Dead"
+                                                    : "Alive"}
+                                            </Traced>
+                                        </li>
+                                    </ul>
+                                </section>
+                            )}
+                            {e.vitals && (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Condition
+                                    </h3>
+                                    <div className="flex flex-wrap gap-2">
+                                        {VITAL_FIELDS.map((f) => (
+                                            <Badge
+                                                key={f.key}
+                                                variant="secondary"
+                                                className="font-normal"
+                                            >
+                                                {f.label}&nbsp;
+                                                <Traced field={`vitals.${f.key}`}>
+                                                    {f.format(e.vitals![f.key])}
+                                                </Traced>
+                                            </Badge>
+                                        ))}
+                                    </div>
+                                </section>
+                            )}
+                            {e.skills && Object.keys(e.skills).length > 0 ? (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Skill levels
+                                    </h3>
+                                    <p className="text-xs text-muted-foreground mb-2">
+                                        Level 0–10 with progress toward the next
+                                        level. Multipliers combine trait and
+                                        skill book XP boosts.
+                                    </p>
+                                    <ul className="list-none space-y-1 text-sm bg-muted/50 rounded-md p-3">
+                                        {Object.entries(e.skills)
+                                            .sort(([a], [b]) =>
+                                                a.localeCompare(b),
+                                            )
+                                            .map(([skill, progress]) => (
+                                                <SkillProgressRow
+                                                    key={skill}
+                                                    skill={skill}
+                                                    progress={progress}
+                                                />
+                                            ))}
+                                    </ul>
+                                </section>
+                            ) : (e.skillLevels &&
+                                  Object.keys(e.skillLevels).length > 0) ||
+                              (e.statNames && e.statNames.length > 0) ? (
                                 <section className="mb-5 pl-3 border-l-4 border-primary/30">
                                     <h3 className="text-sm font-medium text-foreground mb-2">
                                         Skill levels
@@ -238,7 +563,12 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                                           variant="secondary"
                                                           className="font-normal"
                                                       >
-                                                          {skill} {level}
+                                                          {skill}&nbsp;
+                                                          <Traced
+                                                              field={`skillLevels.${skill}`}
+                                                          >
+                                                              {level}
+                                                          </Traced>
                                                       </Badge>
                                                   ))
                                             : (e.statNames || []).map(
@@ -261,7 +591,12 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                         Appearance
                                     </h3>
                                     <ul className="list-none text-sm bg-muted/50 rounded-md p-3">
-                                        <li>{e.appearance.join(", ")}</li>
+                                        <li>
+                                            <TracedList
+                                                field="appearance"
+                                                values={e.appearance}
+                                            />
+                                        </li>
                                     </ul>
                                 </section>
                             ) : null}
@@ -273,20 +608,41 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                     <ul className="list-none space-y-1 text-sm bg-muted/50 rounded-md p-3">
                                         <li>
                                             <strong>Types</strong>:{" "}
-                                            {e.clothingTypes.join(", ")}
+                                            <TracedList
+                                                field="clothingTypes"
+                                                values={e.clothingTypes}
+                                            />
                                         </li>
                                         {e.clothingCustomNames?.length ? (
                                             <li>
                                                 <strong>Custom names</strong>:{" "}
-                                                {e.clothingCustomNames.join(
-                                                    ", ",
-                                                )}
+                                                <TracedList
+                                                    field="clothingCustomNames"
+                                                    values={
+                                                        e.clothingCustomNames
+                                                    }
+                                                />
                                             </li>
                                         ) : null}
                                     </ul>
                                 </section>
                             ) : null}
-                            {e.inventoryStrings?.length ? (
+                            {inventory.length > 0 && (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Inventory
+                                        {e.inventoryItemCount != null
+                                            ? ` (${e.inventoryItemCount} items)`
+                                            : ""}
+                                    </h3>
+                                    <InventoryTree
+                                        containers={inventory}
+                                        definitions={definitions}
+                                    />
+                                </section>
+                            )}
+                            {!inventory.length &&
+                            e.inventoryStrings?.length ? (
                                 <section className="mb-5 pl-3 border-l-4 border-primary/30">
                                     <h3 className="text-sm font-medium text-foreground mb-2">
                                         Inventory
@@ -295,7 +651,13 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                         {e.inventoryStrings
                                             .slice(0, 20)
                                             .map((s, i) => (
-                                                <li key={i}>{s}</li>
+                                                <li key={i}>
+                                                    <Traced
+                                                        field={`inventoryStrings.${i}`}
+                                                    >
+                                                        {s}
+                                                    </Traced>
+                                                </li>
                                             ))}
                                         {e.inventoryStrings.length > 20 ? (
                                             <li>
@@ -314,9 +676,13 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                     </h3>
                                     <ul className="list-none text-sm bg-muted/50 rounded-md p-3">
                                         <li>
-                                            {e.recipeIds
-                                                .slice(0, 15)
-                                                .join(", ")}
+                                            <TracedList
+                                                field="recipeIds"
+                                                values={e.recipeIds.slice(
+                                                    0,
+                                                    15,
+                                                )}
+                                            />
                                             {e.recipeIds.length > 15
                                                 ? ` … and ${e.recipeIds.length - 15} more`
                                                 : ""}
@@ -324,6 +690,78 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                     </ul>
                                 </section>
                             ) : null}
+                            {e.skillBooks?.length ? (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Skill books
+                                    </h3>
+                                    <ul className="list-none space-y-1 text-sm bg-muted/50 rounded-md p-3">
+                                        {e.skillBooks.map((book, i) => (
+                                            <li
+                                                key={book.fullType}
+                                                className="flex items-center gap-2"
+                                            >
+                                                <span
+                                                    className={
+                                                        definitions[book.fullType]
+                                                            ? undefined
+                                                            : "font-mono text-xs"
+                                                    }
+                                                    title={book.fullType}
+                                                >
+                                                    <Traced
+                                                        field={`skillBooks.${i}`}
+                                                    >
+                                                        {displayName(book.fullType)}
+                                                    </Traced>
+                                                </span>
+                                                <span className="text-xs text-muted-foreground">
+                                                    {book.pagesRead}/
+                                                    {book.pageCount} pages
+                                                </span>
+                                                {book.finished && (
+                                                    <Badge
+                                                        variant="outline"
+                                                        className="font-normal"
+                                                    >
+                                                        Read
+                                                    </Badge>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </section>
+                            ) : null}
+                            {e.readLiterature?.length ? (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Magazines read
+                                    </h3>
+                                    <ul className="list-none text-sm bg-muted/50 rounded-md p-3">
+                                        <li>
+                                            <TracedList
+                                                field="readLiterature"
+                                                values={e.readLiterature}
+                                            />
+                                        </li>
+                                    </ul>
+                                </section>
+                            ) : null}
+                            {e.watchedMedia?.length ? (
+                                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                                    <h3 className="text-sm font-medium text-foreground mb-2">
+                                        Media watched
+                                    </h3>
+                                    <ul className="list-none text-sm bg-muted/50 rounded-md p-3">
+                                        <li>
+                                            <TracedList
+                                                field="watchedMedia"
+                                                values={e.watchedMedia}
+                                            />
+                                        </li>
+                                    </ul>
+                                </section>
+                            ) : null}
                             {e.skillXp && Object.keys(e.skillXp).length > 0 ? (
                                 <section className="mb-5 pl-3 border-l-4 border-primary/30">
                                     <Button
@@ -373,13 +811,29 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                                                     {skill}
                                                                 </strong>
                                                                 :{" "}
-                                                                {sensible.length
-                                                                    ? sensible.join(
-                                                                          ", ",
-                                                                      )
-                                                                    : arr.join(
-                                                                          ", ",
-                                                                      )}
+                                                                {(sensible.length
+                                                                    ? sensible
+                                                                    : arr
+                                                                ).map(
+                                                                    (v, i) => (
+                                                                        <span
+                                                                            key={
+                                                                                i
+                                                                            }
+                                                                        >
+                                                                            {i >
+                                                                                0 &&
+                                                                                ", "}
+                                                                            <Traced
+                                                                                field={`skillXp.${skill}.${arr.indexOf(v)}`}
+                                                                            >
+                                                                                {String(
+                                                                                    v,
+                                                                                )}
+                                                                            </Traced>
+                                                                        </span>
+                                                                    ),
+                                                                )}
                                                                 {sensible.length !==
                                                                     arr.length && (
                                                                     <span className="text-muted-foreground text-xs ml-1">
@@ -408,13 +862,19 @@ export function PlayerDetailDialog({ id, open, onOpenChange }: Props) {
                                         ? "Hide raw buffer"
                                         : "Show raw buffer"}
                                 </Button>
-                                {rawOpen && (
-                                    <pre className="mt-2 text-xs break-all max-h-[200px] overflow-y-auto bg-muted/50 p-3 rounded-md">
-                                        {raw.join(", ")}
-                                    </pre>
+                                <p className="text-xs text-muted-foreground mt-1">
+                                    Click an underlined value to highlight its
+                                    bytes.
+                                </p>
+                                {rawOpen && id != null && (
+                                    <RawBlobView
+                                        type="players"
+                                        id={id}
+                                        highlight={traced}
+                                    />
                                 )}
                             </section>
-                        </>
+                        </ProvenanceProvider>
                     )}
                 </div>
             </DialogContent>
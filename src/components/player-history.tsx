@@ -0,0 +1,197 @@
+import { useEffect, useState } from "react";
+import {
+  getPlayerHistory,
+  type PlayerHistory as PlayerHistoryData,
+  type PlayerHistoryChange,
+} from "@/lib/api-client";
+import { formatHoursSurvived } from "@/lib/player-vitals";
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 24;
+
+/** Line of values scaled to the box; a flat series is drawn through the middle. */
+function Sparkline({ values }: { values: number[] }) {
+  if (values.length < 2)
+    return <span className="inline-block" style={{ width: SPARK_WIDTH }} />;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const points = values
+    .map((v, i) => {
+      const x = (i / (values.length - 1)) * (SPARK_WIDTH - 2) + 1;
+      const y =
+        max === min
+          ? SPARK_HEIGHT / 2
+          : SPARK_HEIGHT - 1 - ((v - min) / span) * (SPARK_HEIGHT - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  return (
+    <svg
+      width={SPARK_WIDTH}
+      height={SPARK_HEIGHT}
+      className="text-primary shrink-0"
+      aria-hidden="true"
+    >
+      <polyline
+        points={points}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={1.5}
+      />
+    </svg>
+  );
+}
+
+function formatDate(iso: string): string {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? iso : date.toLocaleString();
+}
+
+/** One line per kind of change, in the order the diff engine reports them. */
+function describeChange(
+  change: PlayerHistoryChange,
+  displayName: (id: string) => string,
+): string[] {
+  const lines: string[] = [];
+  for (const { skill, from, to } of change.levelChanges) {
+    lines.push(`${skill}: level ${from ?? "—"} → ${to ?? "—"}`);
+  }
+  const xp = Object.entries(change.xpGained)
+    .filter(([skill]) => !change.levelChanges.some((c) => c.skill === skill))
+    .map(
+      ([skill, amount]) =>
+        `${skill} ${amount > 0 ? "+" : ""}${Math.round(amount)}`,
+    );
+  if (xp.length) lines.push(`XP: ${xp.join(", ")}`);
+  if (change.distanceMoved)
+    lines.push(`Moved ${Math.round(change.distanceMoved)} tiles`);
+  if (change.traitsAdded.length)
+    lines.push(`New traits: ${change.traitsAdded.map(displayName).join(", ")}`);
+  if (change.traitsRemoved.length)
+    lines.push(
+      `Lost traits: ${change.traitsRemoved.map(displayName).join(", ")}`,
+    );
+  if (change.itemsAdded.length) {
+    lines.push(
+      `Picked up: ${change.itemsAdded.map((i) => `${displayName(i.fullType)} ×${i.count}`).join(", ")}`,
+    );
+  }
+  if (change.itemsRemoved.length) {
+    lines.push(
+      `Gone: ${change.itemsRemoved.map((i) => `${displayName(i.fullType)} ×${i.count}`).join(", ")}`,
+    );
+  }
+  return lines;
+}
+
+/**
+ * A player's development across sync snapshots: a sparkline per skill and a timeline of
+ * what changed between syncs, newest first.
+ */
+export function PlayerHistory({
+  playerId,
+  displayName,
+}: {
+  playerId: number | string;
+  displayName: (id: string) => string;
+}) {
+  const [history, setHistory] = useState<PlayerHistoryData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    getPlayerHistory(playerId)
+      .then(setHistory)
+      .catch((e) => setError(e instanceof Error ? e.message : "Failed to load"))
+      .finally(() => setLoading(false));
+  }, [playerId]);
+
+  if (loading) return <p className="text-muted-foreground">Loading…</p>;
+  if (error)
+    return <p className="text-destructive">Failed to load history: {error}</p>;
+  if (!history || history.series.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        No snapshots yet. Each sync adds one.
+      </p>
+    );
+  }
+
+  const { series, changes } = history;
+  const latest = series[series.length - 1];
+  const skillNames = [
+    ...new Set(series.flatMap((p) => Object.keys(p.skills))),
+  ].sort();
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-muted-foreground">
+        {series.length} snapshot{series.length === 1 ? "" : "s"} from{" "}
+        {formatDate(series[0].createdAt)} to {formatDate(latest.createdAt)}.
+        Survived {formatHoursSurvived(latest.hoursSurvived)},{" "}
+        {latest.zombieKills ?? "—"} zombie kills.
+      </p>
+      {skillNames.length > 0 && (
+        <section className="pl-3 border-l-4 border-primary/30">
+          <h3 className="text-sm font-medium text-foreground mb-2">Skills</h3>
+          <ul className="list-none space-y-1 text-sm bg-muted/50 rounded-md p-3">
+            {skillNames.map((skill) => {
+              // Total XP moves between level-ups; fall back to levels when XP was not decoded
+              const xp = series.map((p) => p.skills[skill]?.xp);
+              const values = xp.every((v) => v != null)
+                ? (xp as number[])
+                : series.map((p) => p.skills[skill]?.level ?? 0);
+              const first =
+                series.find((p) => p.skills[skill])?.skills[skill]?.level ?? 0;
+              const current = latest.skills[skill]?.level ?? null;
+              return (
+                <li key={skill} className="flex items-center gap-3">
+                  <span className="w-28 truncate">{skill}</span>
+                  <Sparkline values={values} />
+                  <span className="tabular-nums">
+                    {current ?? "—"}
+                    {current != null && current !== first && (
+                      <span className="text-muted-foreground text-xs ml-1">
+                        ({current > first ? "+" : ""}
+                        {current - first})
+                      </span>
+                    )}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+      <section className="pl-3 border-l-4 border-primary/30">
+        <h3 className="text-sm font-medium text-foreground mb-2">Timeline</h3>
+        {changes.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No changes between snapshots yet.
+          </p>
+        ) : (
+          <ol className="list-none space-y-3 text-sm">
+            {[...changes].reverse().map((change) => (
+              <li
+                key={change.snapshotId}
+                className="bg-muted/50 rounded-md p-3"
+              >
+                <div className="text-xs text-muted-foreground mb-1">
+                  Snapshot {change.snapshotId} · {formatDate(change.createdAt)}
+                </div>
+                <ul className="list-disc pl-5 space-y-0.5">
+                  {describeChange(change, displayName).map((line, i) => (
+                    <li key={i}>{line}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,329 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Save, Trash2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useRefresh } from "@/contexts/refresh-context";
+import {
+  checkPlayerQuery,
+  deleteSavedQuery,
+  getPlayerQueryFields,
+  getSavedQueries,
+  saveQuery,
+  type PlayerQueryError,
+} from "@/lib/api-client";
+import { completionsAt } from "@/lib/player-query-completion";
+import { useQuery } from "@/hooks/use-query";
+
+/** Wait after the last keystroke before checking the query. */
+const CHECK_DELAY_MS = 300;
+
+/** The query with the part that failed to parse marked. */
+function MarkedQuery({
+  query,
+  error,
+}: {
+  query: string;
+  error: PlayerQueryError;
+}) {
+  const end = error.position + error.length;
+  return (
+    <span className="font-mono whitespace-pre">
+      {query.slice(0, error.position)}
+      <mark className="bg-destructive/30 text-foreground rounded-sm underline decoration-destructive decoration-wavy">
+        {query.slice(error.position, end) || " "}
+      </mark>
+      {query.slice(end)}
+    </span>
+  );
+}
+
+/**
+ * Query bar for the players list, e.g. `profession:mechanic AND Mechanics>=6 AND NOT
+ * trait:base:smoker`. Suggests field names and the values known in the cache as you type,
+ * checks the query on the server, and applies it once it parses. Queries can be saved by
+ * name in the cache DB.
+ */
+export function PlayerQueryBar({
+  onApply,
+}: {
+  onApply: (query: string) => void;
+}) {
+  const { refreshKey } = useRefresh();
+  const [text, setText] = useState("");
+  const [caret, setCaret] = useState(0);
+  const [error, setError] = useState<PlayerQueryError | null>(null);
+  const [focused, setFocused] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const [savedKey, setSavedKey] = useState(0);
+  const [selectedSaved, setSelectedSaved] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [saveName, setSaveName] = useState("");
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const { data: fieldData } = useQuery(refreshKey, getPlayerQueryFields);
+  const { data: saved = [] } = useQuery(
+    `${refreshKey}:${savedKey}`,
+    getSavedQueries,
+  );
+  const fields = useMemo(() => fieldData?.fields ?? [], [fieldData]);
+
+  const completion = useMemo(
+    () => completionsAt(text, caret, fields),
+    [text, caret, fields],
+  );
+  const showCompletions = focused && !dismissed && completion.items.length > 0;
+
+  // Check while typing; apply once the query parses
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      checkPlayerQuery(text)
+        .then((result) => {
+          if (cancelled) return;
+          setError(result.error ?? null);
+          if (result.ok) onApply(text.trim());
+        })
+        .catch(() => {});
+    }, CHECK_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, refreshKey, onApply]);
+
+  const edit = (next: string, nextCaret: number) => {
+    setText(next);
+    setCaret(nextCaret);
+    setDismissed(false);
+    setHighlighted(0);
+    requestAnimationFrame(() =>
+      inputRef.current?.setSelectionRange(nextCaret, nextCaret),
+    );
+  };
+
+  const accept = (index: number) => {
+    const item = completion.items[index];
+    if (!item) return;
+    // Fields that take ":" stay open for a value; anything else is followed by a space
+    const space =
+      !item.insert.endsWith(":") &&
+      !fields.some((f) => f.name === item.insert && f.type === "number") &&
+      !/^\s/.test(text.slice(completion.to));
+    const insert = item.insert + (space ? " " : "");
+    edit(
+      text.slice(0, completion.from) + insert + text.slice(completion.to),
+      completion.from + insert.length,
+    );
+  };
+
+  const onKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (!showCompletions) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const count = completion.items.length;
+      setHighlighted(
+        (h) => (h + (e.key === "ArrowDown" ? 1 : count - 1)) % count,
+      );
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      accept(highlighted);
+    } else if (e.key === "Escape") {
+      setDismissed(true);
+    }
+  };
+
+  const loadSaved = (id: string) => {
+    setSelectedSaved(id);
+    const query = saved.find((q) => String(q.id) === id);
+    if (query) edit(query.query, query.query.length);
+  };
+
+  const onSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaveError(null);
+    try {
+      const result = await saveQuery(saveName.trim(), text);
+      setSavedKey((k) => k + 1);
+      setSelectedSaved(String(result.id));
+      setSaving(false);
+    } catch (err) {
+      setSaveError(err instanceof Error ? err.message : "Failed to save query");
+    }
+  };
+
+  const onDelete = async () => {
+    const query = saved.find((q) => String(q.id) === selectedSaved);
+    if (!query || !confirm(`Delete the saved query "${query.name}"?`)) return;
+    try {
+      await deleteSavedQuery(query.id);
+      setSelectedSaved("");
+      setSavedKey((k) => k + 1);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : "Failed to delete query");
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[320px]">
+          <Input
+            ref={inputRef}
+            value={text}
+            placeholder="Query, e.g. profession:mechanic AND Mechanics>=6 AND NOT trait:base:smoker"
+            className={cn(
+              "font-mono",
+              error && text.trim() && "border-destructive",
+            )}
+            onChange={(e) => edit(e.target.value, e.target.selectionStart ?? 0)}
+            onSelect={(e) => setCaret(e.currentTarget.selectionStart ?? 0)}
+            onKeyDown={onKeyDown}
+            onFocus={() => setFocused(true)}
+            onBlur={() => setFocused(false)}
+            aria-label="Player query"
+            aria-invalid={!!error}
+            spellCheck={false}
+            autoComplete="off"
+          />
+          {showCompletions && (
+            <ul
+              className="absolute z-50 mt-1 max-h-[260px] w-full overflow-y-auto rounded-md border border-border bg-popover p-1 text-sm shadow-md"
+              role="listbox"
+            >
+              {completion.items.map((item, index) => (
+                <li
+                  key={`${item.label}:${index}`}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  className={cn(
+                    "flex cursor-pointer items-baseline gap-2 rounded-sm px-2 py-1",
+                    index === highlighted ? "bg-muted" : "hover:bg-muted/60",
+                  )}
+                  // Keep focus in the input, which would close the list on blur
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    accept(index);
+                  }}
+                >
+                  <span className="font-mono">{item.label}</span>
+                  {item.detail && (
+                    <span className="truncate text-xs text-muted-foreground">
+                      {item.detail}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <Select value={selectedSaved} onValueChange={loadSaved}>
+          <SelectTrigger className="w-[180px]" aria-label="Saved queries">
+            <SelectValue placeholder="Saved queries" />
+          </SelectTrigger>
+          <SelectContent>
+            {saved.length === 0 ? (
+              <p className="px-2 py-1.5 text-sm text-muted-foreground">
+                No saved queries
+              </p>
+            ) : (
+              saved.map((q) => (
+                <SelectItem key={q.id} value={String(q.id)}>
+                  {q.name}
+                </SelectItem>
+              ))
+            )}
+          </SelectContent>
+        </Select>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          disabled={!text.trim() || !!error}
+          onClick={() => {
+            setSaveName(
+              saved.find((q) => String(q.id) === selectedSaved)?.name ?? "",
+            );
+            setSaveError(null);
+            setSaving(true);
+          }}
+          title="Save query"
+        >
+          <Save className="h-4 w-4 mr-1" />
+          Save
+        </Button>
+        {selectedSaved && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={onDelete}
+            title="Delete saved query"
+            aria-label="Delete saved query"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+      {error && text.trim() && (
+        <p className="text-sm text-destructive">
+          {error.message} (column {error.position + 1}):{" "}
+          <MarkedQuery query={text} error={error} />
+        </p>
+      )}
+      <Dialog open={saving} onOpenChange={setSaving}>
+        <DialogContent className="max-w-sm">
+          <DialogHeader>
+            <DialogTitle>Save query</DialogTitle>
+            <DialogDescription>
+              Saved queries are kept in this profile's cache. Saving under an
+              existing name replaces that query.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={onSave} className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="saved-query-name">Name</Label>
+              <Input
+                id="saved-query-name"
+                value={saveName}
+                onChange={(e) => setSaveName(e.target.value)}
+                placeholder="e.g. Dextrous mechanics"
+                autoFocus
+              />
+            </div>
+            <p className="text-xs font-mono text-muted-foreground break-all">
+              {text}
+            </p>
+            {saveError && (
+              <p className="text-sm text-destructive">{saveError}</p>
+            )}
+            <DialogFooter>
+              <Button type="submit" disabled={!saveName.trim()}>
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
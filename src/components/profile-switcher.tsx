@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { Loader2, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useRefresh } from "@/contexts/refresh-context";
+import { createProfile } from "@/lib/api-client";
+
+/**
+ * Save profile picker for the nav bar, with a dialog to add a profile. A new profile becomes
+ * the active one so its save folder can be set in Settings.
+ */
+export function ProfileSwitcher() {
+  const { profile, profiles, switchProfile, applyProfiles } = useRefresh();
+  const [switching, setSwitching] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  if (!profile) return null;
+
+  const onSwitch = async (next: string) => {
+    if (next === profile) return;
+    setSwitching(true);
+    try {
+      await switchProfile(next);
+    } catch (e) {
+      alert(e instanceof Error ? e.message : "Failed to switch profile");
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  const onCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    setSaving(true);
+    setError(null);
+    try {
+      applyProfiles(await createProfile(trimmed));
+      await switchProfile(trimmed);
+      setCreating(false);
+      setName("");
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to create profile");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <Select value={profile} onValueChange={onSwitch} disabled={switching}>
+        <SelectTrigger className="w-[160px]" aria-label="Save profile">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {profiles.map((p) => (
+            <SelectItem key={p.name} value={p.name}>
+              {p.name}
+              {p.syncing ? " (syncing)" : !p.configured ? " (not set up)" : ""}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {switching && (
+        <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+      )}
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        className="h-8 w-8 p-0"
+        onClick={() => setCreating(true)}
+        title="New profile"
+        aria-label="New profile"
+      >
+        <Plus className="h-4 w-4" />
+      </Button>
+      <Dialog open={creating} onOpenChange={setCreating}>
+        <DialogContent className="max-w-sm">
+          <DialogHeader>
+            <DialogTitle>New profile</DialogTitle>
+            <DialogDescription>
+              Each profile has its own save folder, cache and sync history.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={onCreate} className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="new-profile-name">Name</Label>
+              <Input
+                id="new-profile-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. coop-server"
+                autoFocus
+              />
+              <p className="text-xs text-muted-foreground">
+                Letters, digits, - and _.
+              </p>
+            </div>
+            {error && <p className="text-sm text-destructive">{error}</p>}
+            <DialogFooter>
+              <Button type="submit" disabled={saving || !name.trim()}>
+                {saving ? "Creating…" : "Create"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+import { getRawBytes, type FieldProvenance } from "@/lib/api-client";
+
+const BYTES_PER_ROW = 16;
+/** Bytes fetched at a time when paging through a blob. */
+const PAGE_BYTES = 16 * 1024;
+
+function hex(value: number, width: number): string {
+  return value.toString(16).padStart(width, "0");
+}
+
+/**
+ * Hex dump of a blob. The highlighted field's bytes are marked and scrolled into view,
+ * with a caption saying where they are and how they were matched.
+ */
+export function RawBytesView({
+  bytes,
+  highlight,
+}: {
+  bytes: number[];
+  highlight?: { field: string; source: FieldProvenance } | null;
+}) {
+  const firstHighlightedRow = useRef<HTMLDivElement>(null);
+  const start = highlight?.source.offset ?? -1;
+  const end = highlight ? start + highlight.source.length : -1;
+
+  // Pages load after the highlight is set, so scroll again once its bytes are there
+  const highlightLoaded = end > 0 && end <= bytes.length;
+  useEffect(() => {
+    firstHighlightedRow.current?.scrollIntoView({ block: "center" });
+  }, [highlight, highlightLoaded]);
+
+  const rows: number[] = [];
+  for (let offset = 0; offset < bytes.length; offset += BYTES_PER_ROW) {
+    rows.push(offset);
+  }
+  const highlightRow = start - (start % BYTES_PER_ROW);
+
+  return (
+    <div className="mt-2">
+      {highlight && (
+        <p className="text-xs text-muted-foreground mb-1">
+          <strong className="text-foreground">{highlight.field}</strong>: bytes{" "}
+          {start}–{end - 1} ({highlight.source.length}),{" "}
+          {highlight.source.pattern}, confidence{" "}
+          {Math.round(highlight.source.confidence * 100)}%
+        </p>
+      )}
+      <div className="text-xs font-mono max-h-[200px] overflow-y-auto bg-muted/50 p-3 rounded-md">
+        {rows.map((rowOffset) => (
+          <div
+            key={rowOffset}
+            ref={rowOffset === highlightRow ? firstHighlightedRow : undefined}
+            className="whitespace-pre"
+          >
+            <span className="text-muted-foreground">{hex(rowOffset, 6)} </span>
+            {bytes.slice(rowOffset, rowOffset + BYTES_PER_ROW).map((b, i) => {
+              const offset = rowOffset + i;
+              return (
+                <span
+                  key={i}
+                  className={cn(
+                    offset >= start && offset < end && "bg-primary/30",
+                  )}
+                >
+                  {" "}
+                  {hex(b, 2)}
+                </span>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function parseHex(data: string): number[] {
+  const bytes: number[] = [];
+  for (let i = 0; i + 1 < data.length; i += 2) {
+    bytes.push(parseInt(data.slice(i, i + 2), 16));
+  }
+  return bytes;
+}
+
+/**
+ * Hex dump of a player's or vehicle's raw blob, fetched from the server a page at a time.
+ * More pages load on request, or up to the highlighted field's bytes when it is further in.
+ */
+export function RawBlobView({
+  type,
+  id,
+  highlight,
+}: {
+  type: "vehicles" | "players";
+  id: number | string;
+  highlight?: { field: string; source: FieldProvenance } | null;
+}) {
+  const key = `${type}/${id}`;
+  const [bytes, setBytes] = useState<number[]>([]);
+  const [size, setSize] = useState<number | null>(null);
+  const [wanted, setWanted] = useState(PAGE_BYTES);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // Replies for a row that is no longer shown are dropped
+  const currentKey = useRef(key);
+  const inFlight = useRef(false);
+
+  useEffect(() => {
+    currentKey.current = key;
+    setBytes([]);
+    setSize(null);
+    setWanted(PAGE_BYTES);
+    setError(null);
+  }, [key]);
+
+  const highlightEnd = highlight
+    ? highlight.source.offset + highlight.source.length
+    : 0;
+  useEffect(() => {
+    setWanted((w) => Math.max(w, highlightEnd));
+  }, [highlightEnd]);
+
+  useEffect(() => {
+    const loaded = bytes.length;
+    if (error || inFlight.current) return;
+    if (loaded >= wanted || (size != null && loaded >= size)) return;
+    const requestKey = key;
+    inFlight.current = true;
+    setLoading(true);
+    getRawBytes(type, id, {
+      offset: loaded,
+      length: wanted - loaded,
+      format: "hex",
+    })
+      .then((page) => {
+        if (currentKey.current !== requestKey) return;
+        // An empty page means the blob ends here, whatever size says
+        setSize(page.length ? page.size : loaded);
+        setBytes((b) => [...b, ...parseHex(page.data)]);
+      })
+      .catch((e) => {
+        if (currentKey.current !== requestKey) return;
+        setError(e instanceof Error ? e.message : "Failed to load");
+      })
+      .finally(() => {
+        inFlight.current = false;
+        setLoading(false);
+      });
+  }, [type, id, key, bytes.length, wanted, size, error, loading]);
+
+  if (error)
+    return (
+      <p className="mt-2 text-sm text-destructive">
+        Failed to load raw bytes: {error}
+      </p>
+    );
+  if (size == null)
+    return <p className="mt-2 text-sm text-muted-foreground">Loading…</p>;
+  if (size === 0)
+    return (
+      <p className="mt-2 text-sm text-muted-foreground">No raw bytes stored.</p>
+    );
+
+  return (
+    <div>
+      <RawBytesView bytes={bytes} highlight={highlight} />
+      {bytes.length < size && (
+        <div className="mt-1 flex items-center gap-2 text-xs text-muted-foreground">
+          <span>
+            Showing {bytes.length} of {size} bytes
+          </span>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            className="h-6 px-2 text-xs"
+            disabled={loading}
+            onClick={() => setWanted(bytes.length + PAGE_BYTES)}
+          >
+            {loading ? "Loading…" : "Load more"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { Check, Loader2, X, AlertTriangle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+import type {
+  SyncSource,
+  SyncStageId,
+  SyncStageProgress,
+} from "@/lib/api-client";
+
+export type SyncProgressState = {
+  source: SyncSource;
+  stageIds: SyncStageId[];
+  stages: Partial<Record<SyncStageId, SyncStageProgress>>;
+  /** Set once the sync has finished */
+  result: { ok: boolean; error: string | null } | null;
+};
+
+const STAGE_LABELS: Record<SyncStageId, string> = {
+  copy: "Copying snapshot",
+  open: "Opening snapshot",
+  verify: "Checking snapshot integrity",
+  discover: "Finding players table",
+  vehicles: "Decoding vehicles",
+  players: "Decoding players",
+  history: "Recording history",
+};
+
+const SOURCE_LABELS: Record<SyncSource, string> = {
+  manual: "Syncing",
+  watch: "Syncing (save changed)",
+  config: "Syncing (settings changed)",
+  rebuild: "Rebuilding cache (app updated)",
+};
+
+/** Share of the whole sync that is done; each stage counts equally, decode stages by row. */
+function overallFraction(state: SyncProgressState): number {
+  if (state.result?.ok) return 1;
+  const ids = state.stageIds;
+  let done = 0;
+  for (const id of ids) {
+    const st = state.stages[id];
+    if (!st) continue;
+    if (st.status === "done") done += 1;
+    else if (st.status === "running" && st.total)
+      done += (st.done ?? 0) / st.total;
+  }
+  return ids.length ? done / ids.length : 0;
+}
+
+function stageDetail(st: SyncStageProgress): string | null {
+  if (st.error) return st.error;
+  if (st.summary) {
+    const { decoded, unchanged, removed } = st.summary;
+    return `${decoded} decoded, ${unchanged} unchanged, ${removed} removed`;
+  }
+  if (st.total != null) return `${st.done ?? 0} / ${st.total}`;
+  if (st.table) return st.table;
+  if (st.skipped) return st.skipped;
+  if (st.method === "copy")
+    return `Copied the files with their WAL (backup API failed: ${st.warning ?? "unknown error"})`;
+  return null;
+}
+
+/**
+ * Sync progress in the corner of the window: an overall bar and one line per stage. Stays
+ * open after a sync that failed or had rows it could not decode, until dismissed.
+ */
+export function SyncProgressPanel({
+  state,
+  onDismiss,
+}: {
+  state: SyncProgressState;
+  onDismiss: () => void;
+}) {
+  const finished = state.result != null;
+  const failed = finished && !state.result?.ok;
+  const percent = Math.round(overallFraction(state) * 100);
+
+  return (
+    <div
+      className="fixed bottom-4 right-4 z-50 w-80 rounded-lg border border-border bg-card p-4 shadow-lg text-sm"
+      role="status"
+    >
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-medium">
+          {!finished
+            ? SOURCE_LABELS[state.source]
+            : failed
+              ? "Sync failed"
+              : "Sync finished"}
+        </span>
+        {finished && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            className="h-6 w-6 p-0"
+            onClick={onDismiss}
+            aria-label="Dismiss"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+      <div className="h-2 w-full rounded-full bg-muted overflow-hidden mb-3">
+        <div
+          className={cn(
+            "h-full transition-all",
+            failed ? "bg-destructive" : "bg-primary",
+          )}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <ul className="space-y-1">
+        {state.stageIds.map((id) => {
+          const st = state.stages[id];
+          const detail = st ? stageDetail(st) : null;
+          const rowFailures = st?.failed ?? 0;
+          return (
+            <li key={id} className="flex items-start gap-2">
+              <span className="mt-0.5 shrink-0">
+                {!st ? (
+                  <span className="block h-3.5 w-3.5 rounded-full border border-border" />
+                ) : st.status === "running" ? (
+                  <Loader2 className="h-3.5 w-3.5 animate-spin text-primary" />
+                ) : st.status === "done" ? (
+                  <Check className="h-3.5 w-3.5 text-green-600" />
+                ) : (
+                  <X className="h-3.5 w-3.5 text-destructive" />
+                )}
+              </span>
+              <div className="min-w-0">
+                <div className={cn(!st && "text-muted-foreground")}>
+                  {STAGE_LABELS[id]}
+                </div>
+                {detail && (
+                  <div
+                    className={cn(
+                      "text-xs break-words",
+                      st?.status === "failed"
+                        ? "text-destructive"
+                        : "text-muted-foreground",
+                    )}
+                  >
+                    {detail}
+                  </div>
+                )}
+                {rowFailures > 0 && (
+                  <div className="text-xs text-amber-600 flex items-center gap-1">
+                    <AlertTriangle className="h-3 w-3" />
+                    {rowFailures} row{rowFailures === 1 ? "" : "s"} could not be
+                    decoded
+                  </div>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {failed &&
+        state.result?.error &&
+        !Object.values(state.stages).some((st) => st?.status === "failed") && (
+          <p className="mt-2 text-xs text-destructive break-words">
+            {state.result.error}
+          </p>
+        )}
+    </div>
+  );
+}
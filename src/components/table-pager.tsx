@@ -0,0 +1,74 @@
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+const PAGE_SIZES = [25, 50, 100, 250];
+
+/** Range shown, total count, page size and previous/next for a server-paged table. */
+export function TablePager({
+  total,
+  offset,
+  limit,
+  onOffsetChange,
+  onLimitChange,
+}: {
+  total: number;
+  offset: number;
+  limit: number;
+  onOffsetChange: (offset: number) => void;
+  onLimitChange: (limit: number) => void;
+}) {
+  const page = Math.floor(offset / limit) + 1;
+  const pages = Math.max(1, Math.ceil(total / limit));
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 py-3 text-sm text-muted-foreground">
+      <span>
+        {total === 0
+          ? "No matching rows"
+          : `${offset + 1}–${Math.min(offset + limit, total)} of ${total}`}
+      </span>
+      <div className="flex items-center gap-2">
+        <span>Rows per page</span>
+        <Select
+          value={String(limit)}
+          onValueChange={(v) => onLimitChange(Number(v))}
+        >
+          <SelectTrigger className="w-[80px] h-8">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {PAGE_SIZES.map((size) => (
+              <SelectItem key={size} value={String(size)}>
+                {size}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={offset === 0}
+          onClick={() => onOffsetChange(Math.max(0, offset - limit))}
+        >
+          Previous
+        </Button>
+        <span>
+          Page {page} of {pages}
+        </span>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={offset + limit >= total}
+          onClick={() => onOffsetChange(offset + limit)}
+        >
+          Next
+        </Button>
+      </div>
+    </div>
+  );
+}
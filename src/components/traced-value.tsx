@@ -0,0 +1,71 @@
+import { createContext, useContext } from "react";
+import type { FieldProvenance } from "@/lib/api-client";
+
+type ProvenanceContextValue = {
+  provenance: Record<string, FieldProvenance>;
+  onSelect: (field: string) => void;
+};
+
+const ProvenanceContext = createContext<ProvenanceContextValue | null>(null);
+
+/** Makes field provenance available to the Traced values below it. */
+export function ProvenanceProvider({
+  provenance,
+  onSelect,
+  children,
+}: ProvenanceContextValue & { children: React.ReactNode }) {
+  return (
+    <ProvenanceContext.Provider value={{ provenance, onSelect }}>
+      {children}
+    </ProvenanceContext.Provider>
+  );
+}
+
+/**
+ * A decoded value that jumps to its bytes in the raw view when clicked.
+ * Renders the value unchanged when the decoder recorded no provenance for field.
+ */
+export function Traced({
+  field,
+  children,
+}: {
+  field: string;
+  children: React.ReactNode;
+}) {
+  const ctx = useContext(ProvenanceContext);
+  const source = ctx?.provenance[field];
+  if (!ctx || !source) return <>{children}</>;
+  return (
+    <button
+      type="button"
+      className="underline decoration-dotted underline-offset-2 hover:text-primary"
+      title={`${source.pattern}, ${source.length} byte(s) at offset ${source.offset}, confidence ${Math.round(source.confidence * 100)}%`}
+      onClick={(e) => {
+        e.stopPropagation();
+        ctx.onSelect(field);
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+/** Comma-separated list whose entries trace to "<field>.<index>". */
+export function TracedList({
+  field,
+  values,
+}: {
+  field: string;
+  values: string[];
+}) {
+  return (
+    <>
+      {values.map((value, i) => (
+        <span key={i}>
+          {i > 0 && ", "}
+          <Traced field={`${field}.${i}`}>{value}</Traced>
+        </span>
+      ))}
+    </>
+  );
+}
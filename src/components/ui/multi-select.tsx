@@ -18,6 +18,8 @@ type MultiSelectProps = {
   selected: string[];
   onSelectionChange: (selected: string[]) => void;
   placeholder?: string;
+  /** Text shown for an option; defaults to the option itself */
+  formatOption?: (option: string) => string;
   className?: string;
   triggerClassName?: string;
 };
@@ -29,6 +31,7 @@ export function MultiSelect({
   selected,
   onSelectionChange,
   placeholder = "Select…",
+  formatOption,
   className,
   triggerClassName,
 }: MultiSelectProps) {
@@ -87,7 +90,9 @@ export function MultiSelect({
                     checked={selected.includes(option)}
                     onCheckedChange={() => toggle(option)}
                   />
-                  <span className="truncate">{option}</span>
+                  <span className="truncate" title={option}>
+                    {formatOption ? formatOption(option) : option}
+                  </span>
                 </label>
               ))
             )}
@@ -6,10 +6,56 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
-import { getVehicleById, type VehicleRow } from "@/lib/api-client";
+import { InventoryTree } from "@/components/inventory-tree";
+import { RawBlobView } from "@/components/raw-bytes-view";
+import {
+  ProvenanceProvider,
+  Traced,
+  TracedList,
+} from "@/components/traced-value";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  getVehicleById,
+  type VehiclePart,
+  type VehicleRow,
+} from "@/lib/api-client";
 
 const MAP_BASE = "https://map.projectzomboid.com/#";
 
+function formatYesNo(value: boolean | undefined): string {
+  if (value == null) return "—";
+  return value ? "Yes" : "No";
+}
+
+/** Part-specific readings (fuel, charge, pressure, lock) as one short line. */
+function describePartDetails(part: VehiclePart): string {
+  const details: string[] = [];
+  if (part.fuelAmount != null) {
+    details.push(
+      part.fuelCapacity != null
+        ? `Fuel ${part.fuelAmount.toFixed(1)} / ${part.fuelCapacity.toFixed(1)}`
+        : `Fuel ${part.fuelAmount.toFixed(1)}`
+    );
+  }
+  if (part.batteryCharge != null) {
+    details.push(`Charge ${Math.round(part.batteryCharge * 100)}%`);
+  }
+  if (part.tirePressure != null) {
+    details.push(`Pressure ${part.tirePressure.toFixed(1)} psi`);
+  }
+  if (part.locked != null) details.push(part.locked ? "Locked" : "Unlocked");
+  if (part.open) details.push("Open");
+  if (part.itemCount != null) details.push(`${part.itemCount} item(s)`);
+  return details.join(", ");
+}
+
 type Props = {
   id: number | string | null;
   open: boolean;
@@ -21,12 +67,14 @@ export function VehicleDetailDialog({ id, open, onOpenChange }: Props) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [rawOpen, setRawOpen] = useState(false);
+  const [tracedField, setTracedField] = useState<string | null>(null);
 
   useEffect(() => {
     if (!open || id == null) {
       setData(null);
       setError(null);
       setRawOpen(false);
+      setTracedField(null);
       return;
     }
     setLoading(true);
@@ -38,7 +86,20 @@ export function VehicleDetailDialog({ id, open, onOpenChange }: Props) {
   }, [open, id]);
 
   const e = data?.extracted ?? {};
-  const raw = data?.raw ?? [];
+  const parts = data?.parts ?? [];
+  const inventory = data?.inventory ?? [];
+  const provenance = e.provenance ?? {};
+  const definitions = data?.definitions ?? {};
+  const typeDefinition = e.vehicleType ? definitions[e.vehicleType] : undefined;
+  const traced =
+    tracedField && provenance[tracedField]
+      ? { field: tracedField, source: provenance[tracedField] }
+      : null;
+
+  const selectField = (field: string) => {
+    setTracedField(field);
+    setRawOpen(true);
+  };
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
@@ -55,7 +116,7 @@ export function VehicleDetailDialog({ id, open, onOpenChange }: Props) {
             <p className="text-destructive">Failed to load: {error}</p>
           )}
           {data && !loading && !error && (
-            <>
+            <ProvenanceProvider provenance={provenance} onSelect={selectField}>
               <section className="mb-5 pl-3 border-l-4 border-primary/30">
                 <h3 className="text-sm font-medium text-foreground mb-2">
                   Summary
@@ -68,20 +129,147 @@ export function VehicleDetailDialog({ id, open, onOpenChange }: Props) {
                     <strong>Position</strong>: {data.x ?? "—"}, {data.y ?? "—"}
                   </li>
                   <li>
-                    <strong>Vehicle type</strong>: {e.vehicleType ?? "—"}
+                    <strong>Vehicle type</strong>:{" "}
+                    <Traced field="vehicleType">{e.vehicleType ?? "—"}</Traced>
+                    {typeDefinition?.displayName && (
+                      <span className="text-muted-foreground">
+                        {" "}
+                        ({typeDefinition.displayName})
+                      </span>
+                    )}
                   </li>
-                  {e.partNames?.length ? (
+                  {data.decodeError && (
+                    <li className="text-destructive">
+                      <strong>Decode failed</strong>: {data.decodeError}
+                    </li>
+                  )}
+                  {e.decodeMode && (
+                    <li>
+                      <strong>Decoded</strong>: {e.decodeMode}
+                      {data.build
+                        ? `, Build ${data.build} (world version ${data.worldVersion ?? "?"})`
+                        : ""}
+                      {e.structuredError && (
+                        <span className="text-muted-foreground text-xs ml-1">
+                          ({e.structuredError})
+                        </span>
+                      )}
+                    </li>
+                  )}
+                  {e.keyId != null && (
+                    <li>
+                      <strong>Key ID</strong>:{" "}
+                      <Traced field="keyId">{e.keyId}</Traced>
+                    </li>
+                  )}
+                  {e.engineWorking != null && (
+                    <li>
+                      <strong>Engine works</strong>:{" "}
+                      <Traced field="engineWorking">
+                        {formatYesNo(e.engineWorking)}
+                      </Traced>
+                    </li>
+                  )}
+                  {e.doorsLocked != null && (
+                    <li>
+                      <strong>Doors locked</strong>:{" "}
+                      <Traced field="doorsLocked">
+                        {formatYesNo(e.doorsLocked)}
+                      </Traced>
+                    </li>
+                  )}
+                  {e.fuelAmount != null && (
+                    <li>
+                      <strong>Fuel</strong>:{" "}
+                      <Traced field="fuelAmount">
+                        {e.fuelAmount.toFixed(1)}
+                      </Traced>
+                      {e.fuelCapacity != null && (
+                        <>
+                          {" / "}
+                          <Traced field="fuelCapacity">
+                            {e.fuelCapacity.toFixed(1)}
+                          </Traced>
+                        </>
+                      )}
+                    </li>
+                  )}
+                  {e.batteryCharge != null && (
+                    <li>
+                      <strong>Battery</strong>:{" "}
+                      <Traced field="batteryCharge">
+                        {Math.round(e.batteryCharge * 100)}%
+                      </Traced>
+                    </li>
+                  )}
+                  {!parts.length && e.partNames?.length ? (
                     <li>
-                      <strong>Parts</strong>: {e.partNames.join(", ")}
+                      <strong>Parts</strong>:{" "}
+                      <TracedList field="partNames" values={e.partNames} />
                     </li>
                   ) : null}
                   {e.customNames?.length ? (
                     <li>
-                      <strong>Custom names</strong>: {e.customNames.join(", ")}
+                      <strong>Custom names</strong>:{" "}
+                      <TracedList field="customNames" values={e.customNames} />
                     </li>
                   ) : null}
                 </ul>
               </section>
+              {parts.length > 0 && (
+                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                  <h3 className="text-sm font-medium text-foreground mb-2">
+                    Parts
+                  </h3>
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Part</TableHead>
+                        <TableHead>Item</TableHead>
+                        <TableHead>Condition</TableHead>
+                        <TableHead>Details</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {parts.map((part, i) => (
+                        <TableRow key={part.id}>
+                          <TableCell>
+                            <Traced field={`parts.${i}`}>{part.id}</Traced>
+                          </TableCell>
+                          <TableCell>
+                            {part.installed
+                              ? (part.itemType &&
+                                  definitions[part.itemType]?.displayName) ||
+                                part.itemType
+                              : "Not installed"}
+                          </TableCell>
+                          <TableCell>
+                            {part.installed ? (
+                              <Traced field={`parts.${i}.condition`}>
+                                {part.condition}%
+                              </Traced>
+                            ) : (
+                              "—"
+                            )}
+                          </TableCell>
+                          <TableCell>{describePartDetails(part) || "—"}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </section>
+              )}
+              {inventory.length > 0 && (
+                <section className="mb-5 pl-3 border-l-4 border-primary/30">
+                  <h3 className="text-sm font-medium text-foreground mb-2">
+                    Containers
+                  </h3>
+                  <InventoryTree
+                    containers={inventory}
+                    definitions={definitions}
+                  />
+                </section>
+              )}
               <section className="mb-5 pl-3 border-l-4 border-primary/30">
                 <Button
                   type="button"
@@ -91,13 +279,14 @@ export function VehicleDetailDialog({ id, open, onOpenChange }: Props) {
                 >
                   {rawOpen ? "Hide raw buffer" : "Show raw buffer"}
                 </Button>
-                {rawOpen && (
-                  <pre className="mt-2 text-xs break-all max-h-[200px] overflow-y-auto bg-muted/50 p-3 rounded-md">
-                    {raw.join(", ")}
-                  </pre>
+                <p className="text-xs text-muted-foreground mt-1">
+                  Click an underlined value to highlight its bytes.
+                </p>
+                {rawOpen && id != null && (
+                  <RawBlobView type="vehicles" id={id} highlight={traced} />
                 )}
               </section>
-            </>
+            </ProvenanceProvider>
           )}
         </div>
       </DialogContent>
@@ -1,10 +1,31 @@
-import React, { createContext, useCallback, useContext, useState } from "react";
-import { postSync } from "@/lib/api-client";
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import {
+  activateProfile,
+  getProfiles,
+  postSync,
+  setApiProfile,
+  subscribeToSyncEvents,
+  type ProfileSummary,
+  type ProfilesResponse,
+  type SyncEvent,
+} from "@/lib/api-client";
+import { SyncProgressPanel, type SyncProgressState } from "@/components/sync-progress-panel";
+
+/** How long the progress panel stays up after a clean sync. */
+const PANEL_HIDE_DELAY_MS = 2500;
 
 type RefreshContextValue = {
   refreshKey: number;
   isRefreshing: boolean;
+  /** Most recent sync of the current profile, from any source (refresh button, watch mode, Settings) */
+  lastSync: SyncEvent | null;
   doRefresh: () => Promise<void>;
+  /** Save profile the pages show; null until the server has answered */
+  profile: string | null;
+  profiles: ProfileSummary[];
+  switchProfile: (name: string) => Promise<void>;
+  /** Apply a profile list the server returned (after creating or deleting a profile) */
+  applyProfiles: (response: ProfilesResponse) => void;
 };
 
 const RefreshContext = createContext<RefreshContextValue | null>(null);
@@ -12,20 +33,118 @@ const RefreshContext = createContext<RefreshContextValue | null>(null);
 export function RefreshProvider({ children }: { children: React.ReactNode }) {
   const [refreshKey, setRefreshKey] = useState(0);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [lastSync, setLastSync] = useState<SyncEvent | null>(null);
+  const [progress, setProgress] = useState<SyncProgressState | null>(null);
+  // A sync started here reloads pages itself when postSync returns
+  const localSync = useRef(false);
+  const hideTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const [profile, setProfile] = useState<string | null>(null);
+  const [profiles, setProfiles] = useState<ProfileSummary[]>([]);
+  // Read by the event handlers, which are set up once
+  const profileRef = useRef<string | null>(null);
+
+  /** Follow the server's active profile; pages reload when it changed. */
+  const applyProfiles = useCallback((response: ProfilesResponse) => {
+    setProfiles(response.profiles);
+    if (response.active === profileRef.current) return;
+    const first = profileRef.current == null;
+    profileRef.current = response.active;
+    setApiProfile(response.active);
+    setProfile(response.active);
+    if (first) return;
+    setLastSync(null);
+    setProgress(null);
+    setRefreshKey((k) => k + 1);
+  }, []);
+
+  const switchProfile = useCallback(
+    async (name: string) => {
+      applyProfiles(await activateProfile(name));
+    },
+    [applyProfiles]
+  );
+
+  useEffect(() => {
+    getProfiles()
+      .then(applyProfiles)
+      .catch(() => {});
+  }, [applyProfiles]);
 
   const doRefresh = useCallback(async () => {
+    localSync.current = true;
     setIsRefreshing(true);
     try {
       await postSync();
       setRefreshKey((k) => k + 1);
+    } catch (err) {
+      // Shown in the progress panel; the event stream reports the failing stage when it is connected
+      setProgress((p) =>
+        p?.result
+          ? p
+          : {
+              source: "manual",
+              stageIds: p?.stageIds ?? [],
+              stages: p?.stages ?? {},
+              result: { ok: false, error: err instanceof Error ? err.message : "Sync failed" },
+            }
+      );
+      throw err;
     } finally {
+      localSync.current = false;
       setIsRefreshing(false);
     }
   }, []);
 
+  // Syncs started elsewhere (watch mode, another window) are pushed so open pages reload too
+  useEffect(() => {
+    const unsubscribe = subscribeToSyncEvents({
+      // Syncs of other profiles only update the switcher's list
+      onSyncStart: (eventProfile, source, stageIds) => {
+        setProfiles((list) => list.map((p) => (p.name === eventProfile ? { ...p, syncing: true } : p)));
+        if (eventProfile !== profileRef.current) return;
+        if (hideTimer.current) clearTimeout(hideTimer.current);
+        setProgress({ source, stageIds, stages: {}, result: null });
+        if (!localSync.current) setIsRefreshing(true);
+      },
+      onProgress: ({ profile: eventProfile, source, ...stage }) => {
+        if (eventProfile !== profileRef.current) return;
+        setProgress((p) => {
+          const base = p && !p.result ? p : { source, stageIds: [], stages: {}, result: null };
+          return { ...base, stages: { ...base.stages, [stage.stage]: stage } };
+        });
+      },
+      onSync: (event) => {
+        setProfiles((list) => list.map((p) => (p.name === event.profile ? { ...p, syncing: false } : p)));
+        if (event.profile !== profileRef.current) return;
+        setLastSync(event);
+        setProgress((p) => ({
+          source: event.source,
+          stageIds: p?.stageIds ?? event.stages.map((st) => st.stage),
+          stages: Object.fromEntries(event.stages.map((st) => [st.stage, st])),
+          result: { ok: event.ok, error: event.error },
+        }));
+        const rowFailures = event.stages.some((st) => (st.failed ?? 0) > 0);
+        if (event.ok && !rowFailures) {
+          hideTimer.current = setTimeout(() => setProgress(null), PANEL_HIDE_DELAY_MS);
+        }
+        if (localSync.current) return;
+        setIsRefreshing(false);
+        if (event.ok) setRefreshKey((k) => k + 1);
+      },
+      onProfiles: applyProfiles,
+    });
+    return () => {
+      unsubscribe();
+      if (hideTimer.current) clearTimeout(hideTimer.current);
+    };
+  }, [applyProfiles]);
+
   return (
-    <RefreshContext.Provider value={{ refreshKey, isRefreshing, doRefresh }}>
+    <RefreshContext.Provider
+      value={{ refreshKey, isRefreshing, lastSync, doRefresh, profile, profiles, switchProfile, applyProfiles }}
+    >
       {children}
+      {progress && <SyncProgressPanel state={progress} onDismiss={() => setProgress(null)} />}
     </RefreshContext.Provider>
   );
 }
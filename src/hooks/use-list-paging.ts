@@ -0,0 +1,22 @@
+import { useState } from "react";
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Offset and page size for a server-paged table. The offset goes back to the first page
+ * whenever filterKey (the filters and sort, serialized) changes.
+ */
+export function useListPaging(filterKey: string) {
+  const [limit, setLimit] = useState(DEFAULT_LIMIT);
+  const [page, setPage] = useState({ filterKey, offset: 0 });
+  const offset = page.filterKey === filterKey ? page.offset : 0;
+  return {
+    offset,
+    limit,
+    setOffset: (next: number) => setPage({ filterKey, offset: next }),
+    setLimit: (next: number) => {
+      setLimit(next);
+      setPage({ filterKey, offset: 0 });
+    },
+  };
+}
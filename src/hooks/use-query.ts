@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef } from "react";
 
 export function useQuery<T>(
-  queryKey: number,
+  queryKey: number | string,
   queryFn: () => Promise<T>
 ): { data: T | undefined; loading: boolean; error: string | null } {
   const [data, setData] = useState<T | undefined>(undefined);
@@ -11,14 +11,21 @@ export function useQuery<T>(
   fnRef.current = queryFn;
 
   useEffect(() => {
+    // A reply for a key that has since changed must not replace the newer one
+    let cancelled = false;
     setLoading(true);
     setError(null);
     fnRef.current()
-      .then(setData)
-      .catch((e) =>
-        setError(e instanceof Error ? e.message : "Request failed")
+      .then((result) => !cancelled && setData(result))
+      .catch(
+        (e) =>
+          !cancelled &&
+          setError(e instanceof Error ? e.message : "Request failed")
       )
-      .finally(() => setLoading(false));
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
   }, [queryKey]);
 
   return { data, loading, error };
@@ -27,12 +27,100 @@ async function request<T>(path: string, options?: RequestOptions): Promise<T> {
   return data as T;
 }
 
+/** Save profile the data functions read from; null uses the server's active profile. */
+let currentProfile: string | null = null;
+
+/** Point the data functions (players, vehicles, sync, uploads) at a save profile. */
+export function setApiProfile(profile: string | null) {
+  currentProfile = profile;
+}
+
+/** API path of a per-profile route, e.g. "/players" → "/api/profiles/main/players". */
+function profilePath(path: string): string {
+  return currentProfile
+    ? `/api/profiles/${encodeURIComponent(currentProfile)}${path}`
+    : `/api${path}`;
+}
+
 export interface ConfigApi {
+  /** Active save profile; the paths and watch settings below are its own */
+  profile: string;
   saveFolder: string;
   vehiclesDbPath: string;
   playersDbPath: string;
   vehiclesDbPathOverride: string;
   playersDbPathOverride: string;
+  gameFolder: string;
+  modFolders: string[];
+  /** Translate folder used for display names, e.g. "EN" */
+  language: string;
+  /** Worker threads used to decode blobs during sync (0 decodes on the server thread) */
+  decodeWorkers: number;
+  /** Worker count saved in Settings; null uses the default */
+  decodeWorkersOverride: number | null;
+  /** Sync automatically when the save's DBs change */
+  watch: boolean;
+  /** Minimum time between two automatic syncs */
+  watchMinIntervalSeconds: number;
+}
+
+/** What the game's or a mod's script files say about an item, vehicle, profession or trait ID. */
+export interface ScriptDefinition {
+  kind: "item" | "vehicle" | "profession" | "trait";
+  displayName: string | null;
+  category: string | null;
+  weight: number | null;
+}
+
+export interface LanguagesStatus {
+  language: string;
+  available: string[];
+  translationCount: number;
+}
+
+export interface ScriptsStatus {
+  roots: string[];
+  fileCount: number;
+  definitionCount: number;
+}
+
+/** Where a decoded field came from in the raw blob. */
+export interface FieldProvenance {
+  offset: number;
+  length: number;
+  /** "structured", "derived: ...", or the heuristic that matched */
+  pattern: string;
+  /** 0–1; 1 for values read by walking the save layout */
+  confidence: number;
+}
+
+export interface InventoryItem {
+  fullType: string;
+  count: number;
+  condition: number;
+  conditionMax: number;
+  equipped: boolean;
+  customName: string | null;
+  container?: InventoryContainer;
+}
+
+export interface InventoryContainer {
+  type: string;
+  items: InventoryItem[];
+}
+
+export interface VehiclePart {
+  id: string;
+  itemType: string | null;
+  installed: boolean;
+  condition: number;
+  fuelAmount?: number;
+  fuelCapacity?: number;
+  batteryCharge?: number;
+  tirePressure?: number;
+  locked?: boolean;
+  open?: boolean;
+  itemCount?: number;
 }
 
 export interface VehicleRow {
@@ -40,8 +128,98 @@ export interface VehicleRow {
   x?: number | null;
   y?: number | null;
   type: string;
-  extracted?: { vehicleType?: string; partNames?: string[]; customNames?: string[] };
-  raw?: number[];
+  /** Display name of the vehicle script, when the game or a mod defines it */
+  typeName?: string | null;
+  build?: string | null;
+  worldVersion?: number | null;
+  parts?: VehiclePart[];
+  inventory?: InventoryContainer[];
+  extracted?: {
+    decodeMode?: "structured" | "heuristic";
+    structuredError?: string;
+    worldVersion?: number;
+    build?: string;
+    vehicleType?: string;
+    partNames?: string[];
+    customNames?: string[];
+    keyId?: number | null;
+    engineQuality?: number;
+    enginePower?: number;
+    engineWorking?: boolean;
+    fuelAmount?: number;
+    fuelCapacity?: number | null;
+    batteryCharge?: number;
+    doorsLocked?: boolean;
+    provenance?: Record<string, FieldProvenance>;
+  };
+  definitions?: Record<string, ScriptDefinition>;
+  /** Why the row's blob could not be decoded (too large, timed out, crashed); extracted is then empty */
+  decodeError?: string | null;
+  /** Length of the raw blob in bytes; the bytes themselves come from getRawBytes */
+  rawSize?: number;
+}
+
+export interface BodyPartDamage {
+  part: string;
+  health: number;
+  scratched: boolean;
+  lacerated: boolean;
+  bitten: boolean;
+  bleeding: boolean;
+  fractured: boolean;
+  bandaged: boolean;
+}
+
+export interface PlayerHealth {
+  overallHealth: number;
+  infected: boolean;
+  infectionLevel: number;
+  bodyParts: BodyPartDamage[];
+}
+
+export interface PlayerVitals {
+  hunger: number;
+  thirst: number;
+  fatigue: number;
+  endurance: number;
+  panic: number;
+  stress: number;
+  boredom: number;
+  unhappiness: number;
+  weight: number;
+  calories: number;
+}
+
+export interface PlayerSurvival {
+  hoursSurvived: number;
+  zombieKills: number;
+  survivorKills: number;
+  dead: boolean;
+  diedAtHours: number | null;
+}
+
+export interface SkillProgress {
+  level: number;
+  xp: number | null;
+  xpIntoLevel: number | null;
+  xpForLevel: number | null;
+  xpToNextLevel: number | null;
+  traitBoost: number;
+  traitMultiplier: number;
+  bookMultiplier: number;
+  xpMultiplier: number;
+}
+
+export interface XpBoosts {
+  books: Record<string, { multiplier: number; minLevel: number; maxLevel: number }>;
+  traitBoosts: Record<string, number>;
+}
+
+export interface SkillBookProgress {
+  fullType: string;
+  pagesRead: number;
+  pageCount: number;
+  finished: boolean;
 }
 
 export interface PlayerRow {
@@ -52,9 +230,39 @@ export interface PlayerRow {
   name?: string | null;
   username?: string | null;
   profession?: string | null;
+  professionName?: string | null;
+  /** Display names of traits, in the same order */
+  traitNames?: string[];
+  build?: string | null;
+  worldVersion?: number | null;
+  infected?: boolean | null;
+  health?: number | null;
+  vitals?: PlayerVitals | null;
+  hoursSurvived?: number | null;
+  zombieKills?: number | null;
+  survivorKills?: number | null;
+  dead?: boolean | null;
+  diedAtHours?: number | null;
+  skills?: Record<string, SkillProgress>;
   traits?: string[];
   recipeIds?: string[];
+  skillBooks?: SkillBookProgress[];
+  readLiterature?: string[];
+  watchedMedia?: string[];
+  inventory?: InventoryContainer[];
   extracted?: {
+    decodeMode?: "structured" | "heuristic";
+    structuredError?: string;
+    worldVersion?: number;
+    build?: string;
+    forename?: string;
+    surname?: string;
+    female?: boolean;
+    inventoryItemCount?: number;
+    health?: PlayerHealth;
+    infected?: boolean;
+    vitals?: PlayerVitals;
+    survival?: PlayerSurvival;
     usernameFromBuffer?: string;
     characterNames?: string[];
     professionIds?: string[];
@@ -65,10 +273,65 @@ export interface PlayerRow {
     clothingCustomNames?: string[];
     inventoryStrings?: string[];
     recipeIds?: string[];
+    skillBooks?: SkillBookProgress[];
+    readLiterature?: string[];
+    watchedMedia?: string[];
     skillXp?: Record<string, unknown>;
     skillLevels?: Record<string, number>;
+    skills?: Record<string, SkillProgress>;
+    xpBoosts?: XpBoosts;
+    provenance?: Record<string, FieldProvenance>;
   };
-  raw?: number[];
+  definitions?: Record<string, ScriptDefinition>;
+  /** Why the row's blob could not be decoded (too large, timed out, crashed); extracted is then empty */
+  decodeError?: string | null;
+  /** Length of the raw blob in bytes; the bytes themselves come from getRawBytes */
+  rawSize?: number;
+}
+
+/** A player's state at one sync snapshot. */
+export interface PlayerHistoryPoint {
+  snapshotId: number;
+  createdAt: string;
+  x: number | null;
+  y: number | null;
+  z: number | null;
+  hoursSurvived: number | null;
+  zombieKills: number | null;
+  dead: boolean | null;
+  skills: Record<string, { level: number; xp: number | null }>;
+}
+
+/** What changed for a player between two consecutive snapshots. */
+export interface PlayerHistoryChange {
+  snapshotId: number;
+  createdAt: string;
+  previousSnapshotId: number;
+  levelChanges: { skill: string; from: number | null; to: number | null }[];
+  xpGained: Record<string, number>;
+  /** Tiles in a straight line; null when a position is unknown */
+  distanceMoved: number | null;
+  traitsAdded: string[];
+  traitsRemoved: string[];
+  itemsAdded: { fullType: string; count: number }[];
+  itemsRemoved: { fullType: string; count: number }[];
+}
+
+export interface PlayerHistory {
+  playerId: number;
+  /** Oldest first */
+  series: PlayerHistoryPoint[];
+  /** Oldest first; snapshots where nothing changed are left out */
+  changes: PlayerHistoryChange[];
+}
+
+export interface SyncSnapshot {
+  id: number;
+  createdAt: string;
+  playerCount: number;
+  vehicleCount: number;
+  /** Oldest snapshots deleted to stay within the retention limit */
+  pruned?: number;
 }
 
 export interface BrowseEntry {
@@ -81,6 +344,36 @@ export interface BrowseResponse {
   entries: BrowseEntry[];
 }
 
+export interface ProfileSummary {
+  name: string;
+  saveFolder: string;
+  /** Has a save folder or DB paths set */
+  configured: boolean;
+  watching: boolean;
+  syncing: boolean;
+}
+
+export interface ProfilesResponse {
+  active: string;
+  profiles: ProfileSummary[];
+}
+
+export function getProfiles(): Promise<ProfilesResponse> {
+  return request<ProfilesResponse>("/api/profiles");
+}
+
+export function createProfile(name: string): Promise<ProfilesResponse> {
+  return request<ProfilesResponse>("/api/profiles", { method: "POST", body: { name } });
+}
+
+export function activateProfile(name: string): Promise<ProfilesResponse> {
+  return request<ProfilesResponse>(`/api/profiles/${encodeURIComponent(name)}/activate`, { method: "POST" });
+}
+
+export function deleteProfile(name: string): Promise<ProfilesResponse> {
+  return request<ProfilesResponse>(`/api/profiles/${encodeURIComponent(name)}`, { method: "DELETE" });
+}
+
 export function getConfig(): Promise<ConfigApi> {
   return request<ConfigApi>("/api/config");
 }
@@ -89,36 +382,363 @@ export function putConfig(body: {
   saveFolder?: string;
   vehiclesDbPath?: string;
   playersDbPath?: string;
+  gameFolder?: string;
+  modFolders?: string[];
+  language?: string;
+  decodeWorkers?: number | null;
+  watch?: boolean;
+  watchMinIntervalSeconds?: number | null;
 }): Promise<ConfigApi> {
   return request<ConfigApi>("/api/config", { method: "PUT", body });
 }
 
-export function postSync(): Promise<{ ok: boolean }> {
-  return request<{ ok: boolean }>("/api/sync", { method: "POST" });
+export function getScriptsStatus(): Promise<ScriptsStatus> {
+  return request<ScriptsStatus>("/api/scripts");
 }
 
-export function getVehicles(): Promise<VehicleRow[]> {
-  return request<VehicleRow[]>("/api/vehicles");
+export function getLanguages(): Promise<LanguagesStatus> {
+  return request<LanguagesStatus>("/api/languages");
 }
 
-export function getVehicleById(id: number | string): Promise<VehicleRow> {
-  return request<VehicleRow>(`/api/vehicles/${id}`);
+export interface SyncCount {
+  total: number;
+  /** New or changed rows that were decoded */
+  decoded: number;
+  /** Rows whose content hash matched the cache and were skipped */
+  unchanged: number;
+  /** Cached rows no longer in the save, deleted */
+  removed: number;
+  /** Rows whose blob failed to decode; they are kept with a decodeError */
+  failed: number;
+}
+
+export interface SyncResult {
+  ok: boolean;
+  vehicles?: SyncCount | null;
+  players?: SyncCount | null;
+  /** History snapshot recorded for this sync; null when it changed no rows */
+  snapshot?: SyncSnapshot | null;
+}
+
+export function postSync(): Promise<SyncResult> {
+  return request<SyncResult>(profilePath("/sync"), { method: "POST" });
+}
+
+export interface WatchStatus {
+  enabled: boolean;
+  minIntervalSeconds: number;
+  /** False when watch mode is off or no save is configured */
+  active: boolean;
+  /** Folders that could not be watched */
+  errors: string[];
+  syncing: boolean;
+}
+
+export function getWatchStatus(): Promise<WatchStatus> {
+  return request<WatchStatus>(profilePath("/watch"));
+}
+
+export type SyncSource = "manual" | "watch" | "config" | "rebuild";
+
+/** Sync steps in the order the server runs them. */
+export type SyncStageId = "copy" | "open" | "verify" | "discover" | "vehicles" | "players" | "history";
+
+/** State of one sync step, pushed as it changes. */
+export interface SyncStageProgress {
+  stage: SyncStageId;
+  status: "running" | "done" | "failed";
+  /** Rows decoded so far (vehicles and players stages) */
+  done?: number;
+  /** New or changed rows to decode */
+  total?: number;
+  /** Rows whose blob failed to decode */
+  failed?: number;
+  error?: string;
+  /** Players table found by the discover stage */
+  table?: string;
+  /** How the copy stage took the snapshots: SQLite's backup API, or copying each DB with its -wal */
+  method?: "backup" | "copy";
+  /** Why the backup API could not be used, when the copy stage fell back to copying */
+  warning?: string;
+  /** Why the step did nothing, e.g. the history step after a sync that changed no rows */
+  skipped?: string;
+  summary?: SyncCount;
+}
+
+/** Pushed on /api/events when any sync finishes: manual, automatic, after a config change, or a cache rebuild at startup. */
+export interface SyncEvent extends Partial<SyncResult> {
+  /** Save profile that was synced */
+  profile: string;
+  source: SyncSource;
+  ok: boolean;
+  error: string | null;
+  /** Step that failed, when ok is false */
+  failedStage: SyncStageId | null;
+  stages: SyncStageProgress[];
+  at: string;
+}
+
+/**
+ * Listen to the server's sync events. Returns a function that closes the stream.
+ * EventSource reconnects on its own if the server restarts.
+ */
+export function subscribeToSyncEvents(handlers: {
+  onSyncStart?: (profile: string, source: SyncSource, stageIds: SyncStageId[]) => void;
+  onProgress?: (progress: SyncStageProgress & { profile: string; source: SyncSource }) => void;
+  onSync: (event: SyncEvent) => void;
+  /** Profiles were created, deleted or switched (possibly in another window) */
+  onProfiles?: (profiles: ProfilesResponse) => void;
+}): () => void {
+  const source = new EventSource(`${API_BASE}/api/events`);
+  const parse = (e: Event) => JSON.parse((e as MessageEvent).data);
+  source.addEventListener("sync-start", (e) => {
+    const data = parse(e) as { profile: string; source: SyncSource; stageIds: SyncStageId[] };
+    handlers.onSyncStart?.(data.profile, data.source, data.stageIds);
+  });
+  source.addEventListener("sync-progress", (e) => {
+    handlers.onProgress?.(parse(e) as SyncStageProgress & { profile: string; source: SyncSource });
+  });
+  source.addEventListener("sync", (e) => {
+    handlers.onSync(parse(e) as SyncEvent);
+  });
+  source.addEventListener("profiles", (e) => {
+    handlers.onProfiles?.(parse(e) as ProfilesResponse);
+  });
+  return () => source.close();
+}
+
+/** One page of a list, with how many rows match in total. */
+export interface Page<T> {
+  total: number;
+  offset: number;
+  limit: number;
+  rows: T[];
+}
+
+/** Largest page the server returns. */
+export const MAX_PAGE_SIZE = 500;
+
+export type SortOrder = "asc" | "desc";
+
+interface ListParams {
+  limit?: number;
+  offset?: number;
+  sort?: string;
+  order?: SortOrder;
+  /** Text the name or type contains */
+  q?: string;
+  /** Only rows inside [minX, minY, maxX, maxY], in world tiles */
+  bbox?: [number, number, number, number];
+}
+
+export interface VehicleListParams extends ListParams {
+  /** Script types, any of */
+  types?: string[];
+}
+
+export interface PlayerListParams extends ListParams {
+  /** Profession IDs, any of */
+  professions?: string[];
+  /** Trait IDs, all of */
+  traits?: string[];
+  /** Recipe IDs, any of */
+  recipes?: string[];
+  /** Skill books read to the end, all of */
+  books?: string[];
+  literature?: string[];
+  media?: string[];
+  infected?: boolean;
+  /** Player query, e.g. "profession:mechanic AND Mechanics>=6" */
+  query?: string;
+}
+
+/** Query string for a list request; list values become repeated parameters. */
+function listQuery(params: Record<string, unknown>, names: Record<string, string> = {}): string {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null || value === "") continue;
+    const name = names[key] ?? key;
+    if (key === "bbox") query.set(name, (value as number[]).join(","));
+    else if (Array.isArray(value)) value.forEach((v) => query.append(name, String(v)));
+    else query.set(name, String(value));
+  }
+  const text = query.toString();
+  return text ? `?${text}` : "";
+}
+
+const PLAYER_PARAM_NAMES = { professions: "profession", traits: "trait", recipes: "recipe", books: "book" };
+
+export function getVehicles(params: VehicleListParams = {}): Promise<Page<VehicleRow>> {
+  return request<Page<VehicleRow>>(profilePath(`/vehicles${listQuery({ ...params }, { types: "type" })}`));
+}
+
+export function getPlayers(params: PlayerListParams = {}): Promise<Page<PlayerRow>> {
+  return request<Page<PlayerRow>>(profilePath(`/players${listQuery({ ...params }, PLAYER_PARAM_NAMES)}`));
+}
+
+/** Every row a list matches, read a page at a time (for exports). */
+export async function getAllPages<T, P extends ListParams>(
+  getPage: (params: P) => Promise<Page<T>>,
+  params: P
+): Promise<T[]> {
+  const rows: T[] = [];
+  for (;;) {
+    const page = await getPage({ ...params, offset: rows.length, limit: MAX_PAGE_SIZE });
+    rows.push(...page.rows);
+    if (page.rows.length === 0 || rows.length >= page.total) return rows;
+  }
+}
+
+/** Values the vehicle filters can choose from. */
+export interface VehicleFacets {
+  types: { id: string; name: string | null; count: number }[];
+}
+
+export function getVehicleFacets(): Promise<VehicleFacets> {
+  return request<VehicleFacets>(profilePath("/vehicles/facets"));
+}
+
+/** Values the player filters can choose from. */
+export interface PlayerFacets {
+  professions: { id: string; name: string | null }[];
+  traits: { id: string; name: string | null }[];
+  recipes: string[];
+  /** Skill books some player has read to the end */
+  books: string[];
+  literature: string[];
+  media: string[];
+  /** Perks some player has a level in */
+  skills: string[];
+}
+
+export function getPlayerFacets(): Promise<PlayerFacets> {
+  return request<PlayerFacets>(profilePath("/players/facets"));
+}
+
+/** A field of the player query language. */
+export interface PlayerQueryField {
+  name: string;
+  /** id and text fields take ":", numbers also =, !=, <, <=, >, >= */
+  type: "id" | "text" | "boolean" | "number";
+  description: string;
+  /** Values known in the cache, offered by autocomplete; label is the display name */
+  values: { value: string; label: string | null }[] | null;
+}
+
+export function getPlayerQueryFields(): Promise<{ fields: PlayerQueryField[] }> {
+  return request(profilePath("/players/query-fields"));
+}
+
+/** Where a player query stopped parsing: 0-based position and length of the offending text. */
+export interface PlayerQueryError {
+  message: string;
+  position: number;
+  length: number;
+}
+
+export function checkPlayerQuery(
+  query: string
+): Promise<{ ok: boolean; error?: PlayerQueryError }> {
+  return request(profilePath(`/players/query-check?${new URLSearchParams({ query })}`));
+}
+
+export interface SavedQuery {
+  id: number;
+  name: string;
+  query: string;
+  updatedAt: string;
+}
+
+export function getSavedQueries(): Promise<SavedQuery[]> {
+  return request<SavedQuery[]>(profilePath("/players/saved-queries"));
+}
+
+/** Save a player query; one saved under the same name before is replaced. */
+export function saveQuery(name: string, query: string): Promise<SavedQuery> {
+  return request<SavedQuery>(profilePath("/players/saved-queries"), {
+    method: "POST",
+    body: { name, query },
+  });
 }
 
-export function getPlayers(): Promise<PlayerRow[]> {
-  return request<PlayerRow[]>("/api/players");
+export function deleteSavedQuery(id: number): Promise<{ ok: boolean }> {
+  return request(profilePath(`/players/saved-queries/${id}`), { method: "DELETE" });
+}
+
+export function getVehicleById(id: number | string): Promise<VehicleRow> {
+  return request<VehicleRow>(profilePath(`/vehicles/${id}`));
 }
 
 export function getPlayerById(id: number | string): Promise<PlayerRow> {
-  return request<PlayerRow>(`/api/players/${id}`);
+  return request<PlayerRow>(profilePath(`/players/${id}`));
+}
+
+export function getPlayerHistory(id: number | string): Promise<PlayerHistory> {
+  return request<PlayerHistory>(profilePath(`/players/${id}/history`));
+}
+
+export interface SearchMatch {
+  /** Where the string was found, e.g. "inventory.items.fullType" or "customNames" */
+  field: string;
+  value: string;
+  /** Translated name when the value is a script ID */
+  valueName: string | null;
+  /** value split into runs, matched ones marked */
+  segments: { text: string; match: boolean }[];
+}
+
+export interface SearchResult {
+  kind: "player" | "vehicle";
+  id: number;
+  /** Player name */
+  name: string | null;
+  /** Vehicle script type */
+  type: string | null;
+  typeName: string | null;
+  x: number | null;
+  y: number | null;
+  /** Matching strings in the row; matches holds the first few */
+  matchCount: number;
+  matches: SearchMatch[];
+}
+
+export function search(q: string, limit?: number): Promise<{ query: string; results: SearchResult[] }> {
+  const params = new URLSearchParams({ q });
+  if (limit != null) params.set("limit", String(limit));
+  return request(profilePath(`/search?${params}`));
+}
+
+/** A byte range of a player's or vehicle's raw blob. */
+export interface RawBytes {
+  id: number;
+  /** Length of the whole blob */
+  size: number;
+  offset: number;
+  /** Bytes in data; less than asked for at the end of the blob */
+  length: number;
+  format: "hex" | "base64";
+  data: string;
+}
+
+export function getRawBytes(
+  type: "vehicles" | "players",
+  id: number | string,
+  range: { offset?: number; length?: number; format?: "hex" | "base64" } = {}
+): Promise<RawBytes> {
+  const params = new URLSearchParams();
+  if (range.offset != null) params.set("offset", String(range.offset));
+  if (range.length != null) params.set("length", String(range.length));
+  if (range.format) params.set("format", range.format);
+  const q = params.toString();
+  return request<RawBytes>(profilePath(`/${type}/${id}/raw${q ? `?${q}` : ""}`));
 }
 
 export function uploadVehicles(content: string): Promise<{ ok: boolean; path?: string }> {
-  return request("/api/upload/vehicles", { method: "POST", body: { content } });
+  return request(profilePath("/upload/vehicles"), { method: "POST", body: { content } });
 }
 
 export function uploadPlayers(content: string): Promise<{ ok: boolean; path?: string }> {
-  return request("/api/upload/players", { method: "POST", body: { content } });
+  return request(profilePath("/upload/players"), { method: "POST", body: { content } });
 }
 
 export function browse(path: string): Promise<BrowseResponse> {
@@ -0,0 +1,11 @@
+/** "minX,minY,maxX,maxY" as typed into an area filter; null when it is not four ordered numbers. */
+export function parseBoundingBox(
+  text: string,
+): [number, number, number, number] | null {
+  const parts = text.split(",").map((part) => part.trim());
+  if (parts.length !== 4 || parts.some((part) => part === "")) return null;
+  const [minX, minY, maxX, maxY] = parts.map(Number);
+  if (![minX, minY, maxX, maxY].every(Number.isFinite)) return null;
+  if (minX > maxX || minY > maxY) return null;
+  return [minX, minY, maxX, maxY];
+}
@@ -0,0 +1,94 @@
+import type { PlayerQueryField } from "@/lib/api-client";
+
+export interface Completion {
+  /** What the list shows */
+  label: string;
+  /** Shown dimmed next to the label: a field's description or a value's display name */
+  detail: string | null;
+  /** Text that replaces the word being typed */
+  insert: string;
+}
+
+/** The word being typed, the completions for it, and the range of the query it replaces. */
+export interface CompletionContext {
+  from: number;
+  to: number;
+  items: Completion[];
+}
+
+const KEYWORDS = ["AND", "OR", "NOT"];
+const TERM = /^([A-Za-z_][A-Za-z0-9_]*)(<=|>=|!=|:|=|<|>)(.*)$/;
+/** Completions shown at most; typing narrows them down. */
+const MAX_ITEMS = 50;
+
+function quoteValue(value: string): string {
+  return /[\s()"]/.test(value) ? `"${value.replace(/"/g, "")}"` : value;
+}
+
+/**
+ * Completions at the caret of a player query: field names (and NOT) where a condition starts,
+ * AND / OR after one, and known values after "field:".
+ */
+export function completionsAt(
+  text: string,
+  caret: number,
+  fields: PlayerQueryField[],
+): CompletionContext {
+  let from = caret;
+  while (from > 0 && !/[\s()]/.test(text[from - 1])) from--;
+  let to = caret;
+  while (to < text.length && !/[\s()]/.test(text[to])) to++;
+  const word = text.slice(from, caret);
+
+  const term = TERM.exec(word);
+  if (term) {
+    const [, name, op, typed] = term;
+    const field = fields.find(
+      (f) => f.name.toLowerCase() === name.toLowerCase(),
+    );
+    const prefix = typed.replace(/^"/, "").toLowerCase();
+    const items = (field?.values ?? [])
+      .filter(
+        (v) =>
+          v.value.toLowerCase().includes(prefix) ||
+          (v.label ?? "").toLowerCase().includes(prefix),
+      )
+      .slice(0, MAX_ITEMS)
+      .map((v) => ({
+        label: v.value,
+        detail: v.label && v.label !== v.value ? v.label : null,
+        insert: `${name}${op}${quoteValue(v.value)}`,
+      }));
+    return { from, to, items };
+  }
+
+  const before = text.slice(0, from).trimEnd();
+  const previous = /(\S+)$/.exec(before)?.[1] ?? "";
+  const startsCondition =
+    before === "" ||
+    before.endsWith("(") ||
+    KEYWORDS.includes(previous.toUpperCase());
+  const lower = word.toLowerCase();
+  if (!startsCondition) {
+    return {
+      from,
+      to,
+      items: ["AND", "OR"]
+        .filter((k) => k.toLowerCase().startsWith(lower))
+        .map((k) => ({ label: k, detail: null, insert: k })),
+    };
+  }
+  const items: Completion[] = [
+    ...(previous.toUpperCase() === "NOT" ? [] : ["NOT"])
+      .filter((k) => k.toLowerCase().startsWith(lower))
+      .map((k) => ({ label: k, detail: null, insert: k })),
+    ...fields
+      .filter((f) => f.name.toLowerCase().startsWith(lower))
+      .map((f) => ({
+        label: f.name,
+        detail: f.description,
+        insert: f.type === "number" ? f.name : `${f.name}:`,
+      })),
+  ];
+  return { from, to, items: items.slice(0, MAX_ITEMS) };
+}
@@ -0,0 +1,41 @@
+import type { PlayerVitals } from "@/lib/api-client";
+
+type VitalField = {
+  key: keyof PlayerVitals;
+  label: string;
+  format: (value: number) => string;
+};
+
+const fraction = (value: number) => `${Math.round(value * 100)}%`;
+const percent = (value: number) => `${Math.round(value)}%`;
+
+/** Vital stats in display order. Hunger, thirst, fatigue, endurance and stress are stored 0–1; the rest 0–100 or absolute. */
+export const VITAL_FIELDS: VitalField[] = [
+  { key: "hunger", label: "Hunger", format: fraction },
+  { key: "thirst", label: "Thirst", format: fraction },
+  { key: "fatigue", label: "Fatigue", format: fraction },
+  { key: "endurance", label: "Endurance", format: fraction },
+  { key: "panic", label: "Panic", format: percent },
+  { key: "stress", label: "Stress", format: fraction },
+  { key: "boredom", label: "Boredom", format: percent },
+  { key: "unhappiness", label: "Unhappiness", format: percent },
+  { key: "weight", label: "Weight", format: (v) => `${v.toFixed(1)} kg` },
+  { key: "calories", label: "Calories", format: (v) => v.toFixed(0) },
+];
+
+export function formatVital(
+  vitals: PlayerVitals | null | undefined,
+  key: keyof PlayerVitals
+): string {
+  const field = VITAL_FIELDS.find((f) => f.key === key);
+  if (!vitals || !field) return "—";
+  return field.format(vitals[key]);
+}
+
+/** In-game hours as days and hours, e.g. "12d 5h". */
+export function formatHoursSurvived(hours: number | null | undefined): string {
+  if (hours == null) return "—";
+  const days = Math.floor(hours / 24);
+  const rest = Math.floor(hours % 24);
+  return days > 0 ? `${days}d ${rest}h` : `${rest}h`;
+}
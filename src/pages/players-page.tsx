@@ -20,114 +20,208 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { MultiSelect } from "@/components/ui/multi-select";
+import { TablePager } from "@/components/table-pager";
+import { PlayerQueryBar } from "@/components/player-query-bar";
 import { PlayerDetailDialog } from "@/components/player-detail-dialog";
 import { useRefresh } from "@/contexts/refresh-context";
-import { getPlayers, type PlayerRow } from "@/lib/api-client";
+import {
+  getAllPages,
+  getPlayerFacets,
+  getPlayers,
+  type PlayerListParams,
+  type SortOrder,
+} from "@/lib/api-client";
+import {
+  VITAL_FIELDS,
+  formatHoursSurvived,
+  formatVital,
+} from "@/lib/player-vitals";
+import { parseBoundingBox } from "@/lib/list-params";
 import { exportCsv, exportJson, exportExcel } from "@/lib/export-helpers";
 import { useQuery } from "@/hooks/use-query";
+import { useDebouncedValue } from "@/hooks/use-debounced-value";
+import { useListPaging } from "@/hooks/use-list-paging";
 
 const MAP_BASE = "https://map.projectzomboid.com/#";
 
-function useFilteredPlayers(
-  players: PlayerRow[],
-  searchTerm: string,
-  profession: string,
-  selectedTraits: string[],
-  selectedRecipes: string[]
-) {
-  return useMemo(() => {
-    return players.filter((p) => {
-      const term = searchTerm.trim().toLowerCase();
-      if (term) {
-        const match =
-          (p.name && p.name.toLowerCase().includes(term)) ||
-          (p.username && p.username.toLowerCase().includes(term)) ||
-          (p.profession && p.profession.toLowerCase().includes(term));
-        if (!match) return false;
-      }
-      if (profession && p.profession !== profession) return false;
-      if (selectedTraits.length) {
-        const hasAll = selectedTraits.every(
-          (t) => Array.isArray(p.traits) && p.traits.includes(t)
-        );
-        if (!hasAll) return false;
-      }
-      if (selectedRecipes.length) {
-        const hasAny =
-          Array.isArray(p.recipeIds) &&
-          selectedRecipes.some((r) => p.recipeIds!.includes(r));
-        if (!hasAny) return false;
-      }
-      return true;
-    });
-  }, [
-    players,
-    searchTerm,
-    profession,
-    selectedTraits,
-    selectedRecipes,
-  ]);
-}
+/** Wait after the last keystroke before filtering. */
+const FILTER_DELAY_MS = 250;
+
+type InfectionFilter = "" | "infected" | "clean";
+
+type SortOption = {
+  value: string;
+  label: string;
+  /** Order picked along with the sort: text A–Z, stats highest first */
+  order: SortOrder;
+};
+
+/** Sorts for the table's columns and stats; skill levels are added from the facets. */
+const SORT_OPTIONS: SortOption[] = [
+  { value: "id", label: "ID", order: "asc" },
+  { value: "name", label: "Name", order: "asc" },
+  { value: "username", label: "Username", order: "asc" },
+  { value: "profession", label: "Profession", order: "asc" },
+  { value: "dead", label: "Status", order: "desc" },
+  { value: "hoursSurvived", label: "Hours survived", order: "desc" },
+  { value: "zombieKills", label: "Zombie kills", order: "desc" },
+  { value: "survivorKills", label: "Survivor kills", order: "desc" },
+  { value: "infected", label: "Infected", order: "desc" },
+  ...VITAL_FIELDS.map((f) => ({
+    value: `vitals.${f.key}`,
+    label: f.label,
+    order: "desc" as const,
+  })),
+  { value: "x", label: "X", order: "asc" },
+  { value: "y", label: "Y", order: "asc" },
+];
+
+const EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "username",
+  "profession",
+  "professionId",
+  "traits",
+  "infected",
+  "hoursSurvived",
+  "zombieKills",
+  "survivorKills",
+  "dead",
+  "diedAtHours",
+  "x",
+  "y",
+  "z",
+  ...VITAL_FIELDS.map((f) => f.key),
+  "mapUrl",
+];
 
 export function PlayersPage() {
   const { refreshKey } = useRefresh();
-  const { data: allPlayers = [], loading, error } = useQuery(
-    refreshKey,
-    getPlayers
-  );
   const [search, setSearch] = useState("");
   const [profession, setProfession] = useState("");
   const [selectedTraits, setSelectedTraits] = useState<string[]>([]);
   const [selectedRecipes, setSelectedRecipes] = useState<string[]>([]);
+  const [selectedBooks, setSelectedBooks] = useState<string[]>([]);
+  const [selectedLiterature, setSelectedLiterature] = useState<string[]>([]);
+  const [selectedMedia, setSelectedMedia] = useState<string[]>([]);
+  const [infection, setInfection] = useState<InfectionFilter>("");
+  const [area, setArea] = useState("");
+  const [query, setQuery] = useState("");
+  const [sortKey, setSortKey] = useState("id");
+  const [order, setOrder] = useState<SortOrder>("asc");
+  const [exporting, setExporting] = useState(false);
   const [detailId, setDetailId] = useState<number | string | null>(null);
   const [detailOpen, setDetailOpen] = useState(false);
 
-  const professions = useMemo(
-    () =>
-      [...new Set(allPlayers.map((p) => p.profession).filter(Boolean))].sort() as string[],
-    [allPlayers]
+  const q = useDebouncedValue(search.trim(), FILTER_DELAY_MS);
+  const bbox = useMemo(() => parseBoundingBox(area), [area]);
+  const filters = useMemo<PlayerListParams>(
+    () => ({
+      q,
+      professions: profession ? [profession] : [],
+      traits: selectedTraits,
+      recipes: selectedRecipes,
+      books: selectedBooks,
+      literature: selectedLiterature,
+      media: selectedMedia,
+      infected: infection ? infection === "infected" : undefined,
+      bbox: bbox ?? undefined,
+      query,
+      sort: sortKey,
+      order,
+    }),
+    [
+      q,
+      profession,
+      selectedTraits,
+      selectedRecipes,
+      selectedBooks,
+      selectedLiterature,
+      selectedMedia,
+      infection,
+      bbox,
+      query,
+      sortKey,
+      order,
+    ]
   );
-  const traits = useMemo(
-    () =>
-      [...new Set(allPlayers.flatMap((p) => p.traits || []).filter(Boolean))].sort(),
-    [allPlayers]
-  );
-  const recipes = useMemo(
-    () =>
-      [...new Set(allPlayers.flatMap((p) => p.recipeIds || []).filter(Boolean))].sort(),
-    [allPlayers]
+  const filterKey = JSON.stringify(filters);
+  const { offset, limit, setOffset, setLimit } = useListPaging(filterKey);
+
+  const { data: page, loading, error } = useQuery(
+    `${refreshKey}:${filterKey}:${offset}:${limit}`,
+    () => getPlayers({ ...filters, offset, limit })
   );
+  const { data: facets } = useQuery(refreshKey, getPlayerFacets);
+  const players = page?.rows ?? [];
+  const total = page?.total ?? 0;
+  const isEmpty = total === 0;
 
-  const filtered = useFilteredPlayers(
-    allPlayers,
-    search,
-    profession,
-    selectedTraits,
-    selectedRecipes
+  const traitNames = useMemo(
+    () => new Map((facets?.traits ?? []).map((t) => [t.id, t.name || t.id])),
+    [facets]
   );
-  const isEmpty = filtered.length === 0;
+  const sortOptions = useMemo<SortOption[]>(
+    () => [
+      ...SORT_OPTIONS,
+      ...(facets?.skills ?? []).map((skill) => ({
+        value: `skills.${skill}`,
+        label: `${skill} level`,
+        order: "desc" as const,
+      })),
+    ],
+    [facets]
+  );
+
+  const changeSort = (value: string) => {
+    setSortKey(value);
+    setOrder(sortOptions.find((o) => o.value === value)?.order ?? "asc");
+  };
 
   const openDetail = useCallback((id: number | string) => {
     setDetailId(id);
     setDetailOpen(true);
   }, []);
 
-  const exportRows = useMemo(
-    () =>
-      filtered.map((p) => ({
-        id: p.id,
-        name: p.name ?? "",
-        username: p.username ?? "",
-        profession: p.profession ?? "",
-        x: p.x,
-        y: p.y,
-        z: p.z,
-        mapUrl:
-          p.x != null && p.y != null ? `${MAP_BASE}${p.x}x${p.y}` : "",
-      })),
-    [filtered]
+  /** Every player the filters match, in the chosen order, not only the page shown. */
+  const exportPlayers = useCallback(
+    async (write: (rows: Record<string, unknown>[]) => void) => {
+      setExporting(true);
+      try {
+        const all = await getAllPages(getPlayers, filters);
+        write(
+          all.map((p) => ({
+            id: p.id,
+            name: p.name ?? "",
+            username: p.username ?? "",
+            profession: p.professionName || p.profession || "",
+            professionId: p.profession ?? "",
+            traits: (p.traitNames || p.traits || []).join("; "),
+            infected: p.infected == null ? "" : p.infected ? "yes" : "no",
+            hoursSurvived: p.hoursSurvived ?? "",
+            zombieKills: p.zombieKills ?? "",
+            survivorKills: p.survivorKills ?? "",
+            dead: p.dead == null ? "" : p.dead ? "yes" : "no",
+            diedAtHours: p.diedAtHours ?? "",
+            x: p.x,
+            y: p.y,
+            z: p.z,
+            ...Object.fromEntries(
+              VITAL_FIELDS.map((f) => [f.key, p.vitals?.[f.key] ?? ""])
+            ),
+            mapUrl:
+              p.x != null && p.y != null ? `${MAP_BASE}${p.x}x${p.y}` : "",
+          }))
+        );
+      } finally {
+        setExporting(false);
+      }
+    },
+    [filters]
   );
 
+
   return (
     <div>
       <header className="border-b border-border pb-4 mb-4">
@@ -137,6 +231,7 @@ export function PlayersPage() {
         </p>
       </header>
       <div className="rounded-lg border border-border bg-muted/30 p-3 mb-4 space-y-3">
+        <PlayerQueryBar onApply={setQuery} />
         <div className="flex flex-wrap items-center gap-3">
           <Input
             placeholder="Filter by name, username or profession..."
@@ -154,42 +249,124 @@ export function PlayersPage() {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All</SelectItem>
-                {professions.map((p) => (
-                  <SelectItem key={p} value={p}>
-                    {p}
+                {(facets?.professions ?? []).map((p) => (
+                  <SelectItem key={p.id} value={p.id}>
+                    {p.name || p.id}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
           </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="filter-infection" className="text-sm text-muted-foreground">
+              Infection
+            </Label>
+            <Select
+              value={infection || "all"}
+              onValueChange={(v) =>
+                setInfection(v === "all" ? "" : (v as InfectionFilter))
+              }
+            >
+              <SelectTrigger id="filter-infection" className="w-[140px]">
+                <SelectValue placeholder="All" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All</SelectItem>
+                <SelectItem value="infected">Infected</SelectItem>
+                <SelectItem value="clean">Not infected</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="filter-area" className="text-sm text-muted-foreground">
+              Area
+            </Label>
+            <Input
+              id="filter-area"
+              placeholder="minX,minY,maxX,maxY"
+              value={area}
+              onChange={(e) => setArea(e.target.value)}
+              className={cn(
+                "w-[200px]",
+                area.trim() && !bbox && "border-destructive"
+              )}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="sort-players" className="text-sm text-muted-foreground">
+              Sort by
+            </Label>
+            <Select value={sortKey} onValueChange={changeSort}>
+              <SelectTrigger id="sort-players" className="w-[180px]">
+                <SelectValue placeholder="ID" />
+              </SelectTrigger>
+              <SelectContent>
+                {sortOptions.map((o) => (
+                  <SelectItem key={o.value} value={o.value}>
+                    {o.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setOrder(order === "asc" ? "desc" : "asc")}
+            >
+              {order === "asc" ? "Ascending" : "Descending"}
+            </Button>
+          </div>
           <MultiSelect
             id="filter-traits"
             label="Traits (all)"
-            options={traits}
+            options={(facets?.traits ?? []).map((t) => t.id)}
             selected={selectedTraits}
             onSelectionChange={setSelectedTraits}
+            formatOption={(id) => traitNames.get(id) || id}
             placeholder="All selected"
           />
           <MultiSelect
             id="filter-recipes"
             label="Recipes (any)"
-            options={recipes}
+            options={facets?.recipes ?? []}
             selected={selectedRecipes}
             onSelectionChange={setSelectedRecipes}
             placeholder="Any selected"
           />
+          <MultiSelect
+            id="filter-books"
+            label="Skill books read (all)"
+            options={facets?.books ?? []}
+            selected={selectedBooks}
+            onSelectionChange={setSelectedBooks}
+            placeholder="All selected"
+          />
+          <MultiSelect
+            id="filter-literature"
+            label="Magazines read (all)"
+            options={facets?.literature ?? []}
+            selected={selectedLiterature}
+            onSelectionChange={setSelectedLiterature}
+            placeholder="All selected"
+          />
+          <MultiSelect
+            id="filter-media"
+            label="Media watched (all)"
+            options={facets?.media ?? []}
+            selected={selectedMedia}
+            onSelectionChange={setSelectedMedia}
+            placeholder="All selected"
+          />
         </div>
         <div className="flex items-center gap-2 flex-wrap">
           <span className="text-sm text-muted-foreground">Export filtered:</span>
           <Button
             variant="outline"
             size="sm"
-            disabled={isEmpty}
+            disabled={isEmpty || exporting}
             onClick={() =>
-              exportCsv(
-                exportRows,
-                ["id", "name", "username", "profession", "x", "y", "z", "mapUrl"],
-                "players.csv"
+              exportPlayers((rows) =>
+                exportCsv(rows, EXPORT_COLUMNS, "players.csv")
               )
             }
           >
@@ -198,16 +375,18 @@ export function PlayersPage() {
           <Button
             variant="outline"
             size="sm"
-            disabled={isEmpty}
-            onClick={() => exportExcel(exportRows, "Players", "players.xlsx")}
+            disabled={isEmpty || exporting}
+            onClick={() =>
+              exportPlayers((rows) => exportExcel(rows, "Players", "players.xlsx"))
+            }
           >
             Excel
           </Button>
           <Button
             variant="outline"
             size="sm"
-            disabled={isEmpty}
-            onClick={() => exportJson(exportRows, "players.json")}
+            disabled={isEmpty || exporting}
+            onClick={() => exportPlayers((rows) => exportJson(rows, "players.json"))}
           >
             JSON
           </Button>
@@ -218,77 +397,118 @@ export function PlayersPage() {
           )}
         </div>
       </div>
-      {loading && <p className="text-muted-foreground">Loading…</p>}
+      {loading && !page && <p className="text-muted-foreground">Loading…</p>}
       {error && (
         <p className="text-destructive">Failed to load: {error}</p>
       )}
-      {!loading && !error && (
-        <Table>
-          <TableHeader>
-            <TableRow>
-              <TableHead>ID</TableHead>
-              <TableHead>Name</TableHead>
-              <TableHead>Username</TableHead>
-              <TableHead>Profession</TableHead>
-              <TableHead>Position (X, Y)</TableHead>
-              <TableHead>Map</TableHead>
-              <TableHead></TableHead>
-            </TableRow>
-          </TableHeader>
-          <TableBody>
-            {filtered.map((p, index) => (
-              <TableRow
-                key={p.id}
-                className={cn(
-                  "cursor-pointer",
-                  index % 2 === 0 ? "bg-muted/20" : undefined
-                )}
-                onClick={() => openDetail(p.id)}
-              >
-                <TableCell>{p.id}</TableCell>
-                <TableCell>{p.name ?? "—"}</TableCell>
-                <TableCell>{p.username ?? "—"}</TableCell>
-                <TableCell>
-                  {p.profession ? (
-                    <Badge variant="secondary">{p.profession}</Badge>
-                  ) : (
-                    "—"
+      {page && !error && (
+        <>
+          <Table className={cn(loading && "opacity-60")}>
+            <TableHeader>
+              <TableRow>
+                <TableHead>ID</TableHead>
+                <TableHead>Name</TableHead>
+                <TableHead>Username</TableHead>
+                <TableHead>Profession</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Survived</TableHead>
+                <TableHead>Kills</TableHead>
+                <TableHead>Infected</TableHead>
+                <TableHead>Hunger</TableHead>
+                <TableHead>Thirst</TableHead>
+                <TableHead>Weight</TableHead>
+                <TableHead>Position (X, Y)</TableHead>
+                <TableHead>Map</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {players.map((p, index) => (
+                <TableRow
+                  key={p.id}
+                  className={cn(
+                    "cursor-pointer",
+                    index % 2 === 0 ? "bg-muted/20" : undefined
                   )}
-                </TableCell>
-                <TableCell>
-                  {p.x != null && p.y != null ? `${p.x}, ${p.y}` : "—"}
-                </TableCell>
-                <TableCell>
-                  {p.x != null && p.y != null ? (
-                    <a
-                      href={`${MAP_BASE}${p.x}x${p.y}`}
-                      target="_blank"
-                      rel="noreferrer"
-                      className="text-primary font-medium hover:underline"
-                      onClick={(e) => e.stopPropagation()}
+                  onClick={() => openDetail(p.id)}
+                >
+                  <TableCell>{p.id}</TableCell>
+                  <TableCell>{p.name ?? "—"}</TableCell>
+                  <TableCell>{p.username ?? "—"}</TableCell>
+                  <TableCell>
+                    {p.profession ? (
+                      <Badge variant="secondary" title={p.profession}>
+                        {p.professionName || p.profession}
+                      </Badge>
+                    ) : (
+                      "—"
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {p.dead == null ? (
+                      "—"
+                    ) : p.dead ? (
+                      <Badge variant="outline">Dead</Badge>
+                    ) : (
+                      "Alive"
+                    )}
+                  </TableCell>
+                  <TableCell>{formatHoursSurvived(p.hoursSurvived)}</TableCell>
+                  <TableCell>{p.zombieKills ?? "—"}</TableCell>
+                  <TableCell>
+                    {p.infected == null ? (
+                      "—"
+                    ) : p.infected ? (
+                      <Badge variant="destructive">Infected</Badge>
+                    ) : (
+                      "No"
+                    )}
+                  </TableCell>
+                  <TableCell>{formatVital(p.vitals, "hunger")}</TableCell>
+                  <TableCell>{formatVital(p.vitals, "thirst")}</TableCell>
+                  <TableCell>{formatVital(p.vitals, "weight")}</TableCell>
+                  <TableCell>
+                    {p.x != null && p.y != null ? `${p.x}, ${p.y}` : "—"}
+                  </TableCell>
+                  <TableCell>
+                    {p.x != null && p.y != null ? (
+                      <a
+                        href={`${MAP_BASE}${p.x}x${p.y}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-primary font-medium hover:underline"
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        Open Map
+                      </a>
+                    ) : (
+                      "—"
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        openDetail(p.id);
+                      }}
                     >
-                      Open Map
-                    </a>
-                  ) : (
-                    "—"
-                  )}
-                </TableCell>
-                <TableCell>
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      openDetail(p.id);
-                    }}
-                  >
-                    Details
-                  </Button>
-                </TableCell>
-              </TableRow>
-            ))}
-          </TableBody>
-        </Table>
+                      Details
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <TablePager
+            total={total}
+            offset={offset}
+            limit={limit}
+            onOffsetChange={setOffset}
+            onLimitChange={setLimit}
+          />
+        </>
       )}
       <PlayerDetailDialog
         id={detailId}
@@ -0,0 +1,160 @@
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { VehicleDetailDialog } from "@/components/vehicle-detail-dialog";
+import { PlayerDetailDialog } from "@/components/player-detail-dialog";
+import { useRefresh } from "@/contexts/refresh-context";
+import { search, type SearchMatch, type SearchResult } from "@/lib/api-client";
+
+/** Wait after the last keystroke before searching. */
+const SEARCH_DELAY_MS = 250;
+
+function Highlighted({ match }: { match: SearchMatch }) {
+  return (
+    <span className="font-mono">
+      {match.segments.map((segment, i) =>
+        segment.match ? (
+          <mark key={i} className="bg-primary/30 text-foreground rounded-sm">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={i}>{segment.text}</span>
+        ),
+      )}
+    </span>
+  );
+}
+
+function resultTitle(result: SearchResult): string {
+  if (result.kind === "player") return result.name || `Player ${result.id}`;
+  return result.typeName || result.type || `Vehicle ${result.id}`;
+}
+
+/**
+ * Full-text search over every decoded string of the players and vehicles: names, item types,
+ * custom names, inventory, traits, recipes. The query is kept in the URL (?q=).
+ */
+export function SearchPage() {
+  const { refreshKey } = useRefresh();
+  const [params, setParams] = useSearchParams();
+  const query = params.get("q") ?? "";
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [detail, setDetail] = useState<SearchResult | null>(null);
+
+  useEffect(() => setInput(query), [query]);
+
+  useEffect(() => {
+    if (input === query) return;
+    const timer = setTimeout(
+      () => setParams(input.trim() ? { q: input } : {}, { replace: true }),
+      SEARCH_DELAY_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [input, query, setParams]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    search(query)
+      .then((r) => !cancelled && setResults(r.results))
+      .catch(
+        (e) =>
+          !cancelled &&
+          setError(e instanceof Error ? e.message : "Search failed"),
+      )
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [query, refreshKey]);
+
+  return (
+    <div>
+      <header className="border-b border-border pb-4 mb-4">
+        <h1 className="text-2xl font-semibold">Search</h1>
+        <p className="text-sm text-muted-foreground mt-1">
+          Find players and vehicles by any decoded text: names, item types (e.g.
+          Base.Katana), custom names, traits, recipes.
+        </p>
+      </header>
+      <Input
+        placeholder="Search players and vehicles…"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        className="max-w-md mb-4"
+        autoFocus
+      />
+      {error ? (
+        <p className="text-destructive">Search failed: {error}</p>
+      ) : loading && results.length === 0 ? (
+        <p className="text-muted-foreground">Searching…</p>
+      ) : query.trim() && results.length === 0 ? (
+        <p className="text-muted-foreground">No matches.</p>
+      ) : (
+        <ul className="space-y-2">
+          {results.map((result) => (
+            <li key={`${result.kind}:${result.id}`}>
+              <button
+                type="button"
+                className="w-full text-left rounded-md border border-border bg-card p-3 hover:bg-muted/50 transition-colors"
+                onClick={() => setDetail(result)}
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <Badge variant="secondary">
+                    {result.kind === "player" ? "Player" : "Vehicle"}
+                  </Badge>
+                  <span className="font-medium">{resultTitle(result)}</span>
+                  <span className="text-xs text-muted-foreground">
+                    #{result.id}
+                    {result.x != null && result.y != null
+                      ? ` · ${result.x}, ${result.y}`
+                      : ""}
+                  </span>
+                </div>
+                <ul className="text-sm space-y-0.5">
+                  {result.matches.map((match, i) => (
+                    <li key={i} className="flex flex-wrap gap-x-2">
+                      <span className="text-muted-foreground">
+                        {match.field}
+                      </span>
+                      <Highlighted match={match} />
+                      {match.valueName && match.valueName !== match.value && (
+                        <span className="text-muted-foreground">
+                          ({match.valueName})
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                  {result.matchCount > result.matches.length && (
+                    <li className="text-xs text-muted-foreground">
+                      and {result.matchCount - result.matches.length} more
+                    </li>
+                  )}
+                </ul>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <VehicleDetailDialog
+        id={detail?.kind === "vehicle" ? detail.id : null}
+        open={detail?.kind === "vehicle"}
+        onOpenChange={(open) => !open && setDetail(null)}
+      />
+      <PlayerDetailDialog
+        id={detail?.kind === "player" ? detail.id : null}
+        open={detail?.kind === "player"}
+        onOpenChange={(open) => !open && setDetail(null)}
+      />
+    </div>
+  );
+}
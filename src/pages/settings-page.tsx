@@ -1,17 +1,35 @@
 import { useEffect, useState, useRef } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
 import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Loader2 } from "lucide-react";
+import { useRefresh } from "@/contexts/refresh-context";
 import {
+  deleteProfile,
   getConfig,
   putConfig,
   postSync,
   uploadVehicles,
   uploadPlayers,
+  getScriptsStatus,
+  getLanguages,
+  getWatchStatus,
   type ConfigApi,
+  type SyncResult,
+  type LanguagesStatus,
+  type ScriptsStatus,
+  type WatchStatus,
 } from "@/lib/api-client";
 
 function fileToBase64(file: File): Promise<string> {
@@ -55,12 +73,30 @@ function findDbFilesInFolder(files: FileList): {
   };
 }
 
+/** Upload status line after a sync, noting rows whose blobs failed to decode. */
+function syncFinishedMessage(result: SyncResult): string {
+  const failed = (result.vehicles?.failed ?? 0) + (result.players?.failed ?? 0);
+  return failed > 0
+    ? `Finished. ${failed} row${failed === 1 ? "" : "s"} could not be decoded; see the row details.`
+    : "Finished.";
+}
+
 export function SettingsPage() {
+  const { profile, profiles, applyProfiles } = useRefresh();
   const [config, setConfig] = useState<ConfigApi | null>(null);
   const [loading, setLoading] = useState(true);
   const [saveFolder, setSaveFolder] = useState("");
   const [vehiclesPath, setVehiclesPath] = useState("");
   const [playersPath, setPlayersPath] = useState("");
+  const [gameFolder, setGameFolder] = useState("");
+  const [modFolders, setModFolders] = useState("");
+  const [scripts, setScripts] = useState<ScriptsStatus | null>(null);
+  const [language, setLanguage] = useState("EN");
+  const [languages, setLanguages] = useState<LanguagesStatus | null>(null);
+  const [decodeWorkers, setDecodeWorkers] = useState("");
+  const [watch, setWatch] = useState(false);
+  const [watchInterval, setWatchInterval] = useState("");
+  const [watchStatus, setWatchStatus] = useState<WatchStatus | null>(null);
   const [saveStatus, setSaveStatus] = useState<"idle" | "success" | "error">("idle");
   const [saveMessage, setSaveMessage] = useState("");
   const [uploadStatus, setUploadStatus] = useState<
@@ -80,9 +116,29 @@ export function SettingsPage() {
         setSaveFolder(cfg.saveFolder ?? "");
         setVehiclesPath(cfg.vehiclesDbPathOverride ?? "");
         setPlayersPath(cfg.playersDbPathOverride ?? "");
+        setGameFolder(cfg.gameFolder ?? "");
+        setModFolders((cfg.modFolders ?? []).join("\n"));
+        setLanguage(cfg.language || "EN");
+        setDecodeWorkers(cfg.decodeWorkersOverride != null ? String(cfg.decodeWorkersOverride) : "");
+        setWatch(cfg.watch);
+        setWatchInterval(String(cfg.watchMinIntervalSeconds));
       })
       .finally(() => setLoading(false));
-  }, []);
+    getScriptsStatus().then(setScripts).catch(() => setScripts(null));
+    getLanguages().then(setLanguages).catch(() => setLanguages(null));
+    getWatchStatus().then(setWatchStatus).catch(() => setWatchStatus(null));
+    // Paths and watch mode belong to the profile, so they are reloaded when it changes
+  }, [profile]);
+
+  const handleDeleteProfile = async () => {
+    if (!config) return;
+    if (!confirm(`Delete profile "${config.profile}" with its cache and sync history? The save itself is not touched.`)) return;
+    try {
+      applyProfiles(await deleteProfile(config.profile));
+    } catch (err) {
+      alert("Failed: " + (err instanceof Error ? err.message : "Unknown error"));
+    }
+  };
 
   const handleSaveConfig = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -92,8 +148,20 @@ export function SettingsPage() {
         saveFolder: saveFolder.trim() || undefined,
         vehiclesDbPath: vehiclesPath.trim() || undefined,
         playersDbPath: playersPath.trim() || undefined,
+        gameFolder: gameFolder.trim(),
+        modFolders: modFolders
+          .split("\n")
+          .map((f) => f.trim())
+          .filter(Boolean),
+        language,
+        decodeWorkers: decodeWorkers.trim() === "" ? null : Number(decodeWorkers),
+        watch,
+        watchMinIntervalSeconds: watchInterval.trim() === "" ? null : Number(watchInterval),
       });
       setConfig(cfg);
+      setScripts(await getScriptsStatus());
+      setLanguages(await getLanguages());
+      setWatchStatus(await getWatchStatus());
       setSaveMessage("Configuration saved. Database connections updated.");
       setSaveStatus("success");
     } catch (err) {
@@ -125,8 +193,7 @@ export function SettingsPage() {
       setUploadMessage("Uploading players.db…");
       await uploadPlayers(pB64);
       setUploadMessage("Syncing tables…");
-      await postSync();
-      setUploadMessage("Finished.");
+      setUploadMessage(syncFinishedMessage(await postSync()));
       setUploadStatus("success");
       setVehiclesFileName("vehicles.db ✓");
       setPlayersFileName("players.db ✓");
@@ -161,8 +228,7 @@ export function SettingsPage() {
       const b64 = await fileToBase64(file);
       await uploadVehicles(b64);
       setUploadMessage("Syncing tables…");
-      await postSync();
-      setUploadMessage("Finished.");
+      setUploadMessage(syncFinishedMessage(await postSync()));
       setUploadStatus("success");
       setVehiclesFileName(file.name + " ✓");
       const cfg = await getConfig();
@@ -192,8 +258,7 @@ export function SettingsPage() {
       const b64 = await fileToBase64(file);
       await uploadPlayers(b64);
       setUploadMessage("Syncing tables…");
-      await postSync();
-      setUploadMessage("Finished.");
+      setUploadMessage(syncFinishedMessage(await postSync()));
       setUploadStatus("success");
       setPlayersFileName(file.name + " ✓");
       const cfg = await getConfig();
@@ -227,6 +292,16 @@ export function SettingsPage() {
               <CardTitle className="text-base">Current paths</CardTitle>
             </CardHeader>
             <CardContent className="text-sm">
+              <div className="flex items-center gap-3 mb-2">
+                <p>
+                  <strong>Profile</strong>: {config?.profile ?? "—"}
+                </p>
+                {profiles.length > 1 && (
+                  <Button type="button" variant="outline" size="sm" onClick={handleDeleteProfile}>
+                    Delete profile
+                  </Button>
+                )}
+              </div>
               <p>
                 <strong>Vehicles</strong>: {config?.vehiclesDbPath ?? "—"}
               </p>
@@ -335,6 +410,111 @@ export function SettingsPage() {
                 configuration.
               </p>
             </div>
+            <div className="space-y-2">
+              <Label htmlFor="config-game-folder">Game and mod scripts (optional)</Label>
+              <Input
+                id="config-game-folder"
+                placeholder="e.g. C:\Program Files (x86)\Steam\steamapps\common\ProjectZomboid"
+                value={gameFolder}
+                onChange={(e) => setGameFolder(e.target.value)}
+                className="max-w-md"
+              />
+              <Textarea
+                id="config-mod-folders"
+                placeholder={"One mod folder per line, e.g.\nC:\\Program Files (x86)\\Steam\\steamapps\\workshop\\content\\108600"}
+                value={modFolders}
+                onChange={(e) => setModFolders(e.target.value)}
+                className="max-w-md font-mono text-xs"
+              />
+              <p className="text-xs text-muted-foreground">
+                Item, vehicle, profession and trait definitions are read from
+                media/scripts in these folders, so modded IDs are recognized
+                and shown with their display names. Mods listed later override
+                earlier ones.
+                {scripts &&
+                  ` Loaded ${scripts.definitionCount} definitions from ${scripts.fileCount} script files.`}
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="config-language">Display name language</Label>
+              <Select value={language} onValueChange={setLanguage}>
+                <SelectTrigger id="config-language" className="w-[140px]">
+                  <SelectValue placeholder="EN" />
+                </SelectTrigger>
+                <SelectContent>
+                  {[...new Set(["EN", language, ...(languages?.available ?? [])])]
+                    .sort()
+                    .map((lang) => (
+                      <SelectItem key={lang} value={lang}>
+                        {lang}
+                      </SelectItem>
+                    ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                Trait, profession, item and vehicle names come from the
+                Translate folders of the game and mod folders above; names a
+                language lacks fall back to English.
+                {languages &&
+                  ` ${languages.translationCount} names loaded for ${languages.language}.`}
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="config-decode-workers">Decode workers</Label>
+              <Input
+                id="config-decode-workers"
+                type="number"
+                min={0}
+                step={1}
+                value={decodeWorkers}
+                onChange={(e) => setDecodeWorkers(e.target.value)}
+                placeholder={config ? String(config.decodeWorkers) : ""}
+                className="w-[140px]"
+              />
+              <p className="text-xs text-muted-foreground">
+                Threads that decode player and vehicle data during a sync.
+                Leave empty for the default (one less than the number of CPU
+                cores); 0 decodes on the server thread. Rows that take too
+                long or are too large are kept with a decode error.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="config-watch"
+                  checked={watch}
+                  onCheckedChange={(checked) => setWatch(checked === true)}
+                />
+                <Label htmlFor="config-watch">Sync automatically when the save changes</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Label htmlFor="config-watch-interval" className="font-normal">
+                  At most every
+                </Label>
+                <Input
+                  id="config-watch-interval"
+                  type="number"
+                  min={1}
+                  step={1}
+                  value={watchInterval}
+                  onChange={(e) => setWatchInterval(e.target.value)}
+                  disabled={!watch}
+                  className="w-[100px]"
+                />
+                <span className="text-sm text-muted-foreground">seconds</span>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Watches vehicles.db, players.db and their -wal files. A sync
+                starts once the game has stopped writing for a moment, and
+                open pages reload when it finishes.
+                {watchStatus?.enabled && !watchStatus.active && " Not watching: no save is configured."}
+              </p>
+              {watchStatus && watchStatus.errors.length > 0 && (
+                <p className="text-xs text-destructive">
+                  Could not watch {watchStatus.errors.join("; ")}
+                </p>
+              )}
+            </div>
             <Button type="submit">Save configuration</Button>
           </form>
           {saveStatus === "success" && (
@@ -2,6 +2,7 @@ import { useMemo, useState, useCallback } from "react";
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
 import {
   Table,
   TableBody,
@@ -11,54 +12,110 @@ import {
   TableRow,
 } from "@/components/ui/table";
 import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { MultiSelect } from "@/components/ui/multi-select";
+import { TablePager } from "@/components/table-pager";
 import { VehicleDetailDialog } from "@/components/vehicle-detail-dialog";
 import { useRefresh } from "@/contexts/refresh-context";
-import { getVehicles, type VehicleRow } from "@/lib/api-client";
+import {
+  getAllPages,
+  getVehicleFacets,
+  getVehicles,
+  type SortOrder,
+  type VehicleListParams,
+} from "@/lib/api-client";
+import { parseBoundingBox } from "@/lib/list-params";
 import { exportCsv, exportJson, exportExcel } from "@/lib/export-helpers";
 import { MAP_BASE } from "@/components/vehicle-detail-dialog";
 import { useQuery } from "@/hooks/use-query";
+import { useDebouncedValue } from "@/hooks/use-debounced-value";
+import { useListPaging } from "@/hooks/use-list-paging";
 
-function useFilteredVehicles(vehicles: VehicleRow[], searchTerm: string) {
-  return useMemo(() => {
-    const term = searchTerm.trim().toLowerCase();
-    if (!term) return vehicles;
-    return vehicles.filter((v) =>
-      (v.type ?? "").toLowerCase().includes(term)
-    );
-  }, [vehicles, searchTerm]);
-}
+/** Wait after the last keystroke before filtering. */
+const FILTER_DELAY_MS = 250;
+
+const SORT_OPTIONS = [
+  { value: "id", label: "ID" },
+  { value: "type", label: "Vehicle type" },
+  { value: "x", label: "X" },
+  { value: "y", label: "Y" },
+];
 
 export function VehiclesPage() {
   const { refreshKey } = useRefresh();
-  const { data: allVehicles = [], loading, error } = useQuery(
-    refreshKey,
-    getVehicles
-  );
   const [search, setSearch] = useState("");
+  const [selectedTypes, setSelectedTypes] = useState<string[]>([]);
+  const [area, setArea] = useState("");
+  const [sortKey, setSortKey] = useState("id");
+  const [order, setOrder] = useState<SortOrder>("asc");
+  const [exporting, setExporting] = useState(false);
   const [detailId, setDetailId] = useState<number | string | null>(null);
   const [detailOpen, setDetailOpen] = useState(false);
 
-  const filtered = useFilteredVehicles(allVehicles, search);
-  const isEmpty = filtered.length === 0;
+  const q = useDebouncedValue(search.trim(), FILTER_DELAY_MS);
+  const bbox = useMemo(() => parseBoundingBox(area), [area]);
+  const filters = useMemo<VehicleListParams>(
+    () => ({
+      q,
+      types: selectedTypes,
+      bbox: bbox ?? undefined,
+      sort: sortKey,
+      order,
+    }),
+    [q, selectedTypes, bbox, sortKey, order]
+  );
+  const filterKey = JSON.stringify(filters);
+  const { offset, limit, setOffset, setLimit } = useListPaging(filterKey);
+
+  const { data: page, loading, error } = useQuery(
+    `${refreshKey}:${filterKey}:${offset}:${limit}`,
+    () => getVehicles({ ...filters, offset, limit })
+  );
+  const { data: facets } = useQuery(refreshKey, getVehicleFacets);
+  const vehicles = page?.rows ?? [];
+  const total = page?.total ?? 0;
+  const isEmpty = total === 0;
+
+  const typeNames = useMemo(
+    () => new Map((facets?.types ?? []).map((t) => [t.id, t.name || t.id])),
+    [facets]
+  );
 
   const openDetail = useCallback((id: number | string) => {
     setDetailId(id);
     setDetailOpen(true);
   }, []);
 
-  const exportRows = useMemo(
-    () =>
-      filtered.map((v) => ({
-        id: v.id,
-        type: v.type,
-        x: v.x,
-        y: v.y,
-        mapUrl:
-          v.x != null && v.y != null
-            ? `${MAP_BASE}${v.x}x${v.y}`
-            : "",
-      })),
-    [filtered]
+  /** Every vehicle the filters match, not only the page shown. */
+  const exportVehicles = useCallback(
+    async (write: (rows: Record<string, unknown>[]) => void) => {
+      setExporting(true);
+      try {
+        const all = await getAllPages(getVehicles, filters);
+        write(
+          all.map((v) => ({
+            id: v.id,
+            type: v.typeName || v.type,
+            typeId: v.type,
+            x: v.x,
+            y: v.y,
+            mapUrl:
+              v.x != null && v.y != null
+                ? `${MAP_BASE}${v.x}x${v.y}`
+                : "",
+          }))
+        );
+      } finally {
+        setExporting(false);
+      }
+    },
+    [filters]
   );
 
   return (
@@ -70,22 +127,72 @@ export function VehiclesPage() {
         </p>
       </header>
       <div className="rounded-lg border border-border bg-muted/30 p-3 mb-4 space-y-3">
-        <div className="flex flex-wrap items-center gap-2">
+        <div className="flex flex-wrap items-center gap-3">
           <Input
             placeholder="Filter by type (e.g. Trailer, Ambulance)..."
             value={search}
             onChange={(e) => setSearch(e.target.value)}
             className="max-w-md"
           />
+          <MultiSelect
+            id="filter-types"
+            label="Types (any)"
+            options={(facets?.types ?? []).map((t) => t.id)}
+            selected={selectedTypes}
+            onSelectionChange={setSelectedTypes}
+            formatOption={(id) => typeNames.get(id) || id}
+            placeholder="Any selected"
+          />
+          <div className="flex items-center gap-2">
+            <Label htmlFor="filter-area" className="text-sm text-muted-foreground">
+              Area
+            </Label>
+            <Input
+              id="filter-area"
+              placeholder="minX,minY,maxX,maxY"
+              value={area}
+              onChange={(e) => setArea(e.target.value)}
+              className={cn(
+                "w-[200px]",
+                area.trim() && !bbox && "border-destructive"
+              )}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="sort-vehicles" className="text-sm text-muted-foreground">
+              Sort by
+            </Label>
+            <Select value={sortKey} onValueChange={setSortKey}>
+              <SelectTrigger id="sort-vehicles" className="w-[140px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SORT_OPTIONS.map((o) => (
+                  <SelectItem key={o.value} value={o.value}>
+                    {o.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setOrder(order === "asc" ? "desc" : "asc")}
+            >
+              {order === "asc" ? "Ascending" : "Descending"}
+            </Button>
+          </div>
         </div>
         <div className="flex items-center gap-2 flex-wrap">
           <span className="text-sm text-muted-foreground">Export filtered:</span>
           <Button
             variant="outline"
             size="sm"
-            disabled={isEmpty}
+            disabled={isEmpty || exporting}
             onClick={() =>
-              exportCsv(exportRows, ["id", "type", "x", "y", "mapUrl"], "vehicles.csv")
+              exportVehicles((rows) =>
+                exportCsv(rows, ["id", "type", "typeId", "x", "y", "mapUrl"], "vehicles.csv")
+              )
             }
           >
             CSV
@@ -93,16 +200,18 @@ export function VehiclesPage() {
           <Button
             variant="outline"
             size="sm"
-            disabled={isEmpty}
-            onClick={() => exportExcel(exportRows, "Vehicles", "vehicles.xlsx")}
+            disabled={isEmpty || exporting}
+            onClick={() =>
+              exportVehicles((rows) => exportExcel(rows, "Vehicles", "vehicles.xlsx"))
+            }
           >
             Excel
           </Button>
           <Button
             variant="outline"
             size="sm"
-            disabled={isEmpty}
-            onClick={() => exportJson(exportRows, "vehicles.json")}
+            disabled={isEmpty || exporting}
+            onClick={() => exportVehicles((rows) => exportJson(rows, "vehicles.json"))}
           >
             JSON
           </Button>
@@ -111,69 +220,80 @@ export function VehiclesPage() {
           )}
         </div>
       </div>
-      {loading && <p className="text-muted-foreground">Loading…</p>}
+      {loading && !page && <p className="text-muted-foreground">Loading…</p>}
       {error && (
         <p className="text-destructive">Failed to load: {error}</p>
       )}
-      {!loading && !error && (
-        <Table>
-          <TableHeader>
-            <TableRow>
-              <TableHead>ID</TableHead>
-              <TableHead>Vehicle Type</TableHead>
-              <TableHead>X</TableHead>
-              <TableHead>Y</TableHead>
-              <TableHead>Map</TableHead>
-              <TableHead></TableHead>
-            </TableRow>
-          </TableHeader>
-          <TableBody>
-            {filtered.map((v, index) => (
-              <TableRow
-                key={v.id}
-                className={cn(
-                  "cursor-pointer",
-                  index % 2 === 0 ? "bg-muted/20" : undefined
-                )}
-                onClick={() => openDetail(v.id)}
-              >
-                <TableCell>{v.id}</TableCell>
-                <TableCell>
-                  <Badge variant="secondary">{v.type}</Badge>
-                </TableCell>
-                <TableCell>{v.x ?? "—"}</TableCell>
-                <TableCell>{v.y ?? "—"}</TableCell>
-                <TableCell>
-                  {v.x != null && v.y != null ? (
-                    <a
-                      href={`${MAP_BASE}${v.x}x${v.y}`}
-                      target="_blank"
-                      rel="noreferrer"
-                      className="text-primary font-medium hover:underline"
-                      onClick={(e) => e.stopPropagation()}
-                    >
-                      Open Map
-                    </a>
-                  ) : (
-                    "—"
-                  )}
-                </TableCell>
-                <TableCell>
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      openDetail(v.id);
-                    }}
-                  >
-                    Details
-                  </Button>
-                </TableCell>
+      {page && !error && (
+        <>
+          <Table className={cn(loading && "opacity-60")}>
+            <TableHeader>
+              <TableRow>
+                <TableHead>ID</TableHead>
+                <TableHead>Vehicle Type</TableHead>
+                <TableHead>X</TableHead>
+                <TableHead>Y</TableHead>
+                <TableHead>Map</TableHead>
+                <TableHead></TableHead>
               </TableRow>
-            ))}
-          </TableBody>
-        </Table>
+            </TableHeader>
+            <TableBody>
+              {vehicles.map((v, index) => (
+                <TableRow
+                  key={v.id}
+                  className={cn(
+                    "cursor-pointer",
+                    index % 2 === 0 ? "bg-muted/20" : undefined
+                  )}
+                  onClick={() => openDetail(v.id)}
+                >
+                  <TableCell>{v.id}</TableCell>
+                  <TableCell>
+                    <Badge variant="secondary" title={v.type}>
+                      {v.typeName || v.type}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>{v.x ?? "—"}</TableCell>
+                  <TableCell>{v.y ?? "—"}</TableCell>
+                  <TableCell>
+                    {v.x != null && v.y != null ? (
+                      <a
+                        href={`${MAP_BASE}${v.x}x${v.y}`}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-primary font-medium hover:underline"
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        Open Map
+                      </a>
+                    ) : (
+                      "—"
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        openDetail(v.id);
+                      }}
+                    >
+                      Details
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <TablePager
+            total={total}
+            offset={offset}
+            limit={limit}
+            onOffsetChange={setOffset}
+            onLimitChange={setLimit}
+          />
+        </>
       )}
       <VehicleDetailDialog
         id={detailId}
@@ -0,0 +1,184 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import sqlite3 from "sqlite3";
+
+// The cache DBs go to a temp folder; set before cache-db.js opens any
+const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-db-"));
+process.env.PZ_MANAGER_USER_DATA = baseDir;
+const cacheDb = await import("../lib/cache-db.js");
+
+const call = (fn, ...args) =>
+    new Promise((resolve, reject) =>
+        fn(...args, (err, result) => (err ? reject(err) : resolve(result))),
+    );
+
+after(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+/** An in-memory vehicles.db with the given { id: blob text } rows. */
+async function sourceDb(rows) {
+    const db = new sqlite3.Database(":memory:");
+    await call(
+        db.run.bind(db),
+        "CREATE TABLE vehicles (id INTEGER PRIMARY KEY, x REAL, y REAL, data BLOB)",
+        [],
+    );
+    for (const [id, text] of Object.entries(rows)) {
+        await call(
+            db.run.bind(db),
+            "INSERT INTO vehicles (id, x, y, data) VALUES (?, ?, ?, ?)",
+            [Number(id), 10, 20, Buffer.from(text)],
+        );
+    }
+    return db;
+}
+
+describe("syncVehicles", () => {
+    let profile;
+    let counter = 0;
+    /** Blob texts the fake decoder was given, in order */
+    let decoded;
+
+    /** Decodes a blob to its text as the vehicle type; blobs reading "bad" fail. */
+    const decode = (buf, type, cb) => {
+        const text = buf.toString();
+        decoded.push(text);
+        setImmediate(() =>
+            text === "bad"
+                ? cb(new Error("Unreadable blob"))
+                : cb(null, { type, extracted: { vehicleType: text } }),
+        );
+    };
+
+    const sync = async (rows, contextKey = "v1") => {
+        const db = await sourceDb(rows);
+        try {
+            return await call(cacheDb.syncVehicles, profile, db, {
+                decode,
+                contextKey,
+            });
+        } finally {
+            db.close();
+        }
+    };
+
+    const vehicle = (id) => call(cacheDb.getVehicleById, profile, id);
+
+    beforeEach(() => {
+        profile = `sync-${++counter}`;
+        decoded = [];
+    });
+
+    test("skips rows whose blob and decode context are unchanged", async () => {
+        await sync({ 1: "Base.Van", 2: "Base.Car" });
+        decoded = [];
+        const summary = await sync({ 1: "Base.Van", 2: "Base.Car" });
+        assert.deepEqual(decoded, []);
+        assert.deepEqual(summary, {
+            total: 2,
+            decoded: 0,
+            unchanged: 2,
+            removed: 0,
+            failed: 0,
+        });
+    });
+
+    test("re-decodes changed rows, and every row when the context changes", async () => {
+        await sync({ 1: "Base.Van", 2: "Base.Car" });
+        decoded = [];
+        const summary = await sync({ 1: "Base.Van", 2: "Base.Truck" });
+        assert.deepEqual(decoded, ["Base.Truck"]);
+        assert.equal(summary.unchanged, 1);
+        assert.equal((await vehicle(2)).extracted.vehicleType, "Base.Truck");
+
+        decoded = [];
+        await sync({ 1: "Base.Van", 2: "Base.Truck" }, "v2");
+        assert.deepEqual(decoded.sort(), ["Base.Truck", "Base.Van"]);
+    });
+
+    test("deletes rows gone from the source", async () => {
+        await sync({ 1: "Base.Van", 2: "Base.Car" });
+        const summary = await sync({ 1: "Base.Van" });
+        assert.equal(summary.removed, 1);
+        assert.equal(await vehicle(2), null);
+        assert.notEqual(await vehicle(1), null);
+    });
+
+    test("stores decode failures and tries them again on the next sync", async () => {
+        const first = await sync({ 1: "Base.Van", 2: "bad" });
+        assert.equal(first.failed, 1);
+        assert.equal((await vehicle(2)).decodeError, "Unreadable blob");
+
+        decoded = [];
+        const second = await sync({ 1: "Base.Van", 2: "bad" });
+        assert.deepEqual(decoded, ["bad"]);
+        assert.equal(second.unchanged, 1);
+    });
+
+    test("writes a sync in one transaction and keeps the old cache when it fails", async () => {
+        await sync({ 1: "Base.Van", 2: "Base.Car", 3: "Base.Bus" });
+        // A second connection makes the insert of row 2 fail half-way through the writes
+        const file = path.join(baseDir, `pz-manager-cache-${profile}.db`);
+        const other = new sqlite3.Database(file);
+        await call(
+            other.run.bind(other),
+            `CREATE TRIGGER fail_row_2 BEFORE INSERT ON cache_vehicles WHEN NEW.id = 2
+                BEGIN SELECT RAISE(ABORT, 'insert failed'); END`,
+            [],
+        );
+        await call(other.close.bind(other));
+
+        await assert.rejects(
+            sync({ 1: "Base.Truck", 2: "Base.Taxi" }),
+            /insert failed/,
+        );
+        assert.equal((await vehicle(1)).extracted.vehicleType, "Base.Van");
+        assert.equal((await vehicle(2)).extracted.vehicleType, "Base.Car");
+        assert.equal((await vehicle(3)).extracted.vehicleType, "Base.Bus");
+    });
+});
+
+describe("getRawBytes", () => {
+    const profile = "raw";
+    const bytes = (offset, length) =>
+        call(cacheDb.getRawBytes, profile, "vehicle", 1, offset, length);
+
+    before(async () => {
+        const db = await sourceDb({ 1: "0123456789" });
+        try {
+            await call(cacheDb.syncVehicles, profile, db, {
+                decode: (buf, type, cb) =>
+                    cb(null, { type, extracted: { vehicleType: "Base.Van" } }),
+                contextKey: "v1",
+            });
+        } finally {
+            db.close();
+        }
+    });
+
+    test("reads the asked range and stops at the end of the blob", async () => {
+        assert.deepEqual(await bytes(2, 3), {
+            size: 10,
+            bytes: Buffer.from("234"),
+        });
+        assert.deepEqual(await bytes(8, 100), {
+            size: 10,
+            bytes: Buffer.from("89"),
+        });
+    });
+
+    test("returns no bytes past the end, and null for a missing row", async () => {
+        assert.deepEqual(await bytes(10, 4), {
+            size: 10,
+            bytes: Buffer.alloc(0),
+        });
+        assert.equal(
+            await call(cacheDb.getRawBytes, profile, "vehicle", 2, 0, 4),
+            null,
+        );
+    });
+});
@@ -0,0 +1,235 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import sqlite3 from "sqlite3";
+import {
+    MIGRATIONS,
+    clearCachedRows,
+    migrate,
+} from "../lib/cache-migrations.js";
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/** Stands in for a sqlite3 Database: records each statement and fails the one given. */
+function recordingDb(failOn = null) {
+    const statements = [];
+    return {
+        statements,
+        run(sql, params, callback) {
+            statements.push(sql);
+            setImmediate(() =>
+                callback(sql === failOn ? new Error("disk I/O error") : null),
+            );
+        },
+    };
+}
+
+const clear = (database, statements) =>
+    new Promise((resolve, reject) =>
+        clearCachedRows(database, statements, (err) =>
+            err ? reject(err) : resolve(),
+        ),
+    );
+
+describe("clearCachedRows", () => {
+    test("empties the search index in the same transaction as the rows", async () => {
+        const database = recordingDb();
+        await clear(database, []);
+        assert.deepEqual(database.statements, [
+            "BEGIN IMMEDIATE",
+            "DELETE FROM cache_vehicles",
+            "DELETE FROM cache_players",
+            "DELETE FROM search_index",
+            "COMMIT",
+        ]);
+    });
+
+    test("keeps history and saved queries", async () => {
+        const database = recordingDb();
+        await clear(database, []);
+        assert.ok(
+            !database.statements.some((sql) =>
+                /sync_snapshots|snapshot_players|saved_queries/.test(sql),
+            ),
+        );
+    });
+
+    test("rolls everything back when a statement fails", async () => {
+        const database = recordingDb("DELETE FROM search_index");
+        await assert.rejects(
+            clear(database, ["INSERT INTO cache_meta VALUES ('a', 'b')"]),
+            /disk I\/O error/,
+        );
+        assert.deepEqual(database.statements.slice(-2), [
+            "DELETE FROM search_index",
+            "ROLLBACK",
+        ]);
+    });
+});
+
+describe("migrate", () => {
+    let database;
+    const run = (sql, params = []) =>
+        new Promise((resolve, reject) =>
+            database.run(sql, params, (err) => (err ? reject(err) : resolve())),
+        );
+    const all = (sql) =>
+        new Promise((resolve, reject) =>
+            database.all(sql, [], (err, rows) =>
+                err ? reject(err) : resolve(rows),
+            ),
+        );
+    const migrated = (decoderVersion) =>
+        new Promise((resolve, reject) =>
+            migrate(database, decoderVersion, (err, result) =>
+                err ? reject(err) : resolve(result),
+            ),
+        );
+    const tableNames = async () =>
+        (await all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(
+            (r) => r.name,
+        );
+
+    beforeEach(() => {
+        database = new sqlite3.Database(":memory:");
+    });
+
+    afterEach(() => {
+        database.close();
+    });
+
+    test("creates every table in a new cache and records each version", async () => {
+        assert.deepEqual(await migrated(3), {
+            from: 0,
+            to: LATEST,
+            rebuild: true,
+        });
+        const tables = await tableNames();
+        for (const table of [
+            "cache_vehicles",
+            "cache_players",
+            "sync_snapshots",
+            "snapshot_players",
+            "cache_meta",
+            "search_index",
+            "saved_queries",
+        ]) {
+            assert.ok(tables.includes(table), table);
+        }
+        const versions = await all(
+            "SELECT version FROM schema_version ORDER BY version",
+        );
+        assert.deepEqual(
+            versions.map((r) => r.version),
+            MIGRATIONS.map((m) => m.version),
+        );
+        assert.deepEqual(
+            await all(
+                "SELECT value FROM cache_meta WHERE key = 'decoder_version'",
+            ),
+            [{ value: "3" }],
+        );
+    });
+
+    test("does nothing when run again", async () => {
+        await migrated(3);
+        await run(
+            "INSERT INTO cache_vehicles (id, type, content_hash) VALUES (1, 'Base.Van', 'h')",
+        );
+        assert.deepEqual(await migrated(3), {
+            from: LATEST,
+            to: LATEST,
+            rebuild: false,
+        });
+        assert.equal((await all("SELECT id FROM cache_vehicles")).length, 1);
+        assert.equal(
+            (await all("SELECT version FROM schema_version")).length,
+            MIGRATIONS.length,
+        );
+    });
+
+    test("upgrades an older cache and keeps its history", async () => {
+        // A cache at version 3: raw bytes still stored as JSON, no search index yet
+        await run(
+            "CREATE TABLE schema_version (version INTEGER PRIMARY KEY, description TEXT, applied_at TEXT)",
+        );
+        for (const migration of MIGRATIONS.slice(0, 3)) {
+            for (const sql of migration.statements) await run(sql);
+            await run(
+                "INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)",
+                [migration.version, migration.description, "2024-01-01"],
+            );
+        }
+        await run(
+            "INSERT INTO cache_vehicles (id, raw_json) VALUES (1, '[1,2,3]')",
+        );
+        await run(
+            "INSERT INTO sync_snapshots (created_at, player_count, vehicle_count) VALUES ('2024-01-01', 1, 1)",
+        );
+
+        assert.deepEqual(await migrated(3), {
+            from: 3,
+            to: LATEST,
+            rebuild: true,
+        });
+        const columns = (await all("PRAGMA table_info(cache_vehicles)")).map(
+            (c) => c.name,
+        );
+        assert.ok(columns.includes("raw"));
+        assert.ok(!columns.includes("raw_json"));
+        assert.deepEqual(await all("SELECT id FROM cache_vehicles"), []);
+        assert.equal((await all("SELECT id FROM sync_snapshots")).length, 1);
+    });
+});
+
+describe("checkDecoderVersion", () => {
+    let database;
+    const run = (sql) =>
+        new Promise((resolve, reject) =>
+            database.run(sql, [], (err) => (err ? reject(err) : resolve())),
+        );
+    const count = (table) =>
+        new Promise((resolve, reject) =>
+            database.get(
+                `SELECT COUNT(*) AS n FROM ${table}`,
+                [],
+                (err, row) => (err ? reject(err) : resolve(row.n)),
+            ),
+        );
+    const migrated = (decoderVersion) =>
+        new Promise((resolve, reject) =>
+            migrate(database, decoderVersion, (err, result) =>
+                err ? reject(err) : resolve(result),
+            ),
+        );
+
+    beforeEach(async () => {
+        database = new sqlite3.Database(":memory:");
+        await migrated(3);
+        await run("INSERT INTO cache_players (id, name) VALUES (1, 'Kate')");
+        await run(
+            "INSERT INTO search_index (kind, row_id, field, value) VALUES ('player', 1, 'name', 'Kate')",
+        );
+        await run(
+            "INSERT INTO saved_queries (name, query, updated_at) VALUES ('all', 'dead:false', '2024-01-01')",
+        );
+    });
+
+    afterEach(() => {
+        database.close();
+    });
+
+    test("keeps the cached rows for the same decoder version", async () => {
+        assert.equal((await migrated(3)).rebuild, false);
+        assert.equal(await count("cache_players"), 1);
+        assert.equal(await count("search_index"), 1);
+    });
+
+    test("empties the cached rows and search index for a new decoder version", async () => {
+        assert.equal((await migrated(4)).rebuild, true);
+        assert.equal(await count("cache_players"), 0);
+        assert.equal(await count("search_index"), 0);
+        assert.equal(await count("saved_queries"), 1);
+        // The new version is stored, so the next start does not rebuild again
+        assert.equal((await migrated(4)).rebuild, false);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { DecodePool } from "../lib/decode-pool.js";
+import { buildVehicleBlob } from "./helpers/pz-blob-builder.js";
+
+function decode(pool, buffer, type = "vehicle") {
+    return new Promise((resolve, reject) =>
+        pool.decode(buffer, type, {}, (err, decoded) =>
+            err ? reject(err) : resolve(decoded),
+        ),
+    );
+}
+
+describe("DecodePool", () => {
+    const blob = buildVehicleBlob({ scriptName: "Base.CarNormal" });
+
+    test("decodes on worker threads without copying the blob into the reply", async () => {
+        const pool = new DecodePool({
+            size: 2,
+            timeoutMs: 10000,
+            maxBlobBytes: 1024,
+        });
+        try {
+            const results = await Promise.all([
+                decode(pool, blob),
+                decode(pool, blob),
+                decode(pool, blob),
+            ]);
+            for (const decoded of results) {
+                assert.equal(decoded.extracted.vehicleType, "Base.CarNormal");
+                assert.equal(decoded.raw, undefined);
+            }
+        } finally {
+            pool.close();
+        }
+    });
+
+    test("decodes inline with size 0", async () => {
+        const pool = new DecodePool({
+            size: 0,
+            timeoutMs: 10000,
+            maxBlobBytes: 1024,
+        });
+        const decoded = await decode(pool, blob);
+        assert.equal(decoded.extracted.vehicleType, "Base.CarNormal");
+    });
+
+    test("fails blobs over the size cap without decoding them", async () => {
+        const pool = new DecodePool({
+            size: 0,
+            timeoutMs: 10000,
+            maxBlobBytes: 8,
+        });
+        await assert.rejects(decode(pool, blob), /over the 8 byte limit/);
+    });
+
+    test("finishes accepted blobs before closing when idle", async () => {
+        const pool = new DecodePool({
+            size: 1,
+            timeoutMs: 10000,
+            maxBlobBytes: 1024,
+        });
+        const pending = [decode(pool, blob), decode(pool, blob)];
+        pool.closeWhenIdle();
+        await assert.rejects(decode(pool, blob), /closed/);
+        for (const decoded of await Promise.all(pending)) {
+            assert.equal(decoded.extracted.vehicleType, "Base.CarNormal");
+        }
+        assert.equal(pool.closed, true);
+    });
+
+    test("decodes inline once workers keep failing to start", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "decode-pool-"));
+        const script = path.join(dir, "broken-worker.js");
+        fs.writeFileSync(script, 'throw new Error("worker is broken");\n');
+        const pool = new DecodePool({
+            size: 1,
+            timeoutMs: 10000,
+            maxBlobBytes: 1024,
+            workerUrl: pathToFileURL(script),
+        });
+        const logged = [];
+        const originalError = console.error;
+        console.error = (message) => logged.push(message);
+        try {
+            const decoded = await decode(pool, blob);
+            assert.equal(decoded.extracted.vehicleType, "Base.CarNormal");
+            assert.equal(pool.size, 0);
+            assert.match(logged[0], /worker is broken/);
+        } finally {
+            console.error = originalError;
+            pool.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test("fails work sent after close", async () => {
+        const pool = new DecodePool({
+            size: 1,
+            timeoutMs: 10000,
+            maxBlobBytes: 1024,
+        });
+        pool.close();
+        await assert.rejects(decode(pool, blob), /closed/);
+    });
+});
@@ -0,0 +1,229 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    decodePzBuffer,
+    decodePlayerSkills,
+    extractReadableStrings,
+    extractSkillLevelsFromBuffer,
+    extractSkillXpFromBuffer,
+} from "../lib/decode-pz-buffer.js";
+import {
+    BlobWriter,
+    buildPlayerBlob,
+    buildVehicleBlob,
+    WORLD_VERSION_B41,
+    WORLD_VERSION_B42,
+} from "./helpers/pz-blob-builder.js";
+
+describe("decodePlayerSkills", () => {
+    test("reads the int level after the last occurrence of each skill", () => {
+        const buf = new BlobWriter()
+            .string("Strength")
+            .int(2)
+            .string("Fitness")
+            .int(5)
+            .string("Strength")
+            .int(9)
+            .toBuffer();
+        assert.deepEqual(
+            decodePlayerSkills(buf, ["Strength", "Fitness", "Cooking"]),
+            { Strength: 9, Fitness: 5 },
+        );
+    });
+
+    test("ignores values outside 0–10", () => {
+        const buf = new BlobWriter().string("Sneak").int(4000).toBuffer();
+        assert.deepEqual(decodePlayerSkills(buf, ["Sneak"]), {});
+    });
+
+    test("records the level's bytes when given a provenance map", () => {
+        const buf = new BlobWriter().string("Axe").int(3).toBuffer();
+        const provenance = {};
+        decodePlayerSkills(buf, ["Axe"], provenance);
+        assert.deepEqual(provenance["skillLevels.Axe"], {
+            offset: 5,
+            length: 4,
+            pattern: "skill name + int32",
+            confidence: 0.7,
+        });
+    });
+});
+
+describe("extractReadableStrings", () => {
+    test("finds length-prefixed strings in order", () => {
+        const buf = new BlobWriter()
+            .int(195)
+            .string("IsoPlayer")
+            .int(0)
+            .string("Base.Axe")
+            .toBuffer();
+        const strings = extractReadableStrings(buf);
+        assert.ok(strings.includes("IsoPlayer"));
+        assert.ok(strings.indexOf("IsoPlayer") < strings.indexOf("Base.Axe"));
+    });
+
+    test("finds null-terminated runs", () => {
+        const buf = Buffer.concat([
+            Buffer.from([0xff, 0xff]),
+            Buffer.from("Rusty\0", "latin1"),
+        ]);
+        assert.deepEqual(extractReadableStrings(buf), ["Rusty"]);
+    });
+
+    test("keeps multi-byte UTF-8 names", () => {
+        const buf = new BlobWriter().string("Zoë").toBuffer();
+        // Length prefix counts bytes, not characters, so the string is read as a raw run
+        assert.ok(extractReadableStrings(buf).some((s) => s.startsWith("Zo")));
+    });
+});
+
+describe("extractSkillLevelsFromBuffer", () => {
+    test("takes the highest plausible level across occurrences", () => {
+        const buf = new BlobWriter()
+            .string("Fitness")
+            .int(3)
+            .string("Fitness")
+            .int(5)
+            .string("Carpentry")
+            .int(7)
+            .toBuffer();
+        assert.deepEqual(
+            extractSkillLevelsFromBuffer(buf, ["Fitness", "Carpentry"]),
+            { Fitness: 5, Carpentry: 7 },
+        );
+    });
+
+    test("reports the pattern that matched", () => {
+        const buf = new BlobWriter()
+            .string("Cooking")
+            .byte(0)
+            .int(4)
+            .int(0)
+            .toBuffer();
+        const provenance = {};
+        const levels = extractSkillLevelsFromBuffer(
+            buf,
+            ["Cooking"],
+            provenance,
+        );
+        assert.equal(levels.Cooking, 4);
+        assert.equal(provenance["skillLevels.Cooking"].pattern, "pattern A");
+        assert.equal(provenance["skillLevels.Cooking"].confidence, 0.6);
+    });
+
+    test("returns nothing for a short buffer or no names", () => {
+        assert.deepEqual(
+            extractSkillLevelsFromBuffer(Buffer.alloc(4), ["Axe"]),
+            {},
+        );
+        assert.deepEqual(
+            extractSkillLevelsFromBuffer(Buffer.alloc(64), []),
+            {},
+        );
+    });
+});
+
+describe("extractSkillXpFromBuffer", () => {
+    test("collects distinct doubles after each skill name", () => {
+        const buf = new BlobWriter()
+            .string("Aiming")
+            .double(150)
+            .string("Aiming")
+            .double(150)
+            .string("Aiming")
+            .double(375.5)
+            .int(0)
+            .toBuffer();
+        assert.deepEqual(extractSkillXpFromBuffer(buf, ["Aiming"]), {
+            Aiming: [150, 375.5],
+        });
+    });
+
+    test("records each candidate under skillXp.<name>.<index>", () => {
+        const buf = new BlobWriter()
+            .string("Trapping")
+            .double(42)
+            .int(0)
+            .toBuffer();
+        const provenance = {};
+        extractSkillXpFromBuffer(buf, ["Trapping"], provenance);
+        assert.deepEqual(provenance["skillXp.Trapping.0"], {
+            offset: 10,
+            length: 8,
+            pattern: "skill name + double",
+            confidence: 0.3,
+        });
+    });
+});
+
+describe("decodePzBuffer on built blobs", () => {
+    test("walks a B42 player with the voice fields", () => {
+        const blob = buildPlayerBlob({
+            worldVersion: WORLD_VERSION_B42,
+            descriptor: { forename: "Ada", profession: "base:mechanic" },
+            perks: { Mechanics: 4 },
+            xp: { Mechanics: 2000 },
+        });
+        const { extracted } = decodePzBuffer(blob, "player");
+        assert.equal(extracted.decodeMode, "structured");
+        assert.equal(extracted.build, "42");
+        assert.deepEqual(extracted.professionIds, ["base:mechanic"]);
+        assert.equal(extracted.skills.Mechanics.level, 4);
+        assert.equal(extracted.skills.Mechanics.xpIntoLevel, 725);
+    });
+
+    test("takes the profession from the descriptor of a player it cannot walk", () => {
+        const blob = buildPlayerBlob({
+            worldVersion: WORLD_VERSION_B41,
+            descriptor: { forename: "Ann", profession: "carpenter" },
+        });
+        const { extracted } = decodePzBuffer(blob.subarray(0, 50), "player");
+        assert.equal(extracted.decodeMode, "heuristic");
+        assert.deepEqual(extracted.professionIds, ["carpenter"]);
+        assert.equal(
+            extracted.provenance["professionIds.0"].pattern,
+            "descriptor profession",
+        );
+    });
+
+    test("only trusts a bare profession ID where the trait list follows it", () => {
+        const words = new BlobWriter()
+            .int(99999)
+            .string("mechanics")
+            .string("Strength")
+            .int(6)
+            .string("burgerflipper")
+            .toBuffer();
+        const options = { worldVersion: WORLD_VERSION_B41 };
+        const { extracted } = decodePzBuffer(words, "player", options);
+        assert.equal(extracted.decodeMode, "heuristic");
+        assert.equal(extracted.professionIds, undefined);
+
+        const descriptorTail = new BlobWriter()
+            .int(99999)
+            .string("mechanics")
+            .string("carpenter")
+            .byte(1)
+            .int(1)
+            .string("Outdoorsman")
+            .toBuffer();
+        const found = decodePzBuffer(descriptorTail, "player", options);
+        assert.deepEqual(found.extracted.professionIds, ["carpenter"]);
+        assert.equal(
+            found.extracted.provenance["professionIds.0"].confidence,
+            0.5,
+        );
+    });
+
+    test("walks a vehicle and keeps the script name", () => {
+        const blob = buildVehicleBlob({
+            scriptName: "Base.VanAmbulance",
+            parts: [
+                { id: "Engine", itemType: "Base.NormalEngine", condition: 55 },
+            ],
+        });
+        const { extracted } = decodePzBuffer(blob, "vehicle");
+        assert.equal(extracted.decodeMode, "structured");
+        assert.equal(extracted.vehicleType, "Base.VanAmbulance");
+    });
+});
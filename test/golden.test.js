@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { decodePzBuffer } from "../lib/decode-pz-buffer.js";
+import { SYNTHETIC_CASES } from "./golden/cases.js";
+
+const FIXTURES_DIR = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "golden",
+    "fixtures",
+);
+
+/** Set by `npm run test:record`: rewrite the expected output instead of comparing. */
+const RECORD = process.env.PZ_RECORD_GOLDEN === "1";
+
+/**
+ * Decoder output as it is stored in a fixture (JSON round trip, so -0 and undefined
+ * compare the way they would after loading the file).
+ * @param {Buffer} blob
+ * @param {{ type: string, options?: object }} fixture
+ */
+function decodeForFixture(blob, fixture) {
+    const { extracted } = decodePzBuffer(blob, fixture.type, fixture.options);
+    return JSON.parse(JSON.stringify(extracted));
+}
+
+function fixturePaths(name) {
+    return {
+        blob: path.join(FIXTURES_DIR, `${name}.bin`),
+        expected: path.join(FIXTURES_DIR, `${name}.json`),
+    };
+}
+
+/**
+ * Every fixture on disk: the synthetic cases plus any real blobs someone dropped in
+ * as <name>.bin with a <name>.json naming the type.
+ */
+function listFixtures() {
+    const names = new Set(SYNTHETIC_CASES.map((c) => c.name));
+    if (fs.existsSync(FIXTURES_DIR)) {
+        for (const file of fs.readdirSync(FIXTURES_DIR)) {
+            if (file.endsWith(".bin")) names.add(file.slice(0, -4));
+        }
+    }
+    return [...names].sort();
+}
+
+if (RECORD) fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+
+for (const name of listFixtures()) {
+    const synthetic = SYNTHETIC_CASES.find((c) => c.name === name);
+    const paths = fixturePaths(name);
+
+    test(`golden: ${name}`, () => {
+        if (RECORD) {
+            if (synthetic) fs.writeFileSync(paths.blob, synthetic.build());
+            const stored = fs.existsSync(paths.expected)
+                ? JSON.parse(fs.readFileSync(paths.expected, "utf8"))
+                : {};
+            const fixture = {
+                type: synthetic ? synthetic.type : stored.type,
+                options: synthetic
+                    ? synthetic.options || {}
+                    : stored.options || {},
+            };
+            assert.ok(fixture.type, `${name}.json must name the blob type`);
+            const blob = fs.readFileSync(paths.blob);
+            fs.writeFileSync(
+                paths.expected,
+                JSON.stringify(
+                    { ...fixture, extracted: decodeForFixture(blob, fixture) },
+                    null,
+                    2,
+                ) + "\n",
+            );
+            return;
+        }
+
+        assert.ok(
+            fs.existsSync(paths.blob) && fs.existsSync(paths.expected),
+            `Fixture ${name} is not recorded; run npm run test:record`,
+        );
+        const fixture = JSON.parse(fs.readFileSync(paths.expected, "utf8"));
+        assert.ok(
+            fixture.extracted,
+            `Fixture ${name} has no expected output; run npm run test:record`,
+        );
+        const blob = fs.readFileSync(paths.blob);
+        assert.deepEqual(decodeForFixture(blob, fixture), fixture.extracted);
+    });
+}
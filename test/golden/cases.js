@@ -0,0 +1,253 @@
+import {
+    BlobWriter,
+    buildPlayerBlob,
+    buildVehicleBlob,
+    WORLD_VERSION_B41,
+    WORLD_VERSION_B42,
+} from "../helpers/pz-blob-builder.js";
+
+const VITALS = {
+    hunger: 0.25,
+    thirst: 0.5,
+    fatigue: 0.125,
+    endurance: 0.75,
+    panic: 10,
+    stress: 0.25,
+    boredom: 5,
+    unhappiness: 20,
+    weight: 82.5,
+    calories: 1450.5,
+};
+
+/**
+ * Synthetic golden fixtures: each is written to fixtures/<name>.bin when recording, so a
+ * builder change never silently changes a checked-in blob. Real save blobs can sit next
+ * to them as <name>.bin plus a <name>.json holding { "type": "player" | "vehicle" }.
+ * @type {{ name: string, type: "player" | "vehicle", options?: object, build: () => Buffer }[]}
+ */
+const SYNTHETIC_CASES = [
+    {
+        name: "player-b41-full",
+        type: "player",
+        build: () =>
+            buildPlayerBlob({
+                worldVersion: WORLD_VERSION_B41,
+                descriptor: {
+                    id: 7,
+                    forename: "Kate",
+                    surname: "Smith",
+                    profession: "mechanics",
+                    female: true,
+                },
+                traits: ["Strong", "Outdoorsman", "Smoker"],
+                perks: { Strength: 9, Fitness: 5, Mechanics: 3, Cooking: 1 },
+                xp: {
+                    Strength: 400000,
+                    Fitness: 52000,
+                    Mechanics: 900,
+                    Cooking: 150,
+                },
+                inventory: {
+                    type: "none",
+                    items: [
+                        {
+                            fullType: "Base.Axe",
+                            condition: 7,
+                            conditionMax: 10,
+                            equipped: true,
+                        },
+                        { fullType: "Base.WaterBottleFull", count: 2 },
+                        {
+                            fullType: "Base.Bag_Schoolbag",
+                            customName: "Go bag",
+                            container: {
+                                type: "Bag_Schoolbag",
+                                items: [
+                                    { fullType: "Base.TinnedBeans", count: 3 },
+                                ],
+                            },
+                        },
+                    ],
+                },
+                health: {
+                    overallHealth: 87.5,
+                    infected: false,
+                    bodyParts: [
+                        { part: "Hand_L", health: 75, flags: 0x01 | 0x20 },
+                        { part: "Torso_Upper", health: 100 },
+                    ],
+                },
+                vitals: VITALS,
+                survival: {
+                    hoursSurvived: 412.5,
+                    zombieKills: 231,
+                    survivorKills: 1,
+                },
+                xpBoosts: {
+                    books: {
+                        Mechanics: { multiplier: 3, minLevel: 2, maxLevel: 4 },
+                    },
+                    traitBoosts: { Strength: 1, Mechanics: 3 },
+                },
+                literature: {
+                    knownRecipes: ["Make Pipe Bomb", "Basic Mechanics"],
+                    skillBooks: [
+                        {
+                            fullType: "Base.BookMechanic1",
+                            pagesRead: 220,
+                            pageCount: 220,
+                        },
+                        {
+                            fullType: "Base.BookMechanic2",
+                            pagesRead: 40,
+                            pageCount: 260,
+                        },
+                    ],
+                    readLiterature: ["Base.ElectronicsMag4"],
+                    watchedMedia: ["Base.VHS_Home"],
+                },
+            }),
+    },
+    {
+        name: "player-b42-dead",
+        type: "player",
+        build: () =>
+            buildPlayerBlob({
+                worldVersion: WORLD_VERSION_B42,
+                descriptor: {
+                    id: 12,
+                    forename: "Lee",
+                    surname: "Park",
+                    profession: "base:fireofficer",
+                    voicePrefix: "VoiceMale",
+                    voiceType: 2,
+                },
+                traits: ["base:athletic", "base:brave"],
+                perks: { Fitness: 6, Axe: 4, Butchering: 2 },
+                xp: { Fitness: 90000, Axe: 2000, Butchering: 300 },
+                health: {
+                    overallHealth: 0,
+                    infected: true,
+                    infectionLevel: 100,
+                },
+                vitals: VITALS,
+                survival: {
+                    hoursSurvived: 96,
+                    zombieKills: 58,
+                    survivorKills: 0,
+                    dead: true,
+                    diedAtHours: 1100.25,
+                },
+            }),
+    },
+    {
+        name: "player-b41-inventory-only",
+        type: "player",
+        build: () =>
+            buildPlayerBlob({
+                traits: ["Lucky"],
+                perks: { Sprinting: 2 },
+                xp: { Sprinting: 300 },
+                inventory: {
+                    type: "none",
+                    items: [{ fullType: "Base.Pencil" }],
+                },
+            }),
+    },
+    {
+        // Implausible world version: the structured parse fails and heuristics take over
+        name: "player-heuristic",
+        type: "player",
+        options: { worldVersion: WORLD_VERSION_B41 },
+        build: () =>
+            new BlobWriter()
+                .int(99999)
+                .byte(9)
+                .string("Ann")
+                .string("Lowe")
+                .string("carpenter")
+                .byte(0)
+                .int(1)
+                .string("Outdoorsman")
+                .string("Strength")
+                .int(6)
+                .string("Carpentry")
+                .int(4)
+                .string("Strength")
+                .double(1900)
+                .string("Base.Hammer")
+                .toBuffer(),
+    },
+    {
+        name: "vehicle-b41-full",
+        type: "vehicle",
+        build: () =>
+            buildVehicleBlob({
+                scriptName: "Base.PickUpTruck",
+                keyId: 1234,
+                modData: { customName: "Bertha" },
+                parts: [
+                    {
+                        id: "Engine",
+                        itemType: "Base.NormalEngine",
+                        condition: 90,
+                    },
+                    {
+                        id: "GasTank",
+                        itemType: "Base.NormalGasTank",
+                        condition: 100,
+                        data: { contentAmount: 12.5, capacity: 70 },
+                    },
+                    {
+                        id: "Battery",
+                        itemType: "Base.CarBattery1",
+                        condition: 80,
+                        data: { charge: 0.5 },
+                    },
+                    { id: "TireFrontLeft", itemType: null, condition: 0 },
+                    {
+                        id: "DoorFrontLeft",
+                        itemType: "Base.FrontCarDoor1",
+                        condition: 70,
+                        data: { locked: true, open: false },
+                    },
+                    {
+                        id: "TruckBed",
+                        itemType: "Base.TrunkDoor",
+                        condition: 65,
+                        container: {
+                            type: "TruckBed",
+                            items: [
+                                { fullType: "Base.Plank", count: 4 },
+                                { fullType: "Base.Nails", count: 100 },
+                            ],
+                        },
+                    },
+                ],
+            }),
+    },
+    {
+        name: "vehicle-b42-minimal",
+        type: "vehicle",
+        build: () =>
+            buildVehicleBlob({
+                worldVersion: WORLD_VERSION_B42,
+                scriptName: "Base.CarNormal",
+            }),
+    },
+    {
+        name: "vehicle-heuristic",
+        type: "vehicle",
+        build: () =>
+            new BlobWriter()
+                .int(-1)
+                .string("Base.SmallCar")
+                .string("Engine")
+                .string("GasTank")
+                .string("Trunk")
+                .string("Rusty")
+                .toBuffer(),
+    },
+];
+
+export { SYNTHETIC_CASES };
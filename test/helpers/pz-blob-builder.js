@@ -0,0 +1,294 @@
+import { getSchemaForWorldVersion } from "../../lib/pz-build-schemas.js";
+
+/** World versions the builders default to, one per supported build. */
+const WORLD_VERSION_B41 = 195;
+const WORLD_VERSION_B42 = 219;
+
+/**
+ * Big-endian writer mirroring PzByteReader: strings are a 2-byte length plus UTF-8.
+ */
+class BlobWriter {
+    constructor() {
+        /** @type {Buffer[]} */
+        this.parts = [];
+    }
+
+    byte(value) {
+        this.parts.push(Buffer.from([value & 0xff]));
+        return this;
+    }
+
+    bool(value) {
+        return this.byte(value ? 1 : 0);
+    }
+
+    int(value) {
+        const b = Buffer.alloc(4);
+        b.writeInt32BE(value);
+        this.parts.push(b);
+        return this;
+    }
+
+    float(value) {
+        const b = Buffer.alloc(4);
+        b.writeFloatBE(value);
+        this.parts.push(b);
+        return this;
+    }
+
+    double(value) {
+        const b = Buffer.alloc(8);
+        b.writeDoubleBE(value);
+        this.parts.push(b);
+        return this;
+    }
+
+    string(value) {
+        const data = Buffer.from(value, "utf8");
+        const b = Buffer.alloc(2);
+        b.writeUInt16BE(data.length);
+        this.parts.push(b, data);
+        return this;
+    }
+
+    bytes(buffer) {
+        this.parts.push(Buffer.from(buffer));
+        return this;
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.parts);
+    }
+}
+
+/**
+ * @typedef {object} ItemSpec
+ * @property {string} fullType
+ * @property {number} [count]
+ * @property {number} [condition]
+ * @property {number} [conditionMax]
+ * @property {boolean} [equipped]
+ * @property {string | null} [customName]
+ * @property {ContainerSpec} [container]
+ */
+
+/**
+ * @typedef {object} ContainerSpec
+ * @property {string} type
+ * @property {ItemSpec[]} [items]
+ */
+
+/**
+ * Write an ItemContainer the way readContainer expects it, each item length-prefixed.
+ * @param {BlobWriter} w
+ * @param {ContainerSpec} container
+ */
+function writeContainer(w, container) {
+    const items = container.items || [];
+    w.string(container.type).int(items.length);
+    for (const item of items) {
+        const inner = new BlobWriter()
+            .string(item.fullType)
+            .int(item.count ?? 1)
+            .int(item.condition ?? 10)
+            .int(item.conditionMax ?? 10)
+            .bool(item.equipped);
+        if (item.customName) inner.bool(true).string(item.customName);
+        else inner.bool(false);
+        if (item.container) writeContainer(inner.bool(true), item.container);
+        else inner.bool(false);
+        const bytes = inner.toBuffer();
+        w.int(bytes.length).bytes(bytes);
+    }
+}
+
+/** Perk index of a perk name in the build's enum; throws so a typo in a test fails loudly. */
+function perkIndex(schema, name) {
+    const index = schema.perkIndexNames.indexOf(name);
+    if (index < 0) {
+        throw new Error(`Perk "${name}" is not in build ${schema.build}`);
+    }
+    return index;
+}
+
+/**
+ * Build a player blob in the IsoPlayer layout readPlayerBlob walks. Optional sections are
+ * written in save order and stop at the first one left out, as in real blobs.
+ * @param {object} [spec]
+ * @param {number} [spec.worldVersion]
+ * @param {{ id?: number, forename?: string, surname?: string, profession?: string, female?: boolean, voicePrefix?: string, voiceType?: number }} [spec.descriptor]
+ * @param {string[]} [spec.traits]
+ * @param {{ [perk: string]: number }} [spec.perks] - Levels
+ * @param {{ [perk: string]: number }} [spec.xp]
+ * @param {ContainerSpec} [spec.inventory]
+ * @param {{ overallHealth: number, infected?: boolean, infectionLevel?: number, bodyParts?: { part: string, health: number, flags?: number }[] }} [spec.health]
+ * @param {{ hunger: number, thirst: number, fatigue: number, endurance: number, panic: number, stress: number, boredom: number, unhappiness: number, weight: number, calories: number }} [spec.vitals]
+ * @param {{ hoursSurvived: number, zombieKills: number, survivorKills: number, dead?: boolean, diedAtHours?: number }} [spec.survival]
+ * @param {{ books?: { [perk: string]: { multiplier: number, minLevel: number, maxLevel: number } }, traitBoosts?: { [perk: string]: number } }} [spec.xpBoosts]
+ * @param {{ knownRecipes?: string[], skillBooks?: { fullType: string, pagesRead: number, pageCount: number }[], readLiterature?: string[], watchedMedia?: string[] }} [spec.literature]
+ * @returns {Buffer}
+ */
+function buildPlayerBlob(spec = {}) {
+    const worldVersion = spec.worldVersion ?? WORLD_VERSION_B41;
+    const schema = getSchemaForWorldVersion(worldVersion);
+    const d = spec.descriptor || {};
+    const w = new BlobWriter()
+        .int(worldVersion)
+        .byte(1)
+        .string("IsoPlayer")
+        .int(d.id ?? 1)
+        .string(d.forename ?? "Kate")
+        .string(d.surname ?? "Smith")
+        .string(d.profession ?? "unemployed")
+        .bool(d.female);
+    if (schema.layout.descriptorHasVoice) {
+        w.string(d.voicePrefix ?? "VoiceFemale").int(d.voiceType ?? 0);
+    }
+
+    const traits = spec.traits || [];
+    w.int(traits.length);
+    traits.forEach((t) => w.string(t));
+
+    const perks = Object.entries(spec.perks || {});
+    w.int(perks.length);
+    perks.forEach(([name, level]) => w.string(name).int(level));
+
+    const xp = Object.entries(spec.xp || {});
+    w.int(xp.length);
+    xp.forEach(([name, amount]) =>
+        w.int(perkIndex(schema, name)).float(amount),
+    );
+
+    writeContainer(w, spec.inventory || { type: "none", items: [] });
+
+    if (!spec.health) return w.toBuffer();
+    const h = spec.health;
+    const bodyParts = h.bodyParts || [];
+    w.float(h.overallHealth)
+        .bool(h.infected)
+        .float(h.infectionLevel ?? 0)
+        .int(bodyParts.length);
+    bodyParts.forEach((p) =>
+        w
+            .string(p.part)
+            .float(p.health)
+            .byte(p.flags ?? 0),
+    );
+
+    if (!spec.vitals) return w.toBuffer();
+    const v = spec.vitals;
+    for (const field of [
+        "hunger",
+        "thirst",
+        "fatigue",
+        "endurance",
+        "panic",
+        "stress",
+        "boredom",
+        "unhappiness",
+    ]) {
+        w.float(v[field]);
+    }
+    w.double(v.weight).double(v.calories);
+
+    if (!spec.survival) return w.toBuffer();
+    const s = spec.survival;
+    w.double(s.hoursSurvived)
+        .int(s.zombieKills)
+        .int(s.survivorKills)
+        .bool(s.dead);
+    if (s.dead) w.double(s.diedAtHours ?? 0);
+
+    if (!spec.xpBoosts) return w.toBuffer();
+    const books = Object.entries(spec.xpBoosts.books || {});
+    w.int(books.length);
+    books.forEach(([name, b]) =>
+        w
+            .int(perkIndex(schema, name))
+            .float(b.multiplier)
+            .int(b.minLevel)
+            .int(b.maxLevel),
+    );
+    const boosts = Object.entries(spec.xpBoosts.traitBoosts || {});
+    w.int(boosts.length);
+    boosts.forEach(([name, boost]) =>
+        w.int(perkIndex(schema, name)).int(boost),
+    );
+
+    if (!spec.literature) return w.toBuffer();
+    const lit = spec.literature;
+    const writeStrings = (list = []) => {
+        w.int(list.length);
+        list.forEach((s) => w.string(s));
+    };
+    writeStrings(lit.knownRecipes);
+    const skillBooks = lit.skillBooks || [];
+    w.int(skillBooks.length);
+    skillBooks.forEach((b) =>
+        w.string(b.fullType).int(b.pagesRead).int(b.pageCount),
+    );
+    writeStrings(lit.readLiterature);
+    writeStrings(lit.watchedMedia);
+    return w.toBuffer();
+}
+
+/**
+ * Write a modData table; numbers are stored as doubles, like the game does.
+ * @param {BlobWriter} w
+ * @param {{ [key: string]: number | string | boolean }} table
+ */
+function writeTable(w, table) {
+    const entries = Object.entries(table || {});
+    w.int(entries.length);
+    for (const [key, value] of entries) {
+        w.string(key);
+        if (typeof value === "number") w.byte(0).double(value);
+        else if (typeof value === "string") w.byte(1).string(value);
+        else w.byte(2).bool(value);
+    }
+}
+
+/**
+ * Build a vehicle blob in the BaseVehicle layout readVehicleBlob walks.
+ * @param {object} [spec]
+ * @param {number} [spec.worldVersion]
+ * @param {string} [spec.scriptName]
+ * @param {number} [spec.keyId]
+ * @param {{ quality: number, loudness: number, power: number }} [spec.engine]
+ * @param {{ [key: string]: number | string | boolean }} [spec.modData]
+ * @param {{ id: string, itemType?: string | null, condition: number, data?: object, container?: ContainerSpec }[]} [spec.parts]
+ * @returns {Buffer}
+ */
+function buildVehicleBlob(spec = {}) {
+    const engine = spec.engine || { quality: 80, loudness: 50, power: 120 };
+    const w = new BlobWriter()
+        .int(spec.worldVersion ?? WORLD_VERSION_B41)
+        .byte(1)
+        .string("BaseVehicle")
+        .string(spec.scriptName ?? "Base.PickUpTruck")
+        .int(spec.keyId ?? -1)
+        .int(engine.quality)
+        .int(engine.loudness)
+        .int(engine.power);
+    writeTable(w, spec.modData);
+    const parts = spec.parts || [];
+    w.int(parts.length);
+    for (const part of parts) {
+        w.string(part.id);
+        if (part.itemType) w.bool(true).string(part.itemType);
+        else w.bool(false);
+        w.int(part.condition);
+        writeTable(w, part.data);
+        if (part.container) writeContainer(w.bool(true), part.container);
+        else w.bool(false);
+    }
+    return w.toBuffer();
+}
+
+export {
+    BlobWriter,
+    buildPlayerBlob,
+    buildVehicleBlob,
+    WORLD_VERSION_B41,
+    WORLD_VERSION_B42,
+};
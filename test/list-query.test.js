@@ -0,0 +1,221 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_PAGE_SIZE,
+    RAW_DEFAULT_LENGTH,
+    RAW_MAX_LENGTH,
+    parsePlayerListQuery,
+    parseRawBytesQuery,
+    parseVehicleListQuery,
+    playerListSql,
+    vehicleListSql,
+} from "../lib/list-query.js";
+
+const invalid = (message) => ({ code: "INVALID_LIST_QUERY", message });
+
+describe("parsePlayerListQuery", () => {
+    test("defaults to the first page in id order with no filters", () => {
+        assert.deepEqual(parsePlayerListQuery({}), {
+            limit: DEFAULT_PAGE_SIZE,
+            offset: 0,
+            sort: { key: "id", order: "asc" },
+            q: "",
+            professions: [],
+            traits: [],
+            recipes: [],
+            books: [],
+            literature: [],
+            media: [],
+            infected: null,
+            bbox: null,
+            query: "",
+        });
+    });
+
+    test("reads repeated filters, paging, the bounding box and a skill sort", () => {
+        const options = parsePlayerListQuery({
+            limit: "25",
+            offset: "50",
+            sort: "skills.Mechanics",
+            order: "desc",
+            profession: "mechanics",
+            trait: ["base:dextrous", "base:strong"],
+            infected: "false",
+            bbox: "10000,9000,10500,9500",
+        });
+        assert.equal(options.limit, 25);
+        assert.equal(options.offset, 50);
+        assert.deepEqual(options.sort, {
+            key: "skills.Mechanics",
+            order: "desc",
+        });
+        assert.deepEqual(options.professions, ["mechanics"]);
+        assert.deepEqual(options.traits, ["base:dextrous", "base:strong"]);
+        assert.equal(options.infected, false);
+        assert.deepEqual(options.bbox, {
+            minX: 10000,
+            minY: 9000,
+            maxX: 10500,
+            maxY: 9500,
+        });
+    });
+
+    test("rejects bad paging, sorts and boxes", () => {
+        assert.throws(
+            () => parsePlayerListQuery({ limit: "0" }),
+            invalid("limit must be an integer from 1 to 500"),
+        );
+        assert.throws(
+            () => parsePlayerListQuery({ offset: "-1" }),
+            invalid("offset must be an integer of at least 0"),
+        );
+        assert.throws(
+            () => parsePlayerListQuery({ order: "up" }),
+            invalid("order must be asc or desc"),
+        );
+        assert.throws(() => parsePlayerListQuery({ sort: 'skills.a"b' }), {
+            code: "INVALID_LIST_QUERY",
+        });
+        assert.throws(() => parsePlayerListQuery({ sort: "vitals.mood" }), {
+            code: "INVALID_LIST_QUERY",
+        });
+        assert.throws(
+            () => parsePlayerListQuery({ bbox: "10,10,5,20" }),
+            invalid(
+                "bbox must be minX,minY,maxX,maxY with min no greater than max",
+            ),
+        );
+        assert.throws(() => parsePlayerListQuery({ infected: "maybe" }), {
+            code: "INVALID_LIST_QUERY",
+        });
+    });
+});
+
+describe("parseVehicleListQuery", () => {
+    test("reads types and only allows vehicle columns as sorts", () => {
+        const options = parseVehicleListQuery({
+            type: ["Base.VanAmbulance", "Base.PickUpTruck"],
+            sort: "type",
+        });
+        assert.deepEqual(options.types, [
+            "Base.VanAmbulance",
+            "Base.PickUpTruck",
+        ]);
+        assert.deepEqual(options.sort, { key: "type", order: "asc" });
+        assert.throws(
+            () => parseVehicleListQuery({ sort: "skills.Mechanics" }),
+            {
+                code: "INVALID_LIST_QUERY",
+            },
+        );
+    });
+});
+
+describe("playerListSql", () => {
+    test("binds filter values and sorts skills by level with missing values last", () => {
+        const sql = playerListSql(
+            parsePlayerListQuery({
+                q: "50%_off",
+                trait: ["base:dextrous", "base:strong"],
+                sort: "skills.Mechanics",
+                order: "desc",
+            }),
+            ["mechanics"],
+        );
+        assert.deepEqual(sql.whereParams, [
+            "%50\\%\\_off%",
+            "%50\\%\\_off%",
+            "%50\\%\\_off%",
+            '["mechanics"]',
+            "base:dextrous",
+            "base:strong",
+        ]);
+        assert.equal(
+            sql.orderBy,
+            "(json_extract(extracted_json, ?)) IS NULL, json_extract(extracted_json, ?) DESC, id ASC",
+        );
+        assert.deepEqual(sql.orderParams, [
+            '$.skills."Mechanics".level',
+            '$.skills."Mechanics".level',
+        ]);
+    });
+
+    test("adds the SQL part of a player query to the filters", () => {
+        const sql = playerListSql(
+            parsePlayerListQuery({ infected: "true" }),
+            [],
+            { sql: "COALESCE(zombie_kills > ?, 0)", params: [10] },
+        );
+        assert.equal(
+            sql.where,
+            "json_extract(extracted_json, '$.infected') = ? AND (COALESCE(zombie_kills > ?, 0))",
+        );
+        assert.deepEqual(sql.whereParams, [1, 10]);
+    });
+
+    test("matches everything without filters", () => {
+        const sql = playerListSql(parsePlayerListQuery({}));
+        assert.equal(sql.where, "1");
+        assert.deepEqual(sql.whereParams, []);
+        assert.equal(sql.orderBy, "id ASC");
+    });
+});
+
+describe("vehicleListSql", () => {
+    test("filters by type and bounding box", () => {
+        const sql = vehicleListSql(
+            parseVehicleListQuery({
+                type: "Base.VanAmbulance",
+                bbox: "0,0,100,200",
+            }),
+        );
+        assert.equal(
+            sql.where,
+            "type IN (SELECT value FROM json_each(?)) AND x BETWEEN ? AND ? AND y BETWEEN ? AND ?",
+        );
+        assert.deepEqual(sql.whereParams, [
+            '["Base.VanAmbulance"]',
+            0,
+            100,
+            0,
+            200,
+        ]);
+    });
+});
+
+describe("parseRawBytesQuery", () => {
+    test("defaults to the first 64 KiB as hex", () => {
+        assert.deepEqual(parseRawBytesQuery({}), {
+            offset: 0,
+            length: RAW_DEFAULT_LENGTH,
+            format: "hex",
+        });
+        assert.deepEqual(
+            parseRawBytesQuery({
+                offset: "100",
+                length: "16",
+                format: "base64",
+            }),
+            { offset: 100, length: 16, format: "base64" },
+        );
+    });
+
+    test("rejects negative offsets, out-of-range lengths and unknown formats", () => {
+        assert.throws(
+            () => parseRawBytesQuery({ offset: "-1" }),
+            invalid("offset must be an integer of at least 0"),
+        );
+        for (const length of ["0", "1.5", String(RAW_MAX_LENGTH + 1)]) {
+            assert.throws(
+                () => parseRawBytesQuery({ length }),
+                invalid(
+                    `length must be an integer from 1 to ${RAW_MAX_LENGTH}`,
+                ),
+            );
+        }
+        assert.throws(
+            () => parseRawBytesQuery({ format: "utf8" }),
+            invalid("format must be hex or base64"),
+        );
+    });
+});
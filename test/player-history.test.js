@@ -0,0 +1,188 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    buildPlayerHistory,
+    diffPlayerStates,
+    playerSnapshotState,
+    snapshotIdsToPrune,
+    syncChangedCache,
+    watchSnapshotDue,
+} from "../lib/player-history.js";
+import { decodePzBuffer } from "../lib/decode-pz-buffer.js";
+import { buildPlayerBlob } from "./helpers/pz-blob-builder.js";
+
+function stateFor(spec, position = { x: 100, y: 200, z: 0 }) {
+    const { extracted } = decodePzBuffer(buildPlayerBlob(spec), "player");
+    return playerSnapshotState(position, extracted);
+}
+
+describe("playerSnapshotState", () => {
+    test("keeps skills, traits and item counts across nested containers", () => {
+        const state = stateFor({
+            traits: ["Strong"],
+            perks: { Carpentry: 3 },
+            xp: { Carpentry: 500 },
+            inventory: {
+                type: "none",
+                items: [
+                    { fullType: "Base.Nails", count: 10 },
+                    {
+                        fullType: "Base.Bag_Schoolbag",
+                        container: {
+                            type: "Bag_Schoolbag",
+                            items: [{ fullType: "Base.Nails", count: 5 }],
+                        },
+                    },
+                ],
+            },
+        });
+        assert.deepEqual(state.traits, ["Strong"]);
+        assert.equal(state.skills.Carpentry.level, 3);
+        assert.deepEqual(state.items, {
+            "Base.Nails": 15,
+            "Base.Bag_Schoolbag": 1,
+        });
+        assert.equal(state.x, 100);
+    });
+});
+
+describe("diffPlayerStates", () => {
+    const before = stateFor({
+        traits: ["Strong", "Smoker"],
+        perks: { Carpentry: 3 },
+        xp: { Carpentry: 500 },
+        inventory: {
+            type: "none",
+            items: [
+                { fullType: "Base.Nails", count: 10 },
+                { fullType: "Base.Hammer" },
+            ],
+        },
+    });
+    const after = stateFor(
+        {
+            traits: ["Strong", "Outdoorsman"],
+            perks: { Carpentry: 4 },
+            xp: { Carpentry: 1800 },
+            inventory: {
+                type: "none",
+                items: [
+                    { fullType: "Base.Nails", count: 4 },
+                    { fullType: "Base.Saw" },
+                ],
+            },
+        },
+        { x: 103, y: 204, z: 0 },
+    );
+    const diff = diffPlayerStates(before, after);
+
+    test("reports level changes and XP gained", () => {
+        assert.deepEqual(diff.levelChanges, [
+            { skill: "Carpentry", from: 3, to: 4 },
+        ]);
+        assert.deepEqual(diff.xpGained, { Carpentry: 1300 });
+    });
+
+    test("reports distance moved", () => {
+        assert.equal(diff.distanceMoved, 5);
+    });
+
+    test("reports new and lost traits", () => {
+        assert.deepEqual(diff.traitsAdded, ["Outdoorsman"]);
+        assert.deepEqual(diff.traitsRemoved, ["Smoker"]);
+    });
+
+    test("reports inventory changes by item type", () => {
+        assert.deepEqual(diff.itemsAdded, [{ fullType: "Base.Saw", count: 1 }]);
+        assert.deepEqual(diff.itemsRemoved, [
+            { fullType: "Base.Hammer", count: 1 },
+            { fullType: "Base.Nails", count: 6 },
+        ]);
+    });
+
+    test("distance is null when a position is unknown", () => {
+        const unknown = { ...after, x: null };
+        assert.equal(diffPlayerStates(before, unknown).distanceMoved, null);
+    });
+});
+
+describe("buildPlayerHistory", () => {
+    test("keeps every snapshot in the series but only changes on the timeline", () => {
+        const a = stateFor({ perks: { Fitness: 2 } });
+        const b = stateFor({ perks: { Fitness: 3 } });
+        const history = buildPlayerHistory([
+            { snapshotId: 1, createdAt: "2024-01-01T00:00:00Z", state: a },
+            { snapshotId: 2, createdAt: "2024-01-02T00:00:00Z", state: a },
+            { snapshotId: 3, createdAt: "2024-01-03T00:00:00Z", state: b },
+        ]);
+        assert.deepEqual(
+            history.series.map((s) => s.skills.Fitness.level),
+            [2, 2, 3],
+        );
+        assert.equal(history.changes.length, 1);
+        assert.equal(history.changes[0].snapshotId, 3);
+        assert.equal(history.changes[0].previousSnapshotId, 2);
+    });
+});
+
+describe("syncChangedCache", () => {
+    const counts = (decoded, removed) => ({ decoded, removed });
+
+    test("is false when the sync decoded and removed nothing", () => {
+        assert.equal(
+            syncChangedCache({ vehicles: counts(0, 0), players: counts(0, 0) }),
+            false,
+        );
+    });
+
+    test("is true when any row was decoded or removed", () => {
+        assert.equal(
+            syncChangedCache({ vehicles: counts(0, 0), players: counts(1, 0) }),
+            true,
+        );
+        assert.equal(
+            syncChangedCache({ vehicles: counts(0, 2), players: counts(0, 0) }),
+            true,
+        );
+    });
+});
+
+describe("watchSnapshotDue", () => {
+    const changed = {
+        vehicles: { decoded: 0, removed: 0 },
+        players: { decoded: 3, removed: 0 },
+    };
+    const unchanged = {
+        vehicles: { decoded: 0, removed: 0 },
+        players: { decoded: 0, removed: 0 },
+    };
+    const now = Date.parse("2024-01-01T01:00:00Z");
+    const interval = 10 * 60 * 1000;
+
+    test("records nothing for a watch sync that changed no rows", () => {
+        assert.equal(watchSnapshotDue(unchanged, null, interval, now), false);
+    });
+
+    test("records at most one snapshot per interval", () => {
+        assert.equal(watchSnapshotDue(changed, null, interval, now), true);
+        assert.equal(
+            watchSnapshotDue(changed, "2024-01-01T00:55:00Z", interval, now),
+            false,
+        );
+        assert.equal(
+            watchSnapshotDue(changed, "2024-01-01T00:50:00Z", interval, now),
+            true,
+        );
+    });
+});
+
+describe("snapshotIdsToPrune", () => {
+    test("returns the oldest snapshots beyond the newest keep", () => {
+        assert.deepEqual(snapshotIdsToPrune([5, 1, 4, 2, 3], 3), [1, 2]);
+    });
+
+    test("prunes nothing within the limit and always keeps the newest", () => {
+        assert.deepEqual(snapshotIdsToPrune([1, 2], 3), []);
+        assert.deepEqual(snapshotIdsToPrune([1, 2, 3], 0), [1, 2]);
+    });
+});
@@ -0,0 +1,229 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    matchesPlayerQuery,
+    parsePlayerQuery,
+    playerQueryFields,
+    playerQuerySql,
+} from "../lib/player-query.js";
+
+const mechanic = {
+    profession: "base:mechanics",
+    professionName: "Mechanic",
+    traits: ["base:dextrous", "base:strong"],
+    traitNames: ["Dextrous", "Strong"],
+    skills: { Mechanics: { level: 7 }, Carpentry: { level: 2 } },
+    skillBooks: [
+        { fullType: "Base.BookMechanic1", finished: true },
+        { fullType: "Base.BookMechanic2", finished: false },
+    ],
+    name: "Kate Smith",
+    infected: false,
+    zombieKills: 120,
+    vitals: { hunger: 0.2 },
+};
+
+const matches = (query, player = mechanic) =>
+    matchesPlayerQuery(parsePlayerQuery(query), player);
+
+/** The message and marked text of the error a query fails to parse with. */
+function parseError(query, options) {
+    try {
+        parsePlayerQuery(query, options);
+    } catch (e) {
+        assert.equal(e.code, "INVALID_PLAYER_QUERY");
+        return {
+            message: e.message,
+            marked: query.slice(e.position, e.position + e.length),
+            position: e.position,
+        };
+    }
+    assert.fail(`${query} parsed`);
+}
+
+describe("parsePlayerQuery", () => {
+    test("parses the example query with AND binding tighter than OR", () => {
+        const tree = parsePlayerQuery(
+            "profession:mechanic AND Mechanics>=6 AND trait:base:dextrous AND NOT trait:base:smoker",
+        );
+        assert.equal(tree.type, "and");
+        assert.deepEqual(
+            tree.items.map((item) => item.type),
+            ["term", "term", "term", "not"],
+        );
+        assert.deepEqual(tree.items[1], {
+            type: "term",
+            field: "Mechanics",
+            op: ">=",
+            value: 6,
+            skill: "Mechanics",
+            start: 24,
+            end: 36,
+        });
+        assert.equal(tree.items[2].value, "base:dextrous");
+
+        const or = parsePlayerQuery("trait:a AND trait:b OR trait:c");
+        assert.equal(or.type, "or");
+        assert.equal(or.items[0].type, "and");
+    });
+
+    test("treats an empty query as matching every player", () => {
+        assert.equal(parsePlayerQuery("   "), null);
+        assert.equal(matchesPlayerQuery(null, mechanic), true);
+    });
+
+    test("reports errors at the offending text", () => {
+        assert.deepEqual(parseError("trait:a AND Mechancs>=6"), {
+            message: "Unknown field 'Mechancs'",
+            marked: "Mechancs",
+            position: 12,
+        });
+        assert.deepEqual(parseError("trait>=3"), {
+            message: "'trait' is matched with ':', not '>='",
+            marked: ">=",
+            position: 5,
+        });
+        assert.deepEqual(parseError("Mechanics>=six"), {
+            message: "'Mechanics' is a number; 'six' is not",
+            marked: "six",
+            position: 11,
+        });
+        assert.equal(
+            parseError("trait:a trait:b").message,
+            "Expected AND, OR or the end of the query",
+        );
+        assert.equal(parseError("(trait:a").position, 8);
+        assert.equal(parseError("trait:a)").message, "Unexpected ')'");
+        assert.equal(parseError('name:"Kate').message, "Unclosed quote");
+        assert.equal(parseError("trait:a AND").position, 11);
+    });
+
+    test("accepts modded perks passed in as skills", () => {
+        assert.equal(
+            parseError("Hunting>1").message,
+            "Unknown field 'Hunting'",
+        );
+        assert.equal(
+            parsePlayerQuery("hunting>1", { skills: ["Hunting"] }).skill,
+            "Hunting",
+        );
+    });
+});
+
+describe("matchesPlayerQuery", () => {
+    test("matches IDs whole, without their namespace, or by display name", () => {
+        assert.equal(matches("trait:base:dextrous"), true);
+        assert.equal(matches("trait:Dextrous"), true);
+        assert.equal(matches("profession:mechanic"), true);
+        assert.equal(matches("profession:mechanics"), true);
+        assert.equal(matches("trait:base:smoker"), false);
+    });
+
+    test("evaluates the example query", () => {
+        const query =
+            "profession:mechanic AND Mechanics>=6 AND trait:base:dextrous AND NOT trait:base:smoker";
+        assert.equal(matches(query), true);
+        assert.equal(
+            matches(query, {
+                ...mechanic,
+                traits: [...mechanic.traits, "base:smoker"],
+            }),
+            false,
+        );
+        assert.equal(
+            matches(query, {
+                ...mechanic,
+                skills: { Mechanics: { level: 5 } },
+            }),
+            false,
+        );
+    });
+
+    test("compares numbers, booleans, text and finished books", () => {
+        assert.equal(matches("zombieKills>100 AND hunger<0.5"), true);
+        assert.equal(matches("Carpentry=2 AND Cooking:0"), true);
+        assert.equal(matches("infected:false AND name:smith"), true);
+        assert.equal(matches('name:"kate smith"'), true);
+        assert.equal(matches("book:Base.BookMechanic1"), true);
+        assert.equal(matches("book:Base.BookMechanic2"), false);
+        assert.equal(
+            matches("(trait:smoker OR trait:strong) and not dead:true"),
+            true,
+        );
+        assert.equal(matches("survivorKills!=0"), false);
+    });
+});
+
+describe("playerQuerySql", () => {
+    const facets = {
+        professions: ["base:mechanics", "base:unemployed"],
+        traits: ["base:dextrous", "base:smoker"],
+    };
+    const names = { "base:mechanics": "Mechanic", "base:smoker": "Smoker" };
+    const split = (query) =>
+        playerQuerySql(
+            parsePlayerQuery(query),
+            facets,
+            (id) => names[id] || null,
+        );
+
+    test("runs skill, trait and profession terms in SQL with nothing left for JS", () => {
+        const { where, remainder } = split(
+            "profession:mechanic AND Mechanics>=6 AND NOT trait:smoker",
+        );
+        assert.equal(remainder, null);
+        assert.equal(
+            where.sql,
+            "COALESCE(profession IN (SELECT value FROM json_each(?)), 0) AND " +
+                "COALESCE(CASE WHEN json_extract(extracted_json, ?) IS NULL THEN 0 ELSE json_extract(extracted_json, ?) END >= ?, 0) AND " +
+                "NOT COALESCE(EXISTS (SELECT 1 FROM json_each(extracted_json, '$.traitOrSkillIds') WHERE value IN (SELECT value FROM json_each(?))), 0)",
+        );
+        assert.deepEqual(where.params, [
+            '["base:mechanics"]',
+            '$.skills."Mechanics"',
+            '$.skills."Mechanics".level',
+            6,
+            '["base:smoker"]',
+        ]);
+    });
+
+    test("compares vitals and columns", () => {
+        const { where } = split("hunger<0.5 AND zombieKills!=0 AND dead:false");
+        assert.equal(
+            where.sql,
+            "COALESCE(json_extract(extracted_json, '$.vitals.hunger') < ?, 0) AND " +
+                "COALESCE(zombie_kills != ?, 0) AND COALESCE(is_dead = ?, 0)",
+        );
+        assert.deepEqual(where.params, [0.5, 0, 0]);
+    });
+
+    test("leaves text terms, and ORs that contain them, to JS", () => {
+        const { where, remainder } = split(
+            "Carpentry>2 AND name:kate AND (trait:smoker OR username:bob)",
+        );
+        assert.equal(where.params.length, 3);
+        assert.equal(remainder.type, "and");
+        assert.deepEqual(
+            remainder.items.map((item) => item.type),
+            ["term", "or"],
+        );
+        assert.equal(split("").where, null);
+        assert.equal(split("name:kate").where, null);
+    });
+});
+
+describe("playerQueryFields", () => {
+    test("lists the fixed fields and one number field per perk", () => {
+        const fields = playerQueryFields(["Mechanics"]);
+        assert.deepEqual(
+            fields.find((f) => f.name === "trait"),
+            {
+                name: "trait",
+                type: "id",
+                description: "Has this trait (ID or name)",
+                values: "traits",
+            },
+        );
+        assert.equal(fields.find((f) => f.name === "Mechanics").type, "number");
+    });
+});
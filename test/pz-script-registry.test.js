@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ScriptRegistry } from "../lib/pz-script-registry.js";
+
+describe("ScriptRegistry.fingerprint", () => {
+    let root;
+    let file;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "script-registry-"));
+        const dir = path.join(root, "media", "scripts");
+        fs.mkdirSync(dir, { recursive: true });
+        file = path.join(dir, "items.txt");
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const writeItem = (displayName, mtime) => {
+        fs.writeFileSync(
+            file,
+            `module Base { item Axe { DisplayName = ${displayName}, Weight = 3, } }`,
+        );
+        fs.utimesSync(file, mtime, mtime);
+    };
+
+    test("changes when a definition changes but their number does not", () => {
+        writeItem("Axe", new Date("2024-01-01"));
+        const before = ScriptRegistry.load([root]);
+        writeItem("Fire Axe", new Date("2024-01-01"));
+        const after = ScriptRegistry.load([root]);
+        assert.equal(before.size, after.size);
+        assert.notEqual(before.fingerprint(), after.fingerprint());
+    });
+
+    test("changes when a script file is touched, and only then", () => {
+        writeItem("Axe", new Date("2024-01-01"));
+        const first = ScriptRegistry.load([root]).fingerprint();
+        assert.equal(ScriptRegistry.load([root]).fingerprint(), first);
+        writeItem("Axe", new Date("2024-02-01"));
+        assert.notEqual(ScriptRegistry.load([root]).fingerprint(), first);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSkillProgress, levelFromXp } from "../lib/pz-skill-levels.js";
+
+describe("computeSkillProgress", () => {
+    test("multiplies XP gain by the game's values per boost level", () => {
+        const multiplier = (traitBoost) =>
+            computeSkillProgress("Carpentry", { level: 2, traitBoost })
+                .traitMultiplier;
+        assert.deepEqual([0, 1, 2, 3].map(multiplier), [0.25, 1, 1.33, 1.66]);
+        assert.equal(multiplier(5), 1.66);
+    });
+
+    test("leaves Strength and Fitness unaffected by boosts", () => {
+        for (const perk of ["Strength", "Fitness"]) {
+            for (const traitBoost of [0, 2]) {
+                const progress = computeSkillProgress(perk, {
+                    level: 5,
+                    traitBoost,
+                });
+                assert.equal(progress.traitMultiplier, 1);
+                assert.equal(progress.xpMultiplier, 1);
+            }
+        }
+    });
+
+    test("combines the boost with a skill book inside its level range", () => {
+        const book = { multiplier: 3, minLevel: 0, maxLevel: 2 };
+        const reading = computeSkillProgress("Carpentry", {
+            level: 1,
+            traitBoost: 1,
+            book,
+        });
+        assert.equal(reading.xpMultiplier, 3);
+        const past = computeSkillProgress("Carpentry", {
+            level: 2,
+            traitBoost: 0,
+            book,
+        });
+        assert.equal(past.xpMultiplier, 0.25);
+    });
+});
+
+describe("levelFromXp", () => {
+    test("uses the steeper curve for passive perks", () => {
+        assert.equal(levelFromXp("Carpentry", 225), 2);
+        assert.equal(levelFromXp("Fitness", 225), 0);
+        assert.equal(levelFromXp("Fitness", 4500), 2);
+    });
+});
@@ -0,0 +1,45 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { TranslationTable } from "../lib/pz-translations.js";
+
+describe("TranslationTable.load", () => {
+    let root;
+    let shared;
+
+    const writeTexts = (dir, text) => {
+        fs.mkdirSync(path.join(shared, dir), { recursive: true });
+        fs.writeFileSync(
+            path.join(shared, dir, "ItemName.txt"),
+            `ItemName = {\n    ItemName_Base.Axe = "${text}",\n}`,
+        );
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "pz-translations-"));
+        shared = path.join(root, "media", "lua", "shared");
+        writeTexts("Translate/EN", "Axe");
+        writeTexts("Translate/DE", "Axt");
+        writeTexts("Other", "Outside");
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test("reads a language found in the Translate folders", () => {
+        const table = TranslationTable.load([root], "DE");
+        assert.equal(table.language, "DE");
+        assert.equal(table.text("ItemName_Base.Axe"), "Axt");
+    });
+
+    test("falls back to English for a language with no folder", () => {
+        for (const language of ["FR", "../Other", path.join(shared, "Other")]) {
+            const table = TranslationTable.load([root], language);
+            assert.equal(table.language, "EN");
+            assert.equal(table.text("ItemName_Base.Axe"), "Axe");
+        }
+    });
+});
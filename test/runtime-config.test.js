@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import * as runtimeConfig from "../lib/runtime-config.js";
+
+describe("runtime config profiles", () => {
+    let dir;
+    const previousBaseDir = process.env.PZ_MANAGER_USER_DATA;
+    const writeConfig = (text) =>
+        fs.writeFileSync(runtimeConfig.getConfigPath(), text);
+    const readConfig = () =>
+        JSON.parse(fs.readFileSync(runtimeConfig.getConfigPath(), "utf8"));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "runtime-config-"));
+        process.env.PZ_MANAGER_USER_DATA = dir;
+    });
+
+    afterEach(() => {
+        if (previousBaseDir === undefined)
+            delete process.env.PZ_MANAGER_USER_DATA;
+        else process.env.PZ_MANAGER_USER_DATA = previousBaseDir;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const legacy = {
+        saveFolder: "/saves/Survivor",
+        watch: true,
+        gameFolder: "/games/ProjectZomboid",
+        language: "DE",
+    };
+
+    test("reads a config from before profiles as the default profile", () => {
+        writeConfig(JSON.stringify(legacy));
+        const { active, profiles } = runtimeConfig.getProfiles(
+            runtimeConfig.load(),
+        );
+        assert.equal(active, "default");
+        assert.deepEqual(profiles, {
+            default: { saveFolder: "/saves/Survivor", watch: true },
+        });
+        assert.equal(
+            runtimeConfig.getConfigForApi().saveFolder,
+            "/saves/Survivor",
+        );
+    });
+
+    test("rewrites a config from before profiles in the profiles layout on save", () => {
+        writeConfig(JSON.stringify(legacy));
+        runtimeConfig.saveProfile("coop", { saveFolder: "/saves/Coop" });
+        assert.deepEqual(readConfig(), {
+            gameFolder: "/games/ProjectZomboid",
+            language: "DE",
+            activeProfile: "default",
+            profiles: {
+                default: { saveFolder: "/saves/Survivor", watch: true },
+                coop: { saveFolder: "/saves/Coop" },
+            },
+        });
+    });
+
+    test("starts a fresh default profile when the config file is unreadable", () => {
+        writeConfig("{ not json");
+        assert.equal(runtimeConfig.load(), null);
+        assert.equal(runtimeConfig.getConfigForApi().profile, "default");
+        runtimeConfig.saveProfile("default", { saveFolder: "/saves/New" });
+        assert.deepEqual(readConfig(), {
+            activeProfile: "default",
+            profiles: { default: { saveFolder: "/saves/New" } },
+        });
+    });
+
+    test("drops profiles whose names cannot be used in URLs or file names", () => {
+        runtimeConfig.save({
+            activeProfile: "../escape",
+            profiles: { "../escape": { saveFolder: "/x" }, main: {} },
+        });
+        assert.deepEqual(readConfig(), {
+            activeProfile: "main",
+            profiles: { main: {} },
+        });
+    });
+});
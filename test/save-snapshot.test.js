@@ -0,0 +1,167 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import sqlite3 from "sqlite3";
+import { checkIntegrity, snapshotDatabase } from "../lib/save-snapshot.js";
+
+const call = (fn, ...args) =>
+    new Promise((resolve, reject) =>
+        fn(...args, (err, result) => (err ? reject(err) : resolve(result))),
+    );
+
+/** Open a DB; run(sql) and all(sql) return promises. */
+async function open(file) {
+    const db = await new Promise((resolve, reject) => {
+        const d = new sqlite3.Database(file, (err) =>
+            err ? reject(err) : resolve(d),
+        );
+    });
+    return {
+        run: (sql) => call(db.run.bind(db), sql, []),
+        all: (sql) => call(db.all.bind(db), sql, []),
+        close: () => call(db.close.bind(db)),
+        db,
+    };
+}
+
+describe("snapshotDatabase", () => {
+    let dir;
+    let source;
+    let dest;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "save-snapshot-"));
+        source = path.join(dir, "players.db");
+        dest = path.join(dir, "snapshot.db");
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const snapshotIds = async () => {
+        const copy = await open(dest);
+        try {
+            return (await copy.all("SELECT id FROM players ORDER BY id")).map(
+                (r) => r.id,
+            );
+        } finally {
+            await copy.close();
+        }
+    };
+
+    test("copies commits still in the -wal into one self-contained file", async () => {
+        const game = await open(source);
+        await game.run("PRAGMA journal_mode=WAL");
+        await game.run("PRAGMA wal_autocheckpoint=0");
+        await game.run("CREATE TABLE players (id INTEGER PRIMARY KEY)");
+        await game.run("INSERT INTO players (id) VALUES (1), (2)");
+        try {
+            assert.deepEqual(await call(snapshotDatabase, source, dest), {
+                method: "backup",
+                backupError: null,
+            });
+        } finally {
+            await game.close();
+        }
+        assert.ok(!fs.existsSync(dest + "-wal"));
+        assert.deepEqual(await snapshotIds(), [1, 2]);
+    });
+
+    test("retries the backup while the game holds a write lock", async () => {
+        const game = await open(source);
+        await game.run("CREATE TABLE players (id INTEGER PRIMARY KEY)");
+        await game.run("BEGIN EXCLUSIVE");
+        await game.run("INSERT INTO players (id) VALUES (1)");
+        const snapshot = call(snapshotDatabase, source, dest);
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        await game.run("COMMIT");
+        try {
+            assert.equal((await snapshot).method, "backup");
+        } finally {
+            await game.close();
+        }
+        // The backup waited for the game's transaction instead of copying around it
+        assert.deepEqual(await snapshotIds(), [1]);
+    });
+
+    test("copies the DB and its -wal once the backup gives up", async () => {
+        const game = await open(source);
+        await game.run("PRAGMA journal_mode=WAL");
+        await game.run("PRAGMA wal_autocheckpoint=0");
+        await game.run("CREATE TABLE players (id INTEGER PRIMARY KEY)");
+        await game.run("INSERT INTO players (id) VALUES (1)");
+        // The game keeps its lock between writes, so the backup stays busy until it runs out
+        // of retries
+        await game.run("PRAGMA locking_mode=EXCLUSIVE");
+        await game.run("INSERT INTO players (id) VALUES (2)");
+        try {
+            const result = await call(snapshotDatabase, source, dest);
+            assert.equal(result.method, "copy");
+            assert.match(result.backupError, /SQLITE_BUSY/);
+        } finally {
+            await game.close();
+        }
+        assert.deepEqual(await snapshotIds(), [1, 2]);
+    });
+
+    test("fails with SNAPSHOT_CORRUPT for a file that is not a database", async () => {
+        fs.writeFileSync(source, "not a database ".repeat(100));
+        await assert.rejects(call(snapshotDatabase, source, dest), {
+            code: "SNAPSHOT_CORRUPT",
+            message: /^Snapshot of players\.db is corrupt/,
+        });
+    });
+});
+
+describe("checkIntegrity", () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "save-integrity-"));
+        file = path.join(dir, "vehicles.db");
+        const db = await open(file);
+        await db.run(
+            "CREATE TABLE vehicles (id INTEGER PRIMARY KEY, data TEXT)",
+        );
+        await db.run("CREATE INDEX vehicles_data ON vehicles (data)");
+        for (let i = 1; i <= 200; i++) {
+            await db.run(
+                `INSERT INTO vehicles (id, data) VALUES (${i}, '${"x".repeat(50)}${i}')`,
+            );
+        }
+        await db.close();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const check = async () => {
+        const db = await open(file);
+        try {
+            return await call(checkIntegrity, db.db, "vehicles.db");
+        } finally {
+            await db.close();
+        }
+    };
+
+    test("passes a healthy snapshot", async () => {
+        assert.equal(await check(), undefined);
+    });
+
+    test("fails with SNAPSHOT_CORRUPT when pages are damaged", async () => {
+        const data = fs.readFileSync(file);
+        const pageSize = data.readUInt16BE(16);
+        // Overwrite the third page, part of the table or its index, with garbage
+        data.fill(0xff, pageSize * 2, pageSize * 3);
+        fs.writeFileSync(file, data);
+        await assert.rejects(check(), {
+            code: "SNAPSHOT_CORRUPT",
+            message: /^Snapshot of vehicles\.db is corrupt/,
+        });
+    });
+});
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { SaveWatcher } from "../lib/save-watcher.js";
+
+describe("SaveWatcher", () => {
+    let dir;
+    let watcher;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "save-watcher-"));
+    });
+
+    afterEach(() => {
+        if (watcher) watcher.close();
+        watcher = null;
+        mock.timers.reset();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /** A watcher on players.db in dir that counts its syncs, each finishing at once. */
+    function countingWatcher(options = {}) {
+        const runs = [];
+        watcher = new SaveWatcher({
+            files: [path.join(dir, "players.db")],
+            debounceMs: 1000,
+            minIntervalMs: 10000,
+            onChange: (done) => {
+                runs.push(Date.now());
+                done();
+            },
+            ...options,
+        });
+        return runs;
+    }
+
+    test("syncs once writes have been quiet for the debounce time", () => {
+        mock.timers.enable({ apis: ["setTimeout", "Date"], now: 50000 });
+        const runs = countingWatcher();
+        watcher.schedule();
+        mock.timers.tick(500);
+        watcher.schedule();
+        mock.timers.tick(999);
+        assert.deepEqual(runs, []);
+        mock.timers.tick(1);
+        assert.deepEqual(runs, [51500]);
+    });
+
+    test("syncs within the minimum interval of the first write while writes go on", () => {
+        mock.timers.enable({ apis: ["setTimeout", "Date"], now: 50000 });
+        const runs = countingWatcher();
+        for (let i = 0; i < 30; i++) {
+            watcher.schedule();
+            mock.timers.tick(500);
+        }
+        assert.deepEqual(runs, [60000]);
+    });
+
+    test("leaves the minimum interval between two syncs", () => {
+        mock.timers.enable({ apis: ["setTimeout", "Date"], now: 50000 });
+        const runs = countingWatcher();
+        watcher.schedule();
+        mock.timers.tick(1000);
+        watcher.schedule();
+        mock.timers.tick(9999);
+        assert.deepEqual(runs, [51000]);
+        mock.timers.tick(1);
+        assert.deepEqual(runs, [51000, 61000]);
+    });
+
+    test("gives writes during a long sync a sync of their own", () => {
+        mock.timers.enable({ apis: ["setTimeout", "Date"], now: 50000 });
+        let finish;
+        const runs = countingWatcher({
+            onChange: (done) => {
+                runs.push(Date.now());
+                finish = done;
+            },
+        });
+        watcher.schedule();
+        mock.timers.tick(1000);
+        watcher.schedule();
+        mock.timers.tick(20000);
+        assert.deepEqual(runs, [51000]);
+        // The write is over the minimum interval old, so it is synced right away
+        finish();
+        mock.timers.tick(1);
+        assert.equal(runs.length, 2);
+    });
+
+    test("reports a directory it cannot watch and watches it once it exists", () => {
+        mock.timers.enable({ apis: ["setTimeout", "Date"], now: 50000 });
+        const saveDir = path.join(dir, "save");
+        watcher = new SaveWatcher({
+            files: [path.join(saveDir, "players.db")],
+            debounceMs: 1000,
+            minIntervalMs: 10000,
+            onChange: (done) => done(),
+            retryMs: 5000,
+        });
+        const errors = watcher.start();
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /ENOENT/);
+
+        fs.mkdirSync(saveDir);
+        mock.timers.tick(5000);
+        assert.deepEqual(watcher.errors(), []);
+        assert.equal(watcher.watchers.size, 1);
+        // It may have missed writes meanwhile, so a sync is scheduled
+        assert.notEqual(watcher.timer, null);
+    });
+
+    test("records a watch error, closes the watch and re-arms it", () => {
+        mock.timers.enable({ apis: ["setTimeout", "Date"], now: 50000 });
+        countingWatcher({ retryMs: 5000 });
+        assert.deepEqual(watcher.start(), []);
+        const failed = watcher.watchers.get(dir);
+        failed.emit("error", new Error("EPERM: operation not permitted"));
+        assert.deepEqual(watcher.errors(), [
+            `${dir}: EPERM: operation not permitted`,
+        ]);
+        assert.equal(watcher.watchers.size, 0);
+
+        mock.timers.tick(5000);
+        assert.deepEqual(watcher.errors(), []);
+        assert.notEqual(watcher.watchers.get(dir), failed);
+    });
+
+    test("syncs after a write to a watched file", async () => {
+        const synced = new Promise((resolve) => {
+            watcher = new SaveWatcher({
+                files: [path.join(dir, "players.db")],
+                debounceMs: 20,
+                minIntervalMs: 0,
+                onChange: (done) => {
+                    done();
+                    resolve();
+                },
+            });
+        });
+        watcher.start();
+        fs.writeFileSync(path.join(dir, "players.db-wal"), "x");
+        await synced;
+    });
+});
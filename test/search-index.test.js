@@ -0,0 +1,136 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    MATCH_END,
+    MATCH_START,
+    collectSearchStrings,
+    splitHighlight,
+    toFtsQuery,
+} from "../lib/search-index.js";
+import { decodePzBuffer } from "../lib/decode-pz-buffer.js";
+import {
+    buildPlayerBlob,
+    buildVehicleBlob,
+} from "./helpers/pz-blob-builder.js";
+
+describe("collectSearchStrings", () => {
+    test("indexes a vehicle's custom name, type and part items", () => {
+        const { extracted } = decodePzBuffer(
+            buildVehicleBlob({
+                scriptName: "Base.PickUpTruck",
+                modData: { customName: "Bertha" },
+                parts: [
+                    {
+                        id: "Engine",
+                        itemType: "Base.NormalEngine",
+                        condition: 90,
+                    },
+                ],
+            }),
+            "vehicle",
+        );
+        const strings = collectSearchStrings(extracted);
+        assert.ok(
+            strings.some(
+                (s) => s.field === "customNames" && s.value === "Bertha",
+            ),
+        );
+        assert.ok(
+            strings.some(
+                (s) =>
+                    s.field === "vehicleType" && s.value === "Base.PickUpTruck",
+            ),
+        );
+        assert.ok(
+            strings.some(
+                (s) =>
+                    s.field === "parts.itemType" &&
+                    s.value === "Base.NormalEngine",
+            ),
+        );
+        assert.ok(!strings.some((s) => s.field.startsWith("provenance")));
+    });
+
+    test("indexes nested inventory items and traits once each, with extra columns", () => {
+        const { extracted } = decodePzBuffer(
+            buildPlayerBlob({
+                traits: ["Strong", "Strong"],
+                inventory: {
+                    type: "none",
+                    items: [
+                        { fullType: "Base.Katana" },
+                        {
+                            fullType: "Base.Bag_Schoolbag",
+                            customName: "Go bag",
+                            container: {
+                                type: "Bag_Schoolbag",
+                                items: [{ fullType: "Base.Katana" }],
+                            },
+                        },
+                    ],
+                },
+            }),
+            "player",
+        );
+        const strings = collectSearchStrings(extracted, {
+            username: "kate",
+            missing: null,
+        });
+        const fields = (value) =>
+            strings.filter((s) => s.value === value).map((s) => s.field);
+        assert.deepEqual(fields("kate"), ["username"]);
+        assert.deepEqual(fields("Strong"), ["traitOrSkillIds"]);
+        assert.deepEqual(fields("Base.Katana"), [
+            "inventory.items.fullType",
+            "inventory.items.container.items.fullType",
+        ]);
+        assert.deepEqual(fields("Go bag"), ["inventory.items.customName"]);
+    });
+
+    test("does not index decoder errors", () => {
+        const { extracted } = decodePzBuffer(
+            Buffer.from("\x00\x01not a player blob"),
+            "player",
+        );
+        assert.ok(extracted.structuredError);
+        const strings = collectSearchStrings({
+            ...extracted,
+            _error: "Decode error: out of range",
+            parseWarnings: ["Skipped 3 bytes"],
+            modData: { message: "Meet at the mall" },
+        });
+        const values = strings.map((s) => s.value);
+        assert.ok(!values.includes(extracted.structuredError));
+        assert.ok(!values.includes("Decode error: out of range"));
+        assert.ok(!values.includes("Skipped 3 bytes"));
+        assert.ok(values.includes("Meet at the mall"));
+    });
+});
+
+describe("toFtsQuery", () => {
+    test("quotes each word and makes the last one a prefix", () => {
+        assert.equal(toFtsQuery("Base.Katana"), '"Base.Katana"*');
+        assert.equal(toFtsQuery("  go   bag "), '"go" "bag"*');
+    });
+
+    test("drops quotes so user input cannot break the expression", () => {
+        assert.equal(toFtsQuery('say "hi'), '"say" "hi"*');
+        assert.equal(toFtsQuery('""'), null);
+        assert.equal(toFtsQuery("   "), null);
+    });
+});
+
+describe("splitHighlight", () => {
+    test("splits marked text into plain and matched runs", () => {
+        assert.deepEqual(
+            splitHighlight(`Base.${MATCH_START}Katana${MATCH_END}`),
+            [
+                { text: "Base.", match: false },
+                { text: "Katana", match: true },
+            ],
+        );
+        assert.deepEqual(splitHighlight("plain"), [
+            { text: "plain", match: false },
+        ]);
+    });
+});